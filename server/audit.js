@@ -0,0 +1,225 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { appendFile, mkdir, open } from 'fs/promises';
+import { dirname, resolve } from 'path';
+import { Logger } from './logger.js';
+
+// Entries returned by a query unless a limit is given
+export const DEFAULT_AUDIT_QUERY_LIMIT = 50;
+
+// Bytes read at a time when scanning the log backwards for recent entries
+const READ_CHUNK_BYTES = 64 * 1024;
+
+// The tool call being audited, so writes deep inside the service can attach their values
+const currentCall = new AsyncLocalStorage();
+
+/**
+ * Append-only JSONL log of tool calls
+ *
+ * One line per call: when it ran, which tool, the spreadsheet, sheet and range it touched, how
+ * many cells it returned or changed, and whether it failed (with the error code). Writes can
+ * also record the values they replaced and wrote. The file is only ever appended to; queries
+ * read it backwards from the end so a long history does not slow down recent lookups.
+ */
+export class AuditLog {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - JSONL file to append to (created with its directory if missing)
+   * @param {boolean} [options.includeValues] - Record before/after values of cell writes
+   */
+  constructor(options) {
+    this.path = resolve(options.path);
+    this.includeValues = Boolean(options.includeValues);
+    this.logger = new Logger();
+    this.ready = null;
+  }
+
+  /**
+   * Run a tool handler and append an entry describing the call
+   * @param {string} tool - Tool name
+   * @param {Object} args - Tool arguments
+   * @param {Function} run - async () => tool result
+   * @param {string} [sessionId] - HTTP session making the call, so queries can stay within it
+   * @returns {Object} - The tool result, unchanged
+   */
+  async track(tool, args, run, sessionId) {
+    const call = { includeValues: this.includeValues, writes: [], sessionId: sessionId };
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await currentCall.run(call, run);
+    } catch (error) {
+      await this.record(describeCall(tool, args, { isError: true, content: [] }, call, startedAt, error.code || 'INTERNAL'));
+      throw error;
+    }
+    await this.record(describeCall(tool, args, result, call, startedAt));
+    return result;
+  }
+
+  /**
+   * Append one entry; a failure to write is logged rather than failing the tool call
+   * @param {Object} entry - Audit entry
+   */
+  async record(entry) {
+    try {
+      this.ready = this.ready || mkdir(dirname(this.path), { recursive: true });
+      await this.ready;
+      await appendFile(this.path, `${JSON.stringify(entry)}\n`, 'utf8');
+    } catch (error) {
+      this.logger.error(`Error writing audit log ${this.path}:`, error);
+    }
+  }
+
+  /**
+   * Read the most recent entries, newest first
+   * @param {Object} [filters]
+   * @param {number} [filters.limit] - Maximum entries to return (default 50)
+   * @param {string} [filters.tool] - Only calls of this tool
+   * @param {string} [filters.spreadsheetId] - Only calls on this spreadsheet
+   * @param {string} [filters.outcome] - 'success' or 'error'
+   * @param {string} [filters.since] - Only entries at or after this ISO 8601 time
+   * @param {string} [filters.sessionId] - Only calls made in this HTTP session
+   * @param {Function} [filters.accept] - async (entry) => boolean, a further check on each match
+   * @returns {Array<Object>} - Matching entries
+   */
+  async query(filters = {}) {
+    const limit = filters.limit || DEFAULT_AUDIT_QUERY_LIMIT;
+    const since = filters.since ? new Date(filters.since).getTime() : null;
+    const matches = entry =>
+      (!filters.tool || entry.tool === filters.tool) &&
+      (!filters.spreadsheetId || entry.spreadsheetId === filters.spreadsheetId) &&
+      (!filters.outcome || entry.outcome === filters.outcome) &&
+      (!filters.sessionId || entry.sessionId === filters.sessionId);
+
+    const entries = [];
+    for await (const line of readLinesBackwards(this.path)) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // A line cut short by a crash mid-write
+        continue;
+      }
+      if (since !== null && new Date(entry.timestamp).getTime() < since) {
+        // Entries are appended as calls finish, so once one finished before `since` all earlier lines did too
+        if (new Date(entry.timestamp).getTime() + (entry.durationMs || 0) < since) {
+          break;
+        }
+        continue;
+      }
+      if (matches(entry) && (!filters.accept || (await filters.accept(entry)))) {
+        entries.push(entry);
+        if (entries.length >= limit) {
+          break;
+        }
+      }
+    }
+    return entries;
+  }
+}
+
+/**
+ * Whether the tool call being audited wants the values a write replaces
+ * @returns {boolean} - False outside an audited call
+ */
+export function auditsWriteValues() {
+  return Boolean(currentCall.getStore()?.includeValues);
+}
+
+/**
+ * Attach a cell write to the tool call being audited; does nothing outside one
+ * @param {Object} write - { range, before, after } with values as rows
+ */
+export function recordWrite(write) {
+  currentCall.getStore()?.writes.push(write);
+}
+
+/**
+ * Yield the lines of a file from last to first, skipping blank ones
+ * @param {string} path - File to read; a missing file has no lines
+ */
+export async function* readLinesBackwards(path) {
+  let file;
+  try {
+    file = await open(path, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return;
+    }
+    throw error;
+  }
+
+  try {
+    let position = (await file.stat()).size;
+    let partial = Buffer.alloc(0);
+    while (position > 0) {
+      const length = Math.min(READ_CHUNK_BYTES, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      await file.read(chunk, 0, length, position);
+
+      // Split on bytes, not characters, so a multi-byte character across chunks stays whole
+      const buffer = Buffer.concat([chunk, partial]);
+      let end = buffer.length;
+      for (let index = buffer.length - 1; index >= 0; index--) {
+        if (buffer[index] === 0x0a) {
+          const line = buffer.subarray(index + 1, end).toString('utf8');
+          if (line.trim() !== '') {
+            yield line;
+          }
+          end = index;
+        }
+      }
+      partial = buffer.subarray(0, end);
+    }
+    if (partial.toString('utf8').trim() !== '') {
+      yield partial.toString('utf8');
+    }
+  } finally {
+    await file.close();
+  }
+}
+
+// Build the entry for a finished call from its arguments and result
+function describeCall(tool, args, result, call, startedAt, thrownCode) {
+  const data = result.structuredContent || {};
+  const entry = {
+    timestamp: new Date(startedAt).toISOString(),
+    tool: tool,
+    spreadsheetId: data.spreadsheetId || data.id || spreadsheetIdFromUrl(args.url),
+    sheet: args.sheet_name || data.sheetTitle || data.metadata?.title,
+    range: args.range || data.updatedRange || data.metadata?.range,
+    cellsReturned: countReturnedCells(data),
+    // A dry run changes nothing, whatever it reports it would have updated
+    cellsChanged: data.dryRun ? undefined : data.updatedCells,
+    dryRun: data.dryRun || undefined,
+    outcome: result.isError ? 'error' : 'success',
+    errorCode: result.isError ? thrownCode || errorCodeOf(result) : undefined,
+    durationMs: Date.now() - startedAt,
+    sessionId: call.sessionId,
+  };
+  if (call.writes.length > 0) {
+    entry.writes = call.writes;
+  }
+  return entry;
+}
+
+function countReturnedCells(data) {
+  if (data.records) {
+    return data.records.reduce((total, record) => total + Object.keys(record).length - 1, 0);
+  }
+  return (data.cells || data.matches || data.formulas)?.length;
+}
+
+// Failed results carry { error: { code } } as JSON in their second text block
+function errorCodeOf(result) {
+  try {
+    return JSON.parse(result.content[1].text).error.code;
+  } catch {
+    return 'INTERNAL';
+  }
+}
+
+function spreadsheetIdFromUrl(url) {
+  const match = typeof url === 'string' ? /\/d\/([a-zA-Z0-9-_]+)/.exec(url) : null;
+  return match ? match[1] : undefined;
+}
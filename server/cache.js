@@ -0,0 +1,163 @@
+// Defaults for the document cache; a TTL of 0 turns caching off
+export const DEFAULT_CACHE_TTL_SECONDS = 300;
+export const DEFAULT_CACHE_MAX_DOCUMENTS = 20;
+export const DEFAULT_CACHE_MAX_CELLS = 200000;
+
+/**
+ * In-memory cache of loaded spreadsheet documents and the cell blocks loaded into them
+ *
+ * Entries are evicted least recently used first once there are more than maxDocuments
+ * of them or their loaded cells add up to more than maxCells, and expire after ttlSeconds.
+ * Deciding whether an entry is still current (e.g. by Drive modifiedTime) is up to the caller.
+ */
+export class DocumentCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlSeconds] - Maximum age of an entry (0 disables the cache)
+   * @param {number} [options.maxDocuments] - Maximum number of cached documents
+   * @param {number} [options.maxCells] - Maximum number of loaded cells across all documents
+   */
+  constructor(options = {}) {
+    this.ttlMs = (options.ttlSeconds ?? DEFAULT_CACHE_TTL_SECONDS) * 1000;
+    this.maxDocuments = options.maxDocuments || DEFAULT_CACHE_MAX_DOCUMENTS;
+    this.maxCells = options.maxCells || DEFAULT_CACHE_MAX_CELLS;
+    // Spreadsheet ID -> { doc, modifiedTime, cachedAt, loaded: Map(sheetId -> [bounds]), cellCount }, oldest first
+    this.entries = new Map();
+  }
+
+  get enabled() {
+    return this.ttlMs > 0;
+  }
+
+  /**
+   * Get a live entry and mark it as recently used
+   * @param {string} spreadsheetId - Spreadsheet ID
+   * @returns {Object|null} - Cache entry, or null when missing or expired
+   */
+  get(spreadsheetId) {
+    const entry = this.entries.get(spreadsheetId);
+    if (!entry) {
+      return null;
+    }
+    if (Date.now() - entry.cachedAt > this.ttlMs) {
+      this.entries.delete(spreadsheetId);
+      return null;
+    }
+
+    this.entries.delete(spreadsheetId);
+    this.entries.set(spreadsheetId, entry);
+    return entry;
+  }
+
+  /**
+   * Cache a freshly loaded document, replacing any previous entry
+   * @param {string} spreadsheetId - Spreadsheet ID
+   * @param {GoogleSpreadsheet} doc - Document with info loaded
+   * @param {string} modifiedTime - Drive modifiedTime the document was loaded at
+   */
+  set(spreadsheetId, doc, modifiedTime) {
+    if (!this.enabled) {
+      return;
+    }
+    this.entries.delete(spreadsheetId);
+    this.entries.set(spreadsheetId, { doc, modifiedTime, cachedAt: Date.now(), loaded: new Map(), cellCount: 0 });
+    this.trim(spreadsheetId);
+  }
+
+  /**
+   * Find the entry holding a document object
+   * @param {GoogleSpreadsheet} doc - Document
+   * @returns {Object|null} - Cache entry, or null if the document is not cached
+   */
+  entryFor(doc) {
+    const entry = this.entries.get(doc.spreadsheetId);
+    return entry && entry.doc === doc ? entry : null;
+  }
+
+  /**
+   * Check whether a block of cells is already loaded into a cached document
+   * @param {GoogleSpreadsheet} doc - Document
+   * @param {number} sheetId - Sheet ID
+   * @param {Object} bounds - 0-based, end-exclusive { startRow, endRow, startCol, endCol }
+   * @returns {boolean}
+   */
+  hasCells(doc, sheetId, bounds) {
+    const loaded = this.entryFor(doc)?.loaded.get(sheetId) || [];
+    return loaded.some(
+      block =>
+        block.startRow <= bounds.startRow &&
+        block.endRow >= bounds.endRow &&
+        block.startCol <= bounds.startCol &&
+        block.endCol >= bounds.endCol
+    );
+  }
+
+  /**
+   * Record that a block of cells was loaded into a cached document
+   * @param {GoogleSpreadsheet} doc - Document
+   * @param {number} sheetId - Sheet ID
+   * @param {Object} bounds - 0-based, end-exclusive { startRow, endRow, startCol, endCol }
+   */
+  addCells(doc, sheetId, bounds) {
+    const entry = this.entryFor(doc);
+    if (!entry) {
+      return;
+    }
+    if (!entry.loaded.has(sheetId)) {
+      entry.loaded.set(sheetId, []);
+    }
+    entry.loaded.get(sheetId).push(bounds);
+    entry.cellCount += (bounds.endRow - bounds.startRow) * (bounds.endCol - bounds.startCol);
+    this.trim(doc.spreadsheetId);
+  }
+
+  /**
+   * Drop one document, e.g. after writing to it
+   * @param {string} spreadsheetId - Spreadsheet ID
+   * @returns {boolean} - Whether an entry was removed
+   */
+  delete(spreadsheetId) {
+    return this.entries.delete(spreadsheetId);
+  }
+
+  /**
+   * Drop every document
+   * @returns {number} - Number of entries removed
+   */
+  clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    return count;
+  }
+
+  /**
+   * Current size of the cache
+   * @returns {Object} - { enabled, documents, cells }
+   */
+  stats() {
+    return { enabled: this.enabled, documents: this.entries.size, cells: this.totalCells() };
+  }
+
+  totalCells() {
+    let total = 0;
+    for (const entry of this.entries.values()) {
+      total += entry.cellCount;
+    }
+    return total;
+  }
+
+  // Evict least recently used entries until within limits; a document too large to fit on its own is dropped too
+  trim(currentId) {
+    for (const id of this.entries.keys()) {
+      if (this.entries.size <= this.maxDocuments && this.totalCells() <= this.maxCells) {
+        return;
+      }
+      if (id !== currentId) {
+        this.entries.delete(id);
+      }
+    }
+    if (this.entries.size > this.maxDocuments || this.totalCells() > this.maxCells) {
+      this.entries.delete(currentId);
+    }
+  }
+}
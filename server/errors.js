@@ -0,0 +1,125 @@
+// Error codes surfaced in tool responses, so clients can tell failures apart without parsing messages
+export const ErrorCode = Object.freeze({
+  INVALID_URL: 'INVALID_URL',
+  INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+  NOT_FOUND: 'NOT_FOUND',
+  NOT_SHARED: 'NOT_SHARED',
+  SHEET_NOT_FOUND: 'SHEET_NOT_FOUND',
+  SHEET_AMBIGUOUS: 'SHEET_AMBIGUOUS',
+  RATE_LIMITED: 'RATE_LIMITED',
+  AUTH_FAILED: 'AUTH_FAILED',
+  API_DISABLED: 'API_DISABLED',
+  API_UNAVAILABLE: 'API_UNAVAILABLE',
+  NOT_CONFIGURED: 'NOT_CONFIGURED',
+  READ_ONLY: 'READ_ONLY',
+  POLICY_DENIED: 'POLICY_DENIED',
+  NOT_CONFIRMED: 'NOT_CONFIRMED',
+  CONFLICT: 'CONFLICT',
+  INTERNAL: 'INTERNAL',
+});
+
+/**
+ * An error with a code and, where there is one, a hint on how to fix it
+ */
+export class SheetsError extends Error {
+  /**
+   * @param {string} code - One of ErrorCode
+   * @param {string} message - What went wrong
+   * @param {Object} [options]
+   * @param {string} [options.hint] - What the user can do about it
+   * @param {Object} [options.details] - Extra machine-readable context, e.g. { availableSheets }
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(code, message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = 'SheetsError';
+    this.code = code;
+    this.hint = options.hint || null;
+    this.details = options.details || null;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      ...(this.hint && { hint: this.hint }),
+      ...(this.details && { details: this.details }),
+    };
+  }
+}
+
+// Google error reasons that mean a quota was hit, even when the status is 403
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded', 'RATE_LIMIT_EXCEEDED'];
+
+// OAuth token endpoint errors and key parsing failures both mean the credentials are unusable
+const AUTH_ERROR_PATTERN = /invalid_grant|invalid_client|unauthorized_client|DECODER|PEM|private key|asn1/i;
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Classify a failed Google API call (axios or gaxios error) or any other error
+ * @param {Error} error - Error to classify
+ * @param {Object} context
+ * @param {string} context.action - What was being done, e.g. "Failed to add sheet"
+ * @param {string} [context.serviceAccountEmail] - client_email to mention in sharing hints
+ * @returns {SheetsError}
+ */
+export function classifyError(error, context) {
+  if (error instanceof SheetsError) {
+    return error;
+  }
+
+  const { action } = context;
+  const account = context.serviceAccountEmail || "the service account's client_email";
+  const status = error.response?.status;
+  const apiError = typeof error.response?.data?.error === 'object' ? error.response.data.error : null;
+  const reasons = [
+    ...(apiError?.errors || []).map(item => item.reason),
+    ...(apiError?.details || []).map(item => item.reason),
+  ];
+  const message = `${action}: ${apiError?.message || error.message}`;
+  const options = { cause: error };
+
+  if (status === 429 || reasons.some(reason => RATE_LIMIT_REASONS.includes(reason))) {
+    return new SheetsError(ErrorCode.RATE_LIMITED, message, {
+      ...options,
+      hint: 'Google API quota exceeded even after retrying. Wait a minute and try again, or request a higher Sheets API quota in the Google Cloud console.',
+    });
+  }
+  if (status === 401 || AUTH_ERROR_PATTERN.test(error.response?.data?.error || '') || AUTH_ERROR_PATTERN.test(error.message)) {
+    return new SheetsError(ErrorCode.AUTH_FAILED, message, {
+      ...options,
+      hint: 'Check the service account credentials file: the key may have been deleted or revoked, or the file may be damaged. Run "npm run test:credentials <file>" to verify it.',
+    });
+  }
+  if (status === 403 && (reasons.includes('SERVICE_DISABLED') || /has not been used|is disabled/.test(apiError?.message))) {
+    return new SheetsError(ErrorCode.API_DISABLED, message, {
+      ...options,
+      hint: "Enable the Google Sheets API and Google Drive API in the service account's Google Cloud project.",
+    });
+  }
+  if (status === 403) {
+    return new SheetsError(ErrorCode.NOT_SHARED, message, {
+      ...options,
+      hint: `Share the spreadsheet with ${account} (Viewer to read, Editor to write).`,
+      details: { serviceAccountEmail: context.serviceAccountEmail || null },
+    });
+  }
+  if (status === 404) {
+    return new SheetsError(ErrorCode.NOT_FOUND, message, {
+      ...options,
+      hint: `Check the spreadsheet URL. Google also reports spreadsheets that are not shared with ${account} as not found.`,
+      details: { serviceAccountEmail: context.serviceAccountEmail || null },
+    });
+  }
+  if (status === 400) {
+    return new SheetsError(ErrorCode.INVALID_ARGUMENT, message, options);
+  }
+  if (status >= 500 || NETWORK_ERROR_CODES.includes(error.code)) {
+    return new SheetsError(ErrorCode.API_UNAVAILABLE, message, {
+      ...options,
+      hint: 'The Google API could not be reached or failed on its side. Try again shortly.',
+    });
+  }
+  return new SheetsError(ErrorCode.INTERNAL, message, options);
+}
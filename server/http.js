@@ -0,0 +1,220 @@
+import { createServer as createHttpServer } from 'http';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { URL } from 'url';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { Logger } from './logger.js';
+
+// Path the MCP endpoint is served on; everything else is 404
+export const MCP_HTTP_PATH = '/mcp';
+
+// Largest JSON-RPC request body accepted, in bytes
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// How long a session may go without requests before it is closed, unless configured
+const DEFAULT_SESSION_IDLE_SECONDS = 30 * 60;
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+/**
+ * Serve MCP over Streamable HTTP (POST for requests, GET for the SSE notification stream,
+ * DELETE to end a session). Each session gets its own McpServer from createMcpServer.
+ * @param {Object} options
+ * @param {Function} options.createMcpServer - () => McpServer, called once per session
+ * @param {string} options.host - Interface to listen on
+ * @param {number} options.port - Port to listen on (0 picks a free one)
+ * @param {string} [options.token] - Bearer token clients must send; required unless host is loopback
+ * @param {number} [options.sessionIdleSeconds] - Close sessions with no request in flight for this
+ *   long (default 30 minutes, 0 keeps them until DELETE)
+ * @returns {Promise<Object>} - { url, sessions, close }
+ */
+export async function startHttpServer(options) {
+  const logger = new Logger();
+  const { createMcpServer, host, token } = options;
+  const idleSeconds = options.sessionIdleSeconds ?? DEFAULT_SESSION_IDLE_SECONDS;
+
+  if (!token && !LOOPBACK_HOSTS.includes(host)) {
+    throw new Error(
+      `Refusing to listen on ${host} without authentication. Set MCP_HTTP_TOKEN to a bearer token clients must send, or bind to 127.0.0.1.`
+    );
+  }
+
+  // Session ID -> transport
+  const sessions = new Map();
+  // Session ID -> { open: requests in flight, timer: idle timer armed while none are }
+  const activity = new Map();
+
+  // Count a request against its session, and close the session once it has sat idle too long.
+  // An open notification stream is a request in flight, so listening clients are never closed.
+  const trackRequest = (sessionId, res) => {
+    if (!idleSeconds) {
+      return;
+    }
+    const state = activity.get(sessionId) || { open: 0, timer: null };
+    activity.set(sessionId, state);
+    clearTimeout(state.timer);
+    state.open++;
+    res.once('close', () => {
+      state.open--;
+      if (state.open === 0 && sessions.has(sessionId)) {
+        state.timer = setTimeout(() => {
+          logger.info(`MCP session idle for ${idleSeconds}s, closing: ${sessionId}`);
+          sessions.get(sessionId)?.close();
+        }, idleSeconds * 1000);
+        state.timer.unref();
+      }
+    });
+  };
+
+  const httpServer = createHttpServer(async (req, res) => {
+    try {
+      if (req.url.split('?')[0] !== MCP_HTTP_PATH) {
+        sendError(res, 404, `Not found. The MCP endpoint is ${MCP_HTTP_PATH}`);
+        return;
+      }
+
+      const refusal = checkHostAndOrigin(req, host);
+      if (refusal) {
+        sendError(res, 403, refusal);
+        return;
+      }
+
+      if (token && !isAuthorized(req, token)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        sendError(res, 401, 'Unauthorized: missing or invalid bearer token');
+        return;
+      }
+
+      const sessionId = req.headers['mcp-session-id'];
+      if (sessionId) {
+        const transport = sessions.get(sessionId);
+        if (!transport) {
+          sendError(res, 404, 'Session not found. Start a new session with an initialize request.');
+          return;
+        }
+        trackRequest(sessionId, res);
+        await transport.handleRequest(req, res, req.method === 'POST' ? await readJsonBody(req) : undefined);
+        return;
+      }
+
+      const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+      if (!isInitializeRequest(body)) {
+        sendError(res, 400, 'Bad Request: Mcp-Session-Id header is required');
+        return;
+      }
+
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: id => {
+          sessions.set(id, transport);
+          trackRequest(id, res);
+          logger.info(`MCP session started: ${id} (${sessions.size} active)`);
+        },
+      });
+      transport.onclose = () => {
+        clearTimeout(activity.get(transport.sessionId)?.timer);
+        activity.delete(transport.sessionId);
+        if (transport.sessionId && sessions.delete(transport.sessionId)) {
+          logger.info(`MCP session closed: ${transport.sessionId} (${sessions.size} active)`);
+        }
+      };
+
+      await createMcpServer().connect(transport);
+      await transport.handleRequest(req, res, body);
+    } catch (error) {
+      logger.error('Error handling MCP HTTP request:', error);
+      if (!res.headersSent) {
+        sendError(res, error.statusCode || 500, error.statusCode ? error.message : 'Internal server error');
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(options.port, host, resolve);
+  });
+
+  const { port } = httpServer.address();
+  const urlHost = host.includes(':') ? `[${host}]` : host;
+
+  return {
+    url: `http://${urlHost}:${port}${MCP_HTTP_PATH}`,
+    sessions,
+    close: async () => {
+      await Promise.all([...sessions.values()].map(transport => transport.close()));
+      await new Promise(resolve => httpServer.close(resolve));
+    },
+  };
+}
+
+// Guard against DNS rebinding and cross-site requests from browsers: on a loopback address
+// the Host header must name loopback, and a browser's Origin must match the Host it sent to.
+// Returns the reason to refuse the request, or null.
+function checkHostAndOrigin(req, boundHost) {
+  const hostHeader = req.headers.host || '';
+  if (LOOPBACK_HOSTS.includes(boundHost) && !LOOPBACK_HOSTS.includes(parseHostname(hostHeader))) {
+    return `Forbidden: Host ${hostHeader || '(missing)'} is not a loopback address`;
+  }
+
+  const origin = req.headers.origin;
+  if (origin !== undefined) {
+    let originHost = null;
+    try {
+      originHost = new URL(origin).host;
+    } catch {
+      // An unparseable Origin (including "null") never matches
+    }
+    if (originHost !== hostHeader) {
+      return `Forbidden: Origin ${origin} does not match the server`;
+    }
+  }
+  return null;
+}
+
+// Hostname of a Host header, without the port or IPv6 brackets
+function parseHostname(hostHeader) {
+  const match = hostHeader.match(/^\[([^\]]+)\](?::\d+)?$/) || hostHeader.match(/^([^:]+)(?::\d+)?$/);
+  return match ? match[1].toLowerCase() : '';
+}
+
+// Compare the bearer token in constant time
+function isAuthorized(req, token) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return false;
+  }
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+// Read and parse a JSON request body, rejecting oversized or malformed ones with a status code
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(Object.assign(new Error('Parse error: request body is not valid JSON'), { statusCode: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// JSON-RPC error response for requests rejected before they reach a transport
+function sendError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+}
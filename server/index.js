@@ -1,10 +1,37 @@
 #!/usr/bin/env node
 
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { parseArgs } from 'util';
+import {
+  ErrorCode,
+  McpError,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
 import { GoogleSheetsService } from './sheets.js';
+import { ErrorCode as SheetsErrorCode, SheetsError, classifyError } from './errors.js';
 import { Logger } from './logger.js';
+import { ResourceSubscriptions, DEFAULT_POLL_INTERVAL_SECONDS } from './subscriptions.js';
+import { startHttpServer } from './http.js';
+import { AuditLog, DEFAULT_AUDIT_QUERY_LIMIT } from './audit.js';
+import { ChangeJournal, DEFAULT_CHANGE_LIST_LIMIT, runInSession, summarizeChange } from './journal.js';
 import { z } from 'zod';
+import {
+  summaryOutputSchema,
+  sheetDataOutputSchema,
+  rangeDataOutputSchema,
+  formulaMapOutputSchema,
+  searchOutputSchema,
+  updateRangeOutputSchema,
+  appendRowsOutputSchema,
+  copySpreadsheetOutputSchema,
+  clearCacheOutputSchema,
+  auditLogOutputSchema,
+  sheetChangeOutputSchema,
+  changeListOutputSchema,
+  undoChangeOutputSchema,
+} from './schemas.js';
 
 // Initialize logger
 const logger = new Logger();
@@ -12,11 +39,108 @@ const logger = new Logger();
 // Initialize Google Sheets service
 let sheetsService = null;
 
-// Create MCP server
-const server = new McpServer({
-  name: 'google-sheets-mcp',
-  version: '1.0.0',
-});
+// HTTP transport defaults; loopback only unless a host is given
+const DEFAULT_HTTP_HOST = '127.0.0.1';
+const DEFAULT_HTTP_PORT = 3000;
+
+// Read a numeric environment variable, ignoring it when unset, empty or invalid
+function readNonNegativeNumber(name) {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === '' || !(Number(value) >= 0)) {
+    return undefined;
+  }
+  return Number(value);
+}
+
+// Read a true/false environment variable; anything but "true", "1" or "yes" is false
+function readBoolean(name) {
+  return ['true', '1', 'yes'].includes((process.env[name] || '').trim().toLowerCase());
+}
+
+// Read a comma- or newline-separated list, ignoring an unresolved ${user_config.*} placeholder
+function readList(name) {
+  const value = process.env[name] || '';
+  if (value.includes('${user_config.')) {
+    return [];
+  }
+  return value
+    .split(/[,\n]/)
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+// Read a text setting, ignoring it when unset, empty or an unresolved ${user_config.*} placeholder
+function readString(name) {
+  const value = (process.env[name] || '').trim();
+  return value === '' || value.includes('${user_config.') ? undefined : value;
+}
+
+// Optional: read-only mode and which spreadsheets, folders and sheets may be accessed
+const accessPolicy = {
+  readOnly: readBoolean('SHEETS_READ_ONLY'),
+  allowedSpreadsheets: readList('SHEETS_ALLOWED_SPREADSHEETS'),
+  deniedSpreadsheets: readList('SHEETS_DENIED_SPREADSHEETS'),
+  allowedFolders: readList('SHEETS_ALLOWED_FOLDERS'),
+  deniedFolders: readList('SHEETS_DENIED_FOLDERS'),
+  allowedSheetNames: readList('SHEETS_ALLOWED_SHEET_NAMES'),
+  deniedSheetNames: readList('SHEETS_DENIED_SHEET_NAMES'),
+};
+
+// Optional: redaction rules as a JSON array, plus detectors to mask by name (e.g. "email,phone")
+function readRedactionRules() {
+  const value = process.env.SHEETS_REDACTION_RULES || '';
+  let rules = [];
+  if (value.trim() !== '' && !value.includes('${user_config.')) {
+    try {
+      rules = JSON.parse(value);
+    } catch (error) {
+      throw new SheetsError(SheetsErrorCode.NOT_CONFIGURED, `SHEETS_REDACTION_RULES is not valid JSON: ${error.message}`, {
+        hint: 'Set it to an array of rules, e.g. [{"header": "Email", "action": "hash"}].',
+      });
+    }
+    if (!Array.isArray(rules)) {
+      throw new SheetsError(SheetsErrorCode.NOT_CONFIGURED, 'SHEETS_REDACTION_RULES must be a JSON array of rules.', {
+        hint: 'Set it to an array of rules, e.g. [{"header": "Email", "action": "hash"}].',
+      });
+    }
+  }
+  return [...rules, ...readList('SHEETS_REDACT_DETECTORS').map(detect => ({ detect }))];
+}
+
+// Optional: offer copy_spreadsheet, which needs read access to every Drive file shared with the service account
+const allowTemplateCopies = readBoolean('SHEETS_ALLOW_TEMPLATE_COPIES');
+
+// Optional: JSONL file recording every tool call, with before/after values of writes if asked
+const auditLog = readString('SHEETS_AUDIT_LOG')
+  ? new AuditLog({ path: readString('SHEETS_AUDIT_LOG'), includeValues: readBoolean('SHEETS_AUDIT_LOG_VALUES') })
+  : null;
+
+// Optional: JSONL file recording what each write replaced, so list_changes and undo_change can roll it back
+const changeJournal = readString('SHEETS_CHANGE_JOURNAL') ? new ChangeJournal({ path: readString('SHEETS_CHANGE_JOURNAL') }) : null;
+
+// Writes that would overwrite or delete more cells holding values than this ask the user first
+const DEFAULT_CONFIRM_CELL_THRESHOLD = 100;
+
+// Optional: confirmation threshold in cells; 0 never asks
+const confirmCellThreshold = readNonNegativeNumber('SHEETS_CONFIRM_CELL_THRESHOLD') ?? DEFAULT_CONFIRM_CELL_THRESHOLD;
+
+// Cell changes quoted in a confirmation prompt
+const CONFIRM_PREVIEW_CELLS = 3;
+
+// Tools that change spreadsheets; not registered at all in read-only mode
+const WRITE_TOOLS = [
+  'update_range',
+  'append_rows',
+  'add_sheet',
+  'rename_sheet',
+  'duplicate_sheet',
+  'move_sheet',
+  'set_sheet_hidden',
+  'delete_sheet',
+  'create_spreadsheet',
+  'copy_spreadsheet',
+  'undo_change',
+];
 
 // Initialize Google Sheets service with JSON credentials file
 async function initializeSheetsService() {
@@ -25,15 +149,17 @@ async function initializeSheetsService() {
     const credentialsJsonFile = process.env.GOOGLE_CREDENTIALS_JSON_FILE;
 
     if (!credentialsJsonFile) {
-      throw new Error(
-        'Missing GOOGLE_CREDENTIALS_JSON_FILE environment variable. Please configure the credentials JSON file path in the extension settings.'
-      );
+      throw new SheetsError(SheetsErrorCode.NOT_CONFIGURED, 'Missing GOOGLE_CREDENTIALS_JSON_FILE environment variable.', {
+        hint: 'Please configure the credentials JSON file path in the extension settings.',
+      });
     }
 
     // Check if the credentials file path contains unresolved placeholders
     if (credentialsJsonFile.includes('${user_config.')) {
-      throw new Error(
-        'Environment variable interpolation failed. Credentials file path contains unresolved placeholders. Please check your extension configuration in Claude Desktop settings.'
+      throw new SheetsError(
+        SheetsErrorCode.NOT_CONFIGURED,
+        'Environment variable interpolation failed. Credentials file path contains unresolved placeholders.',
+        { hint: 'Please check your extension configuration in Claude Desktop settings.' }
       );
     }
 
@@ -53,8 +179,10 @@ async function initializeSheetsService() {
     const projectId = credentials.project_id;
 
     if (!serviceAccountEmail || !privateKey || !projectId) {
-      throw new Error(
-        'Invalid credentials JSON file. Missing required fields: client_email, private_key, or project_id'
+      throw new SheetsError(
+        SheetsErrorCode.AUTH_FAILED,
+        'Invalid credentials JSON file. Missing required fields: client_email, private_key, or project_id',
+        { hint: 'Download a new JSON key for the service account from the Google Cloud console.' }
       );
     }
 
@@ -67,143 +195,1584 @@ async function initializeSheetsService() {
       serviceAccountEmail,
       privateKey: formattedPrivateKey,
       projectId,
+      // Optional: send API calls to a local stand-in server instead of Google (used by tests; loopback only)
+      apiEndpoint: process.env.GOOGLE_API_ENDPOINT,
+      // Optional: cache limits; a TTL of 0 turns the cache off
+      cache: {
+        ttlSeconds: readNonNegativeNumber('SHEETS_CACHE_TTL_SECONDS'),
+        maxDocuments: readNonNegativeNumber('SHEETS_CACHE_MAX_SPREADSHEETS'),
+        maxCells: readNonNegativeNumber('SHEETS_CACHE_MAX_CELLS'),
+      },
+      // Optional: request budgets per minute (0 for unlimited), concurrency and retries
+      rateLimit: {
+        readsPerMinute: readNonNegativeNumber('SHEETS_READ_REQUESTS_PER_MINUTE'),
+        writesPerMinute: readNonNegativeNumber('SHEETS_WRITE_REQUESTS_PER_MINUTE'),
+        maxConcurrent: readNonNegativeNumber('SHEETS_MAX_CONCURRENT_REQUESTS'),
+        maxRetries: readNonNegativeNumber('SHEETS_MAX_RETRIES'),
+      },
+      policy: accessPolicy,
+      allowTemplateCopies,
+      redaction: {
+        rules: readRedactionRules(),
+        hashSalt: process.env.SHEETS_REDACTION_HASH_SALT,
+      },
+      journal: changeJournal,
     });
 
     await sheetsService.initialize();
     logger.info('Google Sheets service initialized successfully');
   } catch (error) {
     logger.error('Failed to initialize Google Sheets service:', error);
+    // An unreadable file or malformed JSON is a configuration problem, not an API failure
+    if (error instanceof SheetsError) {
+      throw error;
+    }
+    throw new SheetsError(SheetsErrorCode.NOT_CONFIGURED, `Could not load the credentials file: ${error.message}`, {
+      hint: 'Check that GOOGLE_CREDENTIALS_JSON_FILE points to the service account JSON key file.',
+      cause: error,
+    });
+  }
+}
+
+// Render a spreadsheet summary as text, shared by the summary and worksheet tools
+function formatSummaryText(heading, summaryData) {
+  return (
+    `**${heading}: ${summaryData.title}**\n\n` +
+    `Sheet ID: ${summaryData.id}\n` +
+    `URL: ${summaryData.url}\n` +
+    `Number of worksheets: ${summaryData.sheetCount}\n` +
+    `Created: ${summaryData.metadata.createdTime}\n` +
+    `Last modified: ${summaryData.metadata.modifiedTime}\n\n` +
+    '**Available Sheets:**\n' +
+    summaryData.sheetNames
+      .map(
+        sheet =>
+          `- ${sheet.name} (${sheet.rowCount} rows × ${sheet.columnCount} columns)` +
+          (sheet.hidden ? ' [hidden]' : '')
+      )
+      .join('\n')
+  );
+}
+
+// Headings of write tool results say when nothing was changed
+function writeHeading(heading, data) {
+  return data.dryRun ? `${heading} (dry run)` : heading;
+}
+
+// Render a dry-run diff: sheet changes, then cell changes as old → new values
+function formatDiffText(data) {
+  if (!data.dryRun) {
+    return '';
+  }
+  const { diff } = data;
+  const show = value => (value === null ? '(empty)' : JSON.stringify(value));
+  const sheetLines = diff.sheets.map(
+    change => `- ${change.change} "${change.sheet}": ${show(change.before)} → ${show(change.after)}`
+  );
+  const cellLines = diff.cells.map(cell => `- ${cell.sheet}!${cell.address}: ${show(cell.before)} → ${show(cell.after)}`);
+  if (diff.truncated) {
+    cellLines.push(`- … and ${diff.cellCount - diff.cells.length} more`);
+  }
+  return (
+    '\n\n**Dry run: nothing was changed.**' +
+    (sheetLines.length > 0 ? `\n\n**Sheet changes:**\n${sheetLines.join('\n')}` : '') +
+    `\n\n**Cell changes:** ${diff.cellCount} cells (${diff.overwrittenCells} with existing values)` +
+    (cellLines.length > 0 ? `\n${cellLines.join('\n')}` : '')
+  );
+}
+
+// Sum up a dry run for a confirmation prompt: the range and its first changes, e.g.
+// " Range: 'Rates'!A1:B2. First changes: Rates!A1: "Tax rate" → "a"; … and 3 more cells."
+function formatConfirmationSummary(preview) {
+  const { diff } = preview;
+  const show = value => (value === null ? '(empty)' : JSON.stringify(value));
+  const changes = [
+    ...diff.sheets.map(change => `${change.change} "${change.sheet}": ${show(change.before)} → ${show(change.after)}`),
+    ...diff.cells.slice(0, CONFIRM_PREVIEW_CELLS).map(cell => `${cell.sheet}!${cell.address}: ${show(cell.before)} → ${show(cell.after)}`),
+  ];
+  const more = diff.cellCount - Math.min(diff.cells.length, CONFIRM_PREVIEW_CELLS);
+  return (
+    (preview.updatedRange ? ` Range: ${preview.updatedRange}.` : '') +
+    (changes.length > 0 ? ` First changes: ${changes.join('; ')}${more > 0 ? `; … and ${more} more cells` : ''}.` : '')
+  );
+}
+
+// Point at the journal entry of a write, e.g. "Change ID: 3f9a1c2b (undo it with undo_change)"
+function formatChangeText(data) {
+  return data.changeId ? `\n\nChange ID: ${data.changeId} (undo it with undo_change)` : '';
+}
+
+// One change from the journal, e.g. "- 3f9a1c2b 2024-05-01T09:30:00.000Z update a range (Budget): 'Rates'!B2:B2 (1 cells)"
+function formatChangeLine(change) {
+  const operations = change.operations.map(operation => {
+    if (operation.type === 'values') {
+      return `${operation.range} (${operation.cells} cells)`;
+    }
+    if (operation.type === 'properties') {
+      return `"${operation.sheet}" ${JSON.stringify(operation.before)} → ${JSON.stringify(operation.after)}`;
+    }
+    return `${operation.type === 'addSheet' ? 'added' : 'deleted'} "${operation.sheet}"`;
+  });
+  return (
+    `- ${change.id} ${change.timestamp} ${change.action} (${change.spreadsheetTitle}): ${operations.join(', ')}` +
+    (change.undone ? ' [undone]' : '')
+  );
+}
+
+// Note which columns were redacted, e.g. "Redacted columns: B (Email, mask), C (hash)"
+function formatRedactionText(redactedColumns) {
+  if (!redactedColumns) {
+    return '';
+  }
+  const columns = redactedColumns.map(
+    column => `${column.sheet ? `${column.sheet}!` : ''}${column.column} (${column.header ? `${column.header}, ` : ''}${column.action})`
+  );
+  return `\nRedacted columns: ${columns.join(', ')}`;
+}
+
+// Successful tool result: a short text rendering plus the typed data as structuredContent.
+// The data is also serialized into a second text block for clients without structured output support.
+function toolResult(text, data) {
+  return {
+    content: [
+      { type: 'text', text },
+      { type: 'text', text: JSON.stringify(data, null, 2) },
+    ],
+    structuredContent: data,
+  };
+}
+
+// Failed tool result: the message with its error code and remediation hint, plus the same as JSON.
+// Errors from outside GoogleSheetsService are classified here so every failure carries a code.
+function errorResult(error) {
+  const typed = classifyError(error, { action: 'Request failed', serviceAccountEmail: sheetsService?.config.serviceAccountEmail });
+  const text = `Error [${typed.code}]: ${typed.message}` + (typed.hint ? `\n\nHint: ${typed.hint}` : '');
+  return {
+    content: [
+      { type: 'text', text },
+      { type: 'text', text: JSON.stringify({ error: typed }, null, 2) },
+    ],
+    isError: true,
+  };
+}
+
+// Resources: gsheet://{spreadsheetId}[/{sheetName}[/{a1range}]], with sheet names and ranges URI-encoded
+
+// Build the sheet URL the service methods expect from a resource's spreadsheet ID
+function spreadsheetUrlFromId(spreadsheetId) {
+  return `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`;
+}
+
+// Resource contents: the same JSON a tool returns as structuredContent
+function jsonResource(uri, data) {
+  return {
+    contents: [
+      {
+        uri: uri.href,
+        mimeType: 'application/json',
+        text: JSON.stringify(data, null, 2),
+      },
+    ],
+  };
+}
+
+// Load the data behind each resource template from its URI variables
+const resourceLoaders = {
+  spreadsheet: ({ spreadsheetId }) => sheetsService.getSpreadsheetSummary(spreadsheetUrlFromId(spreadsheetId)),
+  sheet: ({ spreadsheetId, sheetName }) =>
+    sheetsService.getSheetData(spreadsheetUrlFromId(spreadsheetId), decodeURIComponent(sheetName)),
+  range: ({ spreadsheetId, sheetName, a1range }) => {
+    const quotedSheetName = `'${decodeURIComponent(sheetName).replace(/'/g, '\'\'')}'`;
+    return sheetsService.getRangeData(
+      spreadsheetUrlFromId(spreadsheetId),
+      `${quotedSheetName}!${decodeURIComponent(a1range)}`
+    );
+  },
+};
+
+// Shared read handler for the resource templates
+async function readResource(name, uri, variables) {
+  try {
+    logger.info(`Reading ${name} resource...`);
+
+    if (!sheetsService) {
+      logger.info('Sheets service not initialized, initializing now...');
+      await initializeSheetsService();
+    }
+
+    return jsonResource(uri, await resourceLoaders[name](variables));
+  } catch (error) {
+    logger.error(`Error reading ${name} resource:`, error);
     throw error;
   }
 }
 
-// Register get_spreadsheet_summary tool
-server.registerTool(
-  'get_spreadsheet_summary',
-  {
-    description:
-      'Get a summary of a Google spreadsheet including its name, number of sheets, and the names of those sheets. Returns metadata only, no actual data.',
-    inputSchema: {
-      url: z
-        .string()
-        .describe(
-          'The complete Google Sheets URL (e.g., "https://docs.google.com/spreadsheets/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/edit")'
-        ),
-    },
+// Complete spreadsheet IDs and sheet names from recently used spreadsheets
+const resourceCompletions = {
+  spreadsheetId: value =>
+    (sheetsService ? sheetsService.getRecentDocuments() : []).map(doc => doc.id).filter(id => id.startsWith(value)),
+  sheetName: (value, context) => {
+    const doc = sheetsService
+      ?.getRecentDocuments()
+      .find(recent => recent.id === context?.arguments?.spreadsheetId);
+    return (doc ? doc.sheetNames : []).filter(name => name.toLowerCase().startsWith(value.toLowerCase()));
   },
-  async ({ url }) => {
-    try {
-      logger.info('Retrieving Google Sheet summary...');
+};
 
-      if (!sheetsService) {
-        logger.info('Sheets service not initialized, initializing now...');
-        await initializeSheetsService();
+// URI templates, shared by every server instance
+const resourceTemplates = {
+  // resources/list returns recently used spreadsheets
+  spreadsheet: new ResourceTemplate('gsheet://{spreadsheetId}', {
+    list: async () => ({
+      resources: (sheetsService ? sheetsService.getRecentDocuments() : []).map(doc => ({
+        uri: `gsheet://${doc.id}`,
+        name: doc.title,
+        description: `Google spreadsheet with sheets: ${doc.sheetNames.join(', ')}`,
+        mimeType: 'application/json',
+      })),
+    }),
+    complete: resourceCompletions,
+  }),
+  sheet: new ResourceTemplate('gsheet://{spreadsheetId}/{sheetName}', {
+    list: undefined,
+    complete: resourceCompletions,
+  }),
+  range: new ResourceTemplate('gsheet://{spreadsheetId}/{sheetName}/{a1range}', {
+    list: undefined,
+    complete: resourceCompletions,
+  }),
+};
+
+// Find the resource template a URI belongs to
+function matchResourceUri(uri) {
+  for (const [name, template] of Object.entries(resourceTemplates)) {
+    const variables = template.uriTemplate.match(uri);
+    if (variables) {
+      return { name, variables };
+    }
+  }
+  throw new McpError(ErrorCode.InvalidParams, `Resource ${uri} not found`);
+}
+
+// Optional: seconds between change checks for subscribed resources (fractions allowed)
+const resourcePollIntervalSeconds =
+  Number(process.env.RESOURCE_POLL_INTERVAL_SECONDS) > 0
+    ? Number(process.env.RESOURCE_POLL_INTERVAL_SECONDS)
+    : DEFAULT_POLL_INTERVAL_SECONDS;
+
+/**
+ * Create an MCP server with every tool and resource registered
+ * Stdio mode creates one; HTTP mode creates one per session, so each session
+ * keeps its own resource subscriptions. The Sheets service is shared.
+ * @returns {McpServer}
+ */
+function createServer() {
+  const server = new McpServer({
+    name: 'google-sheets-mcp',
+    version: '1.0.0',
+  });
+
+  // Clients of a read-only server never see the write tools; with an audit log, every call is
+  // recorded. Calls run in their HTTP session, so the changes they journal name it.
+  const registerTool = (name, config, handler) => {
+    if (accessPolicy.readOnly && WRITE_TOOLS.includes(name)) {
+      return;
+    }
+    const run = (args, extra) => runInSession(extra?.sessionId, () => handler(args, extra));
+    server.registerTool(
+      name,
+      config,
+      auditLog ? (args, extra) => auditLog.track(name, args, () => run(args, extra), extra?.sessionId) : run
+    );
+  };
+
+  // Ask the user before a write that would overwrite or delete more cells with values than the
+  // threshold. maxCells is an upper bound on that count, so small writes skip the dry run.
+  // Returns the most cells the write may then overwrite (what the user saw, or the threshold when
+  // nobody was asked), for the write to check again, or undefined when no check is needed.
+  const confirmOverwrite = async (action, maxCells, preview) => {
+    if (confirmCellThreshold === 0 || maxCells <= confirmCellThreshold) {
+      return undefined;
+    }
+    const previewed = await preview();
+    const { diff } = previewed;
+    if (diff.overwrittenCells <= confirmCellThreshold) {
+      return confirmCellThreshold;
+    }
+
+    const message = `This will ${action}, overwriting or deleting ${diff.overwrittenCells} cells that hold values.`;
+    if (!server.server.getClientCapabilities()?.elicitation) {
+      throw new SheetsError(SheetsErrorCode.NOT_CONFIRMED, `${message} That is more than ${confirmCellThreshold} cells, and the client cannot ask for confirmation.`, {
+        hint: 'Review the change with dry_run and split it into smaller writes, or raise SHEETS_CONFIRM_CELL_THRESHOLD (0 never asks).',
+      });
+    }
+    const answer = await server.server.elicitInput({
+      message: `${message}${formatConfirmationSummary(previewed)} Continue?`,
+      requestedSchema: {
+        type: 'object',
+        properties: {
+          confirm: { type: 'boolean', title: 'Confirm', description: `Go ahead and ${action}` },
+        },
+        required: ['confirm'],
+      },
+    });
+    if (answer.action !== 'accept' || !answer.content?.confirm) {
+      throw new SheetsError(SheetsErrorCode.NOT_CONFIRMED, `Did not ${action}: the user did not confirm the change.`);
+    }
+    return diff.overwrittenCells;
+  };
+
+  // Register get_spreadsheet_summary tool
+  registerTool(
+    'get_spreadsheet_summary',
+    {
+      description:
+        'Get a summary of a Google spreadsheet including its name, number of sheets, and the names of those sheets. Returns metadata only, no actual data.',
+      inputSchema: {
+        url: z
+          .string()
+          .describe(
+            'The complete Google Sheets URL (e.g., "https://docs.google.com/spreadsheets/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/edit")'
+          ),
+      },
+      outputSchema: summaryOutputSchema,
+    },
+    async ({ url }) => {
+      try {
+        logger.info('Retrieving Google Sheet summary...');
+
+        if (!sheetsService) {
+          logger.info('Sheets service not initialized, initializing now...');
+          await initializeSheetsService();
+        }
+
+        const summaryData = await sheetsService.getSpreadsheetSummary(url);
+
+        logger.info('Successfully retrieved spreadsheet summary');
+
+        return toolResult(formatSummaryText('Google Sheet Summary', summaryData), summaryData);
+      } catch (error) {
+        logger.error('Error in get_spreadsheet_summary:', error);
+
+        return errorResult(error);
       }
+    }
+  );
+
+  // Register get_spreadsheet_sheet_data tool
+  registerTool(
+    'get_spreadsheet_sheet_data',
+    {
+      description:
+        'Get the actual data from a specific sheet within a Google spreadsheet. Returns complete sheet data including all cell values. For large sheets pass page_size to get a bounded block of rows and a cursor for the next block.',
+      inputSchema: {
+        url: z
+          .string()
+          .describe(
+            'The complete Google Sheets URL (e.g., "https://docs.google.com/spreadsheets/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/edit")'
+          ),
+        sheet_name: z
+          .string()
+          .optional()
+          .describe(
+            'The sheet to retrieve data from: its name (e.g., "Sheet1", "Data", "Sales Q1"; case and spacing are ignored and the closest name is used), 0-based index, or "gid=<sheetId>". Defaults to the sheet in the URL\'s #gid='
+          ),
+        page_size: z
+          .number()
+          .int()
+          .positive()
+          .optional()
+          .describe('Maximum number of rows to return. When set, the response includes a cursor for the next block of rows'),
+        cursor: z
+          .string()
+          .optional()
+          .describe('The next-page cursor returned by a previous call for the same sheet'),
+        mode: z
+          .enum(['cells', 'records'])
+          .optional()
+          .describe(
+            'Output shape: "cells" (default) lists positional cells; "records" returns one object per row keyed by header name, plus per-column types'
+          ),
+        header_row: z
+          .number()
+          .int()
+          .positive()
+          .optional()
+          .describe('1-based row number holding the column headers in records mode (detected automatically if omitted)'),
+        include_formulas: z
+          .boolean()
+          .optional()
+          .describe('Add the formula text (e.g. "=SUM(B2:B9)") to every formula cell in cells mode (default false)'),
+        include: z
+          .array(z.enum(['notes', 'format', 'merges', 'validation', 'richText']))
+          .optional()
+          .describe(
+            'Extra cell metadata to attach in cells mode: "notes" (cell notes), "format" (background, font and number format), "merges" (merged ranges, also listed at sheet level), "validation" (dropdowns and other data validation rules), "richText" (formatted text runs). Omitted by default to keep output small'
+          ),
+      },
+      outputSchema: sheetDataOutputSchema,
+    },
+    async ({ url, sheet_name, page_size, cursor, mode, header_row, include_formulas, include }) => {
+      try {
+        logger.info('Retrieving specific sheet data...');
+
+        if (!sheetsService) {
+          logger.info('Sheets service not initialized, initializing now...');
+          await initializeSheetsService();
+        }
+
+        const sheetData = await sheetsService.getSheetData(url, sheet_name, {
+          pageSize: page_size,
+          cursor,
+          mode,
+          headerRow: header_row,
+          includeFormulas: include_formulas,
+          include,
+        });
+        const page = sheetData.metadata.page;
+
+        logger.info('Successfully retrieved sheet data');
+
+        return toolResult(
+          `**Google Sheet Data: ${sheetData.spreadsheetTitle} - ${sheetData.metadata.title}**\n\n` +
+          `Spreadsheet ID: ${sheetData.spreadsheetId}\n` +
+          `URL: ${sheetData.spreadsheetUrl}\n` +
+          `Sheet: ${sheetData.metadata.title}\n` +
+          `Size: ${sheetData.metadata.dimensions.rows} rows × ${sheetData.metadata.dimensions.columns} columns\n` +
+          `Populated rows: ${sheetData.metadata.dimensions.populatedRows}\n` +
+          `Created: ${sheetData.metadata.createdTime}\n` +
+          `Last modified: ${sheetData.metadata.modifiedTime}\n` +
+          (page
+            ? `Rows in this page: ${page.startRow}-${page.endRow}\n` +
+              (page.nextCursor
+                ? `Next cursor: ${page.nextCursor}\n`
+                : 'Last page: no more rows\n')
+            : '') +
+          (sheetData.records
+            ? `Records: ${sheetData.records.length} rows (header row ${sheetData.metadata.headerRow})`
+            : `Cells with data: ${sheetData.cells.length}`) +
+          formatRedactionText(sheetData.metadata.redactedColumns),
+          sheetData
+        );
+      } catch (error) {
+        logger.error('Error in get_spreadsheet_sheet_data:', error);
+
+        return errorResult(error);
+      }
+    }
+  );
+
+  // Register get_range_data tool
+  registerTool(
+    'get_range_data',
+    {
+      description:
+        'Get the data from an A1 range or named range within a Google spreadsheet. Only the cells inside the range are loaded, so this is the tool to use on very large sheets. Cell positions are reported in sheet coordinates.',
+      inputSchema: {
+        url: z
+          .string()
+          .describe(
+            'The complete Google Sheets URL (e.g., "https://docs.google.com/spreadsheets/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/edit")'
+          ),
+        range: z
+          .string()
+          .describe(
+            'An A1 range, optionally with a sheet name (e.g., "\'Sales Q1\'!B2:H500", "Data!A:C", "B2:D20"), or the name of a named range'
+          ),
+        include_formulas: z
+          .boolean()
+          .optional()
+          .describe('Add the formula text (e.g. "=SUM(B2:B9)") to every formula cell (default false)'),
+      },
+      outputSchema: rangeDataOutputSchema,
+    },
+    async ({ url, range, include_formulas }) => {
+      try {
+        logger.info('Retrieving range data...');
+
+        if (!sheetsService) {
+          logger.info('Sheets service not initialized, initializing now...');
+          await initializeSheetsService();
+        }
+
+        const rangeData = await sheetsService.getRangeData(url, range, {
+          includeFormulas: include_formulas,
+        });
+
+        logger.info('Successfully retrieved range data');
+
+        return toolResult(
+          `**Google Sheet Range: ${rangeData.spreadsheetTitle} - ${rangeData.metadata.range}**\n\n` +
+          `Spreadsheet ID: ${rangeData.spreadsheetId}\n` +
+          `URL: ${rangeData.spreadsheetUrl}\n` +
+          `Sheet: ${rangeData.metadata.title}\n` +
+          (rangeData.metadata.namedRange
+            ? `Named range: ${rangeData.metadata.namedRange}\n`
+            : '') +
+          `Size: ${rangeData.metadata.dimensions.rows} rows × ${rangeData.metadata.dimensions.columns} columns\n` +
+          `Cells with data: ${rangeData.cells.length}` +
+          formatRedactionText(rangeData.metadata.redactedColumns),
+          rangeData
+        );
+      } catch (error) {
+        logger.error('Error in get_range_data:', error);
+
+        return errorResult(error);
+      }
+    }
+  );
+
+  // Register get_formula_map tool
+  registerTool(
+    'get_formula_map',
+    {
+      description:
+        'List every formula cell in a sheet with its formula text, computed value and the ranges it reads from (precedents), including references to other sheets and named ranges. Use this to audit how numbers in a model are calculated.',
+      inputSchema: {
+        url: z
+          .string()
+          .describe(
+            'The complete Google Sheets URL (e.g., "https://docs.google.com/spreadsheets/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/edit")'
+          ),
+        sheet_name: z
+          .string()
+          .optional()
+          .describe(
+            'The sheet to audit: its name (e.g., "Model", "P&L"; matched like get_spreadsheet_sheet_data), 0-based index, or "gid=<sheetId>". Defaults to the sheet in the URL\'s #gid='
+          ),
+      },
+      outputSchema: formulaMapOutputSchema,
+    },
+    async ({ url, sheet_name }) => {
+      try {
+        logger.info('Retrieving formula map...');
+
+        if (!sheetsService) {
+          logger.info('Sheets service not initialized, initializing now...');
+          await initializeSheetsService();
+        }
+
+        const formulaMap = await sheetsService.getFormulaMap(url, sheet_name);
+
+        logger.info('Successfully retrieved formula map');
+
+        return toolResult(
+          `**Formula Map: ${formulaMap.spreadsheetTitle} - ${formulaMap.sheetTitle}**\n\n` +
+          `Spreadsheet ID: ${formulaMap.spreadsheetId}\n` +
+          `URL: ${formulaMap.spreadsheetUrl}\n` +
+          `Formula cells: ${formulaMap.formulaCount}` +
+          formatRedactionText(formulaMap.redactedColumns),
+          formulaMap
+        );
+      } catch (error) {
+        logger.error('Error in get_formula_map:', error);
+
+        return errorResult(error);
+      }
+    }
+  );
+
+  // Register search_spreadsheet tool
+  registerTool(
+    'search_spreadsheet',
+    {
+      description:
+        'Search one or all worksheets of a Google spreadsheet for a literal string, regular expression or number. Returns each match with its sheet name, A1 address, value and the other values in the same row.',
+      inputSchema: {
+        url: z
+          .string()
+          .describe(
+            'The complete Google Sheets URL (e.g., "https://docs.google.com/spreadsheets/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/edit")'
+          ),
+        query: z.string().describe('What to look for (e.g., "4471", "INV-\\d+", "Acme Corp")'),
+        sheet_name: z
+          .string()
+          .optional()
+          .describe('Only search this sheet (default: search every sheet)'),
+        match_type: z
+          .enum(['literal', 'regex', 'number'])
+          .optional()
+          .describe(
+            'literal (default) matches cells whose displayed text contains the query; regex treats the query as a regular expression; number matches cells whose numeric value equals the query'
+          ),
+        case_insensitive: z
+          .boolean()
+          .optional()
+          .describe('Ignore upper/lower case for literal and regex searches (default false)'),
+        include_formulas: z
+          .boolean()
+          .optional()
+          .describe('Also match against formula text such as "=VLOOKUP(...)" (default false)'),
+        limit: z
+          .number()
+          .int()
+          .positive()
+          .max(500)
+          .optional()
+          .describe('Maximum number of matches to return (default 50)'),
+      },
+      outputSchema: searchOutputSchema,
+    },
+    async ({ url, query, sheet_name, match_type, case_insensitive, include_formulas, limit }) => {
+      try {
+        logger.info('Searching spreadsheet...');
+
+        if (!sheetsService) {
+          logger.info('Sheets service not initialized, initializing now...');
+          await initializeSheetsService();
+        }
+
+        const searchResult = await sheetsService.searchSpreadsheet(url, query, {
+          sheetName: sheet_name,
+          matchType: match_type,
+          caseInsensitive: case_insensitive,
+          includeFormulas: include_formulas,
+          limit,
+        });
+
+        logger.info('Successfully searched spreadsheet');
+
+        return toolResult(
+          `**Search Results: ${searchResult.spreadsheetTitle}**\n\n` +
+          `Spreadsheet ID: ${searchResult.spreadsheetId}\n` +
+          `URL: ${searchResult.spreadsheetUrl}\n` +
+          `Query: ${searchResult.query} (${searchResult.matchType})\n` +
+          `Sheets searched: ${searchResult.sheetsSearched.join(', ')}\n` +
+          `Matches: ${searchResult.totalMatches}` +
+          (searchResult.truncated ? ` (showing first ${searchResult.matches.length})` : '') +
+          formatRedactionText(searchResult.redactedColumns),
+          searchResult
+        );
+      } catch (error) {
+        logger.error('Error in search_spreadsheet:', error);
+
+        return errorResult(error);
+      }
+    }
+  );
+
+  // Register update_range tool
+  registerTool(
+    'update_range',
+    {
+      description:
+        'Write a 2D array of values or formulas into an A1 range or named range of a Google spreadsheet. Returns the updated range and the number of cells written.',
+      inputSchema: {
+        url: z
+          .string()
+          .describe(
+            'The complete Google Sheets URL (e.g., "https://docs.google.com/spreadsheets/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/edit")'
+          ),
+        range: z
+          .string()
+          .describe(
+            'Target A1 range or top-left cell, optionally with a sheet name (e.g., "\'Forecast\'!B2:D4", "Data!A10"), or the name of a named range'
+          ),
+        values: z
+          .array(z.array(z.union([z.string(), z.number(), z.boolean(), z.null()])))
+          .describe(
+            'Rows of values to write, e.g. [["Month", "Total"], ["Jan", "=SUM(B2:B9)"]]. Use null to leave a cell unchanged and "" to clear it'
+          ),
+        value_input_option: z
+          .enum(['USER_ENTERED', 'RAW'])
+          .optional()
+          .describe(
+            'USER_ENTERED (default) parses formulas, numbers and dates as if typed into the Sheets UI; RAW stores values exactly as given'
+          ),
+        dry_run: z
+          .boolean()
+          .optional()
+          .describe('Only report what would change (old and new values) without changing the spreadsheet'),
+      },
+      outputSchema: updateRangeOutputSchema,
+    },
+    async ({ url, range, values, value_input_option, dry_run }) => {
+      try {
+        logger.info('Updating range...');
+
+        if (!sheetsService) {
+          logger.info('Sheets service not initialized, initializing now...');
+          await initializeSheetsService();
+        }
+
+        let maxOverwrittenCells;
+        if (!dry_run) {
+          const cellCount = values.reduce((total, row) => total + row.filter(value => value !== null).length, 0);
+          maxOverwrittenCells = await confirmOverwrite(`write ${range}`, cellCount, () =>
+            sheetsService.updateRange(url, range, values, { dryRun: true })
+          );
+        }
 
-      const summaryData = await sheetsService.getSpreadsheetSummary(url);
+        const updateResult = await sheetsService.updateRange(url, range, values, {
+          valueInputOption: value_input_option,
+          dryRun: dry_run,
+          maxOverwrittenCells,
+        });
 
-      logger.info('Successfully retrieved spreadsheet summary');
+        logger.info('Successfully updated range');
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text:
-              `**Google Sheet Summary: ${summaryData.title}**\n\n` +
-              `Sheet ID: ${summaryData.id}\n` +
-              `URL: ${summaryData.url}\n` +
-              `Number of worksheets: ${summaryData.sheetCount}\n` +
-              `Created: ${summaryData.metadata.createdTime}\n` +
-              `Last modified: ${summaryData.metadata.modifiedTime}\n\n` +
-              '**Available Sheets:**\n' +
-              summaryData.sheetNames
+        return toolResult(
+          `**${writeHeading('Updated Google Sheet Range', updateResult)}: ${updateResult.spreadsheetTitle} - ${updateResult.updatedRange}**\n\n` +
+          `Spreadsheet ID: ${updateResult.spreadsheetId}\n` +
+          `URL: ${updateResult.spreadsheetUrl}\n` +
+          `Sheet: ${updateResult.sheetTitle}\n` +
+          `Updated: ${updateResult.updatedRows} rows × ${updateResult.updatedColumns} columns (${updateResult.updatedCells} cells)` +
+          formatDiffText(updateResult) +
+          formatChangeText(updateResult),
+          updateResult
+        );
+      } catch (error) {
+        logger.error('Error in update_range:', error);
+
+        return errorResult(error);
+      }
+    }
+  );
+
+  // Register append_rows tool
+  registerTool(
+    'append_rows',
+    {
+      description:
+        'Append rows after the last populated row of a sheet. Rows can be arrays of values, or objects keyed by the sheet\'s header names (unknown column names and rows without values are rejected).',
+      inputSchema: {
+        url: z
+          .string()
+          .describe(
+            'The complete Google Sheets URL (e.g., "https://docs.google.com/spreadsheets/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/edit")'
+          ),
+        sheet_name: z
+          .string()
+          .describe('The name of the sheet to append to (e.g., "Sheet1", "Tickets", "Results")'),
+        rows: z
+          .union([
+            z.array(z.array(z.union([z.string(), z.number(), z.boolean(), z.null()]))),
+            z.array(z.record(z.union([z.string(), z.number(), z.boolean(), z.null()]))),
+          ])
+          .describe(
+            'Rows to append: either arrays of values starting at column A (e.g. [["2024-01-05", "Fixed", 3]]) or objects keyed by header name (e.g. [{"Date": "2024-01-05", "Status": "Fixed"}])'
+          ),
+        header_row: z
+          .number()
+          .int()
+          .positive()
+          .optional()
+          .describe('1-based row number holding the column headers, used to map object keys (detected automatically if omitted)'),
+        value_input_option: z
+          .enum(['USER_ENTERED', 'RAW'])
+          .optional()
+          .describe(
+            'USER_ENTERED (default) parses formulas, numbers and dates as if typed into the Sheets UI; RAW stores values exactly as given'
+          ),
+        dry_run: z
+          .boolean()
+          .optional()
+          .describe('Only report what would change (old and new values) without changing the spreadsheet'),
+      },
+      outputSchema: appendRowsOutputSchema,
+    },
+    async ({ url, sheet_name, rows, header_row, value_input_option, dry_run }) => {
+      try {
+        logger.info('Appending rows...');
+
+        if (!sheetsService) {
+          logger.info('Sheets service not initialized, initializing now...');
+          await initializeSheetsService();
+        }
+
+        const appendResult = await sheetsService.appendRows(url, sheet_name, rows, {
+          headerRow: header_row,
+          valueInputOption: value_input_option,
+          dryRun: dry_run,
+        });
+
+        logger.info('Successfully appended rows');
+
+        return toolResult(
+          `**${writeHeading('Appended Rows', appendResult)}: ${appendResult.spreadsheetTitle} - ${appendResult.sheetTitle}**\n\n` +
+          `Spreadsheet ID: ${appendResult.spreadsheetId}\n` +
+          `URL: ${appendResult.spreadsheetUrl}\n` +
+          (appendResult.headerRow ? `Header row: ${appendResult.headerRow}\n` : '') +
+          `Appended: ${appendResult.appendedRows} rows into ${appendResult.updatedRange} (${appendResult.updatedCells} cells)` +
+          formatDiffText(appendResult) +
+          formatChangeText(appendResult),
+          appendResult
+        );
+      } catch (error) {
+        logger.error('Error in append_rows:', error);
+
+        return errorResult(error);
+      }
+    }
+  );
+
+  // Register add_sheet tool
+  registerTool(
+    'add_sheet',
+    {
+      description:
+        'Add a new worksheet (tab) to a Google spreadsheet, optionally with a header row and a grid size. Returns the updated spreadsheet summary.',
+      inputSchema: {
+        url: z
+          .string()
+          .describe(
+            'The complete Google Sheets URL (e.g., "https://docs.google.com/spreadsheets/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/edit")'
+          ),
+        title: z.string().describe('The name of the new sheet (e.g., "Q3 Forecast")'),
+        headers: z
+          .array(z.string())
+          .optional()
+          .describe('Values for the first row of the new sheet (e.g., ["Date", "Owner", "Status"])'),
+        row_count: z.number().int().positive().optional().describe('Number of rows in the new sheet (default 1000)'),
+        column_count: z
+          .number()
+          .int()
+          .positive()
+          .optional()
+          .describe('Number of columns in the new sheet (default 26, or enough to fit the headers)'),
+        index: z
+          .number()
+          .int()
+          .nonnegative()
+          .optional()
+          .describe('0-based tab position for the new sheet (default: after the last sheet)'),
+        dry_run: z
+          .boolean()
+          .optional()
+          .describe('Only report what would change (old and new values) without changing the spreadsheet'),
+      },
+      outputSchema: sheetChangeOutputSchema,
+    },
+    async ({ url, title, headers, row_count, column_count, index, dry_run }) => {
+      try {
+        logger.info('Adding sheet...');
+
+        if (!sheetsService) {
+          logger.info('Sheets service not initialized, initializing now...');
+          await initializeSheetsService();
+        }
+
+        const summaryData = await sheetsService.addSheet(url, {
+          title,
+          headers,
+          rowCount: row_count,
+          columnCount: column_count,
+          index,
+        }, { dryRun: dry_run });
+
+        logger.info('Successfully added sheet');
+
+        return toolResult(
+          formatSummaryText(writeHeading('Added Sheet', summaryData), summaryData) +
+            formatDiffText(summaryData) +
+            formatChangeText(summaryData),
+          summaryData
+        );
+      } catch (error) {
+        logger.error('Error in add_sheet:', error);
+
+        return errorResult(error);
+      }
+    }
+  );
+
+  // Register rename_sheet tool
+  registerTool(
+    'rename_sheet',
+    {
+      description:
+        'Rename a worksheet (tab) in a Google spreadsheet. Returns the updated spreadsheet summary.',
+      inputSchema: {
+        url: z
+          .string()
+          .describe(
+            'The complete Google Sheets URL (e.g., "https://docs.google.com/spreadsheets/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/edit")'
+          ),
+        sheet_name: z
+          .string()
+          .describe('The current name of the sheet'),
+        new_name: z.string().describe('The new name for the sheet'),
+        dry_run: z
+          .boolean()
+          .optional()
+          .describe('Only report what would change (old and new values) without changing the spreadsheet'),
+      },
+      outputSchema: sheetChangeOutputSchema,
+    },
+    async ({ url, sheet_name, new_name, dry_run }) => {
+      try {
+        logger.info('Renaming sheet...');
+
+        if (!sheetsService) {
+          logger.info('Sheets service not initialized, initializing now...');
+          await initializeSheetsService();
+        }
+
+        const summaryData = await sheetsService.renameSheet(url, sheet_name, new_name, { dryRun: dry_run });
+
+        logger.info('Successfully renamed sheet');
+
+        return toolResult(
+          formatSummaryText(writeHeading('Renamed Sheet', summaryData), summaryData) +
+            formatDiffText(summaryData) +
+            formatChangeText(summaryData),
+          summaryData
+        );
+      } catch (error) {
+        logger.error('Error in rename_sheet:', error);
+
+        return errorResult(error);
+      }
+    }
+  );
+
+  // Register duplicate_sheet tool
+  registerTool(
+    'duplicate_sheet',
+    {
+      description:
+        'Duplicate a worksheet (tab), either within the same spreadsheet or into another spreadsheet. Returns the updated summary of the spreadsheet that received the copy.',
+      inputSchema: {
+        url: z
+          .string()
+          .describe(
+            'The complete Google Sheets URL (e.g., "https://docs.google.com/spreadsheets/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/edit")'
+          ),
+        sheet_name: z
+          .string()
+          .describe('The name of the sheet to duplicate'),
+        new_name: z.string().optional().describe('Name for the copy (default: "Copy of <sheet name>")'),
+        destination_url: z
+          .string()
+          .optional()
+          .describe('URL of another spreadsheet to copy the sheet into (default: the same spreadsheet)'),
+        dry_run: z
+          .boolean()
+          .optional()
+          .describe('Only report what would change (old and new values) without changing the spreadsheet'),
+      },
+      outputSchema: sheetChangeOutputSchema,
+    },
+    async ({ url, sheet_name, new_name, destination_url, dry_run }) => {
+      try {
+        logger.info('Duplicating sheet...');
+
+        if (!sheetsService) {
+          logger.info('Sheets service not initialized, initializing now...');
+          await initializeSheetsService();
+        }
+
+        const summaryData = await sheetsService.duplicateSheet(url, sheet_name, {
+          newName: new_name,
+          destinationUrl: destination_url,
+          dryRun: dry_run,
+        });
+
+        logger.info('Successfully duplicated sheet');
+
+        return toolResult(
+          formatSummaryText(writeHeading('Duplicated Sheet', summaryData), summaryData) +
+            formatDiffText(summaryData) +
+            formatChangeText(summaryData),
+          summaryData
+        );
+      } catch (error) {
+        logger.error('Error in duplicate_sheet:', error);
+
+        return errorResult(error);
+      }
+    }
+  );
+
+  // Register move_sheet tool
+  registerTool(
+    'move_sheet',
+    {
+      description:
+        'Move a worksheet (tab) to a new position in a Google spreadsheet. Returns the updated spreadsheet summary.',
+      inputSchema: {
+        url: z
+          .string()
+          .describe(
+            'The complete Google Sheets URL (e.g., "https://docs.google.com/spreadsheets/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/edit")'
+          ),
+        sheet_name: z
+          .string()
+          .describe('The name of the sheet to move'),
+        index: z.number().int().nonnegative().describe('0-based target position (0 = first tab)'),
+        dry_run: z
+          .boolean()
+          .optional()
+          .describe('Only report what would change (old and new values) without changing the spreadsheet'),
+      },
+      outputSchema: sheetChangeOutputSchema,
+    },
+    async ({ url, sheet_name, index, dry_run }) => {
+      try {
+        logger.info('Moving sheet...');
+
+        if (!sheetsService) {
+          logger.info('Sheets service not initialized, initializing now...');
+          await initializeSheetsService();
+        }
+
+        const summaryData = await sheetsService.moveSheet(url, sheet_name, index, { dryRun: dry_run });
+
+        logger.info('Successfully moved sheet');
+
+        return toolResult(
+          formatSummaryText(writeHeading('Moved Sheet', summaryData), summaryData) +
+            formatDiffText(summaryData) +
+            formatChangeText(summaryData),
+          summaryData
+        );
+      } catch (error) {
+        logger.error('Error in move_sheet:', error);
+
+        return errorResult(error);
+      }
+    }
+  );
+
+  // Register set_sheet_hidden tool
+  registerTool(
+    'set_sheet_hidden',
+    {
+      description:
+        'Hide or unhide a worksheet (tab) in a Google spreadsheet. Returns the updated spreadsheet summary.',
+      inputSchema: {
+        url: z
+          .string()
+          .describe(
+            'The complete Google Sheets URL (e.g., "https://docs.google.com/spreadsheets/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/edit")'
+          ),
+        sheet_name: z
+          .string()
+          .describe('The name of the sheet to hide or unhide'),
+        hidden: z.boolean().describe('true to hide the sheet, false to show it again'),
+        dry_run: z
+          .boolean()
+          .optional()
+          .describe('Only report what would change (old and new values) without changing the spreadsheet'),
+      },
+      outputSchema: sheetChangeOutputSchema,
+    },
+    async ({ url, sheet_name, hidden, dry_run }) => {
+      try {
+        logger.info('Changing sheet visibility...');
+
+        if (!sheetsService) {
+          logger.info('Sheets service not initialized, initializing now...');
+          await initializeSheetsService();
+        }
+
+        const summaryData = await sheetsService.setSheetHidden(url, sheet_name, hidden, { dryRun: dry_run });
+
+        logger.info('Successfully changed sheet visibility');
+
+        return toolResult(
+          formatSummaryText(writeHeading('Updated Sheet Visibility', summaryData), summaryData) +
+            formatDiffText(summaryData) +
+            formatChangeText(summaryData),
+          summaryData
+        );
+      } catch (error) {
+        logger.error('Error in set_sheet_hidden:', error);
+
+        return errorResult(error);
+      }
+    }
+  );
+
+  // Register delete_sheet tool
+  registerTool(
+    'delete_sheet',
+    {
+      description:
+        'Delete a worksheet (tab) and all of its data from a Google spreadsheet. Returns the updated spreadsheet summary.',
+      inputSchema: {
+        url: z
+          .string()
+          .describe(
+            'The complete Google Sheets URL (e.g., "https://docs.google.com/spreadsheets/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/edit")'
+          ),
+        sheet_name: z
+          .string()
+          .describe('The name of the sheet to delete'),
+        dry_run: z
+          .boolean()
+          .optional()
+          .describe('Only report what would change (old and new values) without changing the spreadsheet'),
+      },
+      outputSchema: sheetChangeOutputSchema,
+    },
+    async ({ url, sheet_name, dry_run }) => {
+      try {
+        logger.info('Deleting sheet...');
+
+        if (!sheetsService) {
+          logger.info('Sheets service not initialized, initializing now...');
+          await initializeSheetsService();
+        }
+
+        let maxOverwrittenCells;
+        if (!dry_run) {
+          maxOverwrittenCells = await confirmOverwrite(`delete sheet "${sheet_name}"`, Infinity, () =>
+            sheetsService.deleteSheet(url, sheet_name, { dryRun: true })
+          );
+        }
+
+        const summaryData = await sheetsService.deleteSheet(url, sheet_name, { dryRun: dry_run, maxOverwrittenCells });
+
+        logger.info('Successfully deleted sheet');
+
+        return toolResult(
+          formatSummaryText(writeHeading('Deleted Sheet', summaryData), summaryData) +
+            formatDiffText(summaryData) +
+            formatChangeText(summaryData),
+          summaryData
+        );
+      } catch (error) {
+        logger.error('Error in delete_sheet:', error);
+
+        return errorResult(error);
+      }
+    }
+  );
+
+  // Register create_spreadsheet tool
+  registerTool(
+    'create_spreadsheet',
+    {
+      description:
+        'Create a new Google spreadsheet with a title, an initial set of worksheets and optional seed data. The new file is owned by the service account, so pass share_with to make it visible to people.',
+      inputSchema: {
+        title: z.string().describe('Title of the new spreadsheet (e.g., "Weekly Report 2024-W05")'),
+        sheets: z
+          .array(
+            z.object({
+              title: z.string().describe('Worksheet name'),
+              headers: z.array(z.string()).optional().describe('Values for the first row'),
+              rows: z
+                .array(z.array(z.union([z.string(), z.number(), z.boolean(), z.null()])))
+                .optional()
+                .describe('Rows of values written below the headers (formulas allowed)'),
+            })
+          )
+          .optional()
+          .describe('Worksheets to create, in tab order (default: a single "Sheet1")'),
+        share_with: z
+          .array(z.string())
+          .optional()
+          .describe('Email addresses or domains to give edit access to the new spreadsheet'),
+        dry_run: z
+          .boolean()
+          .optional()
+          .describe('Only report what would change (old and new values) without changing the spreadsheet'),
+      },
+      outputSchema: sheetChangeOutputSchema,
+    },
+    async ({ title, sheets, share_with, dry_run }) => {
+      try {
+        logger.info('Creating spreadsheet...');
+
+        if (!sheetsService) {
+          logger.info('Sheets service not initialized, initializing now...');
+          await initializeSheetsService();
+        }
+
+        const summaryData = await sheetsService.createSpreadsheet({
+          title,
+          sheets,
+          shareWith: share_with,
+        }, { dryRun: dry_run });
+
+        logger.info('Successfully created spreadsheet');
+
+        return toolResult(
+          formatSummaryText(writeHeading('Created Google Sheet', summaryData), summaryData) + formatDiffText(summaryData),
+          summaryData
+        );
+      } catch (error) {
+        logger.error('Error in create_spreadsheet:', error);
+
+        return errorResult(error);
+      }
+    }
+  );
+
+  // Register copy_spreadsheet tool, only when reading templates through Drive is allowed
+  if (allowTemplateCopies) {
+    registerTool(
+      'copy_spreadsheet',
+      {
+        description:
+          'Copy a template Google spreadsheet and fill named placeholders such as {{client_name}} across all of its sheets. The copy is owned by the service account, so pass share_with to make it visible to people. Sheets blocked by the access policy are left out of the copy, and templates with redacted cells cannot be shared.',
+        inputSchema: {
+          url: z
+            .string()
+            .describe(
+              'The complete Google Sheets URL of the template (e.g., "https://docs.google.com/spreadsheets/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/edit")'
+            ),
+          title: z.string().optional().describe('Title of the copy (default: "Copy of <template title>")'),
+          placeholders: z
+            .record(z.union([z.string(), z.number(), z.boolean()]))
+            .optional()
+            .describe(
+              'Values keyed by placeholder name; each {{name}} in cells and formulas is replaced (e.g., {"client_name": "Acme", "week": 5})'
+            ),
+          share_with: z
+            .array(z.string())
+            .optional()
+            .describe('Email addresses or domains to give edit access to the copy'),
+          dry_run: z
+            .boolean()
+            .optional()
+            .describe('Only report what would change (old and new values) without changing the spreadsheet'),
+        },
+        outputSchema: copySpreadsheetOutputSchema,
+      },
+      async ({ url, title, placeholders, share_with, dry_run }) => {
+        try {
+          logger.info('Copying spreadsheet...');
+
+          if (!sheetsService) {
+            logger.info('Sheets service not initialized, initializing now...');
+            await initializeSheetsService();
+          }
+
+          const summaryData = await sheetsService.copySpreadsheet(url, {
+            title,
+            placeholders,
+            shareWith: share_with,
+            dryRun: dry_run,
+          });
+          const replacements = Object.entries(summaryData.replacements);
+
+          logger.info('Successfully copied spreadsheet');
+
+          return toolResult(
+            formatSummaryText(writeHeading('Copied Google Sheet', summaryData), summaryData) +
+            (replacements.length > 0
+              ? '\n\n**Placeholders Filled:**\n' +
+                replacements.map(([name, count]) => `- {{${name}}}: ${count} occurrences`).join('\n')
+              : '') +
+            formatDiffText(summaryData),
+            summaryData
+          );
+        } catch (error) {
+          logger.error('Error in copy_spreadsheet:', error);
+
+          return errorResult(error);
+        }
+      }
+    );
+  }
+
+  // Register clear_cache tool
+  registerTool(
+    'clear_cache',
+    {
+      description:
+        'Drop cached spreadsheet metadata and cell data so the next read goes to the Google API. Cached data is already revalidated against the Drive modified time on every call and dropped after writes made through this server, so this is only needed to force a fresh read.',
+      inputSchema: {
+        url: z
+          .string()
+          .optional()
+          .describe('Google Sheets URL to clear (default: clear every cached spreadsheet)'),
+      },
+      outputSchema: clearCacheOutputSchema,
+    },
+    async ({ url }) => {
+      try {
+        if (!sheetsService) {
+          logger.info('Sheets service not initialized, initializing now...');
+          await initializeSheetsService();
+        }
+
+        const result = sheetsService.clearCache(url);
+
+        return toolResult(
+          `Cleared ${result.clearedDocuments} cached spreadsheet(s). ` +
+            (result.cache.enabled
+              ? `Cache now holds ${result.cache.documents} spreadsheet(s) and ${result.cache.cells} cell(s).`
+              : 'Caching is disabled (SHEETS_CACHE_TTL_SECONDS=0).'),
+          result
+        );
+      } catch (error) {
+        logger.error('Error in clear_cache:', error);
+
+        return errorResult(error);
+      }
+    }
+  );
+
+  // Register get_audit_log tool, only when there is an audit log to read
+  if (auditLog) {
+    registerTool(
+      'get_audit_log',
+      {
+        description:
+          'Show recent entries of the audit log this server keeps of every tool call: when it ran, the tool, spreadsheet, sheet and range, cells returned or changed, and whether it failed. Newest first. Cell values are never shown, calls on spreadsheets or sheets the access policy blocks are left out, and over HTTP only this session\'s calls are listed.',
+        inputSchema: {
+          limit: z
+            .number()
+            .int()
+            .positive()
+            .max(500)
+            .optional()
+            .describe(`Maximum number of entries to return (default ${DEFAULT_AUDIT_QUERY_LIMIT})`),
+          tool: z.string().optional().describe('Only calls of this tool (e.g., "update_range")'),
+          url: z.string().optional().describe('Only calls on this spreadsheet (Google Sheets URL or spreadsheet ID)'),
+          outcome: z.enum(['success', 'error']).optional().describe('Only successful or only failed calls'),
+          since: z.string().optional().describe('Only calls at or after this ISO 8601 time (e.g., "2024-05-01T00:00:00Z")'),
+        },
+        outputSchema: auditLogOutputSchema,
+      },
+      async ({ limit, tool, url, outcome, since }, extra) => {
+        try {
+          if (since !== undefined && Number.isNaN(new Date(since).getTime())) {
+            throw new SheetsError(SheetsErrorCode.INVALID_ARGUMENT, `"${since}" is not an ISO 8601 time.`);
+          }
+          if (!sheetsService) {
+            await initializeSheetsService();
+          }
+          const spreadsheetId = url ? (/\/d\/([a-zA-Z0-9-_]+)/.exec(url)?.[1] ?? url.trim()) : undefined;
+          const spreadsheetAccess = new Map();
+          const entries = await auditLog.query({
+            limit,
+            tool,
+            spreadsheetId,
+            outcome,
+            since,
+            sessionId: extra?.sessionId,
+            accept: entry => sheetsService.isAuditEntryVisible(entry, spreadsheetAccess),
+          });
+          // Recorded values stay in the file; the log is for reviewing calls, not reading cells
+          const result = { path: auditLog.path, entries: entries.map(({ writes: _writes, ...entry }) => entry) };
+
+          return toolResult(
+            `**Audit Log: ${result.path}**\n\n` +
+              `Entries: ${result.entries.length} (newest first)\n` +
+              entries
                 .map(
-                  sheet => `- ${sheet.name} (${sheet.rowCount} rows × ${sheet.columnCount} columns)`
+                  entry =>
+                    `- ${entry.timestamp} ${entry.tool}` +
+                    (entry.spreadsheetId ? ` ${entry.spreadsheetId}` : '') +
+                    (entry.range || entry.sheet ? ` ${entry.range || entry.sheet}` : '') +
+                    (entry.outcome === 'error' ? ` [${entry.errorCode}]` : '')
                 )
                 .join('\n'),
-          },
-        ],
-      };
-    } catch (error) {
-      logger.error('Error in get_spreadsheet_summary:', error);
-
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Error: ${error.message}`,
-          },
-        ],
-        isError: true,
-      };
-    }
+            result
+          );
+        } catch (error) {
+          logger.error('Error in get_audit_log:', error);
+
+          return errorResult(error);
+        }
+      }
+    );
   }
-);
-
-// Register get_spreadsheet_sheet_data tool
-server.registerTool(
-  'get_spreadsheet_sheet_data',
-  {
-    description:
-      'Get the actual data from a specific sheet within a Google spreadsheet. Returns complete sheet data including all cell values.',
-    inputSchema: {
-      url: z
-        .string()
-        .describe(
-          'The complete Google Sheets URL (e.g., "https://docs.google.com/spreadsheets/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/edit")'
-        ),
-      sheet_name: z
-        .string()
-        .describe(
-          'The name of the specific sheet to retrieve data from (e.g., "Sheet1", "Data", "Sales Q1")'
-        ),
+
+  // Register list_changes and undo_change tools, only when there is a change journal
+  if (changeJournal) {
+    registerTool(
+      'list_changes',
+      {
+        description:
+          'List recent changes this server made to spreadsheets, newest first: when, what (values written, sheets added, renamed, moved, hidden or deleted) and their IDs for undo_change. Cell values are not shown; changes to spreadsheets or sheets the access policy blocks are left out, and over HTTP only this session\'s changes are listed.',
+        inputSchema: {
+          url: z.string().optional().describe('Only changes to this spreadsheet (Google Sheets URL or spreadsheet ID)'),
+          limit: z
+            .number()
+            .int()
+            .positive()
+            .max(500)
+            .optional()
+            .describe(`Maximum number of changes to return (default ${DEFAULT_CHANGE_LIST_LIMIT})`),
+          include_undone: z.boolean().optional().describe('Also list changes that were already undone'),
+        },
+        outputSchema: changeListOutputSchema,
+      },
+      async ({ url, limit, include_undone }, extra) => {
+        try {
+          if (!sheetsService) {
+            await initializeSheetsService();
+          }
+          const spreadsheetId = url ? (/\/d\/([a-zA-Z0-9-_]+)/.exec(url)?.[1] ?? url.trim()) : undefined;
+          const spreadsheetAccess = new Map();
+          const changes = await changeJournal.list({
+            limit,
+            spreadsheetId,
+            includeUndone: include_undone,
+            sessionId: extra?.sessionId,
+            accept: change => sheetsService.isChangeVisible(change, spreadsheetAccess),
+          });
+          const result = { path: changeJournal.path, changes: changes.map(summarizeChange) };
+
+          return toolResult(
+            `**Change Journal: ${result.path}**\n\n` +
+              `Changes: ${result.changes.length} (newest first)\n` +
+              result.changes.map(formatChangeLine).join('\n'),
+            result
+          );
+        } catch (error) {
+          logger.error('Error in list_changes:', error);
+
+          return errorResult(error);
+        }
+      }
+    );
+
+    registerTool(
+      'undo_change',
+      {
+        description:
+          'Undo a change this server made, by ID, or the most recent changes to a spreadsheet, restoring the previous values, sheet names, positions, visibility and deleted sheets. Refuses with a CONFLICT error if anyone has changed the same cells or sheets since. Only changes list_changes shows can be undone.',
+        inputSchema: {
+          id: z.string().optional().describe('ID of the change to undo (the changeId of a write, or from list_changes)'),
+          url: z
+            .string()
+            .optional()
+            .describe('Google Sheets URL whose most recent changes to undo; needed when no id is given'),
+          count: z
+            .number()
+            .int()
+            .positive()
+            .max(50)
+            .optional()
+            .describe('How many of the most recent changes to undo, newest first (default 1; ignored with id)'),
+          dry_run: z
+            .boolean()
+            .optional()
+            .describe('Only report what would change (old and new values) without changing the spreadsheet'),
+        },
+        outputSchema: undoChangeOutputSchema,
+      },
+      async ({ id, url, count, dry_run }, extra) => {
+        try {
+          logger.info('Undoing changes...');
+
+          if (!sheetsService) {
+            logger.info('Sheets service not initialized, initializing now...');
+            await initializeSheetsService();
+          }
+
+          let maxOverwrittenCells;
+          if (!dry_run) {
+            maxOverwrittenCells = await confirmOverwrite('undo the change', Infinity, () =>
+              sheetsService.undoChanges({ id, url, count, sessionId: extra?.sessionId, dryRun: true })
+            );
+          }
+
+          const undoResult = await sheetsService.undoChanges({
+            id,
+            url,
+            count,
+            sessionId: extra?.sessionId,
+            dryRun: dry_run,
+            maxOverwrittenCells,
+          });
+
+          logger.info('Successfully undid changes');
+
+          return toolResult(
+            `**${writeHeading('Undid Changes', undoResult)}: ${undoResult.spreadsheetTitle}**\n\n` +
+              `Spreadsheet ID: ${undoResult.spreadsheetId}\n` +
+              `URL: ${undoResult.spreadsheetUrl}\n` +
+              `Changes: ${undoResult.undone.length}\n` +
+              undoResult.undone.map(formatChangeLine).join('\n') +
+              formatDiffText(undoResult),
+            undoResult
+          );
+        } catch (error) {
+          logger.error('Error in undo_change:', error);
+
+          return errorResult(error);
+        }
+      }
+    );
+  }
+
+  // Register spreadsheet summary resource
+  server.registerResource(
+    'spreadsheet',
+    resourceTemplates.spreadsheet,
+    {
+      title: 'Google spreadsheet summary',
+      description: 'Spreadsheet title, URL and the list of its sheets with their sizes, as returned by get_spreadsheet_summary',
+      mimeType: 'application/json',
     },
-  },
-  async ({ url, sheet_name }) => {
+    (uri, variables) => readResource('spreadsheet', uri, variables)
+  );
+
+  // Register sheet data resource
+  server.registerResource(
+    'sheet',
+    resourceTemplates.sheet,
+    {
+      title: 'Google sheet data',
+      description: 'All populated cells of one sheet, as returned by get_spreadsheet_sheet_data',
+      mimeType: 'application/json',
+    },
+    (uri, variables) => readResource('sheet', uri, variables)
+  );
+
+  // Register range data resource
+  server.registerResource(
+    'range',
+    resourceTemplates.range,
+    {
+      title: 'Google sheet range',
+      description: 'The cells of an A1 range within one sheet (e.g. gsheet://<id>/Sales%20Q1/B2:H500), as returned by get_range_data',
+      mimeType: 'application/json',
+    },
+    (uri, variables) => readResource('range', uri, variables)
+  );
+
+  // Resource subscriptions: poll the spreadsheet's modifiedTime, then compare a hash of the
+  // subscribed sheet or range so edits elsewhere in the spreadsheet do not trigger updates
+  const subscriptions = new ResourceSubscriptions({
+    intervalSeconds: resourcePollIntervalSeconds,
+    getVersion: uri =>
+      sheetsService.getModifiedTime(spreadsheetUrlFromId(matchResourceUri(uri).variables.spreadsheetId)),
+    readContents: uri => {
+      const { name, variables } = matchResourceUri(uri);
+      return resourceLoaders[name](variables);
+    },
+    onUpdated: uri => server.server.sendResourceUpdated({ uri }),
+  });
+
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+
+  server.server.setRequestHandler(SubscribeRequestSchema, async request => {
+    const { uri } = request.params;
     try {
-      logger.info('Retrieving specific sheet data...');
+      logger.info('Subscribing to resource...');
 
       if (!sheetsService) {
         logger.info('Sheets service not initialized, initializing now...');
         await initializeSheetsService();
       }
 
-      const sheetData = await sheetsService.getSheetData(url, sheet_name);
-
-      logger.info('Successfully retrieved sheet data');
-
-      return {
-        content: [
-          {
-            type: 'text',
-            text:
-              `**Google Sheet Data: ${sheetData.spreadsheetTitle} - ${sheetData.metadata.title}**\n\n` +
-              `Spreadsheet ID: ${sheetData.spreadsheetId}\n` +
-              `URL: ${sheetData.spreadsheetUrl}\n` +
-              `Sheet: ${sheetData.metadata.title}\n` +
-              `Size: ${sheetData.metadata.dimensions.rows} rows × ${sheetData.metadata.dimensions.columns} columns\n` +
-              `Created: ${sheetData.metadata.createdTime}\n` +
-              `Last modified: ${sheetData.metadata.modifiedTime}\n\n` +
-              `**Cell Data (${sheetData.cells.length} cells with data):**\n` +
-              JSON.stringify(sheetData, null, 2),
-          },
-        ],
-      };
+      // Reading the resource up front rejects unknown sheets and records the baseline
+      await subscriptions.subscribe(uri);
+      return {};
     } catch (error) {
-      logger.error('Error in get_spreadsheet_sheet_data:', error);
-
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Error: ${error.message}`,
-          },
-        ],
-        isError: true,
-      };
+      logger.error('Error subscribing to resource:', error);
+      throw error;
     }
-  }
-);
+  });
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async request => {
+    subscriptions.unsubscribe(request.params.uri);
+    return {};
+  });
+
+  server.server.onclose = () => subscriptions.stop();
+
+  return server;
+}
 
 // Error handling
 process.on('uncaughtException', error => {
@@ -227,12 +1796,52 @@ process.on('SIGTERM', () => {
   process.exit(0);
 });
 
+// Transport options: stdio by default, or Streamable HTTP with --http / MCP_TRANSPORT=http.
+// The bearer token is only read from MCP_HTTP_TOKEN so it does not show up in process listings.
+function parseCommandLine() {
+  const { values } = parseArgs({
+    options: {
+      http: { type: 'boolean' },
+      host: { type: 'string' },
+      port: { type: 'string' },
+    },
+  });
+
+  const port = Number(values.port ?? process.env.MCP_HTTP_PORT ?? DEFAULT_HTTP_PORT);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid HTTP port: ${values.port ?? process.env.MCP_HTTP_PORT}`);
+  }
+
+  return {
+    http: values.http || process.env.MCP_TRANSPORT === 'http',
+    host: values.host || process.env.MCP_HTTP_HOST || DEFAULT_HTTP_HOST,
+    port,
+    token: process.env.MCP_HTTP_TOKEN,
+    sessionIdleSeconds: readNonNegativeNumber('MCP_HTTP_SESSION_IDLE_SECONDS'),
+  };
+}
+
 // Start the server
 async function main() {
   try {
+    const options = parseCommandLine();
+
+    if (options.http) {
+      logger.info('Starting MCP server over Streamable HTTP...');
+      const httpServer = await startHttpServer({
+        createMcpServer: createServer,
+        host: options.host,
+        port: options.port,
+        token: options.token,
+        sessionIdleSeconds: options.sessionIdleSeconds,
+      });
+      logger.info(`MCP server listening on ${httpServer.url}${options.token ? ' (bearer token required)' : ''}`);
+      return;
+    }
+
     logger.info('Starting MCP server...');
     const transport = new StdioServerTransport();
-    await server.connect(transport);
+    await createServer().connect(transport);
     logger.info('MCP server started and connected via stdio');
   } catch (error) {
     logger.error('Failed to start MCP server:', error);
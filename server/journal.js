@@ -0,0 +1,196 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash, randomBytes } from 'crypto';
+import { appendFile, mkdir } from 'fs/promises';
+import { dirname, resolve } from 'path';
+import { Logger } from './logger.js';
+import { readLinesBackwards } from './audit.js';
+
+// Changes returned by list_changes unless a limit is given
+export const DEFAULT_CHANGE_LIST_LIMIT = 20;
+
+// HTTP session of the tool call making a change, so list_changes and undo_change can stay within it
+const currentSession = new AsyncLocalStorage();
+
+/**
+ * Append-only JSONL journal of the changes this server made, with what they replaced
+ *
+ * Each write tool call that changes an existing spreadsheet appends one change line:
+ * { type: 'change', id, timestamp, action, spreadsheetId, spreadsheetTitle, sessionId, operations },
+ * where sessionId is the HTTP session that made it (absent over stdio).
+ * Operations are applied in order and undone in reverse:
+ * - values: { sheetId, sheet, range, before, after } with rows of values as entered
+ *   (formulas as text, numbers unformatted), padded to the range with ''
+ * - properties: { sheetId, sheet, before, after } with the title, index, hidden flag or column
+ *   count (of a grid an append widened)
+ * - addSheet: { sheetId, sheet, digest } where digest fingerprints the new sheet's values
+ * - deleteSheet: { sheetId, sheet, properties, values } with everything needed to put it back
+ * Undoing a change appends { type: 'undo', id, timestamp } rather than rewriting the file.
+ */
+export class ChangeJournal {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - JSONL file to append to (created with its directory if missing)
+   */
+  constructor(options) {
+    this.path = resolve(options.path);
+    this.logger = new Logger();
+    this.ready = null;
+  }
+
+  /**
+   * Append a change; a failure to write is logged rather than failing the write that made it
+   * @param {Object} change - { action, spreadsheetId, spreadsheetTitle, operations }
+   * @returns {string|null} - ID of the change, or null if it could not be written
+   */
+  async record(change) {
+    const id = randomBytes(4).toString('hex');
+    const sessionId = currentSession.getStore()?.sessionId;
+    const written = await this.append({ type: 'change', id: id, timestamp: new Date().toISOString(), sessionId: sessionId, ...change });
+    return written ? id : null;
+  }
+
+  /**
+   * Note that a change has been undone
+   * @param {string} id - ID of the change
+   */
+  async markUndone(id) {
+    await this.append({ type: 'undo', id: id, timestamp: new Date().toISOString() });
+  }
+
+  /**
+   * Read the most recent changes, newest first
+   * @param {Object} [filters]
+   * @param {number} [filters.limit] - Maximum changes to return (default 20)
+   * @param {string} [filters.spreadsheetId] - Only changes to this spreadsheet
+   * @param {boolean} [filters.includeUndone] - Also return changes that were undone
+   * @param {string} [filters.sessionId] - Only changes made in this HTTP session
+   * @param {Function} [filters.accept] - async (change) => boolean, a further check on each match
+   * @returns {Array<Object>} - Changes with an undone flag
+   */
+  async list(filters = {}) {
+    const limit = filters.limit || DEFAULT_CHANGE_LIST_LIMIT;
+    const changes = [];
+    for await (const change of this.readChanges()) {
+      if (
+        (filters.spreadsheetId && change.spreadsheetId !== filters.spreadsheetId) ||
+        (change.undone && !filters.includeUndone) ||
+        (filters.sessionId && change.sessionId !== filters.sessionId)
+      ) {
+        continue;
+      }
+      if (filters.accept && !(await filters.accept(change))) {
+        continue;
+      }
+      changes.push(change);
+      if (changes.length >= limit) {
+        break;
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Look up one change
+   * @param {string} id - ID of the change
+   * @returns {Object|null} - The change with an undone flag, or null if it is not in the journal
+   */
+  async find(id) {
+    for await (const change of this.readChanges()) {
+      if (change.id === id) {
+        return change;
+      }
+    }
+    return null;
+  }
+
+  // Yield changes newest first; undo lines come after their change, so they are seen first
+  async *readChanges() {
+    const undone = new Set();
+    for await (const line of readLinesBackwards(this.path)) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // A line cut short by a crash mid-write
+        continue;
+      }
+      if (entry.type === 'undo') {
+        undone.add(entry.id);
+      } else if (entry.type === 'change') {
+        const { type: _type, ...change } = entry;
+        yield { ...change, undone: undone.has(change.id) };
+      }
+    }
+  }
+
+  async append(entry) {
+    try {
+      this.ready = this.ready || mkdir(dirname(this.path), { recursive: true });
+      await this.ready;
+      await appendFile(this.path, `${JSON.stringify(entry)}\n`, 'utf8');
+      return true;
+    } catch (error) {
+      this.logger.error(`Error writing change journal ${this.path}:`, error);
+      return false;
+    }
+  }
+}
+
+/**
+ * Run a tool call so the changes it records name its HTTP session
+ * @param {string} [sessionId] - HTTP session of the call; undefined over stdio
+ * @param {Function} run - async () => tool result
+ * @returns {Promise<Object>} - The tool result
+ */
+export function runInSession(sessionId, run) {
+  return currentSession.run({ sessionId: sessionId }, run);
+}
+
+/**
+ * Fingerprint a sheet's values, ignoring trailing empty cells and rows and value types
+ * @param {Array<Array>} values - Rows of values as read from the API
+ * @returns {string} - Short SHA-256 hex digest
+ */
+export function digestValues(values) {
+  // Array.from rather than map, so holes left by an undo's in-memory edits count as empty
+  const rows = Array.from(values, row => {
+    const cells = Array.from(row || [], value => (value === null || value === undefined ? '' : String(value)));
+    while (cells.length > 0 && cells[cells.length - 1] === '') {
+      cells.pop();
+    }
+    return cells;
+  });
+  while (rows.length > 0 && rows[rows.length - 1].length === 0) {
+    rows.pop();
+  }
+  return createHash('sha256').update(JSON.stringify(rows)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Describe a change without the values it wrote or replaced
+ * @param {Object} change - Change as read from the journal
+ * @returns {Object} - { id, timestamp, action, spreadsheetId, spreadsheetTitle, undone, operations }
+ *   with operations as { type, sheet, range?, cells?, before?, after? }
+ */
+export function summarizeChange(change) {
+  return {
+    id: change.id,
+    timestamp: change.timestamp,
+    action: change.action,
+    spreadsheetId: change.spreadsheetId,
+    spreadsheetTitle: change.spreadsheetTitle,
+    undone: Boolean(change.undone),
+    operations: change.operations.map(operation => {
+      if (operation.type === 'values') {
+        const cells = operation.before
+          .flatMap((row, rowIndex) => row.filter((value, colIndex) => String(value) !== String(operation.after[rowIndex]?.[colIndex] ?? '')))
+          .length;
+        return { type: operation.type, sheet: operation.sheet, range: operation.range, cells: cells };
+      }
+      if (operation.type === 'properties') {
+        return { type: operation.type, sheet: operation.sheet, before: operation.before, after: operation.after };
+      }
+      return { type: operation.type, sheet: operation.sheet };
+    }),
+  };
+}
@@ -0,0 +1,142 @@
+import { ErrorCode, SheetsError } from './errors.js';
+
+/**
+ * Decides which spreadsheets and sheets the server may touch, and whether it may write
+ *
+ * Spreadsheets are matched by ID or by any Drive folder above them; sheets by title patterns
+ * where "*" matches any run of characters and "?" one character, ignoring case. Deny rules
+ * always win. Once an allow list is set, only what it names is reachable.
+ */
+export class AccessPolicy {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.readOnly] - Refuse every write and request read-only scopes
+   * @param {Array<string>} [options.allowedSpreadsheets] - Spreadsheet IDs or URLs
+   * @param {Array<string>} [options.deniedSpreadsheets] - Spreadsheet IDs or URLs
+   * @param {Array<string>} [options.allowedFolders] - Drive folder IDs or URLs
+   * @param {Array<string>} [options.deniedFolders] - Drive folder IDs or URLs
+   * @param {Array<string>} [options.allowedSheetNames] - Sheet title patterns
+   * @param {Array<string>} [options.deniedSheetNames] - Sheet title patterns
+   */
+  constructor(options = {}) {
+    this.readOnly = Boolean(options.readOnly);
+    this.allowedSpreadsheets = new Set((options.allowedSpreadsheets || []).map(toFileId));
+    this.deniedSpreadsheets = new Set((options.deniedSpreadsheets || []).map(toFileId));
+    this.allowedFolders = new Set((options.allowedFolders || []).map(toFileId));
+    this.deniedFolders = new Set((options.deniedFolders || []).map(toFileId));
+    this.allowedSheetNames = (options.allowedSheetNames || []).map(globToRegExp);
+    this.deniedSheetNames = (options.deniedSheetNames || []).map(globToRegExp);
+    // Spreadsheets this server created, which an allow list could not have named in advance
+    this.created = new Set();
+  }
+
+  /**
+   * Whether checking a spreadsheet needs the folders it sits in
+   * @returns {boolean}
+   */
+  usesFolders() {
+    return this.allowedFolders.size > 0 || this.deniedFolders.size > 0;
+  }
+
+  /**
+   * Fail unless writes are allowed
+   * @param {string} action - What was about to happen, e.g. "append rows"
+   */
+  assertWritable(action) {
+    if (this.readOnly) {
+      throw new SheetsError(ErrorCode.READ_ONLY, `Cannot ${action}: the server is in read-only mode.`, {
+        hint: 'Turn off read-only mode in the extension settings (SHEETS_READ_ONLY) to make changes.',
+      });
+    }
+  }
+
+  /**
+   * Fail unless the spreadsheet may be accessed
+   * @param {string} spreadsheetId - Spreadsheet ID
+   * @param {Array<string>} [folderIds] - Every Drive folder above the spreadsheet (see usesFolders)
+   */
+  assertSpreadsheetAllowed(spreadsheetId, folderIds = []) {
+    if (this.created.has(spreadsheetId)) {
+      return;
+    }
+
+    if (this.deniedSpreadsheets.has(spreadsheetId)) {
+      throw denied(`Spreadsheet ${spreadsheetId} is blocked by the access policy.`, 'It is listed in SHEETS_DENIED_SPREADSHEETS.');
+    }
+    const deniedFolder = folderIds.find(folderId => this.deniedFolders.has(folderId));
+    if (deniedFolder) {
+      throw denied(
+        `Spreadsheet ${spreadsheetId} is blocked by the access policy.`,
+        `It is inside folder ${deniedFolder}, which is listed in SHEETS_DENIED_FOLDERS.`
+      );
+    }
+
+    if (this.allowedSpreadsheets.size === 0 && this.allowedFolders.size === 0) {
+      return;
+    }
+    if (this.allowedSpreadsheets.has(spreadsheetId) || folderIds.some(folderId => this.allowedFolders.has(folderId))) {
+      return;
+    }
+    throw denied(
+      `Spreadsheet ${spreadsheetId} is not on the access policy's allow list.`,
+      'Add its ID to SHEETS_ALLOWED_SPREADSHEETS, or a folder containing it to SHEETS_ALLOWED_FOLDERS.'
+    );
+  }
+
+  /**
+   * Whether a sheet may be accessed, by title
+   * @param {string} title - Sheet title
+   * @returns {boolean}
+   */
+  isSheetAllowed(title) {
+    if (this.deniedSheetNames.some(pattern => pattern.test(title))) {
+      return false;
+    }
+    return this.allowedSheetNames.length === 0 || this.allowedSheetNames.some(pattern => pattern.test(title));
+  }
+
+  /**
+   * Fail unless the sheet may be accessed
+   * @param {string} title - Sheet title
+   */
+  assertSheetAllowed(title) {
+    if (!this.isSheetAllowed(title)) {
+      throw denied(
+        `Sheet "${title}" is blocked by the access policy.`,
+        'Its name matches SHEETS_DENIED_SHEET_NAMES or is missing from SHEETS_ALLOWED_SHEET_NAMES.'
+      );
+    }
+  }
+
+  /**
+   * Always allow a spreadsheet this server just created
+   * @param {string} spreadsheetId - Spreadsheet ID
+   */
+  allowCreated(spreadsheetId) {
+    this.created.add(spreadsheetId);
+  }
+}
+
+function denied(message, hint) {
+  return new SheetsError(ErrorCode.POLICY_DENIED, message, { hint });
+}
+
+// Accept a bare ID, a spreadsheet URL (/d/<id>) or a folder URL (/folders/<id>)
+function toFileId(entry) {
+  const match = /\/(?:d|folders)\/([\w-]+)/.exec(entry);
+  return match ? match[1] : entry.trim();
+}
+
+/**
+ * Turn a name pattern into a case-insensitive regular expression for the whole name
+ * @param {string} pattern - Pattern where "*" matches any run of characters and "?" one character
+ * @returns {RegExp} - e.g. /^Payroll.*$/i for "Payroll*"
+ */
+export function globToRegExp(pattern) {
+  const source = pattern
+    .trim()
+    .split('')
+    .map(char => (char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
@@ -0,0 +1,185 @@
+import { Logger } from './logger.js';
+
+// Default budgets match the Sheets API per-user quotas (60 reads and 60 writes per minute);
+// a budget of 0 means unlimited
+export const DEFAULT_READS_PER_MINUTE = 60;
+export const DEFAULT_WRITES_PER_MINUTE = 60;
+export const DEFAULT_MAX_CONCURRENT_REQUESTS = 5;
+export const DEFAULT_MAX_RETRIES = 5;
+
+const BUDGET_WINDOW_MS = 60 * 1000;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 32 * 1000;
+
+// Worth retrying for any request; a write is only retried when Google says it was not applied
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const RETRYABLE_WRITE_STATUSES = [429, 503];
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Throttles and retries Google API requests
+ *
+ * Every request waits for room in its per-minute budget and for a free concurrency slot,
+ * then is retried with exponential backoff (or after Retry-After) on rate limits and
+ * transient server errors. Request kinds follow Google's quota names: 'sheets.read' and
+ * 'sheets.write' count against the budgets, 'drive.read' and 'drive.write' only against
+ * the concurrency limit.
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.readsPerMinute] - Sheets read budget (0 for unlimited)
+   * @param {number} [options.writesPerMinute] - Sheets write budget (0 for unlimited)
+   * @param {number} [options.maxConcurrent] - Requests in flight at once
+   * @param {number} [options.maxRetries] - Retries per request before giving up
+   * @param {number} [options.baseDelayMs] - First backoff delay, doubled on each retry
+   * @param {number} [options.maxDelayMs] - Longest backoff; a longer Retry-After is not waited out
+   */
+  constructor(options = {}) {
+    this.budgets = {
+      'sheets.read': options.readsPerMinute ?? DEFAULT_READS_PER_MINUTE,
+      'sheets.write': options.writesPerMinute ?? DEFAULT_WRITES_PER_MINUTE,
+    };
+    this.maxConcurrent = options.maxConcurrent || DEFAULT_MAX_CONCURRENT_REQUESTS;
+    this.maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.baseDelayMs = options.baseDelayMs ?? BASE_RETRY_DELAY_MS;
+    this.maxDelayMs = options.maxDelayMs ?? MAX_RETRY_DELAY_MS;
+    this.logger = new Logger();
+    // Budgeted kind -> send times within the last minute, oldest first
+    this.sent = { 'sheets.read': [], 'sheets.write': [] };
+    this.active = 0;
+    // Resolvers of requests waiting for a concurrency slot
+    this.waiting = [];
+  }
+
+  /**
+   * Send one request once the budget and concurrency limit allow, retrying transient failures
+   * @param {string} kind - 'sheets.read', 'sheets.write', 'drive.read' or 'drive.write'
+   * @param {string} description - What the request does, for log messages
+   * @param {Function} send - () => Promise for the request; called again on each retry
+   * @returns {Promise<*>} - Whatever send resolves to
+   */
+  async run(kind, description, send) {
+    for (let attempt = 1; ; attempt++) {
+      await this.waitForBudget(kind, description);
+      await this.acquireSlot();
+
+      let delay;
+      try {
+        return await send();
+      } catch (error) {
+        delay = this.getRetryDelay(error, kind, attempt);
+        if (delay === null) {
+          throw error;
+        }
+        this.logger.warn(
+          `Google API request to ${description} failed (${describeFailure(error)}); retrying in ${(delay / 1000).toFixed(1)}s (retry ${attempt} of ${this.maxRetries})`
+        );
+      } finally {
+        this.releaseSlot();
+      }
+
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Work out how long to wait before retrying a failed request
+   * @param {Error} error - Error from the request (axios and gaxios both set error.response)
+   * @param {string} kind - Request kind
+   * @param {number} attempt - 1-based number of the retry this would be
+   * @returns {number|null} - Delay in milliseconds, or null to give up
+   */
+  getRetryDelay(error, kind, attempt) {
+    if (attempt > this.maxRetries) {
+      return null;
+    }
+
+    const isWrite = kind.endsWith('.write');
+    const status = error.response?.status;
+    const retryable = status
+      ? (isWrite ? RETRYABLE_WRITE_STATUSES : RETRYABLE_STATUSES).includes(status)
+      : !isWrite && RETRYABLE_NETWORK_ERRORS.includes(error.code);
+    if (!retryable) {
+      return null;
+    }
+
+    const retryAfter = parseRetryAfter(getHeader(error.response?.headers, 'retry-after'));
+    if (retryAfter !== null) {
+      return retryAfter <= this.maxDelayMs ? retryAfter : null;
+    }
+
+    // Exponential backoff with jitter, so parallel requests do not retry in lockstep
+    const backoff = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+    return backoff / 2 + Math.random() * (backoff / 2);
+  }
+
+  // Wait until the kind's budget has room, then record the request against it
+  async waitForBudget(kind, description) {
+    const limit = this.budgets[kind];
+    if (!limit) {
+      return;
+    }
+
+    for (;;) {
+      const now = Date.now();
+      const sent = this.sent[kind].filter(time => now - time < BUDGET_WINDOW_MS);
+      this.sent[kind] = sent;
+      if (sent.length < limit) {
+        sent.push(now);
+        return;
+      }
+
+      const wait = sent[0] + BUDGET_WINDOW_MS - now;
+      this.logger.info(
+        `Request budget of ${limit} ${kind} requests per minute used up; waiting ${(wait / 1000).toFixed(1)}s to ${description}`
+      );
+      await sleep(wait);
+    }
+  }
+
+  async acquireSlot() {
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return;
+    }
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  // Hand the slot straight to the next waiting request, if any
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+}
+
+// Read a response header from axios, gaxios or fetch-style headers
+function getHeader(headers, name) {
+  if (!headers) {
+    return undefined;
+  }
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function describeFailure(error) {
+  return error.response?.status ? `HTTP ${error.response.status}` : error.code || error.message;
+}
@@ -0,0 +1,188 @@
+import { createHash } from 'crypto';
+import { ErrorCode, SheetsError } from './errors.js';
+import { globToRegExp } from './policy.js';
+
+export const REDACTION_ACTIONS = ['mask', 'hash', 'drop'];
+
+// Shown in place of masked values
+export const MASK = '[redacted]';
+
+// Built-in value detectors; each is checked against a cell's displayed text
+export const DETECTORS = {
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim()),
+  phone: isPhoneNumber,
+  iban: isIban,
+  credit_card: isCardNumber,
+};
+
+/**
+ * Chooses which columns of a sheet to redact and replaces their values
+ *
+ * Rules pick columns by header name, column letter, value regex or built-in detector
+ * ('email', 'phone', 'iban', 'credit_card'), optionally only on sheets matching a name.
+ * Value rules pick a column when any of the values being returned match. The first rule
+ * that picks a column decides its action: 'mask' (the default) replaces values with
+ * "[redacted]", 'hash' with a short SHA-256 so equal values stay comparable, and 'drop'
+ * leaves the cells out.
+ */
+export class Redactor {
+  /**
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.rules] - Rules as { header?, column?, pattern?, detect?, sheet?, action? };
+   *   header and sheet are name patterns as in the access policy ("*" matches anything, case is ignored)
+   * @param {string} [options.hashSalt] - Mixed into hashes so they cannot be looked up in a dictionary
+   */
+  constructor(options = {}) {
+    this.rules = (options.rules || []).map(compileRule);
+    this.hashSalt = options.hashSalt || '';
+    this.enabled = this.rules.length > 0;
+  }
+
+  /**
+   * Pick the columns to redact
+   * @param {string} sheetTitle - Sheet the columns belong to
+   * @param {Array<Object>} columns - { number, letter, header, values } per column, where header
+   *   is the header text (or null) and values the displayed text of the cells being returned
+   * @returns {Map<number, Object>} - Column number -> { column, header, action, reason }
+   */
+  selectColumns(sheetTitle, columns) {
+    const selected = new Map();
+    const rules = this.rules.filter(rule => !rule.sheet || rule.sheet.test(sheetTitle));
+
+    for (const column of columns) {
+      for (const rule of rules) {
+        if (rule.matches(column)) {
+          selected.set(column.number, {
+            column: column.letter,
+            header: column.header,
+            action: rule.action,
+            reason: rule.description,
+          });
+          break;
+        }
+      }
+    }
+    return selected;
+  }
+
+  /**
+   * Whether a single value is picked out by a value regex or detector rule
+   * @param {string} sheetTitle - Sheet the value belongs to
+   * @param {string} value - Displayed text of the cell
+   * @returns {boolean}
+   */
+  isSensitiveValue(sheetTitle, value) {
+    return this.rules.some(rule => rule.matchesValue && (!rule.sheet || rule.sheet.test(sheetTitle)) && rule.matchesValue(value));
+  }
+
+  /**
+   * Replace a value according to an action
+   * @param {*} value - Raw cell value
+   * @param {string} action - 'mask', 'hash' or 'drop'
+   * @returns {string|undefined} - Replacement, or undefined when the value is dropped
+   */
+  redactValue(value, action) {
+    if (action === 'drop') {
+      return undefined;
+    }
+    if (action === 'hash') {
+      const digest = createHash('sha256').update(`${this.hashSalt}${value}`).digest('hex');
+      return `sha256:${digest.slice(0, 12)}`;
+    }
+    return MASK;
+  }
+}
+
+function compileRule(rule, index) {
+  const invalid = message =>
+    new SheetsError(ErrorCode.NOT_CONFIGURED, `Redaction rule ${index + 1} is invalid: ${message}`, {
+      hint: 'Each rule needs one of "header", "column", "pattern" or "detect", and an optional "action" of mask, hash or drop.',
+    });
+
+  const action = rule.action || 'mask';
+  if (!REDACTION_ACTIONS.includes(action)) {
+    throw invalid(`unknown action "${action}".`);
+  }
+  const sheet = rule.sheet ? globToRegExp(rule.sheet) : null;
+
+  if (rule.header) {
+    const header = globToRegExp(rule.header);
+    return { action, sheet, description: `header matches "${rule.header}"`, matches: column => column.header !== null && header.test(column.header.trim()) };
+  }
+  if (rule.column) {
+    const letter = rule.column.trim().toUpperCase();
+    if (!/^[A-Z]+$/.test(letter)) {
+      throw invalid(`"${rule.column}" is not a column letter.`);
+    }
+    return { action, sheet, description: `column ${letter}`, matches: column => column.letter === letter };
+  }
+  if (rule.pattern) {
+    let pattern;
+    try {
+      pattern = new RegExp(rule.pattern);
+    } catch (error) {
+      throw invalid(error.message);
+    }
+    return valueRule(action, sheet, `values match /${rule.pattern}/`, value => pattern.test(value));
+  }
+  if (rule.detect) {
+    const detector = DETECTORS[rule.detect];
+    if (!detector) {
+      throw invalid(`unknown detector "${rule.detect}" (use ${Object.keys(DETECTORS).join(', ')}).`);
+    }
+    return valueRule(action, sheet, `${rule.detect} values`, detector);
+  }
+  throw invalid('it does not say which columns to redact.');
+}
+
+function valueRule(action, sheet, description, matchesValue) {
+  return { action, sheet, description, matchesValue, matches: column => column.values.some(matchesValue) };
+}
+
+// 8 to 15 digits with phone punctuation, written with a leading + or separators; dates are not phones
+function isPhoneNumber(value) {
+  const text = value.trim();
+  if (!/^\+?[\d\s().-]+$/.test(text) || /^\d{1,4}[.-]\d{1,2}[.-]\d{1,4}$/.test(text)) {
+    return false;
+  }
+  const digits = text.replace(/\D/g, '').length;
+  return digits >= 8 && digits <= 15 && (text.startsWith('+') || /\d[\s().-]+\d/.test(text));
+}
+
+// Country code, check digits and account number, passing the ISO 13616 mod-97 check
+function isIban(value) {
+  const text = value.replace(/\s/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(text)) {
+    return false;
+  }
+  const digits = (text.slice(4) + text.slice(0, 4)).replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of digits) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+// 13 to 19 digits, optionally grouped with spaces or dashes, passing the Luhn check
+function isCardNumber(value) {
+  const text = value.trim();
+  if (!/^\d[\d -]{11,22}\d$/.test(text)) {
+    return false;
+  }
+  const digits = text.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) {
+    return false;
+  }
+  let sum = 0;
+  [...digits].reverse().forEach((digit, index) => {
+    let n = Number(digit);
+    if (index % 2 === 1) {
+      n *= 2;
+      if (n > 9) {
+        n -= 9;
+      }
+    }
+    sum += n;
+  });
+  return sum % 10 === 0;
+}
@@ -0,0 +1,311 @@
+import { z } from 'zod';
+
+// Output schemas for the MCP tools, declared as zod shapes for registerTool's outputSchema.
+// They mirror the objects returned by GoogleSheetsService; extra keys are allowed so the
+// service can grow new fields without breaking validation.
+
+const cellValue = z.union([
+  z.string(),
+  z.number(),
+  z.boolean(),
+  z.null(),
+  z.object({ type: z.string(), message: z.string().optional() }).describe('Formula error, e.g. #DIV/0!'),
+]);
+
+const position = z.tuple([z.number().int(), z.number().int()]).describe('1-based [row, column] in sheet coordinates');
+
+const cell = z.object({
+  pos: position,
+  val: cellValue.describe('Raw value'),
+  type: z.string().describe('string, number, currency, percentage, date, boolean, or empty'),
+  fmt: z.string().optional().describe('Formatted value, when it differs from the raw value'),
+  formula: z.string().optional(),
+  hyperlink: z.string().optional(),
+  note: z.string().optional(),
+  format: z.record(z.union([z.string(), z.number(), z.boolean()])).optional(),
+  merge: z.string().optional().describe('A1 range of the merge this cell anchors'),
+  validation: z
+    .object({
+      type: z.string().optional(),
+      values: z.array(z.unknown()),
+      strict: z.boolean(),
+      dropdown: z.boolean(),
+      inputMessage: z.string().optional(),
+    })
+    .optional(),
+  richText: z.array(z.object({ text: z.string() }).passthrough()).optional(),
+});
+
+const redactedColumn = {
+  column: z.string().describe('Column letter'),
+  header: z.string().nullable(),
+  action: z.enum(['mask', 'hash', 'drop']),
+  reason: z.string().describe('The redaction rule that picked the column'),
+};
+
+const redactedColumns = z
+  .array(z.object(redactedColumn))
+  .optional()
+  .describe('Columns whose values were redacted below the header row');
+
+const documentMetadata = {
+  createdTime: z.string().optional(),
+  modifiedTime: z.string().optional(),
+  lastModifyingUser: z.unknown().optional(),
+};
+
+const documentRef = {
+  spreadsheetId: z.string(),
+  spreadsheetTitle: z.string(),
+  spreadsheetUrl: z.string(),
+};
+
+const writeResult = {
+  ...documentRef,
+  sheetTitle: z.string(),
+  updatedRange: z.string(),
+  updatedRows: z.number().int(),
+  updatedColumns: z.number().int(),
+  updatedCells: z.number().int(),
+};
+
+// Added to the results of write tools called with dry_run (see GoogleSheetsService.createDiff)
+const dryRunFields = {
+  dryRun: z.boolean().optional().describe('True when nothing was changed'),
+  diff: z
+    .object({
+      cells: z.array(
+        z.object({
+          sheet: z.string(),
+          address: z.string().describe('A1 address, e.g. B2'),
+          before: z.unknown().describe('Value as entered, or null when empty'),
+          after: z.unknown().describe('Value as entered, or null when cleared'),
+        })
+      ),
+      cellCount: z.number().int().describe('Cells that would change'),
+      overwrittenCells: z.number().int().describe('Cells that would change and already hold a value'),
+      truncated: z.boolean().describe('Whether cells lists only the first 500 changes'),
+      sheets: z.array(
+        z.object({
+          change: z.string().describe('add, rename, duplicate, move, hide, unhide, resize or delete'),
+          sheet: z.string(),
+          before: z.unknown(),
+          after: z.unknown(),
+        })
+      ),
+    })
+    .optional()
+    .describe('What would change, on dry runs'),
+};
+
+const changeIdField = {
+  changeId: z.string().optional().describe('ID of the change in the change journal, for undo_change'),
+};
+
+const changeSummary = z.object({
+  id: z.string(),
+  timestamp: z.string(),
+  action: z.string().describe('What the change did, e.g. "update a range"'),
+  spreadsheetId: z.string(),
+  spreadsheetTitle: z.string(),
+  undone: z.boolean(),
+  operations: z.array(
+    z.object({
+      type: z.string().describe('values, properties, addSheet or deleteSheet'),
+      sheet: z.string().describe('Sheet name at the time of the change'),
+      range: z.string().optional().describe('A1 range written, for values'),
+      cells: z.number().int().optional().describe('Cells changed, for values'),
+      before: z.record(z.unknown()).optional().describe('Title, index, hidden flag or column count before, for properties'),
+      after: z.record(z.unknown()).optional().describe('Title, index, hidden flag or column count after, for properties'),
+    })
+  ),
+});
+
+export const summaryOutputSchema = {
+  id: z.string(),
+  title: z.string(),
+  url: z.string(),
+  sheetCount: z.number().int(),
+  sheetNames: z.array(
+    z.object({
+      name: z.string(),
+      sheetId: z.number().int(),
+      index: z.number().int(),
+      hidden: z.boolean(),
+      rowCount: z.number().int(),
+      columnCount: z.number().int(),
+    })
+  ),
+  metadata: z.object(documentMetadata),
+};
+
+export const sheetChangeOutputSchema = {
+  ...summaryOutputSchema,
+  ...dryRunFields,
+  ...changeIdField,
+};
+
+export const copySpreadsheetOutputSchema = {
+  ...summaryOutputSchema,
+  ...dryRunFields,
+  templateId: z.string(),
+  replacements: z.record(z.number().int()).describe('Occurrences replaced per placeholder name'),
+};
+
+export const sheetDataOutputSchema = {
+  ...documentRef,
+  metadata: z.object({
+    title: z.string(),
+    dimensions: z.object({
+      rows: z.number().int(),
+      columns: z.number().int(),
+      populatedRows: z.number().int(),
+    }),
+    ...documentMetadata,
+    sheetIndex: z.number().int(),
+    gridProperties: z.record(z.unknown()).optional(),
+    page: z
+      .object({
+        startRow: z.number().int(),
+        endRow: z.number().int(),
+        pageSize: z.number().int(),
+        nextCursor: z.string().nullable(),
+      })
+      .nullable(),
+    merges: z.array(z.string()).optional().describe('Merged ranges, when requested'),
+    headerRow: z.number().int().optional().describe('Header row used in records mode'),
+    redactedColumns: redactedColumns,
+  }),
+  cells: z.array(cell).optional().describe('Cells mode output'),
+  columns: z
+    .array(
+      z.object({
+        name: z.string(),
+        column: z.string(),
+        index: z.number().int(),
+        type: z.string(),
+      })
+    )
+    .optional()
+    .describe('Records mode: header columns with inferred types'),
+  records: z
+    .array(z.record(z.unknown()))
+    .optional()
+    .describe('Records mode: one object per row keyed by header name, plus _row'),
+};
+
+export const rangeDataOutputSchema = {
+  ...documentRef,
+  metadata: z.object({
+    title: z.string(),
+    range: z.string(),
+    namedRange: z.string().nullable().optional(),
+    dimensions: z.object({ rows: z.number().int(), columns: z.number().int() }),
+    sheetIndex: z.number().int(),
+    redactedColumns: redactedColumns,
+  }),
+  cells: z.array(cell),
+};
+
+export const formulaMapOutputSchema = {
+  ...documentRef,
+  sheetTitle: z.string(),
+  formulaCount: z.number().int(),
+  formulas: z.array(
+    z.object({
+      address: z.string(),
+      pos: position,
+      formula: z.string(),
+      value: cellValue,
+      precedents: z.array(
+        z.object({
+          sheet: z.string().nullable().optional(),
+          range: z.string().optional(),
+          a1: z.string().optional(),
+          namedRange: z.string().optional(),
+        })
+      ),
+    })
+  ),
+  redactedColumns: redactedColumns,
+};
+
+export const searchOutputSchema = {
+  ...documentRef,
+  query: z.string(),
+  matchType: z.string(),
+  sheetsSearched: z.array(z.string()),
+  totalMatches: z.number().int(),
+  truncated: z.boolean(),
+  matches: z.array(
+    z.object({
+      sheet: z.string(),
+      address: z.string(),
+      pos: position,
+      value: cellValue.describe('Displayed value'),
+      matchedIn: z.enum(['value', 'formula']),
+      row: z.record(cellValue).describe('Non-empty values of the matching row keyed by column letter'),
+      formula: z.string().optional(),
+    })
+  ),
+  redactedColumns: z
+    .array(z.object({ sheet: z.string(), ...redactedColumn }))
+    .optional()
+    .describe('Columns whose values were redacted and left out of the search'),
+};
+
+export const updateRangeOutputSchema = {
+  ...writeResult,
+  ...dryRunFields,
+  ...changeIdField,
+};
+
+export const appendRowsOutputSchema = {
+  ...writeResult,
+  ...dryRunFields,
+  ...changeIdField,
+  headerRow: z.number().int().nullable(),
+  appendedRows: z.number().int(),
+};
+
+export const clearCacheOutputSchema = {
+  spreadsheetId: z.string().nullable().describe('Spreadsheet that was cleared, or null when everything was'),
+  clearedDocuments: z.number().int(),
+  cache: z.object({
+    enabled: z.boolean(),
+    documents: z.number().int(),
+    cells: z.number().int(),
+  }),
+};
+
+export const auditLogOutputSchema = {
+  path: z.string().describe('Audit log file'),
+  entries: z
+    .array(
+      z.object({
+        timestamp: z.string(),
+        tool: z.string(),
+        spreadsheetId: z.string().optional(),
+        sheet: z.string().optional(),
+        range: z.string().optional(),
+        cellsReturned: z.number().int().optional(),
+        cellsChanged: z.number().int().optional(),
+        dryRun: z.boolean().optional().describe('True for write tools called with dry_run'),
+        outcome: z.enum(['success', 'error']),
+        errorCode: z.string().optional(),
+        durationMs: z.number().optional(),
+      })
+    )
+    .describe('Newest first'),
+};
+
+export const changeListOutputSchema = {
+  path: z.string().describe('Change journal file'),
+  changes: z.array(changeSummary).describe('Newest first'),
+};
+
+export const undoChangeOutputSchema = {
+  ...documentRef,
+  undone: z.array(changeSummary).describe('Changes undone (or that would be, on dry runs), newest first'),
+  ...dryRunFields,
+};
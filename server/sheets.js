@@ -1,21 +1,81 @@
+import { URL } from 'node:url';
+import vm from 'node:vm';
 import { GoogleSpreadsheet } from 'google-spreadsheet';
 import { JWT } from 'google-auth-library';
 import { Logger } from './logger.js';
+import { DocumentCache } from './cache.js';
+import { RateLimiter } from './rate-limiter.js';
+import { AccessPolicy } from './policy.js';
+import { MASK, Redactor } from './redaction.js';
+import { auditsWriteValues, recordWrite } from './audit.js';
+import { digestValues, summarizeChange } from './journal.js';
+import { ErrorCode, SheetsError, classifyError } from './errors.js';
+
+// How many rows from the top of a sheet are considered when detecting a header row
+const HEADER_SCAN_ROWS = 10;
+
+// Default cap on search_spreadsheet matches returned in one response
+const DEFAULT_SEARCH_LIMIT = 50;
+
+// Longest regular expression search_spreadsheet accepts
+const MAX_REGEX_LENGTH = 500;
+
+// Time one regular expression search may spend matching before it is abandoned
+const REGEX_TIMEOUT_MS = 1000;
+
+// Google API hosts, swapped for config.apiEndpoint when pointing at a local stand-in
+const SHEETS_API_HOST = 'https://sheets.googleapis.com';
+const DRIVE_API_HOST = 'https://www.googleapis.com';
+
+// How many recently opened spreadsheets are remembered for resources/list
+const MAX_RECENT_DOCUMENTS = 20;
+
+// How many folders up to look for an allowed or denied folder
+const MAX_FOLDER_DEPTH = 20;
+
+// Cell changes listed in a dry-run diff; its counts always cover every cell
+const MAX_DIFF_CELLS = 500;
+
+// Top-left corner of a sheet, where seeded values and whole-sheet diffs start
+const SHEET_ORIGIN = { startRow: 0, startCol: 0 };
 
 export class GoogleSheetsService {
   constructor(config) {
     this.config = config;
     this.logger = new Logger();
     this.auth = null;
+    // Spreadsheet ID -> { id, title, url, sheetNames }, oldest first
+    this.recentDocuments = new Map();
+    this.cache = new DocumentCache(config.cache);
+    this.limiter = new RateLimiter(config.rateLimit);
+    this.policy = new AccessPolicy(config.policy);
+    this.redactor = new Redactor(config.redaction);
+    // ChangeJournal recording what each write replaced so it can be undone, or null
+    this.journal = config.journal || null;
+    // Folder ID -> parent folder IDs, looked up once since folders rarely move
+    this.folderParents = new Map();
   }
 
   async initialize() {
+    if (this.config.apiEndpoint) {
+      this.assertLocalEndpoint(this.config.apiEndpoint);
+    }
+
     try {
-      // Define required scopes for Google Sheets and Drive access
-      const SCOPES = [
-        'https://www.googleapis.com/auth/spreadsheets',
-        'https://www.googleapis.com/auth/drive.file',
-      ];
+      // Define required scopes for Google Sheets and Drive access. Drive metadata (modified time
+      // and parent folders) keeps the cache fresh and checks folder rules without reading files.
+      const SCOPES = this.policy.readOnly
+        ? [
+          'https://www.googleapis.com/auth/spreadsheets.readonly',
+          'https://www.googleapis.com/auth/drive.metadata.readonly',
+        ]
+        : [
+          'https://www.googleapis.com/auth/spreadsheets',
+          'https://www.googleapis.com/auth/drive.file',
+          'https://www.googleapis.com/auth/drive.metadata.readonly',
+          // Copying a template reads the whole file through Drive, so only ask when copies are allowed
+          ...(this.config.allowTemplateCopies ? ['https://www.googleapis.com/auth/drive.readonly'] : []),
+        ];
 
       // Create JWT authentication with proper scopes
       this.auth = new JWT({
@@ -24,11 +84,18 @@ export class GoogleSheetsService {
         scopes: SCOPES,
       });
 
+      if (this.config.apiEndpoint) {
+        // A custom endpoint has no OAuth token server, so sign the access token locally
+        this.auth.useJWTAccessWithScope = true;
+      }
+
       this.logger.info('Google authentication configured with JWT and scopes');
     } catch (error) {
       this.logger.error('Failed to configure Google authentication:', error);
-      throw new Error(
-        'Authentication configuration failed. Please check your service account credentials.'
+      throw new SheetsError(
+        ErrorCode.AUTH_FAILED,
+        'Authentication configuration failed. Please check your service account credentials.',
+        { cause: error }
       );
     }
   }
@@ -54,14 +121,12 @@ export class GoogleSheetsService {
         }
       }
 
-      throw new Error(
-        'Could not extract sheet ID from URL. Please provide a valid Google Sheets URL.'
-      );
+      throw new Error('Could not extract sheet ID from URL.');
     } catch (error) {
       this.logger.error('Error extracting sheet ID from URL:', error);
-      throw new Error(
-        'Invalid Google Sheets URL format. Please provide a valid Google Sheets URL.'
-      );
+      throw new SheetsError(ErrorCode.INVALID_URL, 'Invalid Google Sheets URL format.', {
+        hint: 'Use the full URL from the browser, e.g. https://docs.google.com/spreadsheets/d/<spreadsheet id>/edit',
+      });
     }
   }
 
@@ -72,31 +137,21 @@ export class GoogleSheetsService {
    */
   async getSpreadsheetSummary(url) {
     try {
-      if (!this.auth) {
-        throw new Error('Service not initialized. Call initialize() first.');
-      }
-
       this.logger.info('Retrieving spreadsheet summary...');
 
-      // Extract sheet ID from URL
-      const sheetId = this.extractSheetIdFromUrl(url);
-      this.logger.info('Extracted sheet ID from URL');
-
-      // Create Google Spreadsheet instance
-      const doc = new GoogleSpreadsheet(sheetId, this.auth);
-
-      // Load document properties only (no cell data)
-      await doc.loadInfo();
+      // Load document properties
+      const { sheetId, doc } = await this.loadDocument(url);
 
       this.logger.info(`Spreadsheet loaded with ${doc.sheetCount} sheets`);
 
-      // Get sheet names without loading cell data
+      // Get sheet names without loading cell data, leaving out sheets the access policy blocks
       const sheetNames = [];
-      for (let i = 0; i < doc.sheetCount; i++) {
-        const sheet = doc.sheetsByIndex[i];
+      for (const sheet of this.getAllowedSheets(doc)) {
         sheetNames.push({
           name: sheet.title,
+          sheetId: sheet.sheetId,
           index: sheet.index,
+          hidden: Boolean(sheet.hidden),
           rowCount: sheet.rowCount,
           columnCount: sheet.columnCount,
         });
@@ -105,8 +160,8 @@ export class GoogleSheetsService {
       const result = {
         id: sheetId,
         title: doc.title,
-        url: doc.spreadsheetUrl,
-        sheetCount: doc.sheetCount,
+        url: this.getDocumentUrl(doc),
+        sheetCount: sheetNames.length,
         sheetNames: sheetNames,
         metadata: {
           createdTime: doc.createdTime,
@@ -119,182 +174,3337 @@ export class GoogleSheetsService {
       return result;
     } catch (error) {
       this.logger.error('Error retrieving spreadsheet summary:', error);
-      throw new Error(
-        'Failed to retrieve spreadsheet summary. Please check the URL and your permissions.'
+      throw this.toSheetsError(error, 'Failed to retrieve spreadsheet summary');
+    }
+  }
+
+  /**
+   * Add a worksheet, optionally with a header row and grid size
+   * @param {string} url - Google Sheets URL
+   * @param {Object} properties - New sheet properties
+   * @param {string} properties.title - Title of the new sheet
+   * @param {Array<string>} [properties.headers] - Values for the first row
+   * @param {number} [properties.rowCount] - Number of rows (default 1000)
+   * @param {number} [properties.columnCount] - Number of columns (default 26, or more to fit headers)
+   * @param {number} [properties.index] - 0-based tab position (default last)
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only report what would change (see previewSummary)
+   * @returns {Object} - Updated spreadsheet summary, with the changeId of the journal entry
+   */
+  async addSheet(url, properties, options = {}) {
+    let change = null;
+    try {
+      this.policy.assertWritable('add a sheet');
+      const { doc } = await this.loadDocument(url);
+
+      if (doc.sheetsByTitle[properties.title]) {
+        throw new SheetsError(ErrorCode.INVALID_ARGUMENT, `A sheet named "${properties.title}" already exists.`);
+      }
+
+      const headers = properties.headers || [];
+      const gridProperties = {
+        rowCount: properties.rowCount || 1000,
+        columnCount: properties.columnCount || Math.max(26, headers.length),
+      };
+
+      if (options.dryRun) {
+        const diff = this.createDiff();
+        diff.sheets.push({
+          change: 'add',
+          sheet: properties.title,
+          before: null,
+          after: { index: properties.index ?? doc.sheetCount, ...gridProperties },
+        });
+        this.addCellChanges(diff, properties.title, SHEET_ORIGIN, [], headers.length > 0 ? [headers] : []);
+        return this.previewSummary(url, diff);
+      }
+
+      change = this.beginChange('add a sheet', doc);
+      const sheet = await this.limiter.run('sheets.write', 'add a sheet', () =>
+        doc.addSheet({
+          title: properties.title,
+          ...(properties.index !== undefined && { index: properties.index }),
+          gridProperties: gridProperties,
+        })
       );
+      this.invalidateDocument(doc);
+      const added = { type: 'addSheet', sheetId: sheet.sheetId, sheet: sheet.title, digest: digestValues([]) };
+      change?.operations.push(added);
+      // Written separately so a retried header write cannot add the sheet twice
+      if (headers.length > 0) {
+        await this.limiter.run('sheets.write', 'write the header row', () => sheet.setHeaderRow(headers));
+        added.digest = digestValues([headers]);
+      }
+
+      this.logger.info(`Added sheet "${properties.title}"`);
+      const changeId = await this.commitChange(change);
+      return { ...(await this.getSpreadsheetSummary(url)), ...(changeId && { changeId }) };
+    } catch (error) {
+      // A sheet added before the header write failed can still be undone
+      await this.commitChange(change);
+      this.logger.error('Error adding sheet:', error);
+      throw this.toSheetsError(error, 'Failed to add sheet');
     }
   }
 
   /**
-   * Get data for a specific sheet by URL and sheet name
+   * Rename a worksheet
    * @param {string} url - Google Sheets URL
-   * @param {string} sheetName - Name of the specific sheet to retrieve
-   * @returns {Object} - Sheet data for the specified sheet
+   * @param {string} sheetName - Current sheet name
+   * @param {string} newName - New sheet name
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only report what would change (see previewSummary)
+   * @returns {Object} - Updated spreadsheet summary, with the changeId of the journal entry
    */
-  async getSheetData(url, sheetName) {
+  async renameSheet(url, sheetName, newName, options = {}) {
     try {
-      if (!this.auth) {
-        throw new Error('Service not initialized. Call initialize() first.');
+      this.policy.assertWritable('rename a sheet');
+      const { doc, sheet } = await this.loadSheetByName(url, sheetName, { closest: false });
+
+      if (doc.sheetsByTitle[newName]) {
+        throw new SheetsError(ErrorCode.INVALID_ARGUMENT, `A sheet named "${newName}" already exists.`);
       }
 
-      this.logger.info('Retrieving specific sheet data...');
+      if (options.dryRun) {
+        return this.previewSheetChange(url, { change: 'rename', sheet: sheet.title, before: sheet.title, after: newName });
+      }
 
-      // Extract sheet ID from URL
-      const sheetId = this.extractSheetIdFromUrl(url);
-      this.logger.info('Extracted sheet ID from URL');
+      const change = this.beginChange('rename a sheet', doc);
+      change?.operations.push({ type: 'properties', sheetId: sheet.sheetId, sheet: sheet.title, before: { title: sheet.title }, after: { title: newName } });
+      await this.limiter.run('sheets.write', 'rename a sheet', () => sheet.updateProperties({ title: newName }));
+      this.invalidateDocument(doc);
 
-      // Create Google Spreadsheet instance
-      const doc = new GoogleSpreadsheet(sheetId, this.auth);
+      this.logger.info(`Renamed sheet "${sheetName}" to "${newName}"`);
+      const changeId = await this.commitChange(change);
+      return { ...(await this.getSpreadsheetSummary(url)), ...(changeId && { changeId }) };
+    } catch (error) {
+      this.logger.error('Error renaming sheet:', error);
+      throw this.toSheetsError(error, 'Failed to rename sheet');
+    }
+  }
 
-      // Load document properties
-      await doc.loadInfo();
+  /**
+   * Duplicate a worksheet within the spreadsheet or into another spreadsheet
+   * @param {string} url - Google Sheets URL of the source spreadsheet
+   * @param {string} sheetName - Name of the sheet to duplicate
+   * @param {Object} [options] - Duplicate options
+   * @param {string} [options.newName] - Name for the copy
+   * @param {string} [options.destinationUrl] - Spreadsheet to copy into (defaults to the source)
+   * @param {boolean} [options.dryRun] - Only report what would change (see previewSummary)
+   * @returns {Object} - Updated summary of the spreadsheet that received the copy, with the
+   *   changeId of the journal entry
+   */
+  async duplicateSheet(url, sheetName, options = {}) {
+    let change = null;
+    try {
+      this.policy.assertWritable('duplicate a sheet');
+      const { sheetId, doc, sheet } = await this.loadSheetByName(url, sheetName, { closest: false });
+      const copyTitle = options.newName || `Copy of ${sheet.title}`;
 
-      this.logger.info(`Spreadsheet loaded with ${doc.sheetCount} sheets`);
+      if (!options.destinationUrl) {
+        if (options.newName && doc.sheetsByTitle[options.newName]) {
+          throw new SheetsError(ErrorCode.INVALID_ARGUMENT, `A sheet named "${options.newName}" already exists.`);
+        }
+        if (options.dryRun) {
+          return this.previewSheetChange(url, {
+            change: 'duplicate',
+            sheet: sheet.title,
+            before: null,
+            after: { title: copyTitle, spreadsheetId: sheetId },
+          });
+        }
+        change = this.beginChange('duplicate a sheet', doc);
+        const copy = await this.limiter.run('sheets.write', 'duplicate a sheet', () =>
+          sheet.duplicate({ ...(options.newName && { title: options.newName }) })
+        );
+        this.invalidateDocument(doc);
+        await this.recordAddedSheet(change, doc, copy);
 
-      // Find the specific sheet by name
-      const sheet = doc.sheetsByTitle[sheetName];
-      if (!sheet) {
-        throw new Error('Specified sheet not found. Please check the sheet name and try again.');
+        this.logger.info(`Duplicated sheet "${sheetName}"`);
+        const changeId = await this.commitChange(change);
+        return { ...(await this.getSpreadsheetSummary(url)), ...(changeId && { changeId }) };
       }
 
-      // Load cell data for the specific sheet
-      await sheet.loadCells();
+      const destination = await this.loadDocument(options.destinationUrl);
+      if (options.newName && destination.doc.sheetsByTitle[options.newName]) {
+        throw new SheetsError(ErrorCode.INVALID_ARGUMENT, `A sheet named "${options.newName}" already exists in the destination spreadsheet.`);
+      }
+      if (options.dryRun) {
+        return this.previewSheetChange(options.destinationUrl, {
+          change: 'duplicate',
+          sheet: sheet.title,
+          before: null,
+          after: { title: copyTitle, spreadsheetId: destination.sheetId },
+        });
+      }
 
-      // Extract cell data in new 2D array format
-      const extractedData = this.extractCellData(sheet);
+      change = this.beginChange('duplicate a sheet', destination.doc);
+      const response = await this.limiter.run('sheets.write', 'copy a sheet', () =>
+        sheet.copyToSpreadsheet(destination.sheetId)
+      );
+      this.invalidateDocument(destination.doc);
+      if (change || options.newName) {
+        await this.limiter.run('sheets.read', 'load spreadsheet info', () => destination.doc.loadInfo());
+      }
+      const copy = destination.doc.sheetsById[response.data.sheetId];
+      const added = await this.recordAddedSheet(change, destination.doc, copy);
 
-      const result = {
-        spreadsheetId: sheetId,
-        spreadsheetTitle: doc.title,
-        spreadsheetUrl: doc.spreadsheetUrl,
-        metadata: {
-          title: extractedData.metadata.title,
-          dimensions: extractedData.metadata.dimensions,
-          createdTime: doc.createdTime,
-          modifiedTime: doc.modifiedTime,
-          lastModifyingUser: doc.lastModifyingUser,
-          sheetIndex: sheet.index,
-          gridProperties: sheet.gridProperties,
-        },
-        cells: extractedData.cells,
-      };
+      // Copies land as "Copy of <name>", so rename afterwards if asked
+      if (options.newName) {
+        await this.limiter.run('sheets.write', 'rename a sheet', () => copy.updateProperties({ title: options.newName }));
+        if (added) {
+          added.sheet = options.newName;
+        }
+      }
 
-      this.logger.info('Successfully retrieved specific sheet data');
-      return result;
+      this.logger.info(`Copied sheet "${sheetName}" into another spreadsheet`);
+      const changeId = await this.commitChange(change);
+      return { ...(await this.getSpreadsheetSummary(options.destinationUrl)), ...(changeId && { changeId }) };
     } catch (error) {
-      this.logger.error('Error retrieving sheet data:', error);
-      throw new Error(
-        'Failed to retrieve sheet data. Please check the sheet name and your permissions.'
-      );
+      // A copy made before the rename failed can still be undone
+      await this.commitChange(change);
+      this.logger.error('Error duplicating sheet:', error);
+      throw this.toSheetsError(error, 'Failed to duplicate sheet');
     }
   }
 
-  extractCellData(sheet) {
-    const cells = [];
-    const maxRow = sheet.rowCount;
-    const maxCol = sheet.columnCount;
+  /**
+   * Move a worksheet to a new tab position
+   * @param {string} url - Google Sheets URL
+   * @param {string} sheetName - Name of the sheet to move
+   * @param {number} index - 0-based target position
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only report what would change (see previewSummary)
+   * @returns {Object} - Updated spreadsheet summary, with the changeId of the journal entry
+   */
+  async moveSheet(url, sheetName, index, options = {}) {
+    try {
+      this.policy.assertWritable('move a sheet');
+      const { doc, sheet } = await this.loadSheetByName(url, sheetName, { closest: false });
 
-    for (let row = 0; row < maxRow; row++) {
-      for (let col = 0; col < maxCol; col++) {
-        const cell = sheet.getCell(row, col);
+      if (index < 0 || index >= doc.sheetCount) {
+        throw new SheetsError(ErrorCode.INVALID_ARGUMENT, `Index must be between 0 and ${doc.sheetCount - 1}.`);
+      }
+      if (options.dryRun) {
+        return this.previewSheetChange(url, { change: 'move', sheet: sheet.title, before: sheet.index, after: index });
+      }
 
-        // Only include cells that have some content
-        if (cell.value !== null && cell.value !== undefined && cell.value !== '' && 
-            cell.formattedValue !== null && cell.formattedValue !== undefined && cell.formattedValue !== '') {
-          
-          const cellData = {
-            pos: [row + 1, col + 1], // Convert to 1-based indexing [row, column]
-            val: cell.value, // Raw value
-            type: this.detectCellType(cell)
-          };
+      const change = this.beginChange('move a sheet', doc);
+      change?.operations.push({ type: 'properties', sheetId: sheet.sheetId, sheet: sheet.title, before: { index: sheet.index }, after: { index } });
+      const targetIndex = this.getMoveTargetIndex(sheet.index, index);
+      await this.limiter.run('sheets.write', 'move a sheet', () => sheet.updateProperties({ index: targetIndex }));
+      this.invalidateDocument(doc);
 
-          // Add formatted value if different from raw value
-          if (cell.formattedValue && cell.formattedValue !== cell.value) {
-            cellData.fmt = cell.formattedValue;
-          }
+      this.logger.info(`Moved sheet "${sheetName}" to index ${index}`);
+      const changeId = await this.commitChange(change);
+      return { ...(await this.getSpreadsheetSummary(url)), ...(changeId && { changeId }) };
+    } catch (error) {
+      this.logger.error('Error moving sheet:', error);
+      throw this.toSheetsError(error, 'Failed to move sheet');
+    }
+  }
 
-          // Add hyperlink if present
-          try {
-            if (cell.hyperlink) {
-              cellData.hyperlink = cell.hyperlink;
-            }
-          } catch {
-            /* ignore */
-          }
+  /**
+   * Hide or unhide a worksheet
+   * @param {string} url - Google Sheets URL
+   * @param {string} sheetName - Name of the sheet
+   * @param {boolean} hidden - true to hide, false to show
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only report what would change (see previewSummary)
+   * @returns {Object} - Updated spreadsheet summary, with the changeId of the journal entry
+   */
+  async setSheetHidden(url, sheetName, hidden, options = {}) {
+    try {
+      this.policy.assertWritable('change sheet visibility');
+      const { doc, sheet } = await this.loadSheetByName(url, sheetName, { closest: false });
 
-          cells.push(cellData);
-        }
+      if (hidden && doc.sheetsByIndex.filter(other => !other.hidden).length === 1 && !sheet.hidden) {
+        throw new SheetsError(ErrorCode.INVALID_ARGUMENT, 'Cannot hide the only visible sheet.');
       }
+      if (options.dryRun) {
+        return this.previewSheetChange(url, { change: hidden ? 'hide' : 'unhide', sheet: sheet.title, before: sheet.hidden, after: hidden });
+      }
+
+      const change = this.beginChange('change sheet visibility', doc);
+      change?.operations.push({ type: 'properties', sheetId: sheet.sheetId, sheet: sheet.title, before: { hidden: Boolean(sheet.hidden) }, after: { hidden } });
+      await this.limiter.run('sheets.write', 'change sheet visibility', () => sheet.updateProperties({ hidden }));
+      this.invalidateDocument(doc);
+
+      this.logger.info(`${hidden ? 'Hid' : 'Unhid'} sheet "${sheetName}"`);
+      const changeId = await this.commitChange(change);
+      return { ...(await this.getSpreadsheetSummary(url)), ...(changeId && { changeId }) };
+    } catch (error) {
+      this.logger.error('Error changing sheet visibility:', error);
+      throw this.toSheetsError(error, 'Failed to change sheet visibility');
     }
+  }
 
-    return {
-      metadata: {
-        title: sheet.title,
-        dimensions: {
-          rows: maxRow,
-          columns: maxCol
+  /**
+   * Delete a worksheet
+   * @param {string} url - Google Sheets URL
+   * @param {string} sheetName - Name of the sheet to delete
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only report what would change, including every cell that
+   *   would be lost (see previewSummary)
+   * @param {number} [options.maxOverwrittenCells] - Refuse with CONFLICT, before deleting, if the
+   *   sheet now holds more values than this
+   * @returns {Object} - Updated spreadsheet summary, with the changeId of the journal entry
+   */
+  async deleteSheet(url, sheetName, options = {}) {
+    try {
+      this.policy.assertWritable('delete a sheet');
+      const { doc, sheet } = await this.loadSheetByName(url, sheetName, { closest: false });
+
+      if (doc.sheetCount === 1) {
+        throw new SheetsError(ErrorCode.INVALID_ARGUMENT, 'Cannot delete the only sheet in a spreadsheet.');
+      }
+      const change = options.dryRun ? null : this.beginChange('delete a sheet', doc);
+      const bounded = options.maxOverwrittenCells !== undefined;
+      const [before] = options.dryRun || change || bounded ? await this.batchGetValues(doc, [sheet.a1SheetName], 'FORMULA') : [];
+      if (options.dryRun || bounded) {
+        const diff = this.createDiff();
+        diff.sheets.push({
+          change: 'delete',
+          sheet: sheet.title,
+          before: { index: sheet.index, rowCount: sheet.rowCount, columnCount: sheet.columnCount },
+          after: null,
+        });
+        this.addCellChanges(diff, sheet.title, SHEET_ORIGIN, before, before.map(row => row.map(() => '')));
+        if (options.dryRun) {
+          await this.redactDiff(doc, diff);
+          return this.previewSummary(url, diff);
         }
-      },
-      cells: cells
-    };
+        // Values may have been added since the user confirmed the deletion
+        this.assertOverwriteConfirmed(diff, options.maxOverwrittenCells);
+      }
+
+      change?.operations.push({
+        type: 'deleteSheet',
+        sheetId: sheet.sheetId,
+        sheet: sheet.title,
+        properties: {
+          title: sheet.title,
+          index: sheet.index,
+          hidden: Boolean(sheet.hidden),
+          rowCount: sheet.rowCount,
+          columnCount: sheet.columnCount,
+        },
+        values: before,
+      });
+      await this.limiter.run('sheets.write', 'delete a sheet', () => sheet.delete());
+      this.invalidateDocument(doc);
+
+      this.logger.info(`Deleted sheet "${sheetName}"`);
+      const changeId = await this.commitChange(change);
+      return { ...(await this.getSpreadsheetSummary(url)), ...(changeId && { changeId }) };
+    } catch (error) {
+      this.logger.error('Error deleting sheet:', error);
+      throw this.toSheetsError(error, 'Failed to delete sheet');
+    }
   }
 
   /**
-   * Detect the type of a cell based on its value and formatting
-   * @param {Object} cell - Google Sheets cell object
-   * @returns {string} - Detected type: string, number, currency, percentage, date, boolean
+   * Create a new spreadsheet with an initial set of worksheets and optional seed data
+   * @param {Object} properties - New spreadsheet properties
+   * @param {string} properties.title - Title of the spreadsheet
+   * @param {Array<Object>} [properties.sheets] - Worksheets as { title, headers?, rows? }
+   * @param {Array<string>} [properties.shareWith] - Emails or domains to give edit access
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only report the sheets and cells that would be created; the
+   *   summary then has an empty id and url and no sheetNames
+   * @returns {Object} - Summary of the new spreadsheet
    */
-  detectCellType(cell) {
-    // Check if it's a boolean
-    if (typeof cell.value === 'boolean') {
-      return 'boolean';
+  async createSpreadsheet(properties, options = {}) {
+    try {
+      this.policy.assertWritable('create a spreadsheet');
+
+      if (!this.auth) {
+        throw new SheetsError(ErrorCode.NOT_CONFIGURED, 'Service not initialized. Call initialize() first.');
+      }
+
+      this.logger.info('Creating spreadsheet...');
+
+      const sheets = properties.sheets && properties.sheets.length > 0
+        ? properties.sheets
+        : [{ title: 'Sheet1' }];
+      const titles = sheets.map(sheet => sheet.title);
+      if (new Set(titles).size !== titles.length) {
+        throw new SheetsError(ErrorCode.INVALID_ARGUMENT, 'Worksheet titles must be unique.');
+      }
+      if (options.dryRun) {
+        const diff = this.createDiff();
+        sheets.forEach((sheetProperties, index) => {
+          diff.sheets.push({ change: 'add', sheet: sheetProperties.title, before: null, after: { index } });
+          const values = [...(sheetProperties.headers ? [sheetProperties.headers] : []), ...(sheetProperties.rows || [])];
+          this.addCellChanges(diff, sheetProperties.title, SHEET_ORIGIN, [], values);
+        });
+        return this.previewNewSpreadsheet(properties.title, sheets.length, diff);
+      }
+
+      const response = await this.limiter.run('sheets.write', 'create a spreadsheet', () =>
+        this.auth.request({
+          url: `${this.getApiHost(SHEETS_API_HOST)}/v4/spreadsheets`,
+          method: 'POST',
+          data: { properties: { title: properties.title } },
+        })
+      );
+      this.policy.allowCreated(response.data.spreadsheetId);
+      const doc = this.openDocument(response.data.spreadsheetId);
+      await this.limiter.run('sheets.read', 'load spreadsheet info', () => doc.loadInfo());
+
+      // A new document comes with one default sheet, so reuse it for the first worksheet
+      await this.limiter.run('sheets.write', 'rename a sheet', () =>
+        doc.sheetsByIndex[0].updateProperties({ title: sheets[0].title })
+      );
+      for (const sheet of sheets.slice(1)) {
+        await this.limiter.run('sheets.write', 'add a sheet', () => doc.addSheet({ title: sheet.title }));
+      }
+
+      for (const sheetProperties of sheets) {
+        const values = [
+          ...(sheetProperties.headers ? [sheetProperties.headers] : []),
+          ...(sheetProperties.rows || []),
+        ];
+        if (values.length > 0) {
+          await this.seedSheet(doc, doc.sheetsByTitle[sheetProperties.title], values);
+        }
+      }
+
+      await this.shareDocument(doc, properties.shareWith);
+
+      this.logger.info('Successfully created spreadsheet');
+      return this.getSpreadsheetSummary(this.getDocumentUrl(doc));
+    } catch (error) {
+      this.logger.error('Error creating spreadsheet:', error);
+      throw this.toSheetsError(error, 'Failed to create spreadsheet');
     }
+  }
 
-    // Check if it's a number
-    if (typeof cell.value === 'number') {
-      const formatted = cell.formattedValue || '';
-      
-      // Check for percentage
-      if (formatted.includes('%')) {
-        return 'percentage';
+  /**
+   * Copy a template spreadsheet and fill {{placeholder}} markers across all of its sheets
+   * @param {string} templateUrl - Google Sheets URL of the template
+   * @param {Object} [options] - Copy options
+   * @param {string} [options.title] - Title of the copy (default "Copy of <template title>")
+   * @param {Object} [options.placeholders] - Values keyed by placeholder name, e.g. { client_name: 'Acme' }
+   * @param {Array<string>} [options.shareWith] - Emails or domains to give edit access
+   * @param {boolean} [options.dryRun] - Only report the placeholders that would be filled, read from
+   *   the template; the summary then has an empty id and url and no sheetNames
+   * @returns {Object} - Summary of the copy plus replacement counts per placeholder
+   */
+  async copySpreadsheet(templateUrl, options = {}) {
+    try {
+      this.logger.info('Copying spreadsheet...');
+      this.policy.assertWritable('copy a spreadsheet');
+      if (!this.config.allowTemplateCopies) {
+        throw new SheetsError(ErrorCode.NOT_CONFIGURED, 'Copying spreadsheets is turned off.', {
+          hint: 'Set SHEETS_ALLOW_TEMPLATE_COPIES=true ("Allow Template Copies"); it grants read access to every Drive file shared with the service account.',
+        });
       }
-      
-      // Check for currency symbols
-      if (formatted.match(/[$£€¥₹₽₩]/)) {
-        return 'currency';
+
+      const template = await this.loadDocument(templateUrl);
+      await this.assertCopyable(template.doc, options.shareWith);
+      const title = options.title || `Copy of ${template.doc.title}`;
+      if (options.dryRun) {
+        return this.previewTemplateCopy(template, title, options.placeholders);
       }
-      
-      // Check for date patterns (basic detection)
-      if (formatted.match(/\d{1,2}\/\d{1,2}\/\d{2,4}|\d{1,2}-\d{1,2}-\d{2,4}/)) {
-        return 'date';
+
+      const response = await this.limiter.run('drive.write', 'copy a spreadsheet', () =>
+        template.doc.driveApi.post('/copy', {
+          name: title,
+        })
+      );
+
+      this.policy.allowCreated(response.data.id);
+      const doc = this.openDocument(response.data.id);
+      await this.limiter.run('sheets.read', 'load spreadsheet info', () => doc.loadInfo());
+
+      // Drive copies the whole file, so drop the sheets the policy hides before anyone can open it
+      const deniedSheets = doc.sheetsByIndex.filter(sheet => !this.policy.isSheetAllowed(sheet.title));
+      if (deniedSheets.length > 0) {
+        const requests = deniedSheets.map(sheet => ({ deleteSheet: { sheetId: sheet.sheetId } }));
+        await this.limiter.run('sheets.write', 'remove blocked sheets', () =>
+          doc.sheetsApi.post(':batchUpdate', { requests })
+        );
+        await this.limiter.run('sheets.read', 'load spreadsheet info', () => doc.loadInfo());
       }
-      
-      return 'number';
+
+      const placeholders = Object.entries(options.placeholders || {});
+      const replacements = {};
+      if (placeholders.length > 0) {
+        const requests = placeholders.map(([name, value]) => ({
+          findReplace: {
+            find: `{{${name}}}`,
+            replacement: String(value),
+            allSheets: true,
+            matchCase: true,
+            includeFormulas: true,
+          },
+        }));
+        const result = await this.limiter.run('sheets.write', 'fill placeholders', () =>
+          doc.sheetsApi.post(':batchUpdate', { requests })
+        );
+        placeholders.forEach(([name], index) => {
+          const reply = result.data.replies[index].findReplace || {};
+          replacements[name] = reply.occurrencesChanged || 0;
+        });
+      }
+
+      await this.shareDocument(doc, options.shareWith);
+
+      this.logger.info('Successfully copied spreadsheet');
+      const summary = await this.getSpreadsheetSummary(this.getDocumentUrl(doc));
+      return { ...summary, templateId: template.sheetId, replacements };
+    } catch (error) {
+      this.logger.error('Error copying spreadsheet:', error);
+      throw this.toSheetsError(error, 'Failed to copy spreadsheet');
     }
+  }
 
-    // Check if string looks like a date
-    if (typeof cell.value === 'string') {
-      const datePattern = /\d{1,2}\/\d{1,2}\/\d{2,4}|\d{1,2}-\d{1,2}-\d{2,4}|\d{4}-\d{2}-\d{2}/;
-      if (datePattern.test(cell.value)) {
-        return 'date';
+  /**
+   * Refuse a template copy that would expose what this server hides: a template with no sheet
+   * the policy allows, or one with redacted cells when the copy is to be shared with people
+   * @param {GoogleSpreadsheet} doc - Template spreadsheet
+   * @param {Array<string>} [shareWith] - Emails or domains the copy would be shared with
+   */
+  async assertCopyable(doc, shareWith) {
+    const sheets = this.getAllowedSheets(doc);
+    if (sheets.length === 0) {
+      throw new SheetsError(ErrorCode.POLICY_DENIED, 'Every sheet of the template is blocked by the access policy.', {
+        hint: 'Copy a template with at least one sheet the policy allows.',
+      });
+    }
+    if (!shareWith?.length || !this.redactor.enabled) {
+      return;
+    }
+
+    const sheetValues = await this.batchGetValues(doc, sheets.map(sheet => sheet.a1SheetName), 'FORMATTED_VALUE');
+    const redactedSheet = sheets.find((sheet, index) => this.redactRows(sheet, sheetValues[index]).redacted.size > 0);
+    if (redactedSheet) {
+      throw new SheetsError(ErrorCode.POLICY_DENIED, `Sheet "${redactedSheet.title}" of the template has redacted cells, so its copy cannot be shared.`, {
+        hint: 'Copy it without share_with, or use a template without sensitive columns.',
+      });
+    }
+  }
+
+  /**
+   * Write seed values into a sheet starting at A1, growing the grid if needed
+   * @param {GoogleSpreadsheet} doc - Spreadsheet containing the sheet
+   * @param {Object} sheet - Google Sheets worksheet
+   * @param {Array<Array>} values - Rows of values
+   */
+  async seedSheet(doc, sheet, values) {
+    const columnCount = Math.max(...values.map(row => row.length));
+    if (values.length > sheet.rowCount || columnCount > sheet.columnCount) {
+      await this.limiter.run('sheets.write', 'resize a sheet', () =>
+        sheet.resize({
+          rowCount: Math.max(sheet.rowCount, values.length),
+          columnCount: Math.max(sheet.columnCount, columnCount),
+        })
+      );
+    }
+
+    const anchor = { startRow: 0, endRow: 1, startCol: 0, endCol: 1 };
+    const targetRange = this.formatA1Range(sheet, this.getWriteBounds(sheet, anchor, values));
+    await this.writeValues(doc, targetRange, values);
+  }
+
+  /**
+   * Give edit access on a spreadsheet the service account owns
+   * @param {GoogleSpreadsheet} doc - Spreadsheet to share
+   * @param {Array<string>} [shareWith] - Emails or domains
+   */
+  async shareDocument(doc, shareWith) {
+    for (const emailAddressOrDomain of shareWith || []) {
+      await this.limiter.run('drive.write', 'share a spreadsheet', () =>
+        doc.share(emailAddressOrDomain, { role: 'writer', emailMessage: false })
+      );
+      this.logger.info('Shared spreadsheet');
+    }
+  }
+
+  /**
+   * Load a spreadsheet's properties by URL
+   * @param {string} url - Google Sheets URL
+   * @returns {Object} - { sheetId, doc } with document info loaded
+   */
+  async loadDocument(url) {
+    if (!this.auth) {
+      throw new SheetsError(ErrorCode.NOT_CONFIGURED, 'Service not initialized. Call initialize() first.');
+    }
+
+    const sheetId = this.extractSheetIdFromUrl(url);
+    await this.checkSpreadsheetAccess(sheetId);
+    const doc = (await this.getCachedDocument(sheetId)) || (await this.fetchDocument(sheetId));
+    this.rememberDocument(doc);
+
+    return { sheetId, doc };
+  }
+
+  /**
+   * Reuse a cached document if Drive reports it unchanged since it was loaded
+   * @param {string} sheetId - Spreadsheet ID
+   * @returns {GoogleSpreadsheet|null} - Cached document, or null if missing or stale
+   */
+  async getCachedDocument(sheetId) {
+    const entry = this.cache.get(sheetId);
+    if (!entry) {
+      return null;
+    }
+
+    try {
+      if ((await this.readModifiedTime(entry.doc)) === entry.modifiedTime) {
+        this.logger.debug(`Cache hit for spreadsheet ${sheetId}`);
+        return entry.doc;
       }
+    } catch (error) {
+      this.logger.warn(`Could not check spreadsheet ${sheetId} for changes: ${error.message}`);
     }
 
-    // Default to string for text and other types
-    return 'string';
+    this.cache.delete(sheetId);
+    return null;
   }
 
   /**
-   * Convert column number to Excel-style letter (1 = A, 26 = Z, 27 = AA, etc.)
-   * @param {number} colNum - Column number (1-based)
-   * @returns {string} - Excel-style column letter
+   * Load a document's properties from the API and cache it
+   * @param {string} sheetId - Spreadsheet ID
+   * @returns {GoogleSpreadsheet} - Document with info loaded
    */
-  columnToLetter(colNum) {
-    let result = '';
-    while (colNum > 0) {
-      colNum--;
-      result = String.fromCharCode(65 + (colNum % 26)) + result;
-      colNum = Math.floor(colNum / 26);
+  async fetchDocument(sheetId) {
+    const doc = this.openDocument(sheetId);
+    if (!this.cache.enabled) {
+      await this.limiter.run('sheets.read', 'load spreadsheet info', () => doc.loadInfo());
+      return doc;
+    }
+
+    // Read the version first, so an edit landing during loadInfo leaves the entry stale rather than wrongly current
+    let modifiedTime = null;
+    try {
+      modifiedTime = await this.readModifiedTime(doc);
+    } catch (error) {
+      this.logger.warn(`Not caching spreadsheet ${sheetId}: ${error.message}`);
+    }
+
+    await this.limiter.run('sheets.read', 'load spreadsheet info', () => doc.loadInfo());
+    if (modifiedTime) {
+      this.cache.set(sheetId, doc, modifiedTime);
+    }
+    return doc;
+  }
+
+  /**
+   * Load a block of cells into a sheet unless the cached document already holds them
+   * @param {GoogleSpreadsheet} doc - Spreadsheet containing the sheet
+   * @param {Object} sheet - Google Sheets worksheet
+   * @param {Object|null} bounds - 0-based, end-exclusive bounds (null for the whole sheet)
+   */
+  async loadCells(doc, sheet, bounds) {
+    const block = bounds || { startRow: 0, endRow: sheet.rowCount, startCol: 0, endCol: sheet.columnCount };
+    if (this.cache.hasCells(doc, sheet.sheetId, block)) {
+      return;
+    }
+
+    const filter = bounds && {
+      startRowIndex: bounds.startRow,
+      endRowIndex: bounds.endRow,
+      startColumnIndex: bounds.startCol,
+      endColumnIndex: bounds.endCol,
+    };
+    await this.limiter.run('sheets.read', 'load cells', () => (filter ? sheet.loadCells(filter) : sheet.loadCells()));
+    this.cache.addCells(doc, sheet.sheetId, block);
+  }
+
+  /**
+   * Forget cached data for a spreadsheet after writing to it
+   * @param {GoogleSpreadsheet} doc - Spreadsheet that was written
+   */
+  invalidateDocument(doc) {
+    this.cache.delete(doc.spreadsheetId);
+  }
+
+  /**
+   * Drop cached documents and cell data
+   * @param {string} [url] - Google Sheets URL to clear (default every spreadsheet)
+   * @returns {Object} - { spreadsheetId, clearedDocuments, cache } where cache is what remains
+   */
+  clearCache(url) {
+    const spreadsheetId = url ? this.extractSheetIdFromUrl(url) : null;
+    const clearedDocuments = spreadsheetId ? Number(this.cache.delete(spreadsheetId)) : this.cache.clear();
+
+    this.logger.info(`Cleared ${clearedDocuments} cached spreadsheet(s)`);
+    return { spreadsheetId, clearedDocuments, cache: this.cache.stats() };
+  }
+
+  /**
+   * Record a spreadsheet as recently used, evicting the oldest beyond MAX_RECENT_DOCUMENTS
+   * @param {GoogleSpreadsheet} doc - Spreadsheet document with info loaded
+   */
+  rememberDocument(doc) {
+    this.recentDocuments.delete(doc.spreadsheetId);
+    this.recentDocuments.set(doc.spreadsheetId, {
+      id: doc.spreadsheetId,
+      title: doc.title,
+      url: this.getDocumentUrl(doc),
+      sheetNames: this.getAllowedSheets(doc).map(sheet => sheet.title),
+    });
+
+    if (this.recentDocuments.size > MAX_RECENT_DOCUMENTS) {
+      this.recentDocuments.delete(this.recentDocuments.keys().next().value);
+    }
+  }
+
+  /**
+   * List the spreadsheets this service has opened, most recent first
+   * @returns {Array<Object>} - { id, title, url, sheetNames } for each spreadsheet
+   */
+  getRecentDocuments() {
+    return [...this.recentDocuments.values()].reverse();
+  }
+
+  /**
+   * Get when a spreadsheet was last modified, without loading its sheets
+   * @param {string} url - Google Sheets URL
+   * @returns {string} - Drive modifiedTime (RFC 3339 timestamp)
+   */
+  async getModifiedTime(url) {
+    if (!this.auth) {
+      throw new SheetsError(ErrorCode.NOT_CONFIGURED, 'Service not initialized. Call initialize() first.');
+    }
+
+    const sheetId = this.extractSheetIdFromUrl(url);
+    await this.checkSpreadsheetAccess(sheetId);
+    return this.readModifiedTime(this.openDocument(sheetId));
+  }
+
+  /**
+   * Ask Drive for a document's modifiedTime
+   * @param {GoogleSpreadsheet} doc - Spreadsheet document (info need not be loaded)
+   * @returns {string} - Drive modifiedTime (RFC 3339 timestamp)
+   */
+  async readModifiedTime(doc) {
+    const response = await this.limiter.run('drive.read', 'check the modified time', () =>
+      doc.driveApi.get('', { params: { fields: 'modifiedTime' } })
+    );
+    return response.data.modifiedTime;
+  }
+
+  /**
+   * Fail unless the access policy allows the spreadsheet; run before any other request for it
+   * @param {string} sheetId - Spreadsheet ID
+   */
+  async checkSpreadsheetAccess(sheetId) {
+    const folderIds = this.policy.usesFolders() ? await this.getAncestorFolders(sheetId) : [];
+    this.policy.assertSpreadsheetAllowed(sheetId, folderIds);
+  }
+
+  /**
+   * Whether an audit log entry may be shown under the current access policy: its spreadsheet
+   * must pass the policy, and so must its sheet, named directly or in its range
+   * @param {Object} entry - Audit entry with spreadsheetId, sheet and range
+   * @param {Map} checked - Spreadsheet ID -> Promise<boolean>, shared by the entries of one query
+   * @returns {Promise<boolean>} - False when any part of the entry is blocked
+   */
+  async isAuditEntryVisible(entry, checked) {
+    if (entry.spreadsheetId && !(await this.isSpreadsheetVisible(entry.spreadsheetId, checked))) {
+      return false;
+    }
+
+    const rangeSheet = entry.range?.includes('!')
+      ? entry.range.slice(0, entry.range.lastIndexOf('!')).replace(/^'|'$/g, '').replace(/''/g, '\'')
+      : undefined;
+    return [entry.sheet, rangeSheet].every(title => !title || this.policy.isSheetAllowed(title));
+  }
+
+  /**
+   * Whether a change journal entry may be shown or undone under the current access policy: its
+   * spreadsheet must pass the policy, and so must every sheet it touched, under any of its names
+   * @param {Object} change - Change from the journal
+   * @param {Map} checked - Spreadsheet ID -> Promise<boolean>, shared by the changes of one query
+   * @returns {Promise<boolean>} - False when any part of the change is blocked
+   */
+  async isChangeVisible(change, checked) {
+    if (!(await this.isSpreadsheetVisible(change.spreadsheetId, checked))) {
+      return false;
+    }
+    const titles = change.operations.flatMap(operation => [
+      operation.sheet,
+      operation.before?.title,
+      operation.after?.title,
+      operation.properties?.title,
+    ]);
+    return titles.every(title => title === undefined || this.policy.isSheetAllowed(title));
+  }
+
+  /**
+   * Check a spreadsheet against the access policy once per query, without throwing
+   * @param {string} spreadsheetId - Spreadsheet ID
+   * @param {Map} checked - Spreadsheet ID -> Promise<boolean> of earlier checks
+   * @returns {Promise<boolean>} - Whether the policy allows it
+   */
+  isSpreadsheetVisible(spreadsheetId, checked) {
+    if (!checked.has(spreadsheetId)) {
+      checked.set(spreadsheetId, this.checkSpreadsheetAccess(spreadsheetId).then(() => true, () => false));
+    }
+    return checked.get(spreadsheetId);
+  }
+
+  /**
+   * List every Drive folder above a spreadsheet, nearest first
+   * @param {string} sheetId - Spreadsheet ID
+   * @returns {Array<string>} - Folder IDs
+   */
+  async getAncestorFolders(sheetId) {
+    // The spreadsheet's own parents are always looked up, in case it was moved
+    const pending = await this.getParentFolders(sheetId);
+    const ancestors = [];
+
+    while (pending.length > 0 && ancestors.length < MAX_FOLDER_DEPTH) {
+      const folderId = pending.shift();
+      if (ancestors.includes(folderId)) {
+        continue;
+      }
+      ancestors.push(folderId);
+
+      if (!this.folderParents.has(folderId)) {
+        // Folders the service account cannot see end the walk upwards
+        const parents = await this.getParentFolders(folderId).catch(() => []);
+        this.folderParents.set(folderId, parents);
+      }
+      pending.push(...this.folderParents.get(folderId));
+    }
+
+    return ancestors;
+  }
+
+  /**
+   * Look up the folders a Drive file sits in
+   * @param {string} fileId - Spreadsheet or folder ID
+   * @returns {Array<string>} - Parent folder IDs
+   */
+  async getParentFolders(fileId) {
+    // Any document's Drive client works for a folder too; it only needs the file ID
+    const response = await this.limiter.run('drive.read', 'look up parent folders', () =>
+      this.openDocument(fileId).driveApi.get('', { params: { fields: 'parents' } })
+    );
+    return response.data.parents || [];
+  }
+
+  /**
+   * Build the browser URL of a spreadsheet (google-spreadsheet keeps it private)
+   * @param {GoogleSpreadsheet} doc - Spreadsheet document
+   * @returns {string} - URL such as https://docs.google.com/spreadsheets/d/<id>/edit
+   */
+  getDocumentUrl(doc) {
+    return `https://docs.google.com/spreadsheets/d/${doc.spreadsheetId}/edit`;
+  }
+
+  /**
+   * Create a document handle whose API clients use the configured endpoint
+   * @param {string} sheetId - Spreadsheet ID
+   * @returns {GoogleSpreadsheet} - Document with no info loaded yet
+   */
+  openDocument(sheetId) {
+    const doc = new GoogleSpreadsheet(sheetId, this.auth);
+    if (this.config.apiEndpoint) {
+      doc.sheetsApi.defaults.baseURL = doc.sheetsApi.defaults.baseURL.replace(
+        SHEETS_API_HOST,
+        this.getApiHost(SHEETS_API_HOST)
+      );
+      doc.driveApi.defaults.baseURL = doc.driveApi.defaults.baseURL.replace(
+        DRIVE_API_HOST,
+        this.getApiHost(DRIVE_API_HOST)
+      );
+    }
+    return doc;
+  }
+
+  /**
+   * Refuse an endpoint override that leaves this machine. The override signs its own access
+   * token with the service account key, so it must never reach a host other than a local stand-in.
+   * @param {string} endpoint - Configured API endpoint, e.g. "http://127.0.0.1:4010"
+   */
+  assertLocalEndpoint(endpoint) {
+    let hostname;
+    try {
+      hostname = new URL(endpoint).hostname;
+    } catch {
+      hostname = null;
+    }
+    const isLoopback = hostname === 'localhost' || hostname === '[::1]' || /^127(\.\d{1,3}){3}$/.test(hostname || '');
+    if (!isLoopback) {
+      throw new SheetsError(ErrorCode.NOT_CONFIGURED, `GOOGLE_API_ENDPOINT must be a loopback address, got "${endpoint}".`, {
+        hint: 'The endpoint override is only for local test servers; unset GOOGLE_API_ENDPOINT to talk to Google.',
+      });
+    }
+  }
+
+  /**
+   * Resolve a Google API host, honouring config.apiEndpoint (e.g. "http://127.0.0.1:4010")
+   * @param {string} host - Default Google API host
+   * @returns {string} - Host to send requests to
+   */
+  getApiHost(host) {
+    return this.config.apiEndpoint ? this.config.apiEndpoint.replace(/\/+$/, '') : host;
+  }
+
+  /**
+   * Load a spreadsheet and find one of its sheets by name, index or gid
+   * @param {string} url - Google Sheets URL
+   * @param {string|number} [sheetName] - Sheet reference (see findSheet); if omitted, the
+   *   sheet in the URL's #gid= fragment
+   * @param {Object} [options] - Matching options passed on to findSheet
+   * @returns {Object} - { sheetId, doc, sheet }
+   */
+  async loadSheetByName(url, sheetName, options = {}) {
+    const { sheetId, doc } = await this.loadDocument(url);
+    const hasName = sheetName !== undefined && sheetName !== null && sheetName !== '';
+    const sheet = hasName ? this.findSheet(doc, sheetName, options) : this.findSheetFromUrl(doc, url);
+    return { sheetId, doc, sheet };
+  }
+
+  /**
+   * Extract the worksheet gid (sheetId) from a Google Sheets URL
+   * @param {string} url - Google Sheets URL, e.g. ".../edit#gid=123456"
+   * @returns {number|null} - The gid, or null if the URL has none
+   */
+  extractGidFromUrl(url) {
+    const match = /[#&?]gid=(\d+)/.exec(url || '');
+    return match ? Number(match[1]) : null;
+  }
+
+  /**
+   * Find the sheet a URL points at through its #gid= fragment
+   * @param {GoogleSpreadsheet} doc - Spreadsheet with info loaded
+   * @param {string} url - Google Sheets URL
+   * @returns {Object} - Google Sheets worksheet
+   */
+  findSheetFromUrl(doc, url) {
+    const gid = this.extractGidFromUrl(url);
+    const availableSheets = this.getAllowedSheets(doc).map(other => other.title);
+    const options = {
+      hint: `Pass a sheet name, or a URL with #gid= copied while the sheet is open. Available sheets: ${this.quoteTitles(availableSheets)}.`,
+      details: { availableSheets },
+    };
+
+    if (gid === null) {
+      throw new SheetsError(ErrorCode.INVALID_ARGUMENT, 'No sheet name given and the URL has no #gid= to pick a sheet.', options);
+    }
+    const sheet = doc.sheetsById[gid];
+    if (!sheet) {
+      throw new SheetsError(ErrorCode.SHEET_NOT_FOUND, `No sheet with gid ${gid}.`, options);
+    }
+    this.policy.assertSheetAllowed(sheet.title);
+    return sheet;
+  }
+
+  /**
+   * Find a sheet, failing with the names that do exist
+   *
+   * The reference is tried, in order, as the exact title; as "gid=N" or "index:N"; as a number
+   * that is a 0-based index or a sheetId; as the title ignoring case and spacing; and, unless
+   * options.closest is false, as the closest title (one containing it, or a few typos away).
+   * A reference matching several sheets equally well is rejected rather than guessed.
+   * @param {GoogleSpreadsheet} doc - Spreadsheet with info loaded
+   * @param {string|number} sheetName - Sheet title, index or gid
+   * @param {Object} [options]
+   * @param {boolean} [options.closest] - Fall back to the closest title (default true); writes
+   *   pass false so a typo cannot change the wrong sheet
+   * @returns {Object} - Google Sheets worksheet
+   */
+  findSheet(doc, sheetName, options = {}) {
+    const reference = String(sheetName);
+    const candidates = this.matchSheets(doc, reference, options.closest !== false);
+
+    if (candidates.length === 1) {
+      const [sheet] = candidates;
+      if (sheet.title !== reference) {
+        this.logger.info(`Resolved sheet "${reference}" to "${sheet.title}"`);
+      }
+      this.policy.assertSheetAllowed(sheet.title);
+      return sheet;
+    }
+
+    if (candidates.length > 1) {
+      const matchingSheets = candidates.map(other => other.title);
+      throw new SheetsError(
+        ErrorCode.SHEET_AMBIGUOUS,
+        `Sheet "${reference}" matches ${matchingSheets.length} sheets: ${this.quoteTitles(matchingSheets)}.`,
+        {
+          hint: 'Use the exact sheet name, or "gid=<sheetId>" / "index:<position>" to pick one.',
+          details: { matchingSheets },
+        }
+      );
+    }
+
+    const availableSheets = this.getAllowedSheets(doc).map(other => other.title);
+    const suggestions = options.closest === false ? this.matchSheets(doc, reference, true) : [];
+    const suggestion = suggestions.length === 1 ? `Did you mean "${suggestions[0].title}"? ` : '';
+    throw new SheetsError(ErrorCode.SHEET_NOT_FOUND, `Sheet "${reference}" not found.`, {
+      hint: `${suggestion}Available sheets: ${this.quoteTitles(availableSheets)}.`,
+      details: { availableSheets },
+    });
+  }
+
+  /**
+   * List the sheets a reference matches at the first level that matches any (see findSheet)
+   * @param {GoogleSpreadsheet} doc - Spreadsheet with info loaded
+   * @param {string} reference - Sheet title, index or gid
+   * @param {boolean} closest - Whether to fall back to the closest titles
+   * @returns {Array<Object>} - Matching worksheets; more than one means the reference is ambiguous
+   */
+  matchSheets(doc, reference, closest) {
+    // An exact title is matched even when blocked, so the caller hears it is denied rather than
+    // missing. Everything looser only sees allowed sheets, so it cannot reveal blocked titles.
+    const exact = doc.sheetsByTitle[reference];
+    if (exact) {
+      return [exact];
+    }
+    const isAllowed = sheet => Boolean(sheet) && this.policy.isSheetAllowed(sheet.title);
+
+    const gid = /^#?gid[=:]\s*(\d+)$/i.exec(reference.trim());
+    if (gid) {
+      return [doc.sheetsById[gid[1]]].filter(isAllowed);
+    }
+    const index = /^index:\s*(\d+)$/i.exec(reference.trim());
+    if (index) {
+      return [doc.sheetsByIndex[index[1]]].filter(isAllowed);
+    }
+    if (/^\d+$/.test(reference.trim())) {
+      const number = Number(reference.trim());
+      const numbered = [...new Set([doc.sheetsByIndex[number], doc.sheetsById[number]])].filter(isAllowed);
+      if (numbered.length) {
+        return numbered;
+      }
+    }
+
+    const normalize = title => this.normalizeSheetTitle(title);
+    const wanted = normalize(reference);
+    const sheets = this.getAllowedSheets(doc);
+    const normalized = sheets.filter(sheet => normalize(sheet.title) === wanted);
+    if (normalized.length || !closest || !wanted) {
+      return normalized;
+    }
+
+    // A title containing the reference ("archive" -> "Archive 2023") beats one with typos
+    const containing = sheets.filter(sheet => normalize(sheet.title).includes(wanted));
+    if (containing.length) {
+      return containing;
+    }
+
+    // Otherwise allow roughly one typo per three characters
+    const maxDistance = Math.max(1, Math.floor(wanted.length / 3));
+    const distances = sheets.map(sheet => this.editDistance(wanted, normalize(sheet.title)));
+    const best = Math.min(...distances);
+    return best <= maxDistance ? sheets.filter((sheet, i) => distances[i] === best) : [];
+  }
+
+  /**
+   * Levenshtein distance between two strings
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} - Number of single-character edits turning a into b
+   */
+  editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+        current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * List the sheets the access policy allows, in tab order
+   * @param {GoogleSpreadsheet} doc - Spreadsheet with info loaded
+   * @returns {Array<Object>} - Google Sheets worksheets
+   */
+  getAllowedSheets(doc) {
+    return doc.sheetsByIndex.filter(sheet => this.policy.isSheetAllowed(sheet.title));
+  }
+
+  // Sheet titles compare equal when they differ only in case or spacing
+  normalizeSheetTitle(title) {
+    return title.trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  // Sheet titles as a quoted, comma-separated list for messages
+  quoteTitles(titles) {
+    return titles.map(title => `"${title}"`).join(', ');
+  }
+
+  /**
+   * Turn any failure into a SheetsError with a code and a remediation hint
+   * @param {Error} error - Error thrown while handling a request
+   * @param {string} action - What failed, used as the message prefix for untyped errors
+   * @returns {SheetsError}
+   */
+  toSheetsError(error, action) {
+    return classifyError(error, { action, serviceAccountEmail: this.config.serviceAccountEmail });
+  }
+
+  /**
+   * Get data for a specific sheet by URL and sheet name
+   * @param {string} url - Google Sheets URL
+   * @param {string} [sheetName] - Name, index or gid of the sheet (see findSheet); defaults to the URL's #gid=
+   * @param {Object} [options] - Retrieval options
+   * @param {number} [options.pageSize] - Return at most this many rows, plus a cursor for the rest
+   * @param {string} [options.cursor] - Cursor returned by a previous page
+   * @param {string} [options.mode] - 'cells' (default) for positional cells, 'records' for row objects
+   * @param {number} [options.headerRow] - 1-based header row for records mode (detected if omitted)
+   * @param {boolean} [options.includeFormulas] - Add formula text to formula cells (cells mode)
+   * @param {Array<string>} [options.include] - Extra cell metadata: 'notes', 'format', 'merges',
+   *   'validation' and/or 'richText' (cells mode; merges are also listed at sheet level)
+   * @returns {Object} - Sheet data for the specified sheet
+   */
+  async getSheetData(url, sheetName, options = {}) {
+    try {
+      this.logger.info('Retrieving specific sheet data...');
+
+      // Load document properties and find the specific sheet by name
+      const { sheetId, doc, sheet } = await this.loadSheetByName(url, sheetName);
+
+      const cursor = options.cursor ? this.decodeCursor(options.cursor, sheet) : null;
+      let bounds = null;
+      let pageSize = null;
+
+      if (options.pageSize || cursor) {
+        // Load only one block of rows, within the grid as it is now, and hand back a cursor for the next one
+        pageSize = options.pageSize || cursor.pageSize;
+        const startRow = cursor ? cursor.row : 0;
+        const endRow = Math.max(startRow, Math.min(startRow + pageSize, sheet.rowCount));
+
+        bounds = { startRow, endRow, startCol: 0, endCol: sheet.columnCount };
+        if (endRow > startRow) {
+          await this.loadCells(doc, sheet, bounds);
+        }
+      } else {
+        // Load cell data for the specific sheet
+        await this.loadCells(doc, sheet, null);
+      }
+      const headerRow = options.headerRow || cursor?.headerRow;
+      await this.loadRedactionHeader(doc, sheet, bounds, headerRow);
+
+      const include = options.include || [];
+      let merges = null;
+      if (include.includes('merges')) {
+        merges = await this.getMergedRanges(doc, sheet, bounds);
+      }
+
+      // Extract cell data in new 2D array format
+      const extractedData = this.extractCellData(sheet, bounds, {
+        includeFormulas: options.includeFormulas,
+        include,
+        merges,
+        headerRow,
+      });
+      let populatedRows = extractedData.cells.reduce((highest, cell) => Math.max(highest, cell.pos[0]), 0);
+
+      let table = null;
+      if (options.mode === 'records') {
+        table = await this.extractRecords(doc, sheet, extractedData.cells, bounds, headerRow);
+      }
+
+      let page = null;
+      if (bounds) {
+        // Rows below the page are counted afresh on every page, so rows appended meanwhile are not missed
+        const column = cursor ? cursor.column : this.pickKeyColumn(extractedData.cells);
+        const rowsBelow = column && bounds.endRow < sheet.rowCount
+          ? await this.countRowsWithValues(doc, sheet, bounds.endRow, column)
+          : 0;
+        populatedRows = rowsBelow > 0 ? bounds.endRow + rowsBelow : Math.max(populatedRows, bounds.startRow);
+
+        const nextState = { sheetId: sheet.sheetId, row: bounds.endRow, pageSize, column };
+        if (table) {
+          nextState.headerRow = table.headerRow;
+        }
+        page = {
+          startRow: bounds.startRow + 1,
+          endRow: bounds.endRow,
+          pageSize: pageSize,
+          nextCursor: bounds.endRow < populatedRows ? this.encodeCursor(nextState) : null,
+        };
+      }
+
+      const result = {
+        spreadsheetId: sheetId,
+        spreadsheetTitle: doc.title,
+        spreadsheetUrl: this.getDocumentUrl(doc),
+        metadata: {
+          title: extractedData.metadata.title,
+          dimensions: {
+            rows: sheet.rowCount,
+            columns: sheet.columnCount,
+            populatedRows: populatedRows,
+          },
+          createdTime: doc.createdTime,
+          modifiedTime: doc.modifiedTime,
+          lastModifyingUser: doc.lastModifyingUser,
+          sheetIndex: sheet.index,
+          gridProperties: sheet.gridProperties,
+          page: page,
+        },
+      };
+
+      if (merges) {
+        result.metadata.merges = merges.map(merge => merge.range);
+      }
+      if (extractedData.metadata.redactedColumns) {
+        result.metadata.redactedColumns = extractedData.metadata.redactedColumns;
+      }
+
+      if (table) {
+        result.metadata.headerRow = table.headerRow;
+        result.columns = table.columns;
+        result.records = table.records;
+      } else {
+        result.cells = extractedData.cells;
+      }
+
+      this.logger.info('Successfully retrieved specific sheet data');
+      return result;
+    } catch (error) {
+      this.logger.error('Error retrieving sheet data:', error);
+      throw this.toSheetsError(error, 'Failed to retrieve sheet data');
+    }
+  }
+
+  /**
+   * Turn extracted cells into row objects keyed by header name
+   * @param {GoogleSpreadsheet} doc - Spreadsheet containing the sheet
+   * @param {Object} sheet - Google Sheets worksheet the cells came from
+   * @param {Array} cells - Extracted cells for the loaded rows
+   * @param {Object|null} bounds - Bounds the cells were loaded with (null for the whole sheet)
+   * @param {number} [headerRow] - 1-based header row, detected from the top of the sheet if omitted
+   * @returns {Object} - { headerRow, columns, records }
+   */
+  async extractRecords(doc, sheet, cells, bounds, headerRow) {
+    let headerCandidates = cells;
+
+    // The header sits above or below this page, so read it (or the rows to detect it in) separately
+    const headerLoaded = !bounds || (headerRow ? headerRow > bounds.startRow && headerRow <= bounds.endRow : bounds.startRow === 0);
+    if (!headerLoaded) {
+      const probeBounds = {
+        startRow: headerRow ? headerRow - 1 : 0,
+        endRow: headerRow || Math.min(HEADER_SCAN_ROWS, sheet.rowCount),
+        startCol: 0,
+        endCol: sheet.columnCount,
+      };
+      await this.loadCells(doc, sheet, probeBounds);
+      headerCandidates = this.extractCellData(sheet, probeBounds, { headerRow }).cells;
+    }
+
+    const resolvedHeaderRow = headerRow || this.detectHeaderRow(headerCandidates);
+    const headerCells = headerCandidates.filter(cell => cell.pos[0] === resolvedHeaderRow);
+    const dataCells = cells.filter(cell => cell.pos[0] > resolvedHeaderRow);
+
+    // Every column that has a header or any data gets a unique name
+    const columnNumbers = [...new Set([...headerCells, ...dataCells].map(cell => cell.pos[1]))].sort(
+      (a, b) => a - b
+    );
+    const usedNames = new Set();
+    const columns = columnNumbers.map(columnNumber => {
+      const headerCell = headerCells.find(cell => cell.pos[1] === columnNumber);
+      const letter = this.columnToLetter(columnNumber);
+      const baseName = (headerCell && String(headerCell.fmt ?? headerCell.val).trim()) || `Column ${letter}`;
+
+      // Duplicate headers are suffixed left to right: Amount, Amount_2, Amount_3
+      let name = baseName;
+      for (let suffix = 2; usedNames.has(name); suffix++) {
+        name = `${baseName}_${suffix}`;
+      }
+      usedNames.add(name);
+
+      const types = new Set(dataCells.filter(cell => cell.pos[1] === columnNumber).map(cell => cell.type));
+      let type = 'empty';
+      if (types.size === 1) {
+        type = [...types][0];
+      } else if (types.size > 1) {
+        type = 'mixed';
+      }
+
+      return { name, column: letter, index: columnNumber, type };
+    });
+
+    const namesByColumn = new Map(columns.map(column => [column.index, column.name]));
+    const recordsByRow = new Map();
+    for (const cell of dataCells) {
+      if (!recordsByRow.has(cell.pos[0])) {
+        recordsByRow.set(cell.pos[0], { _row: cell.pos[0] });
+      }
+      // Dates are serial numbers underneath, so report what the sheet displays
+      recordsByRow.get(cell.pos[0])[namesByColumn.get(cell.pos[1])] =
+        cell.type === 'date' && cell.fmt ? cell.fmt : cell.val;
+    }
+
+    return {
+      headerRow: resolvedHeaderRow,
+      columns: columns,
+      records: [...recordsByRow.values()],
+    };
+  }
+
+  /**
+   * Pick the most likely header row: the first row with the most cells that are all text
+   * @param {Array} cells - Extracted cells from the top of the sheet
+   * @returns {number} - 1-based header row
+   */
+  detectHeaderRow(cells) {
+    const rows = new Map();
+    for (const cell of cells) {
+      if (!rows.has(cell.pos[0])) {
+        rows.set(cell.pos[0], []);
+      }
+      rows.get(cell.pos[0]).push(cell);
+    }
+
+    const candidates = [...rows.keys()].sort((a, b) => a - b).slice(0, HEADER_SCAN_ROWS);
+    let bestRow = candidates.length > 0 ? candidates[0] : 1;
+    let bestCount = 0;
+
+    for (const row of candidates) {
+      const rowCells = rows.get(row);
+      if (rowCells.every(cell => cell.type === 'string') && rowCells.length > bestCount) {
+        bestRow = row;
+        bestCount = rowCells.length;
+      }
+    }
+
+    return bestRow;
+  }
+
+  /**
+   * Count rows up to and including the last row that has any value
+   * @param {GoogleSpreadsheet} doc - Spreadsheet containing the sheet
+   * @param {Object} sheet - Google Sheets worksheet
+   * @returns {number} - Number of populated rows
+   */
+  async countPopulatedRows(doc, sheet) {
+    // The values endpoint trims trailing empty rows and is far lighter than grid data
+    const response = await this.limiter.run('sheets.read', 'count populated rows', () =>
+      doc.sheetsApi.get(`/values/${sheet.encodedA1SheetName}`, {
+        params: { majorDimension: 'ROWS', fields: 'values' },
+      })
+    );
+    return (response.data.values || []).length;
+  }
+
+  /**
+   * Pick the column paging looks down to find where a sheet's data ends: the one with the most
+   * values on the first page, the leftmost of those tied
+   * @param {Array} cells - Extracted cells of the first page
+   * @returns {number|null} - 1-based column number, or null for an empty page
+   */
+  pickKeyColumn(cells) {
+    const counts = new Map();
+    for (const cell of cells) {
+      counts.set(cell.pos[1], (counts.get(cell.pos[1]) || 0) + 1);
+    }
+    let best = null;
+    for (const [column, count] of counts) {
+      if (best === null || count > counts.get(best) || (count === counts.get(best) && column < best)) {
+        best = column;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Count rows below a given row down to the last one with a value in one column
+   * @param {GoogleSpreadsheet} doc - Spreadsheet containing the sheet
+   * @param {Object} sheet - Google Sheets worksheet
+   * @param {number} startRow - 0-based row to start counting at
+   * @param {number} column - 1-based column to look down
+   * @returns {number} - Rows from startRow to the last value in the column, 0 if there is none
+   */
+  async countRowsWithValues(doc, sheet, startRow, column) {
+    // The values endpoint trims trailing empty rows, and one column is far lighter than the whole sheet
+    const letter = this.columnToLetter(column);
+    const range = `${sheet.a1SheetName}!${letter}${startRow + 1}:${letter}`;
+    const response = await this.limiter.run('sheets.read', 'count populated rows', () =>
+      doc.sheetsApi.get(`/values/${encodeURIComponent(range)}`, {
+        params: { majorDimension: 'ROWS', fields: 'values' },
+      })
+    );
+    return (response.data.values || []).length;
+  }
+
+  /**
+   * Fetch the merged cell blocks of a sheet (grid data loads do not keep them)
+   * @param {GoogleSpreadsheet} doc - Spreadsheet containing the sheet
+   * @param {Object} sheet - Google Sheets worksheet
+   * @param {Object|null} bounds - Only return merges overlapping these bounds (null for all)
+   * @returns {Array<Object>} - Merges as { range, bounds } with A1 ranges local to the sheet
+   */
+  async getMergedRanges(doc, sheet, bounds) {
+    const response = await this.limiter.run('sheets.read', 'read merged cells', () =>
+      doc.sheetsApi.get('/', {
+        params: { ranges: sheet.a1SheetName, fields: 'sheets(merges)' },
+      })
+    );
+    const gridRanges = response.data.sheets?.[0]?.merges || [];
+
+    return gridRanges
+      .map(gridRange => ({
+        startRow: gridRange.startRowIndex || 0,
+        endRow: gridRange.endRowIndex,
+        startCol: gridRange.startColumnIndex || 0,
+        endCol: gridRange.endColumnIndex,
+      }))
+      .filter(merge => !bounds || (
+        merge.startRow < bounds.endRow && merge.endRow > bounds.startRow &&
+        merge.startCol < bounds.endCol && merge.endCol > bounds.startCol
+      ))
+      .map(merge => {
+        const a1 = this.formatA1Range(sheet, merge);
+        return { range: a1.slice(a1.lastIndexOf('!') + 1), bounds: merge };
+      });
+  }
+
+  /**
+   * Encode paging state as an opaque cursor string
+   * @param {Object} state - { sheetId, row, pageSize, column, headerRow? }
+   * @returns {string} - URL-safe cursor
+   */
+  encodeCursor(state) {
+    return Buffer.from(JSON.stringify(state)).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor and check it belongs to the given sheet
+   * @param {string} cursor - Cursor returned by a previous page
+   * @param {Object} sheet - Google Sheets worksheet being paged
+   * @returns {Object} - { sheetId, row, pageSize, column, headerRow? }
+   */
+  decodeCursor(cursor, sheet) {
+    let state;
+    try {
+      state = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch {
+      throw new SheetsError(ErrorCode.INVALID_ARGUMENT, 'Invalid cursor. Start again without a cursor.');
+    }
+
+    const isAtLeast = (value, min) => Number.isInteger(value) && value >= min;
+    if (
+      !state ||
+      !isAtLeast(state.row, 0) ||
+      !isAtLeast(state.pageSize, 1) ||
+      !isAtLeast(state.column, 1) ||
+      (state.headerRow !== undefined && !isAtLeast(state.headerRow, 1))
+    ) {
+      throw new SheetsError(ErrorCode.INVALID_ARGUMENT, 'Invalid cursor. Start again without a cursor.');
+    }
+    if (state.sheetId !== sheet.sheetId) {
+      throw new SheetsError(ErrorCode.INVALID_ARGUMENT, 'Cursor belongs to a different sheet. Start again without a cursor.');
+    }
+
+    return state;
+  }
+
+  /**
+   * Get data for an A1 range or named range by URL
+   * @param {string} url - Google Sheets URL
+   * @param {string} range - A1 range (e.g. "'Sales Q1'!B2:H500") or named range name
+   * @param {Object} [options] - Retrieval options
+   * @param {boolean} [options.includeFormulas] - Add formula text to formula cells
+   * @returns {Object} - Cell data for the requested range, positions in sheet coordinates
+   */
+  async getRangeData(url, range, options = {}) {
+    try {
+      this.logger.info('Retrieving range data...');
+
+      // Load document properties
+      const { sheetId, doc } = await this.loadDocument(url);
+
+      // Work out which sheet and which block of cells the range refers to
+      const { sheet, bounds, namedRange } = await this.resolveRange(doc, range, { gid: this.extractGidFromUrl(url) });
+      this.policy.assertSheetAllowed(sheet.title);
+
+      // Load only the cells inside the range
+      await this.loadCells(doc, sheet, bounds);
+      await this.loadRedactionHeader(doc, sheet, bounds);
+
+      const extractedData = this.extractCellData(sheet, bounds, {
+        includeFormulas: options.includeFormulas,
+      });
+
+      const result = {
+        spreadsheetId: sheetId,
+        spreadsheetTitle: doc.title,
+        spreadsheetUrl: this.getDocumentUrl(doc),
+        metadata: {
+          title: extractedData.metadata.title,
+          range: this.formatA1Range(sheet, bounds),
+          namedRange: namedRange,
+          dimensions: extractedData.metadata.dimensions,
+          sheetIndex: sheet.index,
+        },
+        cells: extractedData.cells,
+      };
+      if (extractedData.metadata.redactedColumns) {
+        result.metadata.redactedColumns = extractedData.metadata.redactedColumns;
+      }
+
+      this.logger.info('Successfully retrieved range data');
+      return result;
+    } catch (error) {
+      this.logger.error('Error retrieving range data:', error);
+      throw this.toSheetsError(error, 'Failed to retrieve range data');
+    }
+  }
+
+  /**
+   * Search one or all worksheets for a literal string, regular expression or number
+   * @param {string} url - Google Sheets URL
+   * @param {string} query - Text, pattern or number to look for
+   * @param {Object} [options] - Search options
+   * @param {string} [options.sheetName] - Only search this sheet (default: all sheets)
+   * @param {string} [options.matchType] - 'literal' (default, substring), 'regex' or 'number'
+   * @param {boolean} [options.caseInsensitive] - Ignore case for literal and regex matches
+   * @param {boolean} [options.includeFormulas] - Also match against formula text
+   * @param {number} [options.limit] - Maximum number of matches to return (default 50)
+   * @returns {Object} - Matches with sheet name, A1 address, value and row context
+   */
+  async searchSpreadsheet(url, query, options = {}) {
+    try {
+      this.logger.info('Searching spreadsheet...');
+
+      // Load document properties
+      const { sheetId, doc } = await this.loadDocument(url);
+
+      let sheets = this.getAllowedSheets(doc);
+      if (options.sheetName) {
+        sheets = [this.findSheet(doc, options.sheetName)];
+      }
+
+      const matchType = options.matchType || 'literal';
+      // Validate the query before fetching anything
+      this.createSearchMatcher(query, matchType, options.caseInsensitive);
+      const limit = options.limit || DEFAULT_SEARCH_LIMIT;
+
+      // The values endpoint is much lighter than grid data; fetch each rendering we need
+      const ranges = sheets.map(sheet => sheet.a1SheetName);
+      const formatted = await this.batchGetValues(doc, ranges, 'FORMATTED_VALUE');
+      const unformatted = matchType === 'number'
+        ? await this.batchGetValues(doc, ranges, 'UNFORMATTED_VALUE')
+        : null;
+      const formulas = options.includeFormulas ? await this.batchGetValues(doc, ranges, 'FORMULA') : null;
+      const candidates = [formatted, formulas || []].flat(3).filter(value => typeof value === 'string' && value !== '');
+      const matchesValue = this.createSearchMatcher(query, matchType, options.caseInsensitive, candidates);
+
+      const matches = [];
+      const redactedColumns = [];
+      let totalMatches = 0;
+
+      sheets.forEach((sheet, sheetIndex) => {
+        // Redacted cells are never matched, and show redacted in the row context
+        const redaction = this.redactRows(sheet, formatted[sheetIndex]);
+        redactedColumns.push(...redaction.redactedColumns.map(column => ({ sheet: sheet.title, ...column })));
+        const rows = redaction.rows;
+        rows.forEach((row, rowIndex) => {
+          row.forEach((displayValue, colIndex) => {
+            if (redaction.redacted.has(`${rowIndex + 1}:${colIndex + 1}`)) {
+              return;
+            }
+            const rawValue = unformatted ? unformatted[sheetIndex][rowIndex]?.[colIndex] : displayValue;
+            const formula = formulas ? formulas[sheetIndex][rowIndex]?.[colIndex] : undefined;
+            const hasFormula = typeof formula === 'string' && formula.startsWith('=');
+
+            let matchedIn = null;
+            if (displayValue !== '' && matchesValue(matchType === 'number' ? rawValue : displayValue)) {
+              matchedIn = 'value';
+            } else if (hasFormula && matchType !== 'number' && matchesValue(formula)) {
+              matchedIn = 'formula';
+            }
+            if (!matchedIn) {
+              return;
+            }
+
+            totalMatches++;
+            if (matches.length >= limit) {
+              return;
+            }
+
+            const context = {};
+            row.forEach((contextValue, contextIndex) => {
+              if (contextValue !== '') {
+                context[this.columnToLetter(contextIndex + 1)] = contextValue;
+              }
+            });
+
+            const match = {
+              sheet: sheet.title,
+              address: `${this.columnToLetter(colIndex + 1)}${rowIndex + 1}`,
+              pos: [rowIndex + 1, colIndex + 1],
+              value: displayValue,
+              matchedIn: matchedIn,
+              row: context,
+            };
+            if (hasFormula) {
+              match.formula = formula;
+            }
+            matches.push(match);
+          });
+        });
+      });
+
+      const result = {
+        spreadsheetId: sheetId,
+        spreadsheetTitle: doc.title,
+        spreadsheetUrl: this.getDocumentUrl(doc),
+        query: query,
+        matchType: matchType,
+        sheetsSearched: sheets.map(sheet => sheet.title),
+        totalMatches: totalMatches,
+        truncated: totalMatches > matches.length,
+        matches: matches,
+      };
+      if (redactedColumns.length > 0) {
+        result.redactedColumns = redactedColumns;
+      }
+
+      this.logger.info(`Search found ${totalMatches} matches`);
+      return result;
+    } catch (error) {
+      this.logger.error('Error searching spreadsheet:', error);
+      throw this.toSheetsError(error, 'Failed to search spreadsheet');
+    }
+  }
+
+  /**
+   * List every formula cell in a sheet with the ranges each formula reads from
+   * @param {string} url - Google Sheets URL
+   * @param {string} [sheetName] - Name, index or gid of the sheet to audit; defaults to the URL's #gid=
+   * @returns {Object} - Formula cells with their computed value and precedent ranges
+   */
+  async getFormulaMap(url, sheetName) {
+    try {
+      this.logger.info('Retrieving formula map...');
+
+      // Load document properties and find the specific sheet by name
+      const { sheetId, doc, sheet } = await this.loadSheetByName(url, sheetName);
+
+      const [formulaRows] = await this.batchGetValues(doc, [sheet.a1SheetName], 'FORMULA');
+      const [formattedRows] = await this.batchGetValues(doc, [sheet.a1SheetName], 'FORMATTED_VALUE');
+      const { rows: displayRows, redacted, redactedColumns } = this.redactRows(sheet, formattedRows);
+      const namedRanges = await this.getNamedRanges(doc);
+
+      const formulas = [];
+      formulaRows.forEach((row, rowIndex) => {
+        row.forEach((formula, colIndex) => {
+          if (typeof formula !== 'string' || !formula.startsWith('=')) {
+            return;
+          }
+
+          // The formula of a redacted cell can spell out its value, so neither it nor what it reads is shown
+          const isRedacted = redacted.has(`${rowIndex + 1}:${colIndex + 1}`);
+          formulas.push({
+            address: `${this.columnToLetter(colIndex + 1)}${rowIndex + 1}`,
+            pos: [rowIndex + 1, colIndex + 1],
+            formula: isRedacted ? MASK : formula,
+            value: displayRows[rowIndex]?.[colIndex] ?? '',
+            precedents: isRedacted ? [] : this.parseFormulaReferences(formula, sheet.title, namedRanges, doc),
+          });
+        });
+      });
+
+      const result = {
+        spreadsheetId: sheetId,
+        spreadsheetTitle: doc.title,
+        spreadsheetUrl: this.getDocumentUrl(doc),
+        sheetTitle: sheet.title,
+        formulaCount: formulas.length,
+        formulas: formulas,
+      };
+      if (redactedColumns.length > 0) {
+        result.redactedColumns = redactedColumns;
+      }
+
+      this.logger.info(`Found ${formulas.length} formula cells`);
+      return result;
+    } catch (error) {
+      this.logger.error('Error retrieving formula map:', error);
+      throw this.toSheetsError(error, 'Failed to retrieve formula map');
+    }
+  }
+
+  /**
+   * Find the cell ranges and named ranges a formula refers to
+   * @param {string} formula - Formula text, e.g. "=SUM(B2:B9)*'Rates Q1'!$C$4"
+   * @param {string} currentSheetTitle - Sheet the formula lives in (for unqualified references)
+   * @param {Array<Object>} [namedRanges] - Named ranges from getNamedRanges
+   * @param {GoogleSpreadsheet} [doc] - Spreadsheet, used to name the sheet of a named range
+   * @returns {Array<Object>} - Unique precedents as { sheet, range, a1 } (plus namedRange); a named
+   *   range on a sheet the policy blocks has the sheet masked and no range
+   */
+  parseFormulaReferences(formula, currentSheetTitle, namedRanges = [], doc = null) {
+    // Blank out string literals so text like "A1" inside quotes is not mistaken for a reference
+    const code = formula.replace(/"(?:[^"]|"")*"/g, match => ' '.repeat(match.length));
+    const precedents = new Map();
+
+    const referencePattern =
+      /(?<![\w.$])(?:('(?:[^']|'')+'|[A-Za-z0-9_.]+)!)?(\$?[A-Za-z]{1,3}\$?\d+(?::\$?[A-Za-z]{1,3}\$?\d+)?|\$?[A-Za-z]{1,3}:\$?[A-Za-z]{1,3}|\$?\d+:\$?\d+)(?![\w(!])/g;
+    for (const match of code.matchAll(referencePattern)) {
+      const sheetTitle = match[1]
+        ? match[1].replace(/^'|'$/g, '').replace(/''/g, '\'')
+        : currentSheetTitle;
+      const range = match[2].replace(/\$/g, '').toUpperCase();
+      const a1 = `'${sheetTitle.replace(/'/g, '\'\'')}'!${range}`;
+      precedents.set(a1, { sheet: sheetTitle, range: range, a1: a1 });
+    }
+
+    // Named ranges look like plain identifiers, so only names that exist count
+    for (const namedRange of namedRanges) {
+      const escaped = namedRange.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      if (!new RegExp(`(?<![\\w.!'])${escaped}(?![\\w(!])`).test(code)) {
+        continue;
+      }
+
+      const gridRange = namedRange.range;
+      const sheet = doc ? doc.sheetsById[gridRange.sheetId || 0] : null;
+      // A name pointing into a sheet the policy blocks is listed, but not where it points
+      if (sheet && !this.policy.isSheetAllowed(sheet.title)) {
+        precedents.set(`named:${namedRange.name}`, { namedRange: namedRange.name, sheet: MASK });
+        continue;
+      }
+      const precedent = { namedRange: namedRange.name, sheet: sheet ? sheet.title : null };
+      if (sheet) {
+        const bounds = this.clampBounds(sheet, {
+          startRow: gridRange.startRowIndex ?? null,
+          endRow: gridRange.endRowIndex ?? null,
+          startCol: gridRange.startColumnIndex ?? null,
+          endCol: gridRange.endColumnIndex ?? null,
+        });
+        precedent.a1 = this.formatA1Range(sheet, bounds);
+        precedent.range = precedent.a1.slice(precedent.a1.lastIndexOf('!') + 1);
+      }
+      precedents.set(`named:${namedRange.name}`, precedent);
+    }
+
+    return [...precedents.values()];
+  }
+
+  /**
+   * Fetch the named ranges defined in a spreadsheet
+   * @param {GoogleSpreadsheet} doc - Spreadsheet to read from
+   * @returns {Array<Object>} - Named ranges as { namedRangeId, name, range: GridRange }
+   */
+  async getNamedRanges(doc) {
+    const response = await this.limiter.run('sheets.read', 'read named ranges', () =>
+      doc.sheetsApi.get('/', { params: { fields: 'namedRanges' } })
+    );
+    return response.data.namedRanges || [];
+  }
+
+  /**
+   * Build a predicate that tests a single cell value against a search query
+   * @param {string} query - Text, pattern or number to look for
+   * @param {string} matchType - 'literal', 'regex' or 'number'
+   * @param {boolean} [caseInsensitive] - Ignore case for literal and regex matches
+   * @param {Array<string>} [candidates] - Every string a regex will be tested against; they are
+   *   matched up front under REGEX_TIMEOUT_MS so a catastrophically backtracking pattern cannot
+   *   block the server
+   * @returns {Function} - (value) => boolean
+   */
+  createSearchMatcher(query, matchType, caseInsensitive, candidates = []) {
+    if (matchType === 'number') {
+      const target = Number(query);
+      if (query.trim() === '' || Number.isNaN(target)) {
+        throw new SheetsError(ErrorCode.INVALID_ARGUMENT, `"${query}" is not a number.`);
+      }
+      return value => typeof value === 'number' && Math.abs(value - target) < 1e-9;
+    }
+
+    if (matchType === 'regex') {
+      if (query.length > MAX_REGEX_LENGTH) {
+        throw new SheetsError(ErrorCode.INVALID_ARGUMENT, `Regular expressions are limited to ${MAX_REGEX_LENGTH} characters.`);
+      }
+      let pattern;
+      try {
+        pattern = new RegExp(query, caseInsensitive ? 'i' : '');
+      } catch (error) {
+        throw new SheetsError(ErrorCode.INVALID_ARGUMENT, `Invalid regular expression: ${error.message}`);
+      }
+
+      // Only the vm module can interrupt a running regex, so all candidates are tested in one call
+      const unique = [...new Set(candidates)];
+      let results;
+      try {
+        results = vm.runInNewContext('unique.map(value => pattern.test(value))', { unique, pattern }, { timeout: REGEX_TIMEOUT_MS });
+      } catch (error) {
+        if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+          throw new SheetsError(ErrorCode.INVALID_ARGUMENT, `The regular expression took longer than ${REGEX_TIMEOUT_MS} ms to match and was abandoned.`, {
+            hint: 'Simplify the pattern, e.g. avoid nested quantifiers such as (a+)+, or search a single sheet.'
+          });
+        }
+        throw error;
+      }
+      const matched = new Set(unique.filter((value, index) => results[index]));
+      return value => matched.has(String(value));
+    }
+
+    const needle = caseInsensitive ? query.toLowerCase() : query;
+    return value => {
+      const haystack = String(value);
+      return (caseInsensitive ? haystack.toLowerCase() : haystack).includes(needle);
+    };
+  }
+
+  /**
+   * Fetch the values of several ranges in one request
+   * @param {GoogleSpreadsheet} doc - Spreadsheet to read from
+   * @param {Array<string>} ranges - A1 ranges (a quoted sheet name means the whole sheet)
+   * @param {string} valueRenderOption - 'FORMATTED_VALUE', 'UNFORMATTED_VALUE' or 'FORMULA'
+   * @returns {Array<Array<Array>>} - Rows of values per range, in request order
+   */
+  async batchGetValues(doc, ranges, valueRenderOption) {
+    const response = await this.limiter.run('sheets.read', 'read values', () =>
+      doc.sheetsApi.get('/values:batchGet', {
+        params: {
+          ranges: ranges,
+          majorDimension: 'ROWS',
+          valueRenderOption: valueRenderOption,
+        },
+      })
+    );
+    return (response.data.valueRanges || []).map(valueRange => valueRange.values || []);
+  }
+
+  /**
+   * Write a 2D array of values or formulas into an A1 range or named range
+   * @param {string} url - Google Sheets URL
+   * @param {string} range - Target A1 range, top-left cell, or named range
+   * @param {Array<Array>} values - Rows of values; null leaves a cell unchanged
+   * @param {Object} [options] - Write options
+   * @param {string} [options.valueInputOption] - 'USER_ENTERED' (default, parses formulas and
+   *   numbers like the Sheets UI) or 'RAW' (stores values exactly as given)
+   * @param {boolean} [options.dryRun] - Only report the cells that would change (see previewWrite)
+   * @param {number} [options.maxOverwrittenCells] - Refuse the write with CONFLICT if it would now
+   *   overwrite more cells holding values than this, e.g. the count the user confirmed
+   * @returns {Object} - Updated range and counts, with the changeId of the journal entry
+   */
+  async updateRange(url, range, values, options = {}) {
+    try {
+      this.logger.info('Updating range...');
+      this.policy.assertWritable('update a range');
+
+      // Load document properties
+      const { sheetId, doc } = await this.loadDocument(url);
+
+      const { sheet, bounds } = await this.resolveRange(doc, range, { gid: this.extractGidFromUrl(url), closest: false });
+      this.policy.assertSheetAllowed(sheet.title);
+      const targetBounds = this.getWriteBounds(sheet, bounds, values);
+      const targetRange = this.formatA1Range(sheet, targetBounds);
+
+      let written;
+      if (options.dryRun) {
+        const [before] = await this.batchGetValues(doc, [targetRange], 'FORMULA');
+        written = this.previewWrite(sheet, targetBounds, values, before);
+        await this.redactDiff(doc, written.diff);
+      } else {
+        const change = this.beginChange('update a range', doc);
+        written = await this.writeValues(doc, targetRange, values, options.valueInputOption, change, options.maxOverwrittenCells);
+        const changeId = await this.commitChange(change);
+        Object.assign(written, changeId && { changeId });
+      }
+
+      const result = {
+        spreadsheetId: sheetId,
+        spreadsheetTitle: doc.title,
+        spreadsheetUrl: this.getDocumentUrl(doc),
+        sheetTitle: sheet.title,
+        ...written,
+      };
+
+      this.logger.info(`Successfully updated ${result.updatedCells} cells`);
+      return result;
+    } catch (error) {
+      this.logger.error('Error updating range:', error);
+      throw this.toSheetsError(error, 'Failed to update range');
+    }
+  }
+
+  /**
+   * Append rows after the last populated row of a sheet
+   * @param {string} url - Google Sheets URL
+   * @param {string} sheetName - Name of the sheet to append to
+   * @param {Array} rows - Either rows of values, or objects keyed by header name
+   * @param {Object} [options] - Append options
+   * @param {number} [options.headerRow] - 1-based header row used to map object keys (detected if omitted)
+   * @param {string} [options.valueInputOption] - 'USER_ENTERED' (default) or 'RAW'
+   * @param {boolean} [options.dryRun] - Only report the cells that would be written, and any
+   *   growth of the grid, without touching the sheet (see previewWrite)
+   * @returns {Object} - Appended range and counts, with the changeId of the journal entry; undoing
+   *   it clears the rows but leaves any growth of the grid
+   */
+  async appendRows(url, sheetName, rows, options = {}) {
+    let change = null;
+    try {
+      this.logger.info('Appending rows...');
+      this.policy.assertWritable('append rows');
+
+      // Load document properties and find the specific sheet by name
+      const { sheetId, doc, sheet } = await this.loadSheetByName(url, sheetName, { closest: false });
+
+      if (!Array.isArray(rows) || rows.length === 0) {
+        throw new SheetsError(ErrorCode.INVALID_ARGUMENT, 'Rows must be a non-empty array.');
+      }
+
+      let values = rows;
+      let headerRow = null;
+      if (!rows.every(Array.isArray)) {
+        if (rows.some(row => Array.isArray(row) || row === null || typeof row !== 'object')) {
+          throw new SheetsError(ErrorCode.INVALID_ARGUMENT, 'Rows must be either all arrays or all objects keyed by header name.');
+        }
+        const mapped = await this.mapRecordsToRows(doc, sheet, rows, options.headerRow);
+        values = mapped.values;
+        headerRow = mapped.headerRow;
+      }
+
+      const emptyRow = values.findIndex(row => row.every(value => value === null || value === undefined || value === ''));
+      if (emptyRow !== -1) {
+        throw new SheetsError(ErrorCode.INVALID_ARGUMENT, `Row ${emptyRow + 1} does not contain any values.`, {
+          hint: 'Leave out empty rows; every appended row needs at least one value.',
+        });
+      }
+
+      // The API inserts a row for each new one, but only widens the grid when asked
+      const columnCount = Math.max(...values.map(row => row.length));
+      const diff = this.createDiff();
+      if (!options.dryRun) {
+        change = this.beginChange('append rows', doc);
+      }
+      if (columnCount > sheet.columnCount && !options.dryRun) {
+        const before = { columnCount: sheet.columnCount };
+        await this.limiter.run('sheets.write', 'resize a sheet', () =>
+          sheet.resize({ rowCount: sheet.rowCount, columnCount: columnCount })
+        );
+        change?.operations.push({ type: 'properties', sheetId: sheet.sheetId, sheet: sheet.title, before: before, after: { columnCount } });
+      }
+
+      let written;
+      if (options.dryRun) {
+        // Estimate where the rows would land; the real append finds the end of the data itself
+        const startRow = Math.max(await this.countPopulatedRows(doc, sheet), headerRow || 0);
+        diff.sheets.push({
+          change: 'resize',
+          sheet: sheet.title,
+          before: { rowCount: sheet.rowCount, columnCount: sheet.columnCount },
+          after: { rowCount: sheet.rowCount + values.length, columnCount: Math.max(sheet.columnCount, columnCount) },
+        });
+        const targetBounds = { startRow: startRow, endRow: startRow + values.length, startCol: 0, endCol: columnCount };
+        written = this.previewWrite(sheet, targetBounds, values, [], diff);
+      } else {
+        // Search for the end of the data from the header down, across the whole grid
+        const searchRange = this.formatA1Range(sheet, {
+          startRow: headerRow ? headerRow - 1 : 0,
+          endRow: sheet.rowCount,
+          startCol: 0,
+          endCol: Math.max(sheet.columnCount, columnCount),
+        });
+        written = await this.appendValues(doc, searchRange, values, options.valueInputOption, change);
+        const changeId = await this.commitChange(change);
+        Object.assign(written, changeId && { changeId });
+      }
+
+      const result = {
+        spreadsheetId: sheetId,
+        spreadsheetTitle: doc.title,
+        spreadsheetUrl: this.getDocumentUrl(doc),
+        sheetTitle: sheet.title,
+        headerRow: headerRow,
+        appendedRows: values.length,
+        ...written,
+      };
+
+      this.logger.info(`Successfully appended ${values.length} rows`);
+      return result;
+    } catch (error) {
+      // A grid widened before the append failed can still be undone
+      await this.commitChange(change);
+      this.logger.error('Error appending rows:', error);
+      throw this.toSheetsError(error, 'Failed to append rows');
+    }
+  }
+
+  /**
+   * Map objects keyed by header name onto the column layout of a sheet's header row
+   * @param {GoogleSpreadsheet} doc - Spreadsheet containing the sheet
+   * @param {Object} sheet - Google Sheets worksheet being appended to
+   * @param {Array<Object>} records - Objects keyed by header name (a "_row" key is ignored)
+   * @param {number} [headerRow] - 1-based header row (detected if omitted)
+   * @returns {Object} - { headerRow, values } with one array per record
+   */
+  async mapRecordsToRows(doc, sheet, records, headerRow) {
+    // Read the header the same way records mode does, so its output can be appended back
+    const probeBounds = {
+      startRow: headerRow ? headerRow - 1 : 0,
+      endRow: headerRow || Math.min(HEADER_SCAN_ROWS, sheet.rowCount),
+      startCol: 0,
+      endCol: sheet.columnCount,
+    };
+    await this.loadCells(doc, sheet, probeBounds);
+    const probeCells = this.extractCellData(sheet, probeBounds, { redact: false }).cells;
+    const table = await this.extractRecords(doc, sheet, probeCells, probeBounds, headerRow);
+
+    const columnsByName = new Map(table.columns.map(column => [column.name, column.index]));
+    const unknownKeys = [
+      ...new Set(records.flatMap(record => Object.keys(record)).filter(key => key !== '_row' && !columnsByName.has(key))),
+    ];
+    if (unknownKeys.length > 0) {
+      throw new SheetsError(
+        ErrorCode.INVALID_ARGUMENT,
+        `Unknown columns: ${unknownKeys.join(', ')}. Available columns (header row ${table.headerRow}): ${[...columnsByName.keys()].join(', ')}.`
+      );
+    }
+
+    const values = records.map(record => {
+      const row = [];
+      for (const [key, value] of Object.entries(record)) {
+        if (key !== '_row') {
+          row[columnsByName.get(key) - 1] = value;
+        }
+      }
+      // Columns the record does not mention are left untouched
+      return Array.from(row, value => (value === undefined ? null : value));
+    });
+
+    return { headerRow: table.headerRow, values };
+  }
+
+  /**
+   * Refuse a write, deletion or undo that would now overwrite more cells than the user confirmed
+   * @param {Object} diff - Diff counted from freshly read values (see createDiff)
+   * @param {number} [maxOverwrittenCells] - Confirmed count; no check when undefined
+   */
+  assertOverwriteConfirmed(diff, maxOverwrittenCells) {
+    if (maxOverwrittenCells !== undefined && diff.overwrittenCells > maxOverwrittenCells) {
+      throw new SheetsError(ErrorCode.CONFLICT, `This would now overwrite or delete ${diff.overwrittenCells} cells that hold values, more than the ${maxOverwrittenCells} confirmed.`, {
+        hint: 'The cells changed since they were checked; review the change again with dry_run before making it.',
+      });
+    }
+  }
+
+  /**
+   * Write values into an exact A1 range with the values API
+   * @param {GoogleSpreadsheet} doc - Spreadsheet being written
+   * @param {string} a1Range - Exact target range including the sheet name
+   * @param {Array<Array>} values - Rows of values
+   * @param {string} [valueInputOption] - 'USER_ENTERED' (default) or 'RAW'
+   * @param {Object} [change] - Change from beginChange to add the write to, with the values it
+   *   replaced and the values as stored
+   * @param {number} [maxOverwrittenCells] - Refuse with CONFLICT, before writing, if more cells
+   *   holding values than this would be overwritten
+   * @returns {Object} - { updatedRange, updatedRows, updatedColumns, updatedCells }
+   */
+  async writeValues(doc, a1Range, values, valueInputOption, change = null, maxOverwrittenCells = undefined) {
+    // Read as entered (formulas as text, numbers unformatted), so the audit log and change journal show what a write replaced
+    const audited = auditsWriteValues();
+    const bounded = maxOverwrittenCells !== undefined;
+    const [before] = audited || change || bounded ? await this.batchGetValues(doc, [a1Range], 'FORMULA') : [null];
+
+    // The cells may have changed since the user confirmed the write, so count again from this read
+    if (bounded) {
+      const diff = this.createDiff();
+      this.addCellChanges(diff, '', SHEET_ORIGIN, before, values);
+      this.assertOverwriteConfirmed(diff, maxOverwrittenCells);
+    }
+
+    const response = await this.limiter.run('sheets.write', 'write values', () =>
+      doc.sheetsApi.put(
+        `/values/${encodeURIComponent(a1Range)}`,
+        {
+          range: a1Range,
+          majorDimension: 'ROWS',
+          values: values,
+        },
+        {
+          params: {
+            valueInputOption: valueInputOption || 'USER_ENTERED',
+            // The journal keeps values as stored, e.g. 0.04 for "4%", to spot later edits by comparison
+            ...(change && { includeValuesInResponse: true, responseValueRenderOption: 'FORMULA' }),
+          },
+        }
+      )
+    );
+    this.invalidateDocument(doc);
+
+    return this.recordValuesWrite(doc, response.data, a1Range, before, values, change);
+  }
+
+  /**
+   * Append rows below the data in a range with the values API, which finds where the data ends
+   * and inserts the rows in one request, so concurrent edits and appends cannot be overwritten
+   * @param {GoogleSpreadsheet} doc - Spreadsheet being written
+   * @param {string} a1Range - Range to look for the end of the data in, including the sheet name
+   * @param {Array<Array>} values - Rows of values
+   * @param {string} [valueInputOption] - 'USER_ENTERED' (default) or 'RAW'
+   * @param {Object} [change] - Change from beginChange to add the write to
+   * @returns {Object} - { updatedRange, updatedRows, updatedColumns, updatedCells }
+   */
+  async appendValues(doc, a1Range, values, valueInputOption, change = null) {
+    const response = await this.limiter.run('sheets.write', 'append values', () =>
+      doc.sheetsApi.post(
+        `/values/${encodeURIComponent(a1Range)}:append`,
+        {
+          range: a1Range,
+          majorDimension: 'ROWS',
+          values: values,
+        },
+        {
+          params: {
+            valueInputOption: valueInputOption || 'USER_ENTERED',
+            insertDataOption: 'INSERT_ROWS',
+            ...(change && { includeValuesInResponse: true, responseValueRenderOption: 'FORMULA' }),
+          },
+        }
+      )
+    );
+    this.invalidateDocument(doc);
+
+    // The inserted rows start out empty, so there is nothing to read beforehand
+    return this.recordValuesWrite(doc, response.data.updates || {}, a1Range, [], values, change);
+  }
+
+  /**
+   * Add a finished write to the audit log and change journal, and describe it
+   * @param {GoogleSpreadsheet} doc - Spreadsheet written
+   * @param {Object} update - UpdateValuesResponse from the values API
+   * @param {string} a1Range - Range the write was sent to
+   * @param {Array<Array>|null} before - Values replaced, read only when audited or journaled
+   * @param {Array<Array>} values - Values sent
+   * @param {Object|null} change - Change from beginChange, or null
+   * @returns {Object} - { updatedRange, updatedRows, updatedColumns, updatedCells }
+   */
+  recordValuesWrite(doc, update, a1Range, before, values, change) {
+    const updatedRange = update.updatedRange || a1Range;
+    if (auditsWriteValues()) {
+      recordWrite({ range: updatedRange, before: before, after: values });
+    }
+    if (change) {
+      const bounds = this.parseA1Range(updatedRange);
+      const sheet = this.findSheet(doc, bounds.sheetName, { closest: false });
+      change.operations.push({
+        type: 'values',
+        sheetId: sheet.sheetId,
+        sheet: sheet.title,
+        range: updatedRange,
+        before: this.padValues(before || [], bounds),
+        after: this.padValues(update.updatedData?.values || [], bounds),
+      });
+    }
+
+    return {
+      updatedRange: updatedRange,
+      updatedRows: update.updatedRows || 0,
+      updatedColumns: update.updatedColumns || 0,
+      updatedCells: update.updatedCells || 0,
+    };
+  }
+
+  /**
+   * Work out which cells a write touches, anchored at the top-left of the target range
+   * @param {Object} sheet - Google Sheets worksheet being written
+   * @param {Object} bounds - Resolved bounds of the requested range
+   * @param {Array<Array>} values - Rows of values to write
+   * @returns {Object} - 0-based, end-exclusive bounds of the cells written
+   */
+  getWriteBounds(sheet, bounds, values) {
+    if (!Array.isArray(values) || values.length === 0 || !values.every(Array.isArray)) {
+      throw new SheetsError(ErrorCode.INVALID_ARGUMENT, 'Values must be a non-empty 2D array (an array of rows).');
+    }
+
+    const rowCount = values.length;
+    const columnCount = Math.max(...values.map(row => row.length));
+    if (columnCount === 0) {
+      throw new SheetsError(ErrorCode.INVALID_ARGUMENT, 'Values must contain at least one cell.');
+    }
+
+    const targetBounds = {
+      startRow: bounds.startRow,
+      endRow: bounds.startRow + rowCount,
+      startCol: bounds.startCol,
+      endCol: bounds.startCol + columnCount,
+    };
+
+    // A single cell is treated as the top-left anchor; a larger range must fit the values
+    const isSingleCell = bounds.endRow - bounds.startRow === 1 && bounds.endCol - bounds.startCol === 1;
+    if (!isSingleCell && (targetBounds.endRow > bounds.endRow || targetBounds.endCol > bounds.endCol)) {
+      throw new SheetsError(
+        ErrorCode.INVALID_ARGUMENT,
+        `Values (${rowCount} rows × ${columnCount} columns) do not fit in ${this.formatA1Range(sheet, bounds)}.`
+      );
+    }
+    if (targetBounds.endRow > sheet.rowCount || targetBounds.endCol > sheet.columnCount) {
+      throw new SheetsError(
+        ErrorCode.INVALID_ARGUMENT,
+        `Values extend past the sheet grid (${sheet.rowCount} rows × ${sheet.columnCount} columns).`
+      );
+    }
+
+    return targetBounds;
+  }
+
+  /**
+   * Start an empty dry-run diff
+   *
+   * cells lists the cells that would change as { sheet, address, before, after }, with values as
+   * entered (formulas as text, numbers unformatted) and null for an empty cell; only the first
+   * 500 are listed and truncated says whether any were left out. cellCount and
+   * overwrittenCells (changed cells that already held a value) always count every cell.
+   * sheets lists sheet-level changes as { change, sheet, before, after }.
+   * @returns {Object} - { cells, cellCount, overwrittenCells, truncated, sheets }
+   */
+  createDiff() {
+    return { cells: [], cellCount: 0, overwrittenCells: 0, truncated: false, sheets: [] };
+  }
+
+  /**
+   * Add the cells a block of values would change to a dry-run diff
+   * @param {Object} diff - Diff from createDiff
+   * @param {string} sheetTitle - Sheet being written
+   * @param {Object} bounds - 0-based bounds whose top-left cell the values start at
+   * @param {Array<Array>} before - Current rows of values, as entered (may be ragged or shorter)
+   * @param {Array<Array>} after - Rows of values to write; null leaves a cell unchanged
+   */
+  addCellChanges(diff, sheetTitle, bounds, before, after) {
+    after.forEach((row, rowOffset) => {
+      row.forEach((value, colOffset) => {
+        if (value === null || value === undefined) {
+          return;
+        }
+        const previous = before[rowOffset]?.[colOffset] ?? '';
+        if (String(previous) === String(value)) {
+          return;
+        }
+
+        diff.cellCount++;
+        if (previous !== '') {
+          diff.overwrittenCells++;
+        }
+        if (diff.cells.length >= MAX_DIFF_CELLS) {
+          diff.truncated = true;
+          return;
+        }
+        diff.cells.push({
+          sheet: sheetTitle,
+          address: `${this.columnToLetter(bounds.startCol + colOffset + 1)}${bounds.startRow + rowOffset + 1}`,
+          before: previous === '' ? null : previous,
+          after: value === '' ? null : value,
+        });
+      });
+    });
+  }
+
+  /**
+   * Mask values in a dry-run diff that a read of the same cells would redact
+   *
+   * A cell is masked on both sides when a read redacts its current value, or when it is empty
+   * now but sits in a redacted column; any other value a value rule picks out is masked too.
+   * @param {GoogleSpreadsheet} doc - Spreadsheet the diff's sheets belong to
+   * @param {Object} diff - Diff from createDiff
+   */
+  async redactDiff(doc, diff) {
+    if (!this.redactor.enabled) {
+      return;
+    }
+
+    const cellsBySheet = new Map();
+    for (const cell of diff.cells) {
+      cellsBySheet.set(cell.sheet, [...(cellsBySheet.get(cell.sheet) || []), cell]);
+    }
+    for (const [title, cells] of cellsBySheet) {
+      const positions = cells.map(cell => {
+        const [, letters, row] = /^([A-Z]+)(\d+)$/.exec(cell.address);
+        return { key: `${row}:${this.letterToColumn(letters)}`, letters: letters };
+      });
+
+      // Sheets that do not exist yet have no header or values to pick columns by
+      const sheet = doc.sheetsByTitle[title];
+      const current = new Map();
+      const shown = new Map();
+      const columnActions = new Map();
+      if (sheet) {
+        const [rows, columns] = [0, 1].map(axis => positions.map(position => Number(position.key.split(':')[axis]) - 1));
+        const bounds = {
+          startRow: Math.min(...rows),
+          endRow: Math.max(...rows) + 1,
+          startCol: Math.min(...columns),
+          endCol: Math.max(...columns) + 1,
+        };
+        await this.loadCells(doc, sheet, bounds);
+        await this.loadRedactionHeader(doc, sheet, bounds);
+        for (const cell of this.extractCellData(sheet, bounds, { redact: false }).cells) {
+          current.set(cell.pos.join(':'), cell);
+        }
+        const redacted = this.extractCellData(sheet, bounds);
+        for (const cell of redacted.cells) {
+          shown.set(cell.pos.join(':'), cell);
+        }
+        for (const column of redacted.metadata.redactedColumns || []) {
+          columnActions.set(column.column, column.action);
+        }
+      }
+
+      const mask = (value, action) => (value === null ? null : this.redactor.redactValue(value, action) ?? MASK);
+      cells.forEach((cell, index) => {
+        const { key, letters } = positions[index];
+        const action = columnActions.get(letters);
+        const redactedNow = current.has(key) && shown.get(key)?.val !== current.get(key).val;
+        if (action && (redactedNow || !current.has(key))) {
+          cell.before = mask(cell.before, action);
+          cell.after = mask(cell.after, action);
+          return;
+        }
+        for (const side of ['before', 'after']) {
+          if (cell[side] !== null && this.redactor.isSensitiveValue(title, String(cell[side]))) {
+            cell[side] = mask(cell[side], 'mask');
+          }
+        }
+      });
+    }
+  }
+
+  /**
+   * Describe a cell write without making it, in the shape writeValues returns
+   * @param {Object} sheet - Google Sheets worksheet that would be written
+   * @param {Object} bounds - 0-based, end-exclusive bounds of the cells written
+   * @param {Array<Array>} values - Rows of values to write
+   * @param {Array<Array>} before - Current rows of values in the bounds, as entered
+   * @param {Object} [diff] - Diff to add the cell changes to (default a new one)
+   * @returns {Object} - { updatedRange, updatedRows, updatedColumns, updatedCells, dryRun, diff }
+   */
+  previewWrite(sheet, bounds, values, before, diff = this.createDiff()) {
+    this.addCellChanges(diff, sheet.title, bounds, before, values);
+    return {
+      updatedRange: this.formatA1Range(sheet, bounds),
+      updatedRows: values.length,
+      updatedColumns: bounds.endCol - bounds.startCol,
+      updatedCells: values.reduce((total, row) => total + row.filter(value => value !== null && value !== undefined).length, 0),
+      dryRun: true,
+      diff: diff,
+    };
+  }
+
+  /**
+   * Describe a change to an existing spreadsheet without making it
+   * @param {string} url - Google Sheets URL of the spreadsheet that would change
+   * @param {Object} diff - Diff from createDiff
+   * @returns {Object} - The spreadsheet's current summary with dryRun and diff
+   */
+  async previewSummary(url, diff) {
+    const summary = await this.getSpreadsheetSummary(url);
+    return { ...summary, dryRun: true, diff: diff };
+  }
+
+  /**
+   * Describe a single sheet-level change without making it
+   * @param {string} url - Google Sheets URL of the spreadsheet that would change
+   * @param {Object} change - { change, sheet, before, after }
+   * @returns {Object} - The spreadsheet's current summary with dryRun and diff
+   */
+  async previewSheetChange(url, change) {
+    const diff = this.createDiff();
+    diff.sheets.push(change);
+    return this.previewSummary(url, diff);
+  }
+
+  /**
+   * Describe a spreadsheet that would be created; it has no id or url yet
+   * @param {string} title - Title of the new spreadsheet
+   * @param {number} sheetCount - Number of sheets it would have
+   * @param {Object} diff - Diff from createDiff
+   * @returns {Object} - Summary-shaped result with dryRun and diff
+   */
+  previewNewSpreadsheet(title, sheetCount, diff) {
+    return { id: '', title: title, url: '', sheetCount: sheetCount, sheetNames: [], metadata: {}, dryRun: true, diff: diff };
+  }
+
+  /**
+   * Describe a template copy without making it, by filling placeholders in the template's values
+   * @param {Object} template - { sheetId, doc } of the template
+   * @param {string} title - Title the copy would get
+   * @param {Object} [placeholders] - Values keyed by placeholder name
+   * @returns {Object} - Summary-shaped result with templateId, replacements, dryRun and diff
+   */
+  async previewTemplateCopy(template, title, placeholders) {
+    // Sheets the access policy blocks are left out of the copy
+    const sheets = this.getAllowedSheets(template.doc);
+    const entries = Object.entries(placeholders || {});
+    const replacements = Object.fromEntries(entries.map(([name]) => [name, 0]));
+    const diff = this.createDiff();
+
+    if (entries.length > 0 && sheets.length > 0) {
+      const sheetValues = await this.batchGetValues(template.doc, sheets.map(sheet => sheet.a1SheetName), 'FORMULA');
+      sheets.forEach((sheet, index) => {
+        const before = sheetValues[index];
+        const after = before.map(row =>
+          row.map(value => {
+            if (typeof value !== 'string') {
+              return null;
+            }
+            // Filled one placeholder at a time, in order, like the find/replace requests of a real copy
+            return entries.reduce((text, [name, replacement]) => {
+              const parts = text.split(`{{${name}}}`);
+              replacements[name] += parts.length - 1;
+              return parts.join(String(replacement));
+            }, value);
+          })
+        );
+        this.addCellChanges(diff, sheet.title, SHEET_ORIGIN, before, after);
+      });
+      await this.redactDiff(template.doc, diff);
+    }
+
+    return {
+      ...this.previewNewSpreadsheet(title, sheets.length, diff),
+      templateId: template.sheetId,
+      replacements: replacements,
+    };
+  }
+
+  /**
+   * Start recording a change in the change journal
+   * @param {string} action - What the change does, e.g. "update a range"
+   * @param {GoogleSpreadsheet} doc - Spreadsheet being changed
+   * @returns {Object|null} - { action, spreadsheetId, spreadsheetTitle, operations } to add
+   *   operations to (see ChangeJournal), or null without a journal
+   */
+  beginChange(action, doc) {
+    if (!this.journal) {
+      return null;
+    }
+    return { action: action, spreadsheetId: doc.spreadsheetId, spreadsheetTitle: doc.title, operations: [] };
+  }
+
+  /**
+   * Write a change to the journal if it did anything; only the first call writes it, so a failed
+   * write can still record the part it made
+   * @param {Object|null} change - Change from beginChange
+   * @returns {string|undefined} - ID of the journal entry
+   */
+  async commitChange(change) {
+    if (!change || change.operations.length === 0) {
+      return undefined;
+    }
+    if (!('id' in change)) {
+      change.id = await this.journal.record(change);
+    }
+    return change.id ?? undefined;
+  }
+
+  /**
+   * Add a sheet that was just created to a change, with a digest of its values so an undo can
+   * tell whether anyone has edited it since
+   * @param {Object|null} change - Change from beginChange
+   * @param {GoogleSpreadsheet} doc - Spreadsheet the sheet was added to
+   * @param {Object} sheet - The new worksheet
+   * @returns {Object|undefined} - The operation added
+   */
+  async recordAddedSheet(change, doc, sheet) {
+    if (!change) {
+      return undefined;
+    }
+    const [values] = await this.batchGetValues(doc, [sheet.a1SheetName], 'FORMULA');
+    const operation = { type: 'addSheet', sheetId: sheet.sheetId, sheet: sheet.title, digest: digestValues(values) };
+    change.operations.push(operation);
+    return operation;
+  }
+
+  /**
+   * Fill rows of values out to a rectangle, since the API leaves off trailing empty cells and rows
+   * @param {Array<Array>} values - Rows of values as read
+   * @param {Object} bounds - 0-based, end-exclusive bounds the values were read from
+   * @returns {Array<Array>} - One row per row of the bounds, one value per column ('' when empty)
+   */
+  padValues(values, bounds) {
+    return Array.from({ length: bounds.endRow - bounds.startRow }, (_, row) =>
+      Array.from({ length: bounds.endCol - bounds.startCol }, (_, col) => values[row]?.[col] ?? '')
+    );
+  }
+
+  /**
+   * Turn a value read as entered back into USER_ENTERED input that stores it the same way
+   * @param {*} value - Value as read with the FORMULA render option
+   * @returns {*} - Text with a leading apostrophe so it is not parsed as a number or date;
+   *   anything else unchanged
+   */
+  toEnteredValue(value) {
+    return typeof value === 'string' && value !== '' && !value.startsWith('=') ? `'${value}` : value;
+  }
+
+  /**
+   * Work out the index to send when moving a sheet
+   * @param {number} fromIndex - Current 0-based position of the sheet
+   * @param {number} toIndex - 0-based position it should end up at
+   * @returns {number} - Target index for updateProperties
+   */
+  getMoveTargetIndex(fromIndex, toIndex) {
+    // The API counts the target index before the sheet is removed from its old spot
+    return toIndex > fromIndex ? toIndex + 1 : toIndex;
+  }
+
+  /**
+   * Undo changes recorded in the change journal, newest first
+   *
+   * Each change is checked before any of it is undone: its cells must still hold the values it
+   * wrote, its sheets the name, position and visibility it gave them, and sheets it added must not
+   * have been edited. A change that fails the check stops the undo with a CONFLICT error naming
+   * what differs, so later edits by someone else are never overwritten; changes undone before it
+   * stay undone.
+   * @param {Object} options
+   * @param {string} [options.id] - ID of the change to undo
+   * @param {string} [options.url] - Google Sheets URL whose most recent changes to undo (needed without an id)
+   * @param {number} [options.count] - How many of the most recent changes to undo (default 1)
+   * @param {string} [options.sessionId] - HTTP session asking; only its own changes can be undone
+   * @param {boolean} [options.dryRun] - Only report what would change (see createDiff)
+   * @param {number} [options.maxOverwrittenCells] - Refuse with CONFLICT, before undoing a change,
+   *   if the undo so far would overwrite or delete more cells holding values than this
+   * @returns {Object} - { spreadsheetId, spreadsheetTitle, spreadsheetUrl, undone } with the
+   *   changes undone (see summarizeChange), plus dryRun and diff for a dry run
+   */
+  async undoChanges(options = {}) {
+    try {
+      this.policy.assertWritable('undo a change');
+      if (!this.journal) {
+        throw new SheetsError(ErrorCode.NOT_CONFIGURED, 'There is no change journal to undo changes from.', {
+          hint: 'Set SHEETS_CHANGE_JOURNAL to a file path so writes record what they replace.',
+        });
+      }
+
+      const changes = await this.findChangesToUndo(options);
+      const { sheetId, doc } = await this.loadDocument(options.url || this.getDocumentUrl({ spreadsheetId: changes[0].spreadsheetId }));
+      const state = {
+        // Sheets in tab order as the undo has left them so far; values are read when first needed
+        sheets: doc.sheetsByIndex.map(sheet => ({
+          sheetId: sheet.sheetId,
+          title: sheet.title,
+          hidden: Boolean(sheet.hidden),
+          columnCount: sheet.columnCount,
+          values: null,
+        })),
+      };
+      const diff = this.createDiff();
+      const undone = [];
+
+      for (const change of changes) {
+        const { steps, conflicts } = await this.planUndo(doc, state, change, diff);
+        if (conflicts.length > 0) {
+          const listed = conflicts.slice(0, 10).join('; ') + (conflicts.length > 10 ? `; and ${conflicts.length - 10} more` : '');
+          throw new SheetsError(ErrorCode.CONFLICT, `Change ${change.id} (${change.action}) cannot be undone: ${listed}.`, {
+            hint:
+              'These cells or sheets were changed after this server made the change, and undoing it would overwrite that work. ' +
+              'Undo newer changes to them first, or fix the rest by hand.',
+            details: { changeId: change.id, conflicts: conflicts.slice(0, MAX_DIFF_CELLS), undone: undone.map(entry => entry.id) },
+          });
+        }
+        if (!options.dryRun) {
+          this.assertOverwriteConfirmed(diff, options.maxOverwrittenCells);
+          await this.applyUndo(doc, steps);
+          await this.journal.markUndone(change.id);
+        }
+        undone.push({ ...summarizeChange(change), undone: !options.dryRun });
+      }
+
+      const result = {
+        spreadsheetId: sheetId,
+        spreadsheetTitle: doc.title,
+        spreadsheetUrl: this.getDocumentUrl(doc),
+        undone: undone,
+      };
+      if (options.dryRun) {
+        await this.redactDiff(doc, diff);
+        return { ...result, dryRun: true, diff: diff };
+      }
+
+      this.logger.info(`Undid ${undone.length} changes`);
+      return result;
+    } catch (error) {
+      this.logger.error('Error undoing changes:', error);
+      throw this.toSheetsError(error, 'Failed to undo changes');
+    }
+  }
+
+  /**
+   * Pick the changes an undo applies to, newest first
+   * @param {Object} options - See undoChanges
+   * @returns {Array<Object>} - Changes from the journal, none of them undone yet
+   */
+  async findChangesToUndo(options) {
+    // Changes of other sessions, or to spreadsheets and sheets the policy blocks, are not there to undo
+    const checked = new Map();
+    const isVisible = async change =>
+      (!options.sessionId || change.sessionId === options.sessionId) && (await this.isChangeVisible(change, checked));
+
+    if (options.id) {
+      const change = await this.journal.find(options.id);
+      if (!change || !(await isVisible(change))) {
+        throw new SheetsError(ErrorCode.INVALID_ARGUMENT, `There is no change "${options.id}" in the change journal.`, {
+          hint: 'Use list_changes to see recent changes and their IDs.',
+        });
+      }
+      if (change.undone) {
+        throw new SheetsError(ErrorCode.INVALID_ARGUMENT, `Change ${change.id} has already been undone.`);
+      }
+      if (options.url && this.extractSheetIdFromUrl(options.url) !== change.spreadsheetId) {
+        throw new SheetsError(ErrorCode.INVALID_ARGUMENT, `Change ${change.id} was made to another spreadsheet.`);
+      }
+      return [change];
+    }
+
+    if (!options.url) {
+      throw new SheetsError(ErrorCode.INVALID_ARGUMENT, 'Give the ID of a change to undo, or the URL of the spreadsheet whose last changes to undo.');
+    }
+    const changes = await this.journal.list({
+      spreadsheetId: this.extractSheetIdFromUrl(options.url),
+      limit: options.count || 1,
+      accept: isVisible,
+    });
+    if (changes.length === 0) {
+      throw new SheetsError(ErrorCode.INVALID_ARGUMENT, 'There are no changes to this spreadsheet left to undo.', {
+        hint: 'Only changes made through this server while SHEETS_CHANGE_JOURNAL was set can be undone.',
+      });
+    }
+    return changes;
+  }
+
+  /**
+   * Check that a change can be undone and work out the steps, adding them to a dry-run diff
+   * @param {GoogleSpreadsheet} doc - Spreadsheet the change was made to
+   * @param {Object} state - { sheets } as undoChanges tracks them, updated to after the undo
+   * @param {Object} change - Change from the journal
+   * @param {Object} diff - Diff from createDiff
+   * @returns {Object} - { steps, conflicts } with steps in the order to apply them and
+   *   conflicts describing what was changed since
+   */
+  async planUndo(doc, state, change, diff) {
+    const steps = [];
+    const conflicts = [];
+
+    for (const operation of [...change.operations].reverse()) {
+      const index = state.sheets.findIndex(sheet => sheet.sheetId === operation.sheetId);
+      const sheet = state.sheets[index];
+      this.policy.assertSheetAllowed(sheet ? sheet.title : operation.sheet);
+
+      if (operation.type === 'values') {
+        if (!sheet) {
+          conflicts.push(`sheet "${operation.sheet}" was deleted`);
+          continue;
+        }
+        const bounds = this.parseA1Range(operation.range);
+        const values = await this.loadUndoValues(doc, sheet);
+        // Cells the change left as they were (null in the write) are left alone
+        const restore = operation.before.map((row, rowOffset) =>
+          row.map((value, colOffset) => {
+            const written = operation.after[rowOffset]?.[colOffset] ?? '';
+            if (String(value) === String(written)) {
+              return null;
+            }
+            const [rowIndex, colIndex] = [bounds.startRow + rowOffset, bounds.startCol + colOffset];
+            if (String(values[rowIndex]?.[colIndex] ?? '') !== String(written)) {
+              conflicts.push(`${sheet.title}!${this.columnToLetter(colIndex + 1)}${rowIndex + 1} was changed`);
+            }
+            (values[rowIndex] ||= [])[colIndex] = value;
+            return value;
+          })
+        );
+        this.addCellChanges(diff, sheet.title, bounds, operation.after, restore);
+        steps.push({ type: 'values', sheetId: sheet.sheetId, bounds: bounds, values: restore });
+      } else if (operation.type === 'properties') {
+        if (!sheet) {
+          conflicts.push(`sheet "${operation.sheet}" was deleted`);
+          continue;
+        }
+        const current = { title: sheet.title, index: index, hidden: sheet.hidden, columnCount: sheet.columnCount };
+        for (const [key, value] of Object.entries(operation.after)) {
+          const name = { title: 'rename', index: 'move', hidden: operation.before.hidden ? 'hide' : 'unhide', columnCount: 'resize' }[key];
+          if (current[key] !== value) {
+            conflicts.push(
+              `sheet "${sheet.title}" was ${{ title: 'renamed', index: 'moved', hidden: sheet.hidden ? 'hidden' : 'shown', columnCount: 'resized' }[key]}`
+            );
+          }
+          // Resizes read like those of an append's dry run
+          const shown = key === 'columnCount' ? count => ({ columnCount: count }) : property => property;
+          diff.sheets.push({ change: name, sheet: sheet.title, before: shown(current[key]), after: shown(operation.before[key]) });
+        }
+        if (operation.before.title !== undefined && state.sheets.some(other => other !== sheet && other.title === operation.before.title)) {
+          conflicts.push(`another sheet is named "${operation.before.title}"`);
+        }
+        // Narrowing the grid drops the columns cut off, so they must be empty once the values are restored
+        if (operation.before.columnCount !== undefined) {
+          const values = await this.loadUndoValues(doc, sheet);
+          if (values.some(row => Array.from(row || []).slice(operation.before.columnCount).some(value => (value ?? '') !== ''))) {
+            conflicts.push(`sheet "${sheet.title}" has values in the columns to remove`);
+          }
+        }
+        steps.push({ type: 'properties', sheetId: sheet.sheetId, properties: operation.before });
+        Object.assign(sheet, operation.before.title !== undefined && { title: operation.before.title });
+        Object.assign(sheet, operation.before.hidden !== undefined && { hidden: operation.before.hidden });
+        Object.assign(sheet, operation.before.columnCount !== undefined && { columnCount: operation.before.columnCount });
+        if (operation.before.index !== undefined) {
+          state.sheets.splice(index, 1);
+          state.sheets.splice(operation.before.index, 0, sheet);
+        }
+      } else if (operation.type === 'addSheet') {
+        // Someone already deleted it, which is all undoing it would do
+        if (!sheet) {
+          continue;
+        }
+        const values = await this.loadUndoValues(doc, sheet);
+        if (digestValues(values) !== operation.digest) {
+          conflicts.push(`sheet "${sheet.title}" was edited`);
+        }
+        if (state.sheets.length === 1) {
+          conflicts.push(`sheet "${sheet.title}" is the only sheet left`);
+        }
+        const grid = doc.sheetsById[sheet.sheetId];
+        diff.sheets.push({
+          change: 'delete',
+          sheet: sheet.title,
+          before: { index: index, rowCount: grid.rowCount, columnCount: grid.columnCount },
+          after: null,
+        });
+        this.addCellChanges(diff, sheet.title, SHEET_ORIGIN, values, Array.from(values, row => Array.from(row || [], () => '')));
+        steps.push({ type: 'deleteSheet', sheetId: sheet.sheetId });
+        state.sheets.splice(index, 1);
+      } else if (operation.type === 'deleteSheet') {
+        const { properties } = operation;
+        if (state.sheets.some(other => other.title === properties.title)) {
+          conflicts.push(`another sheet is named "${properties.title}"`);
+        }
+        // Put it back under its old ID where that is free, so older changes to it can still be undone
+        const sheetId = sheet ? null : operation.sheetId;
+        diff.sheets.push({
+          change: 'add',
+          sheet: properties.title,
+          before: null,
+          after: { index: properties.index, rowCount: properties.rowCount, columnCount: properties.columnCount },
+        });
+        this.addCellChanges(diff, properties.title, SHEET_ORIGIN, [], operation.values);
+        steps.push({ type: 'addSheet', sheetId: sheetId, properties: properties, values: operation.values });
+        state.sheets.splice(Math.min(properties.index, state.sheets.length), 0, {
+          sheetId: sheetId,
+          title: properties.title,
+          hidden: properties.hidden,
+          columnCount: properties.columnCount,
+          values: operation.values.map(row => [...row]),
+        });
+      }
+    }
+
+    return { steps, conflicts };
+  }
+
+  /**
+   * Read a sheet's values as entered for an undo, once
+   * @param {GoogleSpreadsheet} doc - Spreadsheet containing the sheet
+   * @param {Object} sheet - Sheet as undoChanges tracks it
+   * @returns {Array<Array>} - Rows of values, kept on the sheet so later steps see earlier ones
+   */
+  async loadUndoValues(doc, sheet) {
+    if (!sheet.values) {
+      [sheet.values] = await this.batchGetValues(doc, [doc.sheetsById[sheet.sheetId].a1SheetName], 'FORMULA');
+    }
+    return sheet.values;
+  }
+
+  /**
+   * Apply the steps planned by planUndo
+   * @param {GoogleSpreadsheet} doc - Spreadsheet being restored
+   * @param {Array<Object>} steps - Steps in the order to apply them
+   */
+  async applyUndo(doc, steps) {
+    const toEntered = values => values.map(row => Array.from(row || [], value => this.toEnteredValue(value ?? '')));
+
+    for (const step of steps) {
+      const sheet = doc.sheetsById[step.sheetId];
+      if (step.type === 'values') {
+        const values = step.values.map(row => row.map(value => (value === null ? null : this.toEnteredValue(value))));
+        const targetRange = this.formatA1Range(sheet, this.getWriteBounds(sheet, step.bounds, values));
+        await this.writeValues(doc, targetRange, values, 'USER_ENTERED');
+      } else if (step.type === 'properties') {
+        const { index, columnCount, ...properties } = step.properties;
+        if (index !== undefined) {
+          properties.index = this.getMoveTargetIndex(sheet.index, index);
+        }
+        if (columnCount !== undefined) {
+          properties.gridProperties = { columnCount: columnCount };
+        }
+        await this.limiter.run('sheets.write', 'restore sheet properties', () => sheet.updateProperties(properties));
+      } else if (step.type === 'deleteSheet') {
+        await this.limiter.run('sheets.write', 'delete a sheet', () => sheet.delete());
+      } else if (step.type === 'addSheet') {
+        const { title, index, hidden, rowCount, columnCount } = step.properties;
+        const restored = await this.limiter.run('sheets.write', 'add a sheet', () =>
+          doc.addSheet({
+            ...(step.sheetId !== null && { sheetId: step.sheetId }),
+            title: title,
+            index: Math.min(index, doc.sheetCount),
+            hidden: hidden,
+            gridProperties: { rowCount, columnCount },
+          })
+        );
+        if (step.values.length > 0) {
+          await this.seedSheet(doc, restored, toEntered(step.values));
+        }
+      }
+      this.invalidateDocument(doc);
+    }
+  }
+
+  /**
+   * Resolve an A1 range or named range to a worksheet and cell bounds
+   * @param {GoogleSpreadsheet} doc - Spreadsheet with info already loaded
+   * @param {string} range - A1 range or named range name
+   * @param {Object} [options]
+   * @param {number|null} [options.gid] - Sheet for ranges without a sheet name (default: first sheet)
+   * @param {boolean} [options.closest] - Match the range's sheet name to the closest title (see findSheet)
+   * @returns {Object} - { sheet, bounds, namedRange } with 0-based, end-exclusive bounds
+   */
+  async resolveRange(doc, range, options = {}) {
+    // A bare sheet name refers to the whole sheet (checked first since "Sheet1" is also a cell)
+    const wholeSheet = doc.sheetsByTitle[range];
+    if (wholeSheet) {
+      return { sheet: wholeSheet, bounds: this.clampBounds(wholeSheet, {}), namedRange: null };
+    }
+
+    const parsed = this.parseA1Range(range);
+
+    let outsideGrid = null;
+    if (parsed) {
+      let sheet;
+      if (parsed.sheetName !== null) {
+        sheet = this.findSheet(doc, parsed.sheetName, options);
+      } else if (options.gid !== undefined && options.gid !== null) {
+        sheet = this.findSheet(doc, `gid=${options.gid}`);
+      } else {
+        sheet = doc.sheetsByIndex[0];
+      }
+      try {
+        return { sheet, bounds: this.clampBounds(sheet, parsed), namedRange: null };
+      } catch (error) {
+        // "Tax2024" also reads as column TAX, row 2024; off the grid, a named range of that name wins
+        if (parsed.sheetName !== null) {
+          throw error;
+        }
+        outsideGrid = error;
+      }
+    }
+
+    // Not A1 notation, so look it up as a named range
+    const namedRanges = await this.getNamedRanges(doc);
+    const match = namedRanges.find(namedRange => namedRange.name === range);
+
+    if (match) {
+      const gridRange = match.range;
+      const sheet = doc.sheetsById[gridRange.sheetId || 0];
+      if (!sheet) {
+        throw new SheetsError(ErrorCode.SHEET_NOT_FOUND, `Sheet for named range "${range}" not found.`);
+      }
+      const bounds = {
+        startRow: gridRange.startRowIndex ?? null,
+        endRow: gridRange.endRowIndex ?? null,
+        startCol: gridRange.startColumnIndex ?? null,
+        endCol: gridRange.endColumnIndex ?? null,
+      };
+      return { sheet, bounds: this.clampBounds(sheet, bounds), namedRange: match.name };
+    }
+
+    // A sheet name differing only in case or spacing still means the whole sheet
+    const wanted = this.normalizeSheetTitle(range);
+    const [sheet, ...others] = this.getAllowedSheets(doc).filter(other => this.normalizeSheetTitle(other.title) === wanted);
+    if (sheet && !others.length) {
+      return { sheet, bounds: this.clampBounds(sheet, {}), namedRange: null };
+    }
+
+    throw outsideGrid || new SheetsError(ErrorCode.INVALID_ARGUMENT, `Range "${range}" is neither valid A1 notation nor a named range.`);
+  }
+
+  /**
+   * Parse an A1 range such as "'Sales Q1'!B2:H500", "A:C", "2:5" or "B2"
+   * @param {string} range - A1 range, optionally prefixed with a sheet name
+   * @returns {Object|null} - { sheetName, startRow, endRow, startCol, endCol } (0-based,
+   *   end-exclusive, null for open ends) or null if the string is not A1 notation
+   */
+  parseA1Range(range) {
+    let sheetName = null;
+    let reference = range.trim();
+
+    const quoted = reference.match(/^'((?:[^']|'')+)'!(.+)$/);
+    const unquoted = reference.match(/^([^'!]+)!(.+)$/);
+    if (quoted) {
+      sheetName = quoted[1].replace(/''/g, '\'');
+      reference = quoted[2];
+    } else if (unquoted) {
+      sheetName = unquoted[1];
+      reference = unquoted[2];
+    }
+
+    // At most three column letters (ZZZ), like parseFormulaReferences, so "Sales2024" is a name
+    const match = reference.match(/^([A-Za-z]{0,3})(\d*)(?::([A-Za-z]{0,3})(\d*))?$/);
+    if (!match) {
+      return null;
+    }
+
+    const [, startColLetters, startRowDigits, endColLetters, endRowDigits] = match;
+    const hasEnd = endColLetters !== undefined;
+
+    // A single reference needs both column and row (e.g. "B2"); a range needs each side
+    // to share the same shape (B2:H500, A:C, 2:5) apart from open-ended forms like B2:H
+    if (!hasEnd && !(startColLetters && startRowDigits)) {
+      return null;
+    }
+    if (hasEnd && !startColLetters && !startRowDigits) {
+      return null;
+    }
+    if (hasEnd && !endColLetters && !endRowDigits) {
+      return null;
+    }
+    if (hasEnd && ((startColLetters && !endColLetters) || (!startColLetters && endColLetters))) {
+      return null;
+    }
+
+    const startRow = startRowDigits ? parseInt(startRowDigits, 10) - 1 : null;
+    const startCol = startColLetters ? this.letterToColumn(startColLetters) - 1 : null;
+    let endRow = startRow === null ? null : startRow + 1;
+    let endCol = startCol === null ? null : startCol + 1;
+
+    if (hasEnd) {
+      endRow = endRowDigits ? parseInt(endRowDigits, 10) : null;
+      endCol = endColLetters ? this.letterToColumn(endColLetters) : null;
+    }
+
+    return { sheetName, startRow, endRow, startCol, endCol };
+  }
+
+  /**
+   * Fill open range ends with the sheet edges and keep the range inside the grid
+   * @param {Object} sheet - Google Sheets worksheet
+   * @param {Object} bounds - 0-based, end-exclusive bounds; null/missing means open
+   * @returns {Object} - Concrete { startRow, endRow, startCol, endCol }
+   */
+  clampBounds(sheet, bounds) {
+    const startRow = Math.min(bounds.startRow ?? 0, sheet.rowCount);
+    const startCol = Math.min(bounds.startCol ?? 0, sheet.columnCount);
+    const endRow = Math.min(bounds.endRow ?? sheet.rowCount, sheet.rowCount);
+    const endCol = Math.min(bounds.endCol ?? sheet.columnCount, sheet.columnCount);
+
+    if (endRow <= startRow || endCol <= startCol) {
+      throw new SheetsError(
+        ErrorCode.INVALID_ARGUMENT,
+        `Range is outside the sheet grid (${sheet.rowCount} rows × ${sheet.columnCount} columns).`
+      );
+    }
+
+    return { startRow, endRow, startCol, endCol };
+  }
+
+  /**
+   * Format concrete bounds as an A1 range including the sheet name
+   * @param {Object} sheet - Google Sheets worksheet
+   * @param {Object} bounds - 0-based, end-exclusive bounds
+   * @returns {string} - A1 range (e.g. "'Sales Q1'!B2:H500")
+   */
+  formatA1Range(sheet, bounds) {
+    const start = `${this.columnToLetter(bounds.startCol + 1)}${bounds.startRow + 1}`;
+    const end = `${this.columnToLetter(bounds.endCol)}${bounds.endRow}`;
+    return `${sheet.a1SheetName}!${start}:${end}`;
+  }
+
+  /**
+   * Extract non-empty cells from a loaded sheet
+   * @param {Object} sheet - Google Sheets worksheet with cells loaded
+   * @param {Object} [bounds] - 0-based, end-exclusive bounds to limit extraction to
+   * @param {Object} [options] - Extraction options
+   * @param {boolean} [options.includeFormulas] - Add each formula cell's formula text
+   * @param {Array<string>} [options.include] - Extra cell metadata to attach (see addCellMetadata)
+   * @param {Array<Object>} [options.merges] - Merges from getMergedRanges, marked on their top-left cell
+   * @param {number} [options.headerRow] - 1-based header row for redaction (detected if omitted)
+   * @param {boolean} [options.redact] - Apply the redaction rules (default true)
+   * @returns {Object} - Sheet metadata (with redactedColumns when any were redacted) and cells
+   *   with 1-based sheet positions
+   */
+  extractCellData(sheet, bounds, options = {}) {
+    const cells = [];
+    const include = new Set(options.include || []);
+    const mergeStarts = new Map(
+      (options.merges || []).map(merge => [`${merge.bounds.startRow}:${merge.bounds.startCol}`, merge.range])
+    );
+    const { startRow, endRow, startCol, endCol } = bounds || {
+      startRow: 0,
+      endRow: sheet.rowCount,
+      startCol: 0,
+      endCol: sheet.columnCount,
+    };
+
+    for (let row = startRow; row < endRow; row++) {
+      for (let col = startCol; col < endCol; col++) {
+        const cell = sheet.getCell(row, col);
+
+        const hasContent = cell.value !== null && cell.value !== undefined && cell.value !== '' &&
+            cell.formattedValue !== null && cell.formattedValue !== undefined && cell.formattedValue !== '';
+        const merge = mergeStarts.get(`${row}:${col}`);
+
+        // Only include cells that have some content (or a note, when notes are requested)
+        if (hasContent || (include.has('notes') && cell.note)) {
+
+          const cellData = {
+            pos: [row + 1, col + 1], // Convert to 1-based indexing [row, column]
+            val: hasContent ? cell.value : null, // Raw value
+            type: hasContent ? this.detectCellType(cell) : 'empty'
+          };
+
+          // Add formatted value if different from raw value
+          if (cell.formattedValue && cell.formattedValue !== cell.value) {
+            cellData.fmt = cell.formattedValue;
+          }
+
+          // Add formula text if requested
+          if (options.includeFormulas && cell.formula) {
+            cellData.formula = cell.formula;
+          }
+
+          // Add hyperlink if present
+          try {
+            if (cell.hyperlink) {
+              cellData.hyperlink = cell.hyperlink;
+            }
+          } catch {
+            /* ignore */
+          }
+
+          if (include.size > 0) {
+            this.addCellMetadata(cellData, cell, include, merge);
+          }
+
+          cells.push(cellData);
+        }
+      }
+    }
+
+    const metadata = {
+      title: sheet.title,
+      dimensions: {
+        rows: endRow - startRow,
+        columns: endCol - startCol
+      }
+    };
+
+    if (options.redact !== false && this.redactor.enabled) {
+      const headerCandidates = startRow === 0 ? [...cells] : this.readRedactionHeader(sheet, options.headerRow);
+      const redactedColumns = this.redactCells(sheet, cells, headerCandidates, options.headerRow);
+      if (redactedColumns.length > 0) {
+        metadata.redactedColumns = redactedColumns;
+      }
+    }
+
+    return {
+      metadata: metadata,
+      cells: cells
+    };
+  }
+
+  /**
+   * Rows at the top of a sheet that the header row is looked for in
+   * @param {Object} sheet - Google Sheets worksheet
+   * @param {number} [headerRow] - 1-based header row, if known
+   * @returns {Object} - 0-based, end-exclusive bounds
+   */
+  getRedactionHeaderBounds(sheet, headerRow) {
+    return {
+      startRow: 0,
+      endRow: Math.min(Math.max(HEADER_SCAN_ROWS, headerRow || 0), sheet.rowCount),
+      startCol: 0,
+      endCol: sheet.columnCount,
+    };
+  }
+
+  /**
+   * Load the top of a sheet when a read starts below it, so header rules can see the header
+   * @param {GoogleSpreadsheet} doc - Spreadsheet containing the sheet
+   * @param {Object} sheet - Google Sheets worksheet
+   * @param {Object|null} bounds - Bounds being read (null for the whole sheet)
+   * @param {number} [headerRow] - 1-based header row, if known
+   */
+  async loadRedactionHeader(doc, sheet, bounds, headerRow) {
+    if (this.redactor.enabled && bounds && bounds.startRow > 0 && bounds.endRow > bounds.startRow) {
+      await this.loadCells(doc, sheet, this.getRedactionHeaderBounds(sheet, headerRow));
+    }
+  }
+
+  /**
+   * Extract the cells loaded by loadRedactionHeader
+   * @param {Object} sheet - Google Sheets worksheet
+   * @param {number} [headerRow] - 1-based header row, if known
+   * @returns {Array|null} - Unredacted cells, or null when the rows are not loaded
+   */
+  readRedactionHeader(sheet, headerRow) {
+    try {
+      return this.extractCellData(sheet, this.getRedactionHeaderBounds(sheet, headerRow), { redact: false }).cells;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Apply the redaction rules to extracted cells, in place
+   *
+   * Cells below the header row are redacted in every column a rule picks. Header text is left
+   * alone unless a value rule matches it, in which case the cell is treated as data.
+   * @param {Object} sheet - Google Sheets worksheet the cells came from
+   * @param {Array} cells - Extracted cells; masked and hashed cells are replaced, dropped ones removed
+   * @param {Array|null} headerCandidates - Cells from the top of the sheet to find the header in;
+   *   without them every cell is treated as data
+   * @param {number} [headerRow] - 1-based header row (detected if omitted)
+   * @returns {Array<Object>} - Redacted columns as { column, header, action, reason }
+   */
+  redactCells(sheet, cells, headerCandidates, headerRow) {
+    const cellText = cell => String(cell.fmt ?? cell.val ?? '');
+    const isSensitive = cell => this.redactor.isSensitiveValue(sheet.title, cellText(cell));
+
+    const resolvedHeaderRow = headerCandidates ? headerRow || this.detectHeaderRow(headerCandidates) : 0;
+    const headers = new Map(
+      (headerCandidates || [])
+        .filter(cell => cell.pos[0] === resolvedHeaderRow && !isSensitive(cell))
+        .map(cell => [cell.pos[1], cellText(cell).trim()])
+    );
+    const isData = cell => cell.pos[0] > resolvedHeaderRow || isSensitive(cell);
+
+    const valuesByColumn = new Map();
+    for (const cell of cells.filter(isData)) {
+      if (!valuesByColumn.has(cell.pos[1])) {
+        valuesByColumn.set(cell.pos[1], []);
+      }
+      valuesByColumn.get(cell.pos[1]).push(cellText(cell));
+    }
+    const columns = [...valuesByColumn.keys()].sort((a, b) => a - b).map(number => ({
+      number: number,
+      letter: this.columnToLetter(number),
+      header: headers.get(number) ?? null,
+      values: valuesByColumn.get(number),
+    }));
+
+    const selected = this.redactor.selectColumns(sheet.title, columns);
+    for (let index = cells.length - 1; index >= 0; index--) {
+      const cell = cells[index];
+      const redaction = selected.get(cell.pos[1]);
+      if (!redaction || !isData(cell)) {
+        continue;
+      }
+      // Formulas, notes, links and formatting can all repeat the value, so none are kept
+      const replacement = this.redactor.redactValue(cell.val, redaction.action);
+      if (replacement === undefined) {
+        cells.splice(index, 1);
+      } else {
+        cells[index] = { pos: cell.pos, val: replacement, type: 'string' };
+      }
+    }
+
+    return [...selected.values()];
+  }
+
+  /**
+   * Apply the redaction rules to a sheet read as rows of displayed values
+   * @param {Object} sheet - Google Sheets worksheet the rows came from
+   * @param {Array<Array<string>>} rows - Displayed values from the top of the sheet
+   * @returns {Object} - { rows, redacted, redactedColumns }; rows are copies with redacted
+   *   values replaced ('' when dropped) and redacted holds "row:column" keys (1-based)
+   */
+  redactRows(sheet, rows) {
+    if (!this.redactor.enabled) {
+      return { rows, redacted: new Set(), redactedColumns: [] };
+    }
+
+    // Numbers, currency and percentages read as numbers, so header detection can tell rows apart
+    const cells = [];
+    rows.forEach((row, rowIndex) => {
+      row.forEach((value, colIndex) => {
+        if (value !== '') {
+          const type = /^[-+(]?[$€£¥]?\s?[\d,]*\.?\d+%?\)?$/.test(String(value).trim()) ? 'number' : 'string';
+          cells.push({ pos: [rowIndex + 1, colIndex + 1], val: value, type: type });
+        }
+      });
+    });
+
+    const originals = [...cells];
+    const redactedColumns = this.redactCells(sheet, cells, originals);
+    const kept = new Set(cells);
+    const replacements = new Map(cells.map(cell => [cell.pos, cell]));
+    const redactedRows = rows.map(row => [...row]);
+    const redacted = new Set();
+    for (const cell of originals) {
+      if (kept.has(cell)) {
+        continue;
+      }
+      const replacement = replacements.get(cell.pos);
+      redactedRows[cell.pos[0] - 1][cell.pos[1] - 1] = replacement ? replacement.val : '';
+      redacted.add(`${cell.pos[0]}:${cell.pos[1]}`);
+    }
+
+    return { rows: redactedRows, redacted, redactedColumns };
+  }
+
+  /**
+   * Attach requested metadata to an extracted cell entry
+   * @param {Object} cellData - Cell entry being built by extractCellData
+   * @param {Object} cell - Google Sheets cell object
+   * @param {Set<string>} include - Any of 'notes', 'format', 'merges', 'validation', 'richText'
+   * @param {string} [merge] - A1 range of the merge this cell anchors, if any
+   */
+  addCellMetadata(cellData, cell, include, merge) {
+    // Validation rules and text runs have no public accessor on the cell
+    const rawData = cell._rawData || {};
+
+    if (include.has('notes') && cell.note) {
+      cellData.note = cell.note;
+    }
+
+    if (include.has('format')) {
+      const format = this.summarizeFormat(cell.userEnteredFormat);
+      if (format) {
+        cellData.format = format;
+      }
+    }
+
+    if (include.has('merges') && merge) {
+      cellData.merge = merge;
+    }
+
+    if (include.has('validation') && rawData.dataValidation) {
+      const { condition = {}, strict, showCustomUi, inputMessage } = rawData.dataValidation;
+      cellData.validation = {
+        type: condition.type,
+        values: (condition.values || []).map(value => value.userEnteredValue ?? value.relativeDate),
+        strict: Boolean(strict),
+        dropdown: Boolean(showCustomUi),
+        ...(inputMessage && { inputMessage }),
+      };
+    }
+
+    const runs = rawData.textFormatRuns;
+    if (include.has('richText') && runs?.length && typeof cell.formattedValue === 'string') {
+      cellData.richText = runs.map((run, i) => ({
+        text: cell.formattedValue.slice(run.startIndex || 0, runs[i + 1]?.startIndex),
+        ...this.summarizeFormat({ textFormat: run.format }),
+      }));
+    }
+  }
+
+  /**
+   * Reduce a Sheets CellFormat to the properties users actually set
+   * @param {Object} [format] - userEnteredFormat of a cell (or a wrapped TextFormat)
+   * @returns {Object|null} - Compact format, e.g. { background: '#ffff00', bold: true }
+   */
+  summarizeFormat(format) {
+    if (!format) {
+      return null;
+    }
+
+    const text = format.textFormat || {};
+    const summary = {
+      background: this.colorToHex(format.backgroundColorStyle?.rgbColor || format.backgroundColor),
+      color: this.colorToHex(text.foregroundColorStyle?.rgbColor || text.foregroundColor),
+      bold: text.bold || undefined,
+      italic: text.italic || undefined,
+      underline: text.underline || undefined,
+      strikethrough: text.strikethrough || undefined,
+      fontFamily: text.fontFamily,
+      fontSize: text.fontSize,
+      link: text.link?.uri,
+      numberFormat: format.numberFormat?.pattern || format.numberFormat?.type,
+      horizontalAlignment: format.horizontalAlignment,
+      verticalAlignment: format.verticalAlignment,
+      wrapStrategy: format.wrapStrategy,
+    };
+
+    const compact = Object.fromEntries(Object.entries(summary).filter(([, value]) => value !== undefined));
+    return Object.keys(compact).length > 0 ? compact : null;
+  }
+
+  /**
+   * Convert a Sheets Color (0-1 channels, missing channels are 0) to a hex string
+   * @param {Object} [color] - { red, green, blue }
+   * @returns {string|undefined} - Hex color such as '#ff9900'
+   */
+  colorToHex(color) {
+    if (!color) {
+      return undefined;
+    }
+    const channel = value => Math.round((value || 0) * 255).toString(16).padStart(2, '0');
+    return `#${channel(color.red)}${channel(color.green)}${channel(color.blue)}`;
+  }
+
+  /**
+   * Detect the type of a cell based on its value and formatting
+   * @param {Object} cell - Google Sheets cell object
+   * @returns {string} - Detected type: string, number, currency, percentage, date, boolean
+   */
+  detectCellType(cell) {
+    // Check if it's a boolean
+    if (typeof cell.value === 'boolean') {
+      return 'boolean';
+    }
+
+    // Check if it's a number
+    if (typeof cell.value === 'number') {
+      const formatted = cell.formattedValue || '';
+
+      // Check for percentage
+      if (formatted.includes('%')) {
+        return 'percentage';
+      }
+
+      // Check for currency symbols
+      if (formatted.match(/[$£€¥₹₽₩]/)) {
+        return 'currency';
+      }
+
+      // Check for date patterns (basic detection)
+      if (formatted.match(/\d{1,2}\/\d{1,2}\/\d{2,4}|\d{1,2}-\d{1,2}-\d{2,4}/)) {
+        return 'date';
+      }
+
+      return 'number';
+    }
+
+    // Check if string looks like a date
+    if (typeof cell.value === 'string') {
+      const datePattern = /\d{1,2}\/\d{1,2}\/\d{2,4}|\d{1,2}-\d{1,2}-\d{2,4}|\d{4}-\d{2}-\d{2}/;
+      if (datePattern.test(cell.value)) {
+        return 'date';
+      }
+    }
+
+    // Default to string for text and other types
+    return 'string';
+  }
+
+  /**
+   * Convert column number to Excel-style letter (1 = A, 26 = Z, 27 = AA, etc.)
+   * @param {number} colNum - Column number (1-based)
+   * @returns {string} - Excel-style column letter
+   */
+  columnToLetter(colNum) {
+    let result = '';
+    while (colNum > 0) {
+      colNum--;
+      result = String.fromCharCode(65 + (colNum % 26)) + result;
+      colNum = Math.floor(colNum / 26);
+    }
+    return result;
+  }
+
+  /**
+   * Convert Excel-style column letters to a column number (A = 1, Z = 26, AA = 27, etc.)
+   * @param {string} letters - Excel-style column letters
+   * @returns {number} - Column number (1-based)
+   */
+  letterToColumn(letters) {
+    let result = 0;
+    for (const char of letters.toUpperCase()) {
+      result = result * 26 + (char.charCodeAt(0) - 64);
     }
     return result;
   }
@@ -0,0 +1,127 @@
+import { createHash } from 'crypto';
+import { Logger } from './logger.js';
+
+// Default time between change checks for subscribed resources
+export const DEFAULT_POLL_INTERVAL_SECONDS = 60;
+
+/**
+ * Tracks subscribed resources and polls them for changes
+ *
+ * Each poll first asks for a cheap version token (the spreadsheet's Drive modifiedTime).
+ * Only when that moved are the resource contents read and hashed, so an edit elsewhere
+ * in the spreadsheet does not notify subscribers of an unchanged sheet or range.
+ */
+export class ResourceSubscriptions {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getVersion - async (uri) => token that changes whenever the contents may have
+   * @param {Function} options.readContents - async (uri) => resource data
+   * @param {Function} options.onUpdated - async (uri) => notify the client
+   * @param {number} [options.intervalSeconds] - Time between polls
+   */
+  constructor(options) {
+    this.getVersion = options.getVersion;
+    this.readContents = options.readContents;
+    this.onUpdated = options.onUpdated;
+    this.intervalMs = (options.intervalSeconds || DEFAULT_POLL_INTERVAL_SECONDS) * 1000;
+    this.logger = new Logger();
+    // URI -> { version, hash } as of the last poll
+    this.watched = new Map();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Start watching a resource; its current state becomes the baseline for change detection
+   * @param {string} uri - Resource URI
+   */
+  async subscribe(uri) {
+    const state = await this.readState(uri);
+    this.watched.set(uri, state);
+    this.logger.info(`Subscribed to ${uri} (${this.watched.size} watched)`);
+    this.schedule();
+  }
+
+  /**
+   * Stop watching a resource
+   * @param {string} uri - Resource URI
+   */
+  unsubscribe(uri) {
+    this.watched.delete(uri);
+    this.logger.info(`Unsubscribed from ${uri} (${this.watched.size} watched)`);
+    if (this.watched.size === 0) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Stop polling and forget every subscription
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.watched.clear();
+  }
+
+  /**
+   * Check every watched resource once and notify for those whose contents changed
+   */
+  async poll() {
+    for (const [uri, previous] of this.watched) {
+      try {
+        const version = await this.getVersion(uri);
+        if (version === previous.version) {
+          continue;
+        }
+
+        const hash = this.hashContents(await this.readContents(uri));
+        // Skip if unsubscribed while the read was in flight
+        if (!this.watched.has(uri)) {
+          continue;
+        }
+        this.watched.set(uri, { version, hash });
+
+        if (hash !== previous.hash) {
+          this.logger.info(`Resource changed: ${uri}`);
+          await this.onUpdated(uri);
+        }
+      } catch (error) {
+        // Keep watching: the sheet may be back on the next poll (e.g. after a rename is undone)
+        this.logger.warn(`Could not check ${uri} for changes: ${error.message}`);
+      }
+    }
+  }
+
+  // Current version token and content hash of a resource
+  async readState(uri) {
+    const version = await this.getVersion(uri);
+    const hash = this.hashContents(await this.readContents(uri));
+    return { version, hash };
+  }
+
+  // Stable digest of resource data as serialized for clients
+  hashContents(data) {
+    return createHash('sha256').update(JSON.stringify(data)).digest('hex');
+  }
+
+  // Polls are chained rather than run on an interval so a slow poll never overlaps the next one
+  schedule() {
+    if (this.timer || this.polling) {
+      return;
+    }
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      this.polling = true;
+      try {
+        await this.poll();
+      } finally {
+        this.polling = false;
+      }
+      if (this.watched.size > 0) {
+        this.schedule();
+      }
+    }, this.intervalMs);
+    // Subscriptions alone should not keep the process alive
+    this.timer.unref();
+  }
+}
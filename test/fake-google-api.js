@@ -0,0 +1,948 @@
+/**
+ * In-process stand-in for the Google Sheets v4 and Drive v3 REST endpoints
+ *
+ * Spreadsheets are seeded from fixture JSON (see test/fixtures/) and kept in memory,
+ * so writes made through the service can be read back within the same test.
+ * Formulas are stored as entered but never evaluated: fixtures supply their values.
+ *
+ * Usage:
+ *   const api = await startFakeGoogleApi();
+ *   const service = await createTestService(api.endpoint);
+ *   ...
+ *   await api.close();
+ */
+
+import { createServer } from 'http';
+import { generateKeyPairSync } from 'crypto';
+import { readFileSync, readdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { GoogleSheetsService } from '../server/sheets.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const FIXTURES_DIR = join(__dirname, 'fixtures');
+
+const SPREADSHEET_MIME_TYPE = 'application/vnd.google-apps.spreadsheet';
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+/**
+ * Load every fixture spreadsheet in a directory
+ * @param {string} [dir] - Directory of *.json fixtures
+ * @returns {Array<Object>} - Parsed fixtures
+ */
+export function loadFixtures(dir = FIXTURES_DIR) {
+  return readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => JSON.parse(readFileSync(join(dir, name), 'utf8')));
+}
+
+/**
+ * Build a Sheets URL for a fixture spreadsheet
+ * @param {string} spreadsheetId - Spreadsheet ID
+ * @returns {string} - URL in the format users paste into tools
+ */
+export function spreadsheetUrl(spreadsheetId) {
+  return `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`;
+}
+
+/**
+ * Generate throwaway service account credentials with a real RSA key
+ * @returns {Object} - { client_email, private_key, project_id } as in a key JSON file
+ */
+export function createServiceAccountCredentials() {
+  const { privateKey } = generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+  });
+
+  return {
+    type: 'service_account',
+    project_id: 'fake-project',
+    client_email: 'sheets-reader@fake-project.iam.gserviceaccount.com',
+    private_key: privateKey,
+  };
+}
+
+/**
+ * Create an initialized GoogleSheetsService that talks to a fake API server
+ * @param {string} endpoint - Endpoint returned by startFakeGoogleApi
+ * @param {Object} [config] - Extra service config, e.g. { cache: { ttlSeconds: 0 } }
+ * @returns {GoogleSheetsService} - Ready-to-use service
+ */
+export async function createTestService(endpoint, config = {}) {
+  const credentials = createServiceAccountCredentials();
+  const service = new GoogleSheetsService({
+    serviceAccountEmail: credentials.client_email,
+    privateKey: credentials.private_key,
+    projectId: credentials.project_id,
+    apiEndpoint: endpoint,
+    // The fake API has no quota, so skip the per-minute request budgets unless a test sets them
+    rateLimit: { readsPerMinute: 0, writesPerMinute: 0 },
+    ...config,
+  });
+  await service.initialize();
+  return service;
+}
+
+/**
+ * Start the fake API on a random local port
+ * @param {Object} [options] - Server options
+ * @param {Array<Object>} [options.fixtures] - Spreadsheets to seed (default: all of test/fixtures)
+ * @returns {Object} - { endpoint, spreadsheets, folders, requests, failNext, close }
+ */
+export async function startFakeGoogleApi(options = {}) {
+  const api = new FakeGoogleApi(options.fixtures || loadFixtures());
+  const server = createServer((req, res) => api.handle(req, res));
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    endpoint: `http://127.0.0.1:${port}`,
+    spreadsheets: api.spreadsheets,
+    folders: api.folders,
+    requests: api.requests,
+    // Answer the next `count` requests with an error, e.g. failNext(2, 429, { 'Retry-After': '1' })
+    failNext: (count, status, headers = {}) => {
+      api.failures.push(...Array.from({ length: count }, () => ({ status, headers })));
+    },
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+// Google's status names for the HTTP statuses failNext is used with
+const FAILURE_STATUSES = { 401: 'UNAUTHENTICATED', 403: 'PERMISSION_DENIED', 429: 'RESOURCE_EXHAUSTED' };
+
+class ApiError extends Error {
+  constructor(code, status, message) {
+    super(message);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const notFound = () => new ApiError(404, 'NOT_FOUND', 'Requested entity was not found.');
+const badRequest = message => new ApiError(400, 'INVALID_ARGUMENT', message);
+
+class FakeGoogleApi {
+  constructor(fixtures) {
+    this.spreadsheets = new Map();
+    this.requests = [];
+    this.failures = [];
+    // Drive folders by ID as { id, name, parents }; spreadsheets point at them through `parents`
+    this.folders = new Map();
+    this.nextId = 1;
+    fixtures.forEach(fixture => {
+      const spreadsheet = fromFixture(fixture);
+      this.spreadsheets.set(spreadsheet.spreadsheetId, spreadsheet);
+    });
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const path = decodeURIComponent(url.pathname);
+    this.requests.push({ method: req.method, path, query: Object.fromEntries(url.searchParams) });
+
+    const failure = this.failures.shift();
+    if (failure) {
+      res.writeHead(failure.status, { 'Content-Type': 'application/json', ...failure.headers });
+      res.end(JSON.stringify({
+        error: { code: failure.status, message: 'Injected failure.', status: FAILURE_STATUSES[failure.status] || 'UNAVAILABLE' },
+      }));
+      return;
+    }
+
+    try {
+      if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+        throw new ApiError(401, 'UNAUTHENTICATED', 'Request is missing required authentication credential.');
+      }
+
+      const body = await readBody(req);
+      const result = this.route(req.method, path, url.searchParams, body);
+      if (typeof result === 'string') {
+        res.writeHead(200, { 'Content-Type': 'text/csv' });
+        res.end(result);
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+      }
+    } catch (error) {
+      const apiError = error instanceof ApiError ? error : new ApiError(500, 'INTERNAL', error.message);
+      res.writeHead(apiError.code, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        error: { code: apiError.code, message: apiError.message, status: apiError.status },
+      }));
+    }
+  }
+
+  route(method, path, query, body) {
+    let match;
+
+    if (method === 'POST' && /^\/v4\/spreadsheets\/?$/.test(path)) {
+      return this.createSpreadsheet(body);
+    }
+
+    if ((match = path.match(/^\/v4\/spreadsheets\/([\w-]+)(.*)$/))) {
+      const spreadsheet = this.getSpreadsheet(match[1]);
+      // axios joins the document base URL and ":method" paths with a slash
+      const rest = match[2].replace(/^\/:/, ':');
+
+      if (method === 'GET' && (rest === '' || rest === '/')) {
+        return this.getSpreadsheetResource(spreadsheet, query);
+      }
+      if (method === 'POST' && rest === ':getByDataFilter') {
+        const ranges = (body.dataFilters || []).map(filter => filter.a1Range || filter.gridRange);
+        return spreadsheetResource(spreadsheet, { ranges, includeGridData: body.includeGridData });
+      }
+      if (method === 'POST' && rest === ':batchUpdate') {
+        return this.batchUpdate(spreadsheet, body);
+      }
+      if (method === 'GET' && rest === '/values:batchGet') {
+        return {
+          spreadsheetId: spreadsheet.spreadsheetId,
+          valueRanges: query.getAll('ranges').map(range => getValues(spreadsheet, range, query)),
+        };
+      }
+      if ((match = rest.match(/^\/values\/(.+):clear$/)) && method === 'POST') {
+        return clearValues(spreadsheet, match[1]);
+      }
+      if ((match = rest.match(/^\/values\/(.+):append$/)) && method === 'POST') {
+        return appendValues(spreadsheet, match[1], body, query);
+      }
+      if ((match = rest.match(/^\/values\/(.+)$/))) {
+        if (method === 'GET') {
+          return getValues(spreadsheet, match[1], query);
+        }
+        if (method === 'PUT') {
+          return updateValues(spreadsheet, match[1], body, query);
+        }
+      }
+      if ((match = rest.match(/^\/sheets\/(\d+):copyTo$/)) && method === 'POST') {
+        return this.copySheetTo(spreadsheet, Number(match[1]), body.destinationSpreadsheetId);
+      }
+    }
+
+    if (method === 'GET' && /^\/drive\/v3\/files\/?$/.test(path)) {
+      return this.listFiles(query);
+    }
+
+    if ((match = path.match(/^\/drive\/v3\/files\/([\w-]+)$/)) && method === 'GET' && this.folders.has(match[1])) {
+      return pickFields({ kind: 'drive#file', mimeType: FOLDER_MIME_TYPE, ...this.folders.get(match[1]) }, query.get('fields'));
+    }
+
+    if ((match = path.match(/^\/drive\/v3\/files\/([\w-]+)(.*)$/))) {
+      const spreadsheet = this.getSpreadsheet(match[1]);
+      const rest = match[2];
+
+      if (method === 'GET' && rest === '') {
+        return pickFields(fileResource(spreadsheet), query.get('fields'));
+      }
+      if (method === 'DELETE' && rest === '') {
+        this.spreadsheets.delete(spreadsheet.spreadsheetId);
+        return {};
+      }
+      if (method === 'GET' && rest === '/export') {
+        return exportFile(spreadsheet, query.get('mimeType'));
+      }
+      if (method === 'POST' && rest === '/copy') {
+        return fileResource(this.copySpreadsheet(spreadsheet, body.name));
+      }
+      if (method === 'POST' && rest === '/permissions') {
+        const permission = { id: `perm-${spreadsheet.permissions.length + 1}`, ...body };
+        spreadsheet.permissions.push(permission);
+        return permission;
+      }
+    }
+
+    throw new ApiError(404, 'NOT_FOUND', `Fake Google API has no handler for ${method} ${path}`);
+  }
+
+  getSpreadsheet(spreadsheetId) {
+    const spreadsheet = this.spreadsheets.get(spreadsheetId);
+    if (!spreadsheet) {
+      throw notFound();
+    }
+    return spreadsheet;
+  }
+
+  getSpreadsheetResource(spreadsheet, query) {
+    const resource = spreadsheetResource(spreadsheet, {
+      ranges: query.getAll('ranges'),
+      includeGridData: query.get('includeGridData') === 'true',
+    });
+    return pickFields(resource, query.get('fields'));
+  }
+
+  newId() {
+    return `fake-${String(this.nextId++).padStart(4, '0')}`;
+  }
+
+  createSpreadsheet(body) {
+    const spreadsheet = fromFixture({
+      spreadsheetId: this.newId(),
+      title: body.properties?.title || 'Untitled spreadsheet',
+      sheets: [{ title: 'Sheet1' }],
+    });
+    this.spreadsheets.set(spreadsheet.spreadsheetId, spreadsheet);
+    return spreadsheetResource(spreadsheet);
+  }
+
+  copySpreadsheet(source, name) {
+    const copy = structuredClone(source);
+    copy.spreadsheetId = this.newId();
+    copy.title = name || `Copy of ${source.title}`;
+    copy.permissions = [];
+    touch(copy);
+    this.spreadsheets.set(copy.spreadsheetId, copy);
+    return copy;
+  }
+
+  copySheetTo(source, sheetId, destinationSpreadsheetId) {
+    const sheet = findSheet(source, sheetId);
+    const destination = this.getSpreadsheet(destinationSpreadsheetId);
+    const copy = structuredClone(sheet);
+    copy.properties.sheetId = nextSheetId(destination);
+    copy.properties.title = uniqueTitle(destination, `Copy of ${sheet.properties.title}`);
+    destination.sheets.push(copy);
+    reindex(destination);
+    touch(destination);
+    return copy.properties;
+  }
+
+  listFiles(query) {
+    const q = query.get('q') || '';
+    const nameContains = q.match(/name contains '((?:[^'\\]|\\.)*)'/);
+    const files = [...this.spreadsheets.values()]
+      .filter(spreadsheet => !nameContains || spreadsheet.title.includes(nameContains[1].replace(/\\'/g, "'")))
+      .map(fileResource);
+    return { kind: 'drive#fileList', files };
+  }
+
+  batchUpdate(spreadsheet, body) {
+    const replies = (body.requests || []).map((request, i) => {
+      const [type, params] = Object.entries(request)[0];
+      const handler = BATCH_UPDATE_HANDLERS[type];
+      if (!handler) {
+        throw badRequest(`Invalid requests[${i}]: ${type} is not supported by the fake API.`);
+      }
+      const reply = handler(spreadsheet, params);
+      return reply ? { [type]: reply } : {};
+    });
+    touch(spreadsheet);
+
+    return {
+      spreadsheetId: spreadsheet.spreadsheetId,
+      replies,
+      ...(body.includeSpreadsheetInResponse && { updatedSpreadsheet: spreadsheetResource(spreadsheet) }),
+    };
+  }
+}
+
+const BATCH_UPDATE_HANDLERS = {
+  updateSpreadsheetProperties(spreadsheet, { properties }) {
+    Object.assign(spreadsheet, properties.title && { title: properties.title });
+  },
+
+  addSheet(spreadsheet, { properties = {} }) {
+    const title = properties.title || `Sheet${spreadsheet.sheets.length + 1}`;
+    if (spreadsheet.sheets.some(sheet => sheet.properties.title === title)) {
+      throw badRequest(`Invalid requests[0].addSheet: A sheet with the name "${title}" already exists.`);
+    }
+    const sheet = newSheet({
+      ...properties,
+      title,
+      sheetId: properties.sheetId ?? nextSheetId(spreadsheet),
+    });
+    insertAt(spreadsheet, sheet, properties.index);
+    return { properties: sheet.properties };
+  },
+
+  deleteSheet(spreadsheet, { sheetId }) {
+    const sheet = findSheet(spreadsheet, sheetId);
+    if (spreadsheet.sheets.length === 1) {
+      throw badRequest("Invalid requests[0].deleteSheet: You can't remove all the sheets in a document.");
+    }
+    spreadsheet.sheets.splice(spreadsheet.sheets.indexOf(sheet), 1);
+    reindex(spreadsheet);
+  },
+
+  duplicateSheet(spreadsheet, { sourceSheetId, newSheetName, insertSheetIndex, newSheetId }) {
+    const source = findSheet(spreadsheet, sourceSheetId);
+    const copy = structuredClone(source);
+    copy.properties.sheetId = newSheetId ?? nextSheetId(spreadsheet);
+    copy.properties.title = newSheetName || uniqueTitle(spreadsheet, `Copy of ${source.properties.title}`);
+    insertAt(spreadsheet, copy, insertSheetIndex ?? source.properties.index + 1);
+    return { properties: copy.properties };
+  },
+
+  updateSheetProperties(spreadsheet, { properties }) {
+    const sheet = findSheet(spreadsheet, properties.sheetId);
+    const { sheetId: _sheetId, index, gridProperties, ...rest } = properties;
+    Object.assign(sheet.properties, rest);
+    if (gridProperties) {
+      Object.assign(sheet.properties.gridProperties, gridProperties);
+      const { rowCount, columnCount } = sheet.properties.gridProperties;
+      sheet.rows = sheet.rows.slice(0, rowCount).map(row => row.slice(0, columnCount));
+    }
+    if (index !== undefined) {
+      // Like the real API, the target index counts positions before the sheet is removed
+      const from = spreadsheet.sheets.indexOf(sheet);
+      spreadsheet.sheets.splice(from, 1);
+      spreadsheet.sheets.splice(index > from ? index - 1 : index, 0, sheet);
+      reindex(spreadsheet);
+    }
+  },
+
+  findReplace(spreadsheet, params) {
+    const flags = params.matchCase ? 'g' : 'gi';
+    const pattern = params.searchByRegex
+      ? new RegExp(params.find, flags)
+      : new RegExp(params.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
+    const sheets = params.allSheets
+      ? spreadsheet.sheets
+      : spreadsheet.sheets.filter(sheet => sheet.properties.sheetId === params.sheetId);
+
+    let occurrencesChanged = 0;
+    let valuesChanged = 0;
+    sheets.forEach(sheet => sheet.rows.forEach(row => row.forEach((cell, col) => {
+      const entered = cell?.userEnteredValue;
+      const text = entered?.stringValue ?? (params.includeFormulas ? entered?.formulaValue : undefined);
+      const matches = typeof text === 'string' ? text.match(pattern) : null;
+      if (!matches) {
+        return;
+      }
+      occurrencesChanged += matches.length;
+      valuesChanged++;
+      const replaced = text.replace(pattern, params.replacement);
+      row[col] = entered.formulaValue !== undefined
+        ? { ...cell, userEnteredValue: { formulaValue: replaced } }
+        : makeCell(replaced);
+    })));
+
+    return { occurrencesChanged, valuesChanged };
+  },
+
+  mergeCells(spreadsheet, { range }) {
+    findSheet(spreadsheet, range.sheetId).merges.push(range);
+  },
+
+  unmergeCells(spreadsheet, { range }) {
+    const sheet = findSheet(spreadsheet, range.sheetId);
+    sheet.merges = sheet.merges.filter(merge => !overlaps(merge, range));
+  },
+};
+
+/**
+ * Convert a fixture into the in-memory spreadsheet model
+ *
+ * Fixture format:
+ *   { spreadsheetId, title, namedRanges: [{ name, range: "'Sheet'!A1:B2" }],
+ *     sheets: [{ title, rowCount, columnCount, hidden, merges: ["A1:C1"],
+ *                rows: [["Header", ...], ["text", 12.5, true, { value, formatted, formula, note, ... }]] }] }
+ * Object cells may also carry raw CellData fields such as userEnteredFormat or dataValidation.
+ */
+function fromFixture(fixture) {
+  const spreadsheet = {
+    spreadsheetId: fixture.spreadsheetId,
+    title: fixture.title,
+    modifiedTime: fixture.modifiedTime || '2024-01-15T10:30:00.000Z',
+    sheets: [],
+    namedRanges: [],
+    permissions: [],
+  };
+
+  (fixture.sheets || []).forEach((sheetFixture, index) => {
+    const rows = (sheetFixture.rows || []).map(row => row.map(value => makeCell(value)));
+    const sheet = newSheet({
+      sheetId: sheetFixture.sheetId ?? index * 1000,
+      title: sheetFixture.title,
+      index,
+      hidden: sheetFixture.hidden,
+      gridProperties: {
+        rowCount: sheetFixture.rowCount || Math.max(1000, rows.length),
+        columnCount: sheetFixture.columnCount || Math.max(26, ...rows.map(row => row.length)),
+      },
+    });
+    sheet.rows = rows;
+    spreadsheet.sheets.push(sheet);
+  });
+
+  (fixture.sheets || []).forEach((sheetFixture, index) => {
+    const sheet = spreadsheet.sheets[index];
+    sheet.merges = (sheetFixture.merges || []).map(a1 => toGridRange(spreadsheet, `'${sheetFixture.title}'!${a1}`));
+  });
+
+  spreadsheet.namedRanges = (fixture.namedRanges || []).map((namedRange, i) => ({
+    namedRangeId: `named-${i + 1}`,
+    name: namedRange.name,
+    range: toGridRange(spreadsheet, namedRange.range),
+  }));
+
+  return spreadsheet;
+}
+
+function newSheet(properties) {
+  return {
+    properties: {
+      sheetId: properties.sheetId,
+      title: properties.title,
+      index: properties.index ?? 0,
+      sheetType: 'GRID',
+      ...(properties.hidden && { hidden: true }),
+      gridProperties: {
+        rowCount: properties.gridProperties?.rowCount || 1000,
+        columnCount: properties.gridProperties?.columnCount || 26,
+      },
+    },
+    rows: [],
+    merges: [],
+  };
+}
+
+/**
+ * Build a CellData object from a fixture value or a value written through the values API
+ * @param {*} value - Primitive, formula string, or fixture object
+ * @param {string} [inputOption] - 'RAW' or 'USER_ENTERED' when the value comes from a write
+ * @returns {Object|undefined} - CellData, or undefined for an empty cell
+ */
+function makeCell(value, inputOption = 'USER_ENTERED') {
+  if (value === null || value === undefined || value === '') {
+    return undefined;
+  }
+
+  if (typeof value === 'object') {
+    const { value: effective, formatted, formula, ...rawCellData } = value;
+    const cell = { ...makeCell(effective ?? null, 'RAW'), ...rawCellData };
+    if (formula) {
+      cell.userEnteredValue = { formulaValue: formula };
+    }
+    if (formatted !== undefined) {
+      cell.formattedValue = formatted;
+    }
+    return cell;
+  }
+
+  if (typeof value === 'string' && inputOption === 'USER_ENTERED') {
+    if (value.startsWith('=')) {
+      return { userEnteredValue: { formulaValue: value } };
+    }
+    // A leading apostrophe keeps the rest as text and is not stored
+    if (value.startsWith("'")) {
+      return makeCell(value.slice(1), 'RAW');
+    }
+    if (/^-?\d+(\.\d+)?$/.test(value.trim())) {
+      return makeCell(Number(value), 'RAW');
+    }
+    if (/^(true|false)$/i.test(value)) {
+      return makeCell(value.toUpperCase() === 'TRUE', 'RAW');
+    }
+  }
+
+  const key = typeof value === 'number' ? 'numberValue' : typeof value === 'boolean' ? 'boolValue' : 'stringValue';
+  const typed = key === 'stringValue' ? String(value) : value;
+  return {
+    userEnteredValue: { [key]: typed },
+    effectiveValue: { [key]: typed },
+    formattedValue: typeof typed === 'boolean' ? String(typed).toUpperCase() : String(typed),
+  };
+}
+
+function spreadsheetResource(spreadsheet, options = {}) {
+  let sheets = spreadsheet.sheets.map(sheet => ({ sheet, ranges: [] }));
+
+  const ranges = (options.ranges || []).filter(Boolean);
+  if (ranges.length > 0) {
+    const bySheet = new Map();
+    ranges.forEach(range => {
+      const gridRange = typeof range === 'string' ? toGridRange(spreadsheet, range) : range;
+      const sheet = findSheet(spreadsheet, gridRange.sheetId);
+      if (!bySheet.has(sheet)) {
+        bySheet.set(sheet, []);
+      }
+      bySheet.get(sheet).push(gridRange);
+    });
+    sheets = [...bySheet.entries()].map(([sheet, gridRanges]) => ({ sheet, ranges: gridRanges }));
+  }
+
+  return {
+    spreadsheetId: spreadsheet.spreadsheetId,
+    properties: { title: spreadsheet.title, locale: 'en_US', timeZone: 'Etc/GMT' },
+    sheets: sheets.map(({ sheet, ranges: gridRanges }) => ({
+      properties: structuredClone(sheet.properties),
+      ...(sheet.merges.length > 0 && { merges: structuredClone(sheet.merges) }),
+      ...(options.includeGridData && {
+        data: (gridRanges.length > 0 ? gridRanges : [{ sheetId: sheet.properties.sheetId }])
+          .map(gridRange => gridData(sheet, gridRange)),
+      }),
+    })),
+    namedRanges: structuredClone(spreadsheet.namedRanges),
+    spreadsheetUrl: spreadsheetUrl(spreadsheet.spreadsheetId),
+  };
+}
+
+function gridData(sheet, gridRange) {
+  const bounds = clampToSheet(sheet, gridRange);
+  const rowData = [];
+  for (let row = bounds.startRowIndex; row < bounds.endRowIndex; row++) {
+    const values = [];
+    for (let col = bounds.startColumnIndex; col < bounds.endColumnIndex; col++) {
+      values.push(structuredClone(sheet.rows[row]?.[col]) || {});
+    }
+    rowData.push({ values });
+  }
+
+  return {
+    startRow: bounds.startRowIndex,
+    startColumn: bounds.startColumnIndex,
+    rowData,
+    rowMetadata: rowData.map(() => ({ pixelSize: 21 })),
+    columnMetadata: Array.from(
+      { length: bounds.endColumnIndex - bounds.startColumnIndex },
+      () => ({ pixelSize: 100 })
+    ),
+  };
+}
+
+function getValues(spreadsheet, range, query) {
+  const gridRange = toGridRange(spreadsheet, range);
+  const sheet = findSheet(spreadsheet, gridRange.sheetId);
+  const bounds = clampToSheet(sheet, gridRange);
+  const renderOption = query.get('valueRenderOption') || 'FORMATTED_VALUE';
+
+  const values = [];
+  for (let row = bounds.startRowIndex; row < bounds.endRowIndex; row++) {
+    const rowValues = [];
+    for (let col = bounds.startColumnIndex; col < bounds.endColumnIndex; col++) {
+      rowValues.push(renderValue(sheet.rows[row]?.[col], renderOption));
+    }
+    while (rowValues.length > 0 && rowValues[rowValues.length - 1] === '') {
+      rowValues.pop();
+    }
+    values.push(rowValues);
+  }
+  while (values.length > 0 && values[values.length - 1].length === 0) {
+    values.pop();
+  }
+
+  return {
+    range: formatRange(sheet, bounds),
+    majorDimension: 'ROWS',
+    ...(values.length > 0 && { values }),
+  };
+}
+
+function renderValue(cell, renderOption) {
+  if (!cell) {
+    return '';
+  }
+  if (renderOption === 'FORMULA' && cell.userEnteredValue?.formulaValue) {
+    return cell.userEnteredValue.formulaValue;
+  }
+  if (renderOption === 'FORMATTED_VALUE') {
+    return cell.formattedValue ?? '';
+  }
+  return cell.effectiveValue ? Object.values(cell.effectiveValue)[0] : '';
+}
+
+function updateValues(spreadsheet, range, body, query) {
+  const gridRange = toGridRange(spreadsheet, body.range || range);
+  const sheet = findSheet(spreadsheet, gridRange.sheetId);
+  const values = body.values || [];
+  const inputOption = query.get('valueInputOption');
+  if (!['RAW', 'USER_ENTERED'].includes(inputOption)) {
+    throw badRequest("Invalid valueInputOption: must be 'RAW' or 'USER_ENTERED'.");
+  }
+
+  const startRow = gridRange.startRowIndex || 0;
+  const startCol = gridRange.startColumnIndex || 0;
+  const width = Math.max(0, ...values.map(row => row.length));
+  const { rowCount, columnCount } = sheet.properties.gridProperties;
+  if (startRow + values.length > rowCount || startCol + width > columnCount) {
+    throw badRequest(`Range (${range}) exceeds grid limits. Max rows: ${rowCount}, max columns: ${columnCount}`);
+  }
+
+  let updatedCells = 0;
+  values.forEach((rowValues, r) => {
+    const row = (sheet.rows[startRow + r] ||= []);
+    rowValues.forEach((value, c) => {
+      if (value === null) {
+        return;
+      }
+      row[startCol + c] = makeCell(value, inputOption);
+      updatedCells++;
+    });
+  });
+  touch(spreadsheet);
+
+  const bounds = {
+    startRowIndex: startRow,
+    endRowIndex: startRow + values.length,
+    startColumnIndex: startCol,
+    endColumnIndex: startCol + width,
+  };
+  return {
+    spreadsheetId: spreadsheet.spreadsheetId,
+    updatedRange: formatRange(sheet, bounds),
+    updatedRows: values.length,
+    updatedColumns: width,
+    updatedCells,
+    ...(query.get('includeValuesInResponse') === 'true' && {
+      updatedData: getValues(
+        spreadsheet,
+        formatRange(sheet, bounds),
+        new URLSearchParams({ valueRenderOption: query.get('responseValueRenderOption') || 'FORMATTED_VALUE' })
+      ),
+    }),
+  };
+}
+
+/**
+ * Append below the last row with a value in the range's columns, inserting rows for the
+ * values with INSERT_ROWS. Unlike Google, the values always start at the range's first column.
+ */
+function appendValues(spreadsheet, range, body, query) {
+  const gridRange = toGridRange(spreadsheet, range);
+  const sheet = findSheet(spreadsheet, gridRange.sheetId);
+  const bounds = clampToSheet(sheet, gridRange);
+  const values = body.values || [];
+
+  let tableEnd = bounds.startRowIndex;
+  for (let row = bounds.startRowIndex; row < bounds.endRowIndex; row++) {
+    for (let col = bounds.startColumnIndex; col < bounds.endColumnIndex; col++) {
+      if (renderValue(sheet.rows[row]?.[col], 'UNFORMATTED_VALUE') !== '') {
+        tableEnd = row + 1;
+      }
+    }
+  }
+
+  if (query.get('insertDataOption') === 'INSERT_ROWS') {
+    sheet.rows.splice(tableEnd, 0, ...values.map(() => []));
+    sheet.properties.gridProperties.rowCount += values.length;
+  }
+  const target = formatRange(sheet, {
+    startRowIndex: tableEnd,
+    endRowIndex: tableEnd + values.length,
+    startColumnIndex: bounds.startColumnIndex,
+    endColumnIndex: bounds.startColumnIndex + Math.max(1, ...values.map(row => row.length)),
+  });
+  return {
+    spreadsheetId: spreadsheet.spreadsheetId,
+    ...(tableEnd > bounds.startRowIndex && {
+      tableRange: formatRange(sheet, { ...bounds, endRowIndex: tableEnd }),
+    }),
+    updates: updateValues(spreadsheet, target, { values }, query),
+  };
+}
+
+function clearValues(spreadsheet, range) {
+  const gridRange = toGridRange(spreadsheet, range);
+  const sheet = findSheet(spreadsheet, gridRange.sheetId);
+  const bounds = clampToSheet(sheet, gridRange);
+  for (let row = bounds.startRowIndex; row < bounds.endRowIndex; row++) {
+    for (let col = bounds.startColumnIndex; col < bounds.endColumnIndex; col++) {
+      if (sheet.rows[row]) {
+        sheet.rows[row][col] = undefined;
+      }
+    }
+  }
+  touch(spreadsheet);
+  return { spreadsheetId: spreadsheet.spreadsheetId, clearedRange: formatRange(sheet, bounds) };
+}
+
+function exportFile(spreadsheet, mimeType) {
+  if (mimeType !== 'text/csv') {
+    throw badRequest(`Export to ${mimeType} is not supported by the fake API.`);
+  }
+  const sheet = spreadsheet.sheets[0];
+  return getValues(spreadsheet, `'${sheet.properties.title.replace(/'/g, "''")}'`, new URLSearchParams())
+    .values?.map(row => row.map(value => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value)).join(','))
+    .join('\n') || '';
+}
+
+function fileResource(spreadsheet) {
+  return {
+    kind: 'drive#file',
+    id: spreadsheet.spreadsheetId,
+    name: spreadsheet.title,
+    mimeType: SPREADSHEET_MIME_TYPE,
+    modifiedTime: spreadsheet.modifiedTime,
+    ...(spreadsheet.parents && { parents: spreadsheet.parents }),
+  };
+}
+
+/**
+ * Apply a partial-response field mask such as "namedRanges" or "sheets(merges),properties.title"
+ */
+function pickFields(resource, fields) {
+  if (!fields) {
+    return resource;
+  }
+
+  const picked = {};
+  splitFields(fields).forEach(field => {
+    const match = field.match(/^([\w]+)(?:\.(.+)|\((.*)\))?$/);
+    if (!match || resource[match[1]] === undefined) {
+      return;
+    }
+    const [, name, dotted, nested] = match;
+    const subFields = dotted || nested;
+    const value = resource[name];
+    picked[name] = !subFields
+      ? value
+      : Array.isArray(value)
+        ? value.map(item => pickFields(item, subFields))
+        : pickFields(value, subFields);
+  });
+  return picked;
+}
+
+function splitFields(fields) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of fields) {
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    depth += char === '(' ? 1 : char === ')' ? -1 : 0;
+    current += char;
+  }
+  parts.push(current.trim());
+  return parts.filter(Boolean);
+}
+
+/**
+ * Parse an A1 range ("'My Sheet'!A1:C5", "Data!A:C", "Sheet1", "B2") into a GridRange
+ */
+function toGridRange(spreadsheet, range) {
+  const match = range.match(/^(?:'((?:[^']|'')+)'|([^'!]+))(?:!(.*))?$/);
+  let title = match ? (match[1] ? match[1].replace(/''/g, "'") : match[2]) : null;
+  let cells = match ? match[3] : null;
+
+  // "A1:B2" with no sheet name refers to the first sheet
+  if (match && !match[1] && cells === undefined && !spreadsheet.sheets.some(sheet => sheet.properties.title === title)) {
+    cells = title;
+    title = spreadsheet.sheets[0]?.properties.title;
+  }
+
+  const sheet = spreadsheet.sheets.find(candidate => candidate.properties.title === title);
+  if (!sheet) {
+    throw badRequest(`Unable to parse range: ${range}`);
+  }
+
+  const gridRange = { sheetId: sheet.properties.sheetId };
+  if (!cells) {
+    return gridRange;
+  }
+
+  const parts = cells.split(':');
+  const start = parseCellRef(parts[0]);
+  const end = parseCellRef(parts[1] || parts[0]);
+  if (!start || !end) {
+    throw badRequest(`Unable to parse range: ${range}`);
+  }
+  if (start.row !== null) gridRange.startRowIndex = start.row - 1;
+  if (end.row !== null) gridRange.endRowIndex = end.row;
+  if (start.col !== null) gridRange.startColumnIndex = start.col - 1;
+  if (end.col !== null) gridRange.endColumnIndex = end.col;
+  return gridRange;
+}
+
+function parseCellRef(ref) {
+  const match = ref.replace(/\$/g, '').match(/^([A-Z]*)(\d*)$/i);
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+  const col = match[1]
+    ? [...match[1].toUpperCase()].reduce((total, char) => total * 26 + char.charCodeAt(0) - 64, 0)
+    : null;
+  return { col, row: match[2] ? Number(match[2]) : null };
+}
+
+function columnLetter(col) {
+  let letters = '';
+  for (let n = col; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+function formatRange(sheet, bounds) {
+  const title = `'${sheet.properties.title.replace(/'/g, "''")}'`;
+  const start = `${columnLetter(bounds.startColumnIndex + 1)}${bounds.startRowIndex + 1}`;
+  const end = `${columnLetter(bounds.endColumnIndex)}${bounds.endRowIndex}`;
+  return `${title}!${start}:${end}`;
+}
+
+function clampToSheet(sheet, gridRange) {
+  const { rowCount, columnCount } = sheet.properties.gridProperties;
+  return {
+    startRowIndex: Math.min(gridRange.startRowIndex || 0, rowCount),
+    endRowIndex: Math.min(gridRange.endRowIndex ?? rowCount, rowCount),
+    startColumnIndex: Math.min(gridRange.startColumnIndex || 0, columnCount),
+    endColumnIndex: Math.min(gridRange.endColumnIndex ?? columnCount, columnCount),
+  };
+}
+
+function overlaps(a, b) {
+  return a.startRowIndex < b.endRowIndex && a.endRowIndex > b.startRowIndex &&
+    a.startColumnIndex < b.endColumnIndex && a.endColumnIndex > b.startColumnIndex;
+}
+
+function findSheet(spreadsheet, sheetId) {
+  const sheet = spreadsheet.sheets.find(candidate => candidate.properties.sheetId === (sheetId ?? 0));
+  if (!sheet) {
+    throw badRequest(`No grid with id: ${sheetId}`);
+  }
+  return sheet;
+}
+
+function nextSheetId(spreadsheet) {
+  return Math.max(0, ...spreadsheet.sheets.map(sheet => sheet.properties.sheetId)) + 1;
+}
+
+function uniqueTitle(spreadsheet, title) {
+  let candidate = title;
+  for (let n = 2; spreadsheet.sheets.some(sheet => sheet.properties.title === candidate); n++) {
+    candidate = `${title} ${n}`;
+  }
+  return candidate;
+}
+
+function insertAt(spreadsheet, sheet, index) {
+  spreadsheet.sheets.splice(index ?? spreadsheet.sheets.length, 0, sheet);
+  reindex(spreadsheet);
+}
+
+function reindex(spreadsheet) {
+  spreadsheet.sheets.forEach((sheet, index) => {
+    sheet.properties.index = index;
+  });
+}
+
+function touch(spreadsheet) {
+  spreadsheet.modifiedTime = new Date().toISOString();
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch {
+        reject(badRequest('Invalid JSON payload received.'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
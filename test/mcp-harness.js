@@ -0,0 +1,151 @@
+/**
+ * Helpers for driving server/index.js as a real MCP server over stdio or Streamable HTTP
+ *
+ * The server runs as a child process, so it is pointed at the in-process fake
+ * Google API through GOOGLE_API_ENDPOINT and a throwaway credentials file.
+ */
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { ElicitRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { spawn } from 'child_process';
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, mkdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createServiceAccountCredentials } from './fake-google-api.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const SERVER_PATH = join(__dirname, '../server/index.js');
+const SNAPSHOT_DIR = join(__dirname, 'snapshots');
+
+// The fake API has no quota, so tests should not wait on the per-minute request budgets
+const UNLIMITED_BUDGETS = { SHEETS_READ_REQUESTS_PER_MINUTE: '0', SHEETS_WRITE_REQUESTS_PER_MINUTE: '0' };
+
+/**
+ * Write a service account key file into a fresh temporary directory
+ * @returns {Object} - { path, cleanup }
+ */
+export function writeCredentialsFile() {
+  const dir = mkdtempSync(join(tmpdir(), 'mcp-googlesheet-'));
+  const path = join(dir, 'service-account.json');
+  writeFileSync(path, JSON.stringify(createServiceAccountCredentials()));
+  return { path, cleanup: () => rmSync(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * Spawn the MCP server and connect a client to it
+ * @param {Object} [env] - Extra environment variables for the server process
+ * @param {Object} [options]
+ * @param {Function} [options.onElicit] - Answers elicitation requests (params => { action, content });
+ *   without it the client does not offer elicitation
+ * @returns {Object} - { client, stderr, close } where stderr() returns the server log so far
+ */
+export async function connectToServer(env = {}, options = {}) {
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: { LOG_LEVEL: 'error', ...UNLIMITED_BUDGETS, ...env },
+    stderr: 'pipe',
+  });
+
+  let stderr = '';
+  transport.stderr.on('data', chunk => {
+    stderr += chunk;
+  });
+
+  const client = new Client(
+    { name: 'mcp-googlesheet-tests', version: '1.0.0' },
+    { capabilities: options.onElicit ? { elicitation: {} } : {} }
+  );
+  if (options.onElicit) {
+    client.setRequestHandler(ElicitRequestSchema, request => options.onElicit(request.params));
+  }
+  await client.connect(transport);
+
+  return {
+    client,
+    stderr: () => stderr,
+    close: () => client.close(),
+  };
+}
+
+/**
+ * Spawn the MCP server in HTTP mode on a free port and wait until it listens
+ * @param {Object} [env] - Extra environment variables for the server process
+ * @param {Array<string>} [args] - Extra command line arguments (e.g. ['--host', '0.0.0.0'])
+ * @returns {Promise<Object>} - { url, stderr, exited, close }; rejects with the log if the server exits first
+ */
+export function startHttpServerProcess(env = {}, args = []) {
+  const child = spawn(process.execPath, [SERVER_PATH, '--http', '--port', '0', ...args], {
+    env: { ...process.env, LOG_LEVEL: 'info', ...UNLIMITED_BUDGETS, ...env },
+    stdio: ['ignore', 'ignore', 'pipe'],
+  });
+
+  let stderr = '';
+  const exited = new Promise(resolve => child.once('exit', code => resolve(code)));
+
+  return new Promise((resolve, reject) => {
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+      const match = stderr.match(/listening on (http:\/\/\S+)/);
+      if (match) {
+        resolve({
+          url: match[1],
+          stderr: () => stderr,
+          exited,
+          close: () => {
+            child.kill();
+            return exited;
+          },
+        });
+      }
+    });
+    exited.then(code => reject(Object.assign(new Error(`Server exited with code ${code}`), { stderr, code })));
+  });
+}
+
+/**
+ * Reduce a tool result to the parts worth snapshotting, with volatile values masked
+ * @param {Object} result - CallToolResult
+ * @returns {Object} - { isError, text }
+ */
+export function normalizeToolResult(result) {
+  const text = result.content
+    .filter(item => item.type === 'text')
+    .map(item => item.text)
+    .join('\n')
+    .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g, '<timestamp>');
+
+  return { isError: Boolean(result.isError), text };
+}
+
+/**
+ * Compare values with a stored snapshot, or record it when updating
+ * @param {string} name - Snapshot file name (without extension)
+ * @param {Object} actual - Values keyed by case name
+ * @param {boolean} update - Overwrite the stored snapshot
+ * @returns {Array<string>} - Case names that differ from the snapshot (all of them when it is missing)
+ */
+export function matchSnapshot(name, actual, update) {
+  const path = join(SNAPSHOT_DIR, `${name}.snap`);
+
+  if (update) {
+    mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    writeFileSync(path, `${JSON.stringify(actual, null, 2)}\n`);
+    console.log(`📸 Wrote snapshot ${path}`);
+    return [];
+  }
+
+  // A missing snapshot is a failure, so a deleted or misnamed file cannot pass silently
+  if (!existsSync(path)) {
+    console.log(`📸 No snapshot at ${path}`);
+    return Object.keys(actual);
+  }
+
+  const expected = JSON.parse(readFileSync(path, 'utf8'));
+  const names = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  return [...names].filter(key => JSON.stringify(expected[key]) !== JSON.stringify(actual[key]));
+}
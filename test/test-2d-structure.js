@@ -2,139 +2,92 @@
 
 /**
  * Test script to verify the new 2D array structure
- * This tests the updated format with metadata and cells array
+ * This tests the updated format with metadata and cells array against the fake Google API
  */
 
-import { GoogleSheetsService } from '../server/sheets.js';
-import { config as dotenvConfig } from 'dotenv';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { readFileSync } from 'fs';
+import { startFakeGoogleApi, createTestService, spreadsheetUrl } from './fake-google-api.js';
 
-// Get the directory of this script
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load environment variables
-dotenvConfig({ path: join(__dirname, '../.env') });
-
-// Test Google Sheets URL (public Google Sheets template)
-const TEST_SHEET_URL = 'https://docs.google.com/spreadsheets/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/edit';
+// Fixture spreadsheet with typed values (test/fixtures/budget-2024.json)
+const TEST_SHEET_URL = spreadsheetUrl('fixture-budget-2024');
 
 async function test2DStructure() {
   console.log('🧪 Testing new 2D array structure...\n');
 
-  try {
-    // Load credentials from JSON file
-    const credentialsPath = process.env.GOOGLE_CREDENTIALS_JSON_FILE;
-    if (!credentialsPath) {
-      throw new Error('Missing GOOGLE_CREDENTIALS_JSON_FILE environment variable. Please set it to the path of your service account JSON file.');
-    }
-
-    console.log('📄 Loading credentials from JSON file...');
-    const credentialsContent = readFileSync(credentialsPath, 'utf8');
-    const credentials = JSON.parse(credentialsContent);
-    
-    const serviceAccountEmail = credentials.client_email;
-    const privateKey = credentials.private_key;
-    const projectId = credentials.project_id;
-
-    if (!serviceAccountEmail || !privateKey || !projectId) {
-      throw new Error('Invalid credentials JSON file. Missing required fields: client_email, private_key, or project_id.');
+  const api = await startFakeGoogleApi();
+  let failures = 0;
+  const check = (label, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`   ✅ ${label}`);
+    } else {
+      failures++;
+      console.log(`   ❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
     }
+  };
 
-    // Initialize service
-    const sheetsService = new GoogleSheetsService({
-      serviceAccountEmail,
-      privateKey,
-      projectId,
-    });
-
-    await sheetsService.initialize();
-    console.log('✅ Google Sheets service initialized');
+  try {
+    const sheetsService = await createTestService(api.endpoint);
+    console.log('✅ Google Sheets service initialized against the fake API');
 
     // Get spreadsheet summary first
     console.log('\n📊 Getting spreadsheet summary...');
     const summary = await sheetsService.getSpreadsheetSummary(TEST_SHEET_URL);
-    
+
     const firstSheetName = summary.sheetNames[0].name;
     console.log(`📄 Testing with sheet: "${firstSheetName}"`);
 
     // Get data in new 2D format
     console.log('\n📊 Getting sheet data in new 2D format...');
     const sheetData = await sheetsService.getSheetData(TEST_SHEET_URL, firstSheetName);
-    
-    console.log('✅ Successfully retrieved data in new format!');
-    
-    // Verify structure
+
     console.log('\n🔍 Verifying structure...');
-    console.log(`📋 Spreadsheet: ${sheetData.spreadsheetTitle}`);
-    console.log(`📄 Sheet: ${sheetData.metadata.title}`);
-    console.log(`📏 Dimensions: ${sheetData.metadata.dimensions.rows} rows × ${sheetData.metadata.dimensions.columns} columns`);
-    console.log(`📊 Cells with data: ${sheetData.cells.length}`);
-    
-    // Show sample cells in new format
-    console.log('\n📊 Sample cells in new 2D format:');
-    const sampleCells = sheetData.cells.slice(0, 10);
-    
-    sampleCells.forEach((cell, index) => {
-      const posStr = `[${cell.pos[0]},${cell.pos[1]}]`;
-      const valStr = typeof cell.val === 'string' ? `"${cell.val}"` : cell.val;
-      const fmtStr = cell.fmt ? ` (formatted: "${cell.fmt}")` : '';
-      console.log(`   ${index + 1}. pos: ${posStr}, val: ${valStr}, type: ${cell.type}${fmtStr}`);
-    });
-    
+    check('spreadsheet title', sheetData.spreadsheetTitle, 'Budget 2024');
+    check('sheet title', sheetData.metadata.title, 'Summary');
+    check('grid dimensions', sheetData.metadata.dimensions, { rows: 20, columns: 8, populatedRows: 8 });
+    check('cells with data', sheetData.cells.length, 33);
+    check('every cell has pos, val and type',
+      sheetData.cells.every(cell => Array.isArray(cell.pos) && 'val' in cell && typeof cell.type === 'string'), true);
+
+    const cellAt = (row, col) => sheetData.cells.find(cell => cell.pos[0] === row && cell.pos[1] === col);
+    check('positions are 1-based [row, column]', cellAt(2, 1), { pos: [2, 1], val: 'Category', type: 'string' });
+    check('currency keeps raw value and formatted text', cellAt(3, 2), { pos: [3, 2], val: 1200, type: 'currency', fmt: '$1,200.00' });
+    check('percentage', cellAt(3, 3), { pos: [3, 3], val: 0.4, type: 'percentage', fmt: '40%' });
+    check('date', cellAt(3, 4), { pos: [3, 4], val: 45306, type: 'date', fmt: '1/15/2024' });
+    check('boolean', cellAt(3, 5), { pos: [3, 5], val: true, type: 'boolean', fmt: 'TRUE' });
+    check('formula cells report their computed value', cellAt(6, 2).val, 3000);
+    check('hyperlinks are kept', cellAt(8, 7).hyperlink, 'https://example.com/budget');
+
     // Test type detection
     console.log('\n🔍 Type distribution:');
     const typeCounts = {};
     sheetData.cells.forEach(cell => {
       typeCounts[cell.type] = (typeCounts[cell.type] || 0) + 1;
     });
-    
     Object.entries(typeCounts).forEach(([type, count]) => {
       console.log(`   ${type}: ${count} cells`);
     });
-    
-    // Show examples of different types
-    console.log('\n📊 Examples by type:');
-    const typeExamples = {};
-    sheetData.cells.forEach(cell => {
-      if (!typeExamples[cell.type]) {
-        typeExamples[cell.type] = cell;
-      }
-    });
-    
-    Object.entries(typeExamples).forEach(([type, cell]) => {
-      const posStr = `[${cell.pos[0]},${cell.pos[1]}]`;
-      const valStr = typeof cell.val === 'string' ? `"${cell.val}"` : cell.val;
-      const fmtStr = cell.fmt ? ` → "${cell.fmt}"` : '';
-      console.log(`   ${type}: ${valStr}${fmtStr} at ${posStr}`);
-    });
-    
+    check('type distribution', typeCounts, { string: 17, currency: 6, percentage: 4, date: 3, boolean: 3 });
+
     // Verify JSON serialization
     console.log('\n🔍 Testing JSON serialization...');
-    try {
-      const jsonString = JSON.stringify(sheetData, null, 2);
-      console.log('✅ Data is JSON-serializable');
-      console.log(`📊 JSON size: ${Math.round(jsonString.length / 1024)}KB`);
-    } catch (error) {
-      console.log('❌ Data is not JSON-serializable:', error.message);
-    }
+    check('round-trips through JSON', JSON.parse(JSON.stringify(sheetData)).cells.length, sheetData.cells.length);
+  } finally {
+    await api.close();
+  }
 
-    console.log('\n🎉 2D array structure test completed successfully!');
-    console.log('\n💡 New structure benefits:');
-    console.log('   ✅ More compact representation');
-    console.log('   ✅ Preserves exact cell positions');
-    console.log('   ✅ Automatic type detection');
-    console.log('   ✅ Separates raw values from formatting');
-    console.log('   ✅ Easy to process for AI analysis');
+  return failures === 0;
+}
 
-  } catch (error) {
+test2DStructure()
+  .then(ok => {
+    if (ok) {
+      console.log('\n🎉 2D array structure test completed successfully!');
+    } else {
+      console.log('\n❌ 2D array structure test failed');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
     console.error('❌ Test failed:', error.message);
     console.error('Stack trace:', error.stack);
     process.exit(1);
-  }
-}
-
-// Run the test
-test2DStructure(); 
\ No newline at end of file
+  });
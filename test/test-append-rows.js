@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify how append_rows maps objects onto a sheet's header row and appends them
+ * Runs offline: the mapping against a stand-in worksheet, the appends against the fake Google API
+ */
+
+import { GoogleSheetsService } from '../server/sheets.js';
+import { startFakeGoogleApi, createTestService, spreadsheetUrl } from './fake-google-api.js';
+
+const BUDGET_URL = spreadsheetUrl('fixture-budget-2024');
+
+// Minimal worksheet stand-in: a header row on row 2 under a title in A1
+function createSheet(grid) {
+  return {
+    sheetId: 0,
+    title: 'Tickets',
+    rowCount: 20,
+    columnCount: 6,
+    loadCells: async () => {},
+    getCell: (row, col) => {
+      const value = grid[row] && grid[row][col] !== undefined ? grid[row][col] : null;
+      return { value, formattedValue: value === null ? null : String(value) };
+    },
+  };
+}
+
+async function testAppendMapping() {
+  console.log('🧪 Testing append_rows header mapping...\n');
+
+  const service = new GoogleSheetsService({});
+  const doc = { spreadsheetId: 'tickets' };
+  const sheet = createSheet([
+    ['Ticket log'],
+    ['Date', 'Title', 'Status', '', 'Owner'],
+    ['2024-01-01', 'Login broken', 'Open', null, 'sam'],
+  ]);
+
+  let failures = 0;
+  const check = (label, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`   ✅ ${label}`);
+    } else {
+      failures++;
+      console.log(`   ❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  const mapped = await service.mapRecordsToRows(doc, sheet, [
+    { Title: 'Export fails', Owner: 'kim' },
+    { _row: 9, Date: '2024-01-02', Status: 'Closed' },
+  ]);
+  check('header row detected', mapped.headerRow, 2);
+  check('objects mapped onto header columns', mapped.values, [
+    [null, 'Export fails', null, null, 'kim'],
+    ['2024-01-02', null, 'Closed'],
+  ]);
+
+  try {
+    await service.mapRecordsToRows(doc, sheet, [{ Title: 'x', Priority: 'high' }]);
+    failures++;
+    console.log('   ❌ unknown column was accepted');
+  } catch (error) {
+    check('unknown column rejected', error.message.startsWith('Unknown columns: Priority.'), true);
+  }
+
+  return failures === 0;
+}
+
+async function testAppends() {
+  console.log('\n🧪 Testing appends...\n');
+
+  const api = await startFakeGoogleApi();
+  const service = await createTestService(api.endpoint);
+  let failures = 0;
+  const check = (label, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`   ✅ ${label}`);
+    } else {
+      failures++;
+      console.log(`   ❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+  const thrown = async run => {
+    try {
+      await run();
+      return null;
+    } catch (error) {
+      return error;
+    }
+  };
+
+  try {
+    const first = await service.appendRows(BUDGET_URL, 'Rates', [['Fee', 5]]);
+    const second = await service.appendRows(BUDGET_URL, 'Rates', [['Levy', 7]]);
+    check('rows land below the data, one after another', [first.updatedRange, second.updatedRange], ["'Rates'!A3:B3", "'Rates'!A4:B4"]);
+    check('each in a row inserted for it', (await service.getSpreadsheetSummary(BUDGET_URL)).sheetNames[1].rowCount, 12);
+    check('and read back', (await service.getRangeData(BUDGET_URL, 'Rates!A3:B4')).cells.map(cell => cell.val), ['Fee', 5, 'Levy', 7]);
+
+    const emptyRecord = await thrown(() => service.appendRows(BUDGET_URL, 'Archive 2023', [{ Category: 'Gas' }, { _row: 9 }]));
+    check('records without values are refused', [emptyRecord?.code, emptyRecord?.message], ['INVALID_ARGUMENT', 'Row 2 does not contain any values.']);
+    const emptyRow = await thrown(() => service.appendRows(BUDGET_URL, 'Rates', [[null, '']]));
+    check('and so are empty rows', emptyRow?.code, 'INVALID_ARGUMENT');
+    check('without appending anything', (await service.getRangeData(BUDGET_URL, "'Archive 2023'!A3:B4")).cells, []);
+  } finally {
+    await api.close();
+  }
+
+  return failures === 0;
+}
+
+async function runTests() {
+  const mappingOk = await testAppendMapping();
+  const appendsOk = await testAppends();
+  return mappingOk && appendsOk;
+}
+
+runTests()
+  .then(ok => {
+    if (ok) {
+      console.log('\n🎉 Append rows test completed successfully!');
+    } else {
+      console.log('\n❌ Append rows test failed');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  });
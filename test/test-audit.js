@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify the audit log of tool calls
+ * Runs offline: checks that the log is read back newest first across chunk boundaries, then
+ * spawns the server against the fake Google API with SHEETS_AUDIT_LOG set and checks the
+ * entries its tool calls leave behind and what get_audit_log returns.
+ */
+
+import { appendFileSync, existsSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { AuditLog } from '../server/audit.js';
+import { startFakeGoogleApi, spreadsheetUrl } from './fake-google-api.js';
+import { connectToServer, writeCredentialsFile } from './mcp-harness.js';
+
+const BUDGET_ID = 'fixture-budget-2024';
+const BUDGET_URL = spreadsheetUrl(BUDGET_ID);
+const CLASS_DATA_ID = '1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms';
+
+const readEntries = path =>
+  readFileSync(path, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+
+async function testQueries(check, dir) {
+  console.log('🧪 Testing audit log queries...\n');
+
+  const path = join(dir, 'nested', 'audit.jsonl');
+  const log = new AuditLog({ path });
+  check('a missing log has no entries', await log.query(), []);
+
+  // Long, multi-byte entries so lines straddle the 64 KB read chunks
+  const padding = 'é'.repeat(3000);
+  for (let index = 0; index < 60; index++) {
+    await log.record({
+      timestamp: new Date(Date.UTC(2024, 0, 1, 0, index)).toISOString(),
+      tool: index % 3 === 0 ? 'update_range' : 'get_range_data',
+      spreadsheetId: index % 2 === 0 ? 'even' : 'odd',
+      outcome: index % 10 === 9 ? 'error' : 'success',
+      padding: padding,
+    });
+  }
+  appendFileSync(path, '{"timestamp": "2024-01-01T01:00:00.000Z", "tool": "cut sh');
+
+  const minutes = entries => entries.map(entry => new Date(entry.timestamp).getUTCMinutes());
+  check('the log and its directory are created', existsSync(path), true);
+  check('entries come back newest first, skipping a cut-off line', minutes(await log.query({ limit: 3 })), [59, 58, 57]);
+  check('every entry is read intact', (await log.query({ limit: 100 })).every(entry => entry.padding === padding), true);
+  check('by default 50 entries are returned', (await log.query()).length, 50);
+  check('entries filter by tool', minutes(await log.query({ tool: 'update_range', limit: 2 })), [57, 54]);
+  check('by spreadsheet and outcome', minutes(await log.query({ spreadsheetId: 'odd', outcome: 'error' })), [59, 49, 39, 29, 19, 9]);
+  check('and by time', minutes(await log.query({ since: '2024-01-01T00:57:00Z' })), [59, 58, 57]);
+
+  // A line out of order ahead of the cutoff shows where reading stopped
+  const ordered = new AuditLog({ path: join(dir, 'ordered.jsonl') });
+  const at = (minute, tool, durationMs = 0) =>
+    ordered.record({ timestamp: new Date(Date.UTC(2024, 0, 1, 0, minute)).toISOString(), tool, durationMs });
+  await at(30, 'misplaced');
+  await at(1, 'finished before');
+  await at(5, 'at the cutoff');
+  await at(4, 'running across it', 2 * 60000);
+  await at(7, 'after it');
+  check('time queries stop at the first call that finished earlier', (await ordered.query({ since: '2024-01-01T00:05:00Z' })).map(entry => entry.tool), [
+    'after it',
+    'at the cutoff',
+  ]);
+
+  const sessions = new AuditLog({ path: join(dir, 'sessions.jsonl') });
+  await sessions.track('get_range_data', {}, async () => ({ content: [] }), 'session-a');
+  await sessions.track('update_range', {}, async () => ({ content: [] }), 'session-b');
+  await sessions.track('get_formula_map', {}, async () => ({ content: [] }));
+  check('entries filter by session', (await sessions.query({ sessionId: 'session-a' })).map(entry => entry.tool), ['get_range_data']);
+  const accepted = await sessions.query({ accept: async entry => entry.tool !== 'update_range' });
+  check('and by a further check', accepted.map(entry => entry.tool), ['get_formula_map', 'get_range_data']);
+}
+
+async function testToolCalls(check, dir) {
+  console.log('\n🧪 Testing audit entries of tool calls...\n');
+
+  const api = await startFakeGoogleApi();
+  const credentials = writeCredentialsFile();
+  const path = join(dir, 'tools.jsonl');
+  const session = await connectToServer({
+    GOOGLE_CREDENTIALS_JSON_FILE: credentials.path,
+    GOOGLE_API_ENDPOINT: api.endpoint,
+    SHEETS_AUDIT_LOG: path,
+    SHEETS_AUDIT_LOG_VALUES: 'true',
+  });
+  const call = (name, args) => session.client.callTool({ name, arguments: args });
+  try {
+    const { tools } = await session.client.listTools();
+    check('the audit log tool is offered', tools.some(tool => tool.name === 'get_audit_log'), true);
+
+    await call('get_range_data', { url: BUDGET_URL, range: 'Rates!A1:B2' });
+    await call('get_spreadsheet_sheet_data', { url: spreadsheetUrl(CLASS_DATA_ID), sheet_name: 'Class Data', mode: 'records', page_size: 2 });
+    await call('update_range', { url: BUDGET_URL, range: 'Rates!B2', values: [['4%']] });
+    await call('get_range_data', { url: BUDGET_URL, range: 'Forecast!A1' });
+
+    const [read, records, write, failure] = readEntries(path);
+    const { timestamp, durationMs, ...readEntry } = read;
+    check('reads are logged', readEntry, {
+      tool: 'get_range_data',
+      spreadsheetId: BUDGET_ID,
+      sheet: 'Rates',
+      range: 'Rates!A1:B2',
+      cellsReturned: 4,
+      outcome: 'success',
+    });
+    check('with the time and duration of the call', [Number.isNaN(Date.parse(timestamp)), durationMs >= 0], [false, true]);
+    check('records count their cells', [records.sheet, records.cellsReturned > 0], ['Class Data', true]);
+    check('writes are logged with the cells they changed', [write.tool, write.range, write.cellsChanged], ['update_range', 'Rates!B2', 1]);
+    check('and the values they replaced, unformatted', write.writes, [{ range: "'Rates'!B2:B2", before: [[0.03]], after: [['4%']] }]);
+    check('failures are logged with their error code', [failure.outcome, failure.errorCode, failure.spreadsheetId], ['error', 'SHEET_NOT_FOUND', BUDGET_ID]);
+
+    const result = await call('get_audit_log', { url: BUDGET_URL, limit: 2 });
+    check('get_audit_log returns recent entries for a spreadsheet', result.structuredContent.entries.map(entry => entry.tool), [
+      'get_range_data',
+      'update_range',
+    ]);
+    check('naming the log', result.structuredContent.path, path);
+    check('without the values writes recorded', result.structuredContent.entries.some(entry => 'writes' in entry), false);
+    const failed = await call('get_audit_log', { outcome: 'error' });
+    check('it filters by outcome', failed.structuredContent.entries.map(entry => entry.errorCode), ['SHEET_NOT_FOUND']);
+    check('and logs its own calls', readEntries(path).slice(-2).map(entry => entry.tool), ['get_audit_log', 'get_audit_log']);
+    const invalid = await call('get_audit_log', { since: 'yesterday' });
+    check('an invalid time is refused', [invalid.isError, invalid.content[0].text.startsWith('Error [INVALID_ARGUMENT]')], [true, true]);
+  } finally {
+    await session.close();
+  }
+
+  // The same log read by a server whose policy blocks Rates and the class data spreadsheet
+  const restricted = await connectToServer({
+    GOOGLE_CREDENTIALS_JSON_FILE: credentials.path,
+    GOOGLE_API_ENDPOINT: api.endpoint,
+    SHEETS_AUDIT_LOG: path,
+    SHEETS_DENIED_SHEET_NAMES: 'Rates',
+    SHEETS_DENIED_SPREADSHEETS: CLASS_DATA_ID,
+  });
+  try {
+    const result = await restricted.client.callTool({ name: 'get_audit_log', arguments: { tool: 'get_range_data' } });
+    check('entries on blocked spreadsheets and sheets are left out', result.structuredContent.entries.map(entry => entry.range), ['Forecast!A1']);
+    const records = await restricted.client.callTool({ name: 'get_audit_log', arguments: { url: spreadsheetUrl(CLASS_DATA_ID) } });
+    check('even when asked for by URL', records.structuredContent.entries, []);
+  } finally {
+    await restricted.close();
+    credentials.cleanup();
+    await api.close();
+  }
+
+  const quiet = await connectToServer({ GOOGLE_CREDENTIALS_JSON_FILE: credentials.path });
+  try {
+    const { tools } = await quiet.client.listTools();
+    check('without a log path there is no audit log tool', tools.some(tool => tool.name === 'get_audit_log'), false);
+  } finally {
+    await quiet.close();
+  }
+}
+
+async function runTests() {
+  let failures = 0;
+  const check = (label, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`   ✅ ${label}`);
+    } else {
+      failures++;
+      console.log(`   ❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  const dir = mkdtempSync(join(tmpdir(), 'mcp-googlesheet-audit-'));
+  try {
+    await testQueries(check, dir);
+    await testToolCalls(check, dir);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+  return failures === 0;
+}
+
+runTests()
+  .then(ok => {
+    if (ok) {
+      console.log('\n🎉 Audit log test completed successfully!');
+    } else {
+      console.log('\n❌ Audit log test failed');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  });
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify the document and cell cache in GoogleSheetsService
+ * Runs offline against the fake Google API, counting the requests each read makes
+ */
+
+import { startFakeGoogleApi, createTestService, spreadsheetUrl } from './fake-google-api.js';
+
+const BUDGET_URL = spreadsheetUrl('fixture-budget-2024');
+const CLASS_DATA_URL = spreadsheetUrl('1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Requests made since the last call, as "METHOD kind" labels
+function takeRequests(api) {
+  return api.requests.splice(0).map(({ method, path }) => {
+    if (path.startsWith('/drive/')) {
+      return `${method} drive`;
+    }
+    if (path.endsWith(':getByDataFilter')) {
+      return `${method} cells`;
+    }
+    return `${method} ${path.endsWith('/') ? 'info' : path.split('/').pop()}`;
+  });
+}
+
+async function testCache() {
+  console.log('🧪 Testing the document cache...\n');
+
+  let failures = 0;
+  const check = (label, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`   ✅ ${label}`);
+    } else {
+      failures++;
+      console.log(`   ❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  const api = await startFakeGoogleApi();
+  try {
+    let service = await createTestService(api.endpoint);
+    const readRate = async () => (await service.getRangeData(BUDGET_URL, 'Rates!B2')).cells[0]?.val;
+
+    await service.getSheetData(BUDGET_URL, 'Rates');
+    check('first read loads info and cells', takeRequests(api), ['GET drive', 'GET info', 'POST cells']);
+
+    await service.getSheetData(BUDGET_URL, 'Rates');
+    check('repeat read only checks the modified time', takeRequests(api), ['GET drive']);
+
+    const before = await readRate();
+    check('range inside a loaded sheet is served from the cache', takeRequests(api), ['GET drive']);
+
+    await service.updateRange(BUDGET_URL, 'Rates!B2', [['9%']]);
+    takeRequests(api);
+    const after = await readRate();
+    check('writes through the service drop the cache', takeRequests(api), ['GET drive', 'GET info', 'POST cells']);
+    check('reads after a write see the new value', after !== before && after === '9%', true);
+
+    await service.getSheetData(BUDGET_URL, 'Rates');
+    takeRequests(api);
+    api.spreadsheets.get('fixture-budget-2024').modifiedTime = '2030-01-01T00:00:00.000Z';
+    await service.getSheetData(BUDGET_URL, 'Rates');
+    check('outside edits are picked up from the modified time', takeRequests(api), ['GET drive', 'GET drive', 'GET info', 'POST cells']);
+
+    check('clearing one spreadsheet', service.clearCache(BUDGET_URL).clearedDocuments, 1);
+    await service.getSheetData(BUDGET_URL, 'Rates');
+    check('cleared spreadsheets are reloaded', takeRequests(api), ['GET drive', 'GET info', 'POST cells']);
+    check('clearing everything', service.clearCache(), { spreadsheetId: null, clearedDocuments: 1, cache: { enabled: true, documents: 0, cells: 0 } });
+
+    service = await createTestService(api.endpoint, { cache: { ttlSeconds: 0.05 } });
+    await service.getSpreadsheetSummary(BUDGET_URL);
+    takeRequests(api);
+    await sleep(100);
+    await service.getSpreadsheetSummary(BUDGET_URL);
+    check('entries expire after the TTL', takeRequests(api), ['GET drive', 'GET info']);
+
+    service = await createTestService(api.endpoint, { cache: { maxDocuments: 1 } });
+    await service.getSpreadsheetSummary(BUDGET_URL);
+    await service.getSpreadsheetSummary(CLASS_DATA_URL);
+    takeRequests(api);
+    await service.getSpreadsheetSummary(BUDGET_URL);
+    check('least recently used spreadsheets are evicted', takeRequests(api), ['GET drive', 'GET info']);
+
+    service = await createTestService(api.endpoint, { cache: { maxCells: 10 } });
+    await service.getSheetData(BUDGET_URL, 'Rates');
+    check('spreadsheets over the cell limit are not kept', service.cache.stats(), { enabled: true, documents: 0, cells: 0 });
+
+    service = await createTestService(api.endpoint, { cache: { ttlSeconds: 0 } });
+    takeRequests(api);
+    await service.getSheetData(BUDGET_URL, 'Rates');
+    await service.getSheetData(BUDGET_URL, 'Rates');
+    check('a TTL of 0 disables the cache', takeRequests(api), ['GET info', 'POST cells', 'GET info', 'POST cells']);
+  } finally {
+    await api.close();
+  }
+
+  return failures === 0;
+}
+
+testCache()
+  .then(ok => {
+    if (ok) {
+      console.log('\n🎉 Cache test completed successfully!');
+    } else {
+      console.log('\n❌ Cache test failed');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  });
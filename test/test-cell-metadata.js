@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify opt-in cell metadata (notes, format, merges, validation, rich text)
+ * Runs offline against an in-memory worksheet
+ */
+
+import { GoogleSheetsService } from '../server/sheets.js';
+
+function makeSheet() {
+  const grid = {
+    '0:0': {
+      value: 'Quarterly report',
+      formattedValue: 'Quarterly report',
+      note: '',
+      userEnteredFormat: { backgroundColor: { red: 1, green: 1 }, textFormat: { bold: true } },
+      _rawData: {
+        textFormatRuns: [
+          { startIndex: 0, format: { bold: true } },
+          { startIndex: 10, format: { italic: true, foregroundColor: { red: 1 } } },
+        ],
+      },
+    },
+    '1:0': {
+      value: 'Open',
+      formattedValue: 'Open',
+      note: 'Set by the owner',
+      _rawData: {
+        dataValidation: {
+          condition: { type: 'ONE_OF_LIST', values: [{ userEnteredValue: 'Open' }, { userEnteredValue: 'Closed' }] },
+          strict: true,
+          showCustomUi: true,
+        },
+      },
+    },
+    '2:1': { value: null, formattedValue: null, note: 'Fill in next week' },
+  };
+  const empty = { value: null, formattedValue: null, note: '' };
+
+  return {
+    title: 'Report',
+    a1SheetName: "'Report'",
+    rowCount: 3,
+    columnCount: 3,
+    getCell: (row, col) => grid[`${row}:${col}`] || empty,
+  };
+}
+
+async function testCellMetadata() {
+  console.log('🧪 Testing cell metadata...\n');
+
+  let failures = 0;
+  const check = (label, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`   ✅ ${label}`);
+    } else {
+      failures++;
+      console.log(`   ❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  const service = new GoogleSheetsService({});
+  const sheet = makeSheet();
+
+  const plain = service.extractCellData(sheet, null).cells;
+  check('default output is unchanged', plain.map(cell => Object.keys(cell)), [['pos', 'val', 'type'], ['pos', 'val', 'type']]);
+
+  const doc = {
+    sheetsApi: {
+      get: async () => ({
+        data: { sheets: [{ merges: [{ startRowIndex: 0, endRowIndex: 1, startColumnIndex: 0, endColumnIndex: 3 }] }] },
+      }),
+    },
+  };
+  const merges = await service.getMergedRanges(doc, sheet, null);
+  check('merged ranges are local A1 ranges', merges.map(merge => merge.range), ['A1:C1']);
+  check('merges outside the loaded rows are dropped',
+    (await service.getMergedRanges(doc, sheet, { startRow: 1, endRow: 3, startCol: 0, endCol: 3 })).length, 0);
+
+  const cells = service.extractCellData(sheet, null, {
+    include: ['notes', 'format', 'merges', 'validation', 'richText'],
+    merges,
+  }).cells;
+
+  check('format is summarized', cells[0].format, { background: '#ffff00', bold: true });
+  check('merge is marked on its top-left cell', cells[0].merge, 'A1:C1');
+  check('rich text runs are split by start index', cells[0].richText, [
+    { text: 'Quarterly ', bold: true },
+    { text: 'report', color: '#ff0000', italic: true },
+  ]);
+  check('note is attached', cells[1].note, 'Set by the owner');
+  check('validation is attached', cells[1].validation, {
+    type: 'ONE_OF_LIST', values: ['Open', 'Closed'], strict: true, dropdown: true,
+  });
+  check('empty cells with notes are kept', cells[2], { pos: [3, 2], val: null, type: 'empty', note: 'Fill in next week' });
+
+  return failures === 0;
+}
+
+testCellMetadata()
+  .then(ok => {
+    if (ok) {
+      console.log('\n🎉 Cell metadata test completed successfully!');
+    } else {
+      console.log('\n❌ Cell metadata test failed');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  });
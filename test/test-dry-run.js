@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify dry runs of write tools and confirmation of large overwrites
+ * Runs offline against the fake Google API: checks the diff each write method reports with
+ * dryRun set and that nothing changes, then spawns the server to check that overwrites and
+ * deletes above SHEETS_CONFIRM_CELL_THRESHOLD are confirmed through elicitation first.
+ */
+
+import { MASK } from '../server/redaction.js';
+import { startFakeGoogleApi, createTestService, spreadsheetUrl } from './fake-google-api.js';
+import { connectToServer, writeCredentialsFile } from './mcp-harness.js';
+
+const BUDGET_URL = spreadsheetUrl('fixture-budget-2024');
+const TEMPLATE_URL = spreadsheetUrl('fixture-invoice-template');
+
+// Requests that change something; everything else the fake API serves is a read or a token
+const countWrites = api =>
+  api.requests.splice(0).filter(request => request.method === 'PUT' || /:batchUpdate|:copyTo|\/copy$|:clear$/.test(request.path)).length;
+
+async function testServiceDryRuns(check) {
+  console.log('🧪 Testing dry runs in the service...\n');
+
+  const api = await startFakeGoogleApi();
+  try {
+    const service = await createTestService(api.endpoint, { allowTemplateCopies: true });
+    api.requests.length = 0;
+
+    const update = await service.updateRange(BUDGET_URL, 'Rates!B1:C2', [['25%', 'note'], [null, '']], { dryRun: true });
+    check('updates report the cells they would change', update.diff.cells, [
+      { sheet: 'Rates', address: 'B1', before: 0.2, after: '25%' },
+      { sheet: 'Rates', address: 'C1', before: null, after: 'note' },
+    ]);
+    check('counting overwritten values', [update.diff.cellCount, update.diff.overwrittenCells, update.diff.truncated], [2, 1, false]);
+    check('in the shape of a real write', [update.dryRun, update.updatedRange, update.updatedCells], [true, "'Rates'!B1:C2", 3]);
+    check('and write nothing', countWrites(api), 0);
+    check('values are unchanged', (await service.getRangeData(BUDGET_URL, 'Rates!B1')).cells[0].val, 0.2);
+
+    const unchanged = await service.updateRange(BUDGET_URL, 'Rates!A1', [['Tax rate']], { dryRun: true });
+    check('cells that keep their value are left out', unchanged.diff.cellCount, 0);
+
+    const append = await service.appendRows(BUDGET_URL, 'Rates', [['Fee', 5, 'x', 'y', 'z']], { dryRun: true });
+    check('appends land below the last row', [append.updatedRange, append.diff.cells.map(cell => cell.address)], [
+      "'Rates'!A3:E3",
+      ['A3', 'B3', 'C3', 'D3', 'E3'],
+    ]);
+    check('and report growing the grid', append.diff.sheets, [
+      { change: 'resize', sheet: 'Rates', before: { rowCount: 10, columnCount: 4 }, after: { rowCount: 11, columnCount: 5 } },
+    ]);
+    check('without resizing it', [countWrites(api), (await service.getSpreadsheetSummary(BUDGET_URL)).sheetNames[1].columnCount], [0, 4]);
+
+    console.log('\n📑 Testing sheet changes...');
+    const added = await service.addSheet(BUDGET_URL, { title: 'Q3', headers: ['Date', 'Owner'], rowCount: 50 }, { dryRun: true });
+    check('new sheets list their size and headers', [added.diff.sheets[0], added.diff.cells.map(cell => cell.after)], [
+      { change: 'add', sheet: 'Q3', before: null, after: { index: 3, rowCount: 50, columnCount: 26 } },
+      ['Date', 'Owner'],
+    ]);
+    check('while the summary is the current one', added.sheetNames.map(sheet => sheet.name), ['Summary', 'Rates', 'Archive 2023']);
+
+    const sheetChange = async run => (await run).diff.sheets[0];
+    check('renames', await sheetChange(service.renameSheet(BUDGET_URL, 'Rates', 'Tax', { dryRun: true })), {
+      change: 'rename',
+      sheet: 'Rates',
+      before: 'Rates',
+      after: 'Tax',
+    });
+    check('duplicates', await sheetChange(service.duplicateSheet(BUDGET_URL, 'Rates', { dryRun: true })), {
+      change: 'duplicate',
+      sheet: 'Rates',
+      before: null,
+      after: { title: 'Copy of Rates', spreadsheetId: 'fixture-budget-2024' },
+    });
+    check('moves', await sheetChange(service.moveSheet(BUDGET_URL, 'Rates', 0, { dryRun: true })), { change: 'move', sheet: 'Rates', before: 1, after: 0 });
+    check('and visibility', await sheetChange(service.setSheetHidden(BUDGET_URL, 'Archive 2023', false, { dryRun: true })), {
+      change: 'unhide',
+      sheet: 'Archive 2023',
+      before: true,
+      after: false,
+    });
+
+    const deleted = await service.deleteSheet(BUDGET_URL, 'Archive 2023', { dryRun: true });
+    check('deletes list every value that would be lost', deleted.diff.cells.map(cell => [cell.address, cell.before, cell.after]), [
+      ['A1', 'Category', null],
+      ['B1', 'Amount', null],
+      ['A2', 'Rent', null],
+      ['B2', 1100, null],
+    ]);
+    check('as overwritten cells', [deleted.diff.sheets[0].change, deleted.diff.overwrittenCells], ['delete', 4]);
+    check('none of which happened', [countWrites(api), (await service.getSpreadsheetSummary(BUDGET_URL)).sheetCount], [0, 3]);
+
+    console.log('\n📄 Testing new spreadsheets...');
+    const created = await service.createSpreadsheet(
+      { title: 'Report', sheets: [{ title: 'Data', headers: ['A'], rows: [[1]] }, { title: 'Notes' }] },
+      { dryRun: true }
+    );
+    check('creates have no id yet', [created.id, created.url, created.sheetCount], ['', '', 2]);
+    check('and list their sheets and seed data', [created.diff.sheets.map(sheet => sheet.sheet), created.diff.cells.map(cell => cell.address)], [
+      ['Data', 'Notes'],
+      ['A1', 'A2'],
+    ]);
+
+    const copy = await service.copySpreadsheet(TEMPLATE_URL, { placeholders: { client_name: 'Acme', week: 5 }, dryRun: true });
+    check('copies fill placeholders in the template values', copy.diff.cells.map(cell => [cell.address, cell.after]), [
+      ['B1', 'Acme'],
+      ['B2', '5'],
+      ['A5', 'Prepared for Acme'],
+    ]);
+    check('counting replacements', [copy.title, copy.replacements, copy.templateId], [
+      'Copy of Invoice template',
+      { client_name: 2, week: 1 },
+      'fixture-invoice-template',
+    ]);
+    check('and copy nothing', countWrites(api), 0);
+
+    const rows = Array.from({ length: 30 }, () => Array(20).fill('x'));
+    const big = await service.createSpreadsheet({ title: 'Big', sheets: [{ title: 'Data', rows }] }, { dryRun: true });
+    check('long diffs are cut short but fully counted', [big.diff.cells.length, big.diff.cellCount, big.diff.truncated], [500, 600, true]);
+
+    const redacting = await createTestService(api.endpoint, { redaction: { rules: [{ column: 'B', sheet: 'Rates' }, { pattern: '^Rent$' }] } });
+    const masked = await redacting.updateRange(BUDGET_URL, 'Rates!A2:B3', [['CPI', '4%'], [null, '5%']], { dryRun: true });
+    check('redacted columns are masked in diffs', masked.diff.cells.map(cell => [cell.address, cell.before, cell.after]), [
+      ['A2', 'Inflation', 'CPI'],
+      ['B2', MASK, MASK],
+      ['B3', null, MASK],
+    ]);
+    const maskedDelete = await redacting.deleteSheet(BUDGET_URL, 'Archive 2023', { dryRun: true });
+    check('as are values a rule picks out', maskedDelete.diff.cells.map(cell => cell.before), ['Category', 'Amount', MASK, 1100]);
+
+    const bounded = await service.updateRange(BUDGET_URL, 'Rates!A1:B1', [['x', 'y']], { maxOverwrittenCells: 1 }).catch(error => error.code);
+    check('writes that would overwrite more than confirmed are refused', [bounded, countWrites(api)], ['CONFLICT', 0]);
+    const boundedDelete = await service.deleteSheet(BUDGET_URL, 'Archive 2023', { maxOverwrittenCells: 3 }).catch(error => error.code);
+    check('so are deletes of sheets that now hold more values', [boundedDelete, countWrites(api)], ['CONFLICT', 0]);
+
+    const readOnly = await createTestService(api.endpoint, { policy: { readOnly: true } });
+    const refused = await readOnly.renameSheet(BUDGET_URL, 'Rates', 'Tax', { dryRun: true }).catch(error => error.code);
+    check('read-only mode refuses dry runs too', refused, 'READ_ONLY');
+  } finally {
+    await api.close();
+  }
+}
+
+async function testConfirmation(check) {
+  console.log('\n🧪 Testing confirmation of large overwrites...\n');
+
+  const api = await startFakeGoogleApi();
+  const credentials = writeCredentialsFile();
+  const env = {
+    GOOGLE_CREDENTIALS_JSON_FILE: credentials.path,
+    GOOGLE_API_ENDPOINT: api.endpoint,
+    SHEETS_CONFIRM_CELL_THRESHOLD: '2',
+  };
+  const answers = [];
+  const prompts = [];
+  const session = await connectToServer(env, {
+    onElicit: params => {
+      prompts.push(params.message);
+      return answers.shift();
+    },
+  });
+  const call = (client, name, args) => client.callTool({ name, arguments: args });
+  const errorCode = result => (result.isError ? JSON.parse(result.content[1].text).error.code : null);
+  try {
+    const dryRun = await call(session.client, 'update_range', { url: BUDGET_URL, range: 'Rates!A1:B2', values: [['a', 'b'], ['c', 'd']], dry_run: true });
+    check('dry runs are offered by the tools', [dryRun.structuredContent.diff.overwrittenCells, countWrites(api)], [4, 0]);
+    check('and rendered as old → new values', dryRun.content[0].text.includes('- Rates!B1: 0.2 → "b"'), true);
+    check('without asking', prompts.length, 0);
+
+    answers.push({ action: 'decline' });
+    const declined = await call(session.client, 'update_range', { url: BUDGET_URL, range: 'Rates!A1:B2', values: [['a', 'b'], ['c', 'd']] });
+    check('large overwrites ask first, quoting the first changes', prompts, [
+      'This will write Rates!A1:B2, overwriting or deleting 4 cells that hold values. Range: \'Rates\'!A1:B2. ' +
+        'First changes: Rates!A1: "Tax rate" → "a"; Rates!B1: 0.2 → "b"; Rates!A2: "Inflation" → "c"; … and 1 more cells. Continue?',
+    ]);
+    check('and stop when declined', [errorCode(declined), countWrites(api)], ['NOT_CONFIRMED', 0]);
+
+    answers.push({ action: 'accept', content: { confirm: true } });
+    const confirmed = await call(session.client, 'update_range', { url: BUDGET_URL, range: 'Rates!A1:B2', values: [['a', 'b'], ['c', 'd']] });
+    check('or go ahead when confirmed', [confirmed.isError, confirmed.structuredContent.updatedCells], [undefined, 4]);
+
+    const small = await call(session.client, 'update_range', { url: BUDGET_URL, range: 'Rates!A1:B1', values: [['e', 'f']] });
+    check('small writes never ask', [small.isError, prompts.length], [undefined, 2]);
+    const fresh = await call(session.client, 'update_range', { url: BUDGET_URL, range: 'Rates!C1:D2', values: [['1', '2'], ['3', '4']] });
+    check('nor do writes into empty cells', [fresh.isError, prompts.length], [undefined, 2]);
+
+    answers.push({ action: 'cancel' });
+    const deletion = await call(session.client, 'delete_sheet', { url: BUDGET_URL, sheet_name: 'Archive 2023' });
+    check('deleting a sheet with values asks too', [errorCode(deletion), prompts.length], ['NOT_CONFIRMED', 3]);
+    check('naming the sheet', prompts[2].includes('First changes: delete "Archive 2023"'), true);
+  } finally {
+    await session.close();
+  }
+
+  const noElicitation = await connectToServer(env);
+  try {
+    const refused = await call(noElicitation.client, 'delete_sheet', { url: BUDGET_URL, sheet_name: 'Archive 2023' });
+    check('clients that cannot ask are refused', [errorCode(refused), refused.content[0].text.includes('SHEETS_CONFIRM_CELL_THRESHOLD')], [
+      'NOT_CONFIRMED',
+      true,
+    ]);
+  } finally {
+    await noElicitation.close();
+  }
+
+  const unconfirmed = await connectToServer({ ...env, SHEETS_CONFIRM_CELL_THRESHOLD: '0' });
+  try {
+    const deleted = await call(unconfirmed.client, 'delete_sheet', { url: BUDGET_URL, sheet_name: 'Archive 2023' });
+    check('a threshold of 0 never asks', [deleted.isError, deleted.structuredContent.sheetCount], [undefined, 2]);
+  } finally {
+    await unconfirmed.close();
+    credentials.cleanup();
+    await api.close();
+  }
+}
+
+async function runTests() {
+  let failures = 0;
+  const check = (label, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`   ✅ ${label}`);
+    } else {
+      failures++;
+      console.log(`   ❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  await testServiceDryRuns(check);
+  await testConfirmation(check);
+  return failures === 0;
+}
+
+runTests()
+  .then(ok => {
+    if (ok) {
+      console.log('\n🎉 Dry run test completed successfully!');
+    } else {
+      console.log('\n❌ Dry run test failed');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  });
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+/**
+ * End-to-end test of the MCP server over stdio
+ * Spawns server/index.js, lists its tools and calls each one against the fake Google API, then
+ * reads the touched spreadsheets back as gsheet:// resources, comparing responses with
+ * test/snapshots/e2e-tools.snap and checking structured output.
+ * Run with --update-snapshots after an intended change to tool output.
+ */
+
+import { startFakeGoogleApi, spreadsheetUrl } from './fake-google-api.js';
+import { connectToServer, writeCredentialsFile, normalizeToolResult, matchSnapshot } from './mcp-harness.js';
+
+const UPDATE_SNAPSHOTS = process.argv.includes('--update-snapshots');
+
+const CLASS_DATA_URL = spreadsheetUrl('1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms');
+const BUDGET_URL = spreadsheetUrl('fixture-budget-2024');
+const TEMPLATE_URL = spreadsheetUrl('fixture-invoice-template');
+
+// Calls run in order against one server, so later calls see earlier writes
+const TOOL_CALLS = [
+  ['summary', 'get_spreadsheet_summary', { url: BUDGET_URL }],
+  ['summary of an unknown spreadsheet', 'get_spreadsheet_summary', { url: spreadsheetUrl('does-not-exist') }],
+  ['summary of an invalid URL', 'get_spreadsheet_summary', { url: 'https://example.com/not-a-sheet' }],
+  ['sheet data with metadata', 'get_spreadsheet_sheet_data', {
+    url: BUDGET_URL,
+    sheet_name: 'Summary',
+    include_formulas: true,
+    include: ['notes', 'format', 'merges', 'validation', 'richText'],
+  }],
+  ['sheet data first page', 'get_spreadsheet_sheet_data', { url: CLASS_DATA_URL, sheet_name: 'Class Data', page_size: 10 }],
+  ['sheet data records', 'get_spreadsheet_sheet_data', { url: CLASS_DATA_URL, sheet_name: 'Class Data', mode: 'records', page_size: 3 }],
+  ['sheet data of an unknown sheet', 'get_spreadsheet_sheet_data', { url: BUDGET_URL, sheet_name: 'Nope' }],
+  ['range data', 'get_range_data', { url: CLASS_DATA_URL, range: "'Class Data'!A1:C3" }],
+  ['named range data', 'get_range_data', { url: BUDGET_URL, range: 'TaxRate' }],
+  ['formula map', 'get_formula_map', { url: BUDGET_URL, sheet_name: 'Summary' }],
+  ['search', 'search_spreadsheet', { url: CLASS_DATA_URL, query: 'debate', case_insensitive: true, limit: 3 }],
+  ['update range', 'update_range', { url: BUDGET_URL, range: 'Rates!A3', values: [['Fees', '0.05']] }],
+  ['update range past the grid', 'update_range', { url: BUDGET_URL, range: 'Rates!D10', values: [[1, 2]] }],
+  ['append rows', 'append_rows', {
+    url: CLASS_DATA_URL,
+    sheet_name: 'Class Data',
+    rows: [{ 'Student Name': 'Zoe', Gender: 'Female', Major: 'Physics' }],
+  }],
+  ['add sheet', 'add_sheet', { url: BUDGET_URL, title: 'Forecast', headers: ['Month', 'Amount'] }],
+  ['rename sheet', 'rename_sheet', { url: BUDGET_URL, sheet_name: 'Forecast', new_name: 'Forecast 2025' }],
+  ['duplicate sheet', 'duplicate_sheet', { url: BUDGET_URL, sheet_name: 'Rates', new_name: 'Rates backup' }],
+  ['move sheet', 'move_sheet', { url: BUDGET_URL, sheet_name: 'Rates backup', index: 0 }],
+  ['hide sheet', 'set_sheet_hidden', { url: BUDGET_URL, sheet_name: 'Rates backup', hidden: true }],
+  ['delete sheet', 'delete_sheet', { url: BUDGET_URL, sheet_name: 'Forecast 2025' }],
+  ['create spreadsheet', 'create_spreadsheet', {
+    title: 'Team roster',
+    sheets: [{ title: 'People', headers: ['Name', 'Role'], rows: [['Ada', 'Lead']] }, { title: 'Notes' }],
+    share_with: ['team@example.com'],
+  }],
+  ['copy spreadsheet', 'copy_spreadsheet', {
+    url: TEMPLATE_URL,
+    title: 'Invoice - Acme',
+    placeholders: { client_name: 'Acme', week: 5 },
+  }],
+  ['clear cache', 'clear_cache', { url: BUDGET_URL }],
+];
+
+// Successful calls must return structuredContent matching the JSON text block; the client
+// has already validated it against the tool's outputSchema
+function checkStructuredContent(name, result) {
+  if (result.isError) {
+    return true;
+  }
+  const json = result.content[result.content.length - 1]?.text;
+  if (!result.structuredContent || json !== JSON.stringify(result.structuredContent, null, 2)) {
+    console.log(`❌ ${name}: structuredContent is missing or differs from the text rendering`);
+    return false;
+  }
+  return true;
+}
+
+async function collectToolResponses(client) {
+  const responses = {};
+  let structuredOk = true;
+  for (const [name, tool, args] of TOOL_CALLS) {
+    const result = await client.callTool({ name: tool, arguments: args });
+    structuredOk = checkStructuredContent(name, result) && structuredOk;
+    responses[name] = normalizeToolResult(result);
+  }
+  return { responses, structuredOk };
+}
+
+// Read back spreadsheets the tool calls touched through the gsheet:// resource templates
+async function collectResources(client) {
+  const responses = {};
+  const { resourceTemplates } = await client.listResourceTemplates();
+  responses['resource templates'] = resourceTemplates.map(template => template.uriTemplate);
+
+  const { resources } = await client.listResources();
+  responses['recent spreadsheets'] = resources.map(resource => `${resource.uri} ${resource.name}`);
+
+  const reads = [
+    ['spreadsheet resource', 'gsheet://fixture-budget-2024'],
+    ['sheet resource', 'gsheet://fixture-budget-2024/Rates'],
+    ['range resource', `gsheet://1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/${encodeURIComponent('Class Data')}/A1:B2`],
+  ];
+  for (const [name, uri] of reads) {
+    const { contents } = await client.readResource({ uri });
+    responses[name] = normalizeToolResult({ content: contents.map(({ text }) => ({ type: 'text', text })) });
+  }
+
+  const { completion } = await client.complete({
+    ref: { type: 'ref/resource', uri: 'gsheet://{spreadsheetId}/{sheetName}' },
+    argument: { name: 'sheetName', value: 'r' },
+    context: { arguments: { spreadsheetId: 'fixture-budget-2024' } },
+  });
+  responses['sheet name completion'] = completion.values;
+  return responses;
+}
+
+async function collectConfigErrors() {
+  const responses = {};
+  const cases = [
+    ['missing credentials', {}],
+    ['unresolved placeholder', { GOOGLE_CREDENTIALS_JSON_FILE: '${user_config.credentials_file}' }],
+  ];
+
+  for (const [name, env] of cases) {
+    const session = await connectToServer(env);
+    try {
+      const result = await session.client.callTool({ name: 'get_spreadsheet_summary', arguments: { url: BUDGET_URL } });
+      responses[name] = normalizeToolResult(result);
+    } finally {
+      await session.close();
+    }
+  }
+  return responses;
+}
+
+async function testEndToEnd() {
+  console.log('🧪 Testing the MCP server end to end over stdio...\n');
+
+  const api = await startFakeGoogleApi();
+  const credentials = writeCredentialsFile();
+  const session = await connectToServer({
+    GOOGLE_CREDENTIALS_JSON_FILE: credentials.path,
+    GOOGLE_API_ENDPOINT: api.endpoint,
+    SHEETS_ALLOW_TEMPLATE_COPIES: 'true',
+  });
+
+  const actual = {};
+  try {
+    const { tools } = await session.client.listTools();
+    actual.tools = tools.map(tool => ({
+      name: tool.name,
+      parameters: Object.keys(tool.inputSchema.properties || {}),
+      output: Object.keys(tool.outputSchema?.properties || {}),
+    }));
+    console.log(`📋 Server lists ${tools.length} tools`);
+
+    const untested = tools.map(tool => tool.name).filter(name => !TOOL_CALLS.some(([, tool]) => tool === name));
+    if (untested.length > 0) {
+      console.log(`❌ Tools without an end-to-end call: ${untested.join(', ')}`);
+      return false;
+    }
+
+    // Nothing talks to Google until the first tool call initializes the service lazily
+    const requestsBeforeCalls = api.requests.length;
+    const { responses, structuredOk } = await collectToolResponses(session.client);
+    Object.assign(actual, responses);
+    console.log(`📊 Called ${TOOL_CALLS.length} tools (${api.requests.length - requestsBeforeCalls} fake API requests)`);
+    if (requestsBeforeCalls !== 0) {
+      console.log(`❌ ${requestsBeforeCalls} API requests were made before any tool was called`);
+      return false;
+    }
+    if (!structuredOk) {
+      return false;
+    }
+
+    Object.assign(actual, await collectResources(session.client));
+  } catch (error) {
+    console.log('📄 Server log:\n' + session.stderr());
+    throw error;
+  } finally {
+    await session.close();
+    await api.close();
+    credentials.cleanup();
+  }
+
+  Object.assign(actual, await collectConfigErrors());
+
+  const mismatches = matchSnapshot('e2e-tools', actual, UPDATE_SNAPSHOTS);
+  Object.keys(actual).forEach(name => {
+    console.log(`   ${mismatches.includes(name) ? '❌' : '✅'} ${name}`);
+  });
+  mismatches.filter(name => !(name in actual)).forEach(name => console.log(`   ❌ ${name} (missing)`));
+
+  if (mismatches.length > 0) {
+    console.log('\nRun `npm run test:e2e -- --update-snapshots` if these changes are intended.');
+  }
+  return mismatches.length === 0;
+}
+
+testEndToEnd()
+  .then(ok => {
+    if (ok) {
+      console.log('\n🎉 End-to-end test completed successfully!');
+    } else {
+      console.log('\n❌ End-to-end test failed');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  });
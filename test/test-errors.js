@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify that failures are reported with error codes and remediation hints
+ * Classifies stand-in API errors directly, then provokes failures from the fake Google API.
+ */
+
+import { ErrorCode, SheetsError, classifyError } from '../server/errors.js';
+import { startFakeGoogleApi, createTestService, spreadsheetUrl } from './fake-google-api.js';
+
+const BUDGET_URL = spreadsheetUrl('fixture-budget-2024');
+const ACCOUNT = 'reader@project.iam.gserviceaccount.com';
+
+// An axios-style error carrying a Google API error body
+const apiError = (status, error = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers: {}, data: { error: { code: status, message: 'Google says no.', ...error } } },
+  });
+
+const classify = error => classifyError(error, { action: 'Failed to load spreadsheet', serviceAccountEmail: ACCOUNT });
+
+async function rejection(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+function testClassification(check) {
+  console.log('🧪 Testing error classification...\n');
+
+  const notShared = classify(apiError(403, { status: 'PERMISSION_DENIED' }));
+  check('403 means the sheet is not shared', [notShared.code, notShared.message], [ErrorCode.NOT_SHARED, 'Failed to load spreadsheet: Google says no.']);
+  check('the hint names the client_email to share with', notShared.hint.includes(ACCOUNT), true);
+
+  const disabled = classify(apiError(403, {
+    message: 'Google Sheets API has not been used in project 123 before or it is disabled.',
+    details: [{ reason: 'SERVICE_DISABLED' }],
+  }));
+  check('a disabled API is not mistaken for sharing', disabled.code, ErrorCode.API_DISABLED);
+
+  check('403 quota errors are rate limits', classify(apiError(403, { errors: [{ reason: 'userRateLimitExceeded' }] })).code, ErrorCode.RATE_LIMITED);
+  check('429 is a rate limit', classify(apiError(429)).code, ErrorCode.RATE_LIMITED);
+  check('404 is not found', classify(apiError(404)).code, ErrorCode.NOT_FOUND);
+  check('401 is an auth failure', classify(apiError(401)).code, ErrorCode.AUTH_FAILED);
+
+  const tokenError = Object.assign(new Error('invalid_grant: Invalid JWT Signature.'), {
+    response: { status: 400, data: { error: 'invalid_grant', error_description: 'Invalid JWT Signature.' } },
+  });
+  check('token endpoint errors are auth failures', classify(tokenError).code, ErrorCode.AUTH_FAILED);
+  check('server errors are unavailability', classify(apiError(503)).code, ErrorCode.API_UNAVAILABLE);
+  check('network errors are unavailability', classify(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' })).code, ErrorCode.API_UNAVAILABLE);
+  check('anything else is internal', classify(new Error('boom')).code, ErrorCode.INTERNAL);
+
+  const typed = new SheetsError(ErrorCode.SHEET_NOT_FOUND, 'Sheet "X" not found.', { hint: 'Available sheets: "A".' });
+  check('typed errors pass through unchanged', classify(typed) === typed, true);
+  check('typed errors serialise without the stack', typed.toJSON(), {
+    code: 'SHEET_NOT_FOUND',
+    message: 'Sheet "X" not found.',
+    hint: 'Available sheets: "A".',
+  });
+}
+
+async function testServiceErrors(check) {
+  console.log('\n🧪 Testing errors from the service against the fake API...\n');
+
+  const api = await startFakeGoogleApi();
+  try {
+    const service = await createTestService(api.endpoint, {
+      cache: { ttlSeconds: 0 },
+      rateLimit: { readsPerMinute: 0, writesPerMinute: 0, maxRetries: 0 },
+    });
+    const email = service.config.serviceAccountEmail;
+
+    api.failNext(1, 403);
+    let error = await rejection(service.getSpreadsheetSummary(BUDGET_URL));
+    check('unshared spreadsheets report NOT_SHARED', [error?.code, error?.details?.serviceAccountEmail], [ErrorCode.NOT_SHARED, email]);
+
+    api.failNext(1, 429);
+    error = await rejection(service.getSpreadsheetSummary(BUDGET_URL));
+    check('exhausted retries report RATE_LIMITED', error?.code, ErrorCode.RATE_LIMITED);
+
+    error = await rejection(service.getSheetData(BUDGET_URL, 'Forecast'));
+    check('unknown sheet names list the sheets there are', [error?.code, error?.hint], [
+      ErrorCode.SHEET_NOT_FOUND,
+      'Available sheets: "Summary", "Rates", "Archive 2023".',
+    ]);
+
+    error = await rejection(service.getRangeData(BUDGET_URL, 'Nowhere!A1:B2'));
+    check('ranges on unknown sheets too', error?.code, ErrorCode.SHEET_NOT_FOUND);
+
+    error = await rejection(service.updateRange(BUDGET_URL, 'Rates!A1', 'not rows'));
+    check('bad arguments report INVALID_ARGUMENT', error?.code, ErrorCode.INVALID_ARGUMENT);
+
+    error = await rejection(service.getSpreadsheetSummary('https://example.com/budget'));
+    check('unrecognised URLs report INVALID_URL', error?.code, ErrorCode.INVALID_URL);
+  } finally {
+    await api.close();
+  }
+}
+
+async function runTests() {
+  let failures = 0;
+  const check = (label, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`   ✅ ${label}`);
+    } else {
+      failures++;
+      console.log(`   ❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  testClassification(check);
+  await testServiceErrors(check);
+  return failures === 0;
+}
+
+runTests()
+  .then(ok => {
+    if (ok) {
+      console.log('\n🎉 Error handling test completed successfully!');
+    } else {
+      console.log('\n❌ Error handling test failed');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  });
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify formula reference parsing and the formula map
+ * Runs offline: document loading and the values endpoint are replaced with stand-ins
+ */
+
+import { MASK } from '../server/redaction.js';
+import { GoogleSheetsService } from '../server/sheets.js';
+
+async function testFormulas() {
+  console.log('🧪 Testing formula references...\n');
+
+  let failures = 0;
+  const check = (label, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`   ✅ ${label}`);
+    } else {
+      failures++;
+      console.log(`   ❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  const service = new GoogleSheetsService({});
+  const refs = formula => service.parseFormulaReferences(formula, 'Model').map(ref => ref.a1);
+
+  check('same-sheet range', refs('=SUM(B2:B9)'), ["'Model'!B2:B9"]);
+  check('absolute reference to a quoted sheet', refs("=A1*'Rates Q1'!$C$4"), ["'Model'!A1", "'Rates Q1'!C4"]);
+  check('function names are not references', refs('=LOG10(A1)+ATAN2(B1,C1)'), ["'Model'!A1", "'Model'!B1", "'Model'!C1"]);
+  check('text inside quotes is ignored', refs('=IF(A1="B2",Data!A:C,0)'), ["'Model'!A1", "'Data'!A:C"]);
+  check('duplicates are merged', refs('=A1+A1+$A$1'), ["'Model'!A1"]);
+
+  const rates = { title: 'Rates', rowCount: 100, columnCount: 26, a1SheetName: "'Rates'" };
+  const doc = {
+    title: 'Forecast',
+    spreadsheetUrl: 'https://docs.google.com/spreadsheets/d/test/edit',
+    sheetsById: { 7: rates },
+  };
+  const namedRanges = [
+    { name: 'TaxRate', range: { sheetId: 7, startRowIndex: 0, endRowIndex: 1, startColumnIndex: 1, endColumnIndex: 2 } },
+  ];
+  check('named ranges resolve to their cells',
+    service.parseFormulaReferences('=B5*TaxRate+TaxRate2', 'Model', namedRanges, doc),
+    [
+      { sheet: 'Model', range: 'B5', a1: "'Model'!B5" },
+      { namedRange: 'TaxRate', sheet: 'Rates', a1: "'Rates'!B1:B1", range: 'B1:B1' },
+    ]);
+
+  const restricted = new GoogleSheetsService({ policy: { deniedSheetNames: ['Rates'] } });
+  check('named ranges on blocked sheets are masked',
+    restricted.parseFormulaReferences('=B5*TaxRate', 'Model', namedRanges, doc),
+    [
+      { sheet: 'Model', range: 'B5', a1: "'Model'!B5" },
+      { namedRange: 'TaxRate', sheet: MASK },
+    ]);
+
+  const model = { title: 'Model', a1SheetName: "'Model'" };
+  service.loadSheetByName = async () => ({ sheetId: 'test', doc, sheet: model });
+  service.getNamedRanges = async () => namedRanges;
+  service.batchGetValues = async (_doc, _ranges, renderOption) => [
+    renderOption === 'FORMULA'
+      ? [['Revenue', 100], ['Tax', '=B1*TaxRate']]
+      : [['Revenue', '100'], ['Tax', '20']],
+  ];
+
+  const formulaMap = await service.getFormulaMap('url', 'Model');
+  check('formula map lists formula cells only',
+    formulaMap.formulas.map(entry => [entry.address, entry.formula, entry.value, entry.precedents.length]),
+    [['B2', '=B1*TaxRate', '20', 2]]);
+
+  return failures === 0;
+}
+
+testFormulas()
+  .then(ok => {
+    if (ok) {
+      console.log('\n🎉 Formula test completed successfully!');
+    } else {
+      console.log('\n❌ Formula test failed');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  });
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify the Streamable HTTP transport mode
+ * Runs offline: spawns the server with --http against the fake Google API and checks
+ * bearer-token auth, Host and Origin checks, independent sessions, per-session resource
+ * subscriptions, per-session audit log and change journal queries and the closing of idle sessions.
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { request } from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { startFakeGoogleApi, spreadsheetUrl } from './fake-google-api.js';
+import { startHttpServerProcess, writeCredentialsFile } from './mcp-harness.js';
+
+const TOKEN = 'test-token-123';
+const BUDGET_URL = spreadsheetUrl('fixture-budget-2024');
+const RATES_URI = 'gsheet://fixture-budget-2024/Rates';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function connectClient(url, token = TOKEN) {
+  const client = new Client({ name: 'mcp-googlesheet-tests', version: '1.0.0' });
+  const transport = new StreamableHTTPClientTransport(new URL(url), {
+    requestInit: { headers: { Authorization: `Bearer ${token}` } },
+  });
+  await client.connect(transport);
+  return { client, transport };
+}
+
+const INITIALIZE = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'raw', version: '1.0.0' } },
+};
+
+// POST a JSON-RPC message by hand to inspect the raw HTTP response. Uses http.request rather
+// than fetch so the Host header can be forged.
+function postMessage(url, headers = {}, message = INITIALIZE) {
+  return new Promise((resolve, reject) => {
+    const req = request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+    }, res => {
+      res.resume();
+      res.on('end', () => resolve({ status: res.statusCode, sessionId: res.headers['mcp-session-id'] }));
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify(message));
+  });
+}
+
+async function postInitialize(url, headers = {}) {
+  return (await postMessage(url, headers)).status;
+}
+
+async function testHttpTransport() {
+  console.log('🧪 Testing the Streamable HTTP transport...\n');
+
+  let failures = 0;
+  const check = (label, ok, detail = '') => {
+    console.log(`   ${ok ? '✅' : '❌'} ${label}${ok || !detail ? '' : `: ${detail}`}`);
+    if (!ok) {
+      failures++;
+    }
+  };
+
+  const api = await startFakeGoogleApi();
+  const credentials = writeCredentialsFile();
+  const env = {
+    GOOGLE_CREDENTIALS_JSON_FILE: credentials.path,
+    GOOGLE_API_ENDPOINT: api.endpoint,
+    RESOURCE_POLL_INTERVAL_SECONDS: '0.2',
+  };
+
+  const auditDir = mkdtempSync(join(tmpdir(), 'mcp-googlesheet-http-'));
+  const server = await startHttpServerProcess({
+    ...env,
+    MCP_HTTP_TOKEN: TOKEN,
+    SHEETS_AUDIT_LOG: join(auditDir, 'audit.jsonl'),
+    SHEETS_CHANGE_JOURNAL: join(auditDir, 'changes.jsonl'),
+  });
+  const clients = [];
+  try {
+    console.log(`🌐 Server listening on ${server.url}`);
+
+    check('Requests without a token are rejected', (await postInitialize(server.url)) === 401);
+    check(
+      'Requests with a wrong token are rejected',
+      (await postInitialize(server.url, { Authorization: 'Bearer wrong-token' })) === 401
+    );
+    check('Other paths are not served', (await postInitialize(server.url.replace('/mcp', '/other'))) === 404);
+
+    const auth = { Authorization: `Bearer ${TOKEN}` };
+    const serverHost = new URL(server.url).host;
+    check('A rebound Host is refused', (await postInitialize(server.url, { ...auth, Host: `attacker.example:${new URL(server.url).port}` })) === 403);
+    check('A foreign Origin is refused', (await postInitialize(server.url, { ...auth, Origin: 'https://attacker.example' })) === 403);
+    check('A same-origin request is served', (await postInitialize(server.url, { ...auth, Origin: `http://${serverHost}` })) === 200);
+
+    const first = await connectClient(server.url);
+    const second = await connectClient(server.url);
+    clients.push(first, second);
+    check(
+      'Each client gets its own session',
+      first.transport.sessionId && second.transport.sessionId && first.transport.sessionId !== second.transport.sessionId
+    );
+
+    const { tools } = await first.client.listTools();
+    check('Tools are listed over HTTP', tools.some(tool => tool.name === 'get_spreadsheet_summary'));
+
+    const summary = await second.client.callTool({ name: 'get_spreadsheet_summary', arguments: { url: BUDGET_URL } });
+    check('Tools can be called over HTTP', !summary.isError && summary.structuredContent?.title === 'Budget 2024');
+
+    const auditLog = await first.client.callTool({ name: 'get_audit_log', arguments: {} });
+    const auditedTools = auditLog.structuredContent?.entries.map(entry => entry.tool) || [];
+    check('The audit log only lists the session\'s own calls', auditedTools.length === 0, JSON.stringify(auditedTools));
+
+    // Only the first session subscribes, so only it should hear about the change
+    const updates = { first: [], second: [] };
+    first.client.setNotificationHandler(ResourceUpdatedNotificationSchema, n => updates.first.push(n.params.uri));
+    second.client.setNotificationHandler(ResourceUpdatedNotificationSchema, n => updates.second.push(n.params.uri));
+    await first.client.subscribeResource({ uri: RATES_URI });
+    const update = await second.client.callTool({
+      name: 'update_range',
+      arguments: { url: BUDGET_URL, range: 'Rates!B2', values: [['4%']] },
+    });
+    await sleep(1000);
+    check(
+      'Subscriptions are per session',
+      updates.first.join() === RATES_URI && updates.second.length === 0,
+      JSON.stringify(updates)
+    );
+
+    const changeId = update.structuredContent?.changeId;
+    const ownChanges = await second.client.callTool({ name: 'list_changes', arguments: {} });
+    const otherChanges = await first.client.callTool({ name: 'list_changes', arguments: {} });
+    check(
+      'The change journal only lists the session\'s own changes',
+      ownChanges.structuredContent?.changes.map(change => change.id).join() === changeId &&
+        otherChanges.structuredContent?.changes.length === 0,
+      JSON.stringify([ownChanges.structuredContent, otherChanges.structuredContent])
+    );
+    const foreignUndo = await first.client.callTool({ name: 'undo_change', arguments: { id: changeId } });
+    check(
+      'Another session cannot undo it',
+      foreignUndo.content[0].text.startsWith('Error [INVALID_ARGUMENT]: There is no change'),
+      foreignUndo.content[0].text
+    );
+
+    const sessionId = second.transport.sessionId;
+    await second.transport.terminateSession();
+    const stale = await fetch(server.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        Authorization: `Bearer ${TOKEN}`,
+        'Mcp-Session-Id': sessionId,
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' }),
+    });
+    check('Terminated sessions are gone', stale.status === 404, `status ${stale.status}`);
+  } catch (error) {
+    console.log('📄 Server log:\n' + server.stderr());
+    throw error;
+  } finally {
+    await Promise.all(clients.map(({ client }) => client.close()));
+    await server.close();
+    rmSync(auditDir, { recursive: true, force: true });
+  }
+
+  // Sessions nobody uses are closed; the raw client never opens a notification stream
+  const idle = await startHttpServerProcess({ ...env, MCP_HTTP_SESSION_IDLE_SECONDS: '0.5' });
+  try {
+    const { sessionId } = await postMessage(idle.url);
+    const listTools = { jsonrpc: '2.0', id: 2, method: 'tools/list' };
+    const active = await postMessage(idle.url, { 'Mcp-Session-Id': sessionId }, listTools);
+    await sleep(1500);
+    const expired = await postMessage(idle.url, { 'Mcp-Session-Id': sessionId }, listTools);
+    check('Idle sessions are closed', active.status === 200 && expired.status === 404, `${active.status} then ${expired.status}`);
+  } finally {
+    await idle.close();
+  }
+
+  // Listening beyond loopback without a token must fail at startup
+  try {
+    const exposed = await startHttpServerProcess(env, ['--host', '0.0.0.0']);
+    await exposed.close();
+    check('Refuses to listen on all interfaces without a token', false, 'server started');
+  } catch (error) {
+    check(
+      'Refuses to listen on all interfaces without a token',
+      error.code === 1 && /Refusing to listen/.test(error.stderr),
+      error.message
+    );
+  }
+
+  await api.close();
+  credentials.cleanup();
+  return failures === 0;
+}
+
+testHttpTransport()
+  .then(ok => {
+    if (ok) {
+      console.log('\n🎉 HTTP transport test completed successfully!');
+    } else {
+      console.log('\n❌ HTTP transport test failed');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  });
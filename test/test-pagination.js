@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify paginated sheet reading with continuation cursors
+ * Cursor handling and the page walk run offline; the page walk and records paging use the fake Google API
+ */
+
+import { GoogleSheetsService } from '../server/sheets.js';
+import { startFakeGoogleApi, createTestService, spreadsheetUrl } from './fake-google-api.js';
+
+// Fixture copy of Google's public example spreadsheet (test/fixtures/class-data.json)
+const TEST_SHEET_URL = spreadsheetUrl('1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms');
+
+function testCursors() {
+  console.log('🧪 Testing cursor encoding...\n');
+
+  const service = new GoogleSheetsService({});
+  const state = { sheetId: 42, row: 100, pageSize: 50, column: 1 };
+  const cursor = service.encodeCursor(state);
+
+  const decoded = service.decodeCursor(cursor, { sheetId: 42 });
+  if (JSON.stringify(decoded) !== JSON.stringify(state)) {
+    console.log(`❌ Round trip failed: ${JSON.stringify(decoded)}`);
+    return false;
+  }
+  console.log('   ✅ Cursor round trip');
+
+  const rejected = [
+    ['cursor for another sheet', () => service.decodeCursor(cursor, { sheetId: 7 })],
+    ['garbage cursor', () => service.decodeCursor('not-a-cursor', { sheetId: 42 })],
+    ['cursor without a column', () => service.decodeCursor(service.encodeCursor({ ...state, column: undefined }), { sheetId: 42 })],
+    ['cursor with a negative row', () => service.decodeCursor(service.encodeCursor({ ...state, row: -10 }), { sheetId: 42 })],
+    ['cursor with a zero page size', () => service.decodeCursor(service.encodeCursor({ ...state, pageSize: 0 }), { sheetId: 42 })],
+    ['cursor with a text header row', () => service.decodeCursor(service.encodeCursor({ ...state, headerRow: '2' }), { sheetId: 42 })],
+  ];
+  for (const [label, decode] of rejected) {
+    try {
+      decode();
+      console.log(`   ❌ ${label} was accepted`);
+      return false;
+    } catch (error) {
+      console.log(`   ✅ ${label} rejected: ${error.message}`);
+    }
+  }
+
+  return true;
+}
+
+async function testPageWalk() {
+  const api = await startFakeGoogleApi();
+  const sheetsService = await createTestService(api.endpoint);
+
+  const summary = await sheetsService.getSpreadsheetSummary(TEST_SHEET_URL);
+  const sheetName = summary.sheetNames[0].name;
+
+  console.log(`\n📊 Walking "${sheetName}" 10 rows at a time...`);
+  let cursor;
+  let pages = 0;
+  let cells = 0;
+  let populatedRows = 0;
+  do {
+    const page = await sheetsService.getSheetData(TEST_SHEET_URL, sheetName, { pageSize: 10, cursor });
+    pages++;
+    cells += page.cells.length;
+    populatedRows = page.metadata.dimensions.populatedRows;
+    console.log(`   Page ${pages}: rows ${page.metadata.page.startRow}-${page.metadata.page.endRow}, ${page.cells.length} cells`);
+    cursor = page.metadata.page.nextCursor;
+  } while (cursor);
+
+  const full = await sheetsService.getSheetData(TEST_SHEET_URL, sheetName);
+  if (full.cells.length !== cells || full.metadata.dimensions.populatedRows !== populatedRows) {
+    console.log(`❌ Pages returned ${cells} cells over ${populatedRows} rows, full read returned ${full.cells.length} cells`);
+    return false;
+  }
+
+  await api.close();
+  if (pages !== 4 || populatedRows !== 31) {
+    console.log(`❌ Expected 4 pages over 31 populated rows, got ${pages} pages over ${populatedRows} rows`);
+    return false;
+  }
+
+  console.log(`✅ ${pages} pages match the full read (${cells} cells, ${populatedRows} populated rows)`);
+  return true;
+}
+
+async function testAppendBetweenPages() {
+  const api = await startFakeGoogleApi();
+  const sheetsService = await createTestService(api.endpoint);
+
+  console.log('\n📊 Appending a row while paging...');
+  const first = await sheetsService.getSheetData(TEST_SHEET_URL, 'Class Data', { pageSize: 20 });
+  await sheetsService.updateRange(TEST_SHEET_URL, "'Class Data'!A33:B33", [['Zoe', 'Female']]);
+  const second = await sheetsService.getSheetData(TEST_SHEET_URL, 'Class Data', { cursor: first.metadata.page.nextCursor });
+  await api.close();
+
+  const lastRow = Math.max(...second.cells.map(cell => cell.pos[0]));
+  if (lastRow !== 33 || second.metadata.dimensions.populatedRows !== 33 || second.metadata.page.nextCursor !== null) {
+    console.log(`❌ Expected the second page to end at the appended row 33, got row ${lastRow}`);
+    return false;
+  }
+
+  console.log('✅ The appended row is on the last page');
+  return true;
+}
+
+async function testHeaderBelowPage() {
+  const api = await startFakeGoogleApi();
+  const sheetsService = await createTestService(api.endpoint);
+
+  console.log('\n📊 Reading records with the header row below the page...');
+  const options = { pageSize: 10, mode: 'records', headerRow: 20 };
+  const first = await sheetsService.getSheetData(TEST_SHEET_URL, 'Class Data', options);
+  const cellLoads = () => api.requests.filter(request => request.path.endsWith(':getByDataFilter')).length;
+  const loads = cellLoads();
+  await sheetsService.getSheetData(TEST_SHEET_URL, 'Class Data', options);
+  const reloads = cellLoads() - loads;
+  await api.close();
+
+  const names = first.columns.map(column => column.name).join();
+  if (names !== 'Lisa,Female,3. Junior,SC,Art,Lacrosse' || first.records.length !== 0) {
+    console.log(`❌ Expected the columns named from row 20 and no records above it, got ${names} and ${first.records.length} records`);
+    return false;
+  }
+  if (reloads !== 0) {
+    console.log(`❌ Expected the page and header to come from the cache the second time, got ${reloads} cell loads`);
+    return false;
+  }
+
+  console.log('✅ The header row is read separately, and cached with the page');
+  return true;
+}
+
+async function runTests() {
+  try {
+    const cursorsOk = testCursors();
+    const walkOk = await testPageWalk();
+    const appendOk = await testAppendBetweenPages();
+    const headerOk = await testHeaderBelowPage();
+
+    if (cursorsOk && walkOk && appendOk && headerOk) {
+      console.log('\n🎉 Pagination test completed successfully!');
+    } else {
+      console.log('\n❌ Pagination test failed');
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+runTests();
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify read-only mode and the spreadsheet/folder/sheet access policy
+ * Runs offline against the fake Google API, checking that blocked calls fail before any
+ * request for the spreadsheet is sent, and that a read-only server hides its write tools.
+ */
+
+import { AccessPolicy } from '../server/policy.js';
+import { startFakeGoogleApi, createTestService, spreadsheetUrl } from './fake-google-api.js';
+import { connectToServer, writeCredentialsFile } from './mcp-harness.js';
+
+const BUDGET_ID = 'fixture-budget-2024';
+const BUDGET_URL = spreadsheetUrl(BUDGET_ID);
+const CLASS_DATA_URL = spreadsheetUrl('1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms');
+
+// Error code thrown by a policy check, or null if it passed
+function refusal(assertion) {
+  try {
+    assertion();
+    return null;
+  } catch (error) {
+    return error.code;
+  }
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+function testPolicyRules(check) {
+  console.log('🧪 Testing policy rules...\n');
+
+  const policy = new AccessPolicy({
+    allowedSpreadsheets: [BUDGET_URL, 'plain-id'],
+    deniedSheetNames: ['Archive *', 'Pay?oll'],
+  });
+  check('IDs are taken from URLs', [...policy.allowedSpreadsheets], [BUDGET_ID, 'plain-id']);
+  check('sheet patterns match whole titles, ignoring case', ['Archive 2023', 'payroll', 'Archives', 'Rates'].map(title => policy.isSheetAllowed(title)), [false, false, true, true]);
+  check('unlisted spreadsheets are refused', refusal(() => policy.assertSpreadsheetAllowed('other-id')), 'POLICY_DENIED');
+
+  const folders = new AccessPolicy({ allowedFolders: ['https://drive.google.com/drive/folders/folder-finance'], deniedFolders: ['folder-hr'] });
+  check('folder IDs are taken from URLs', [...folders.allowedFolders], ['folder-finance']);
+  check('spreadsheets under an allowed folder pass', refusal(() => folders.assertSpreadsheetAllowed('x', ['folder-team', 'folder-finance'])), null);
+  check('denied folders win over allowed ones', refusal(() => folders.assertSpreadsheetAllowed('x', ['folder-hr', 'folder-finance'])), 'POLICY_DENIED');
+}
+
+async function testServicePolicy(check) {
+  console.log('\n🧪 Testing the policy in the service...\n');
+
+  const api = await startFakeGoogleApi();
+  const takeRequests = () => api.requests.splice(0).length;
+  try {
+    let service = await createTestService(api.endpoint, { policy: { readOnly: true } });
+    check('read-only mode asks for read-only scopes', service.auth.scopes, [
+      'https://www.googleapis.com/auth/spreadsheets.readonly',
+      'https://www.googleapis.com/auth/drive.metadata.readonly',
+    ]);
+    check('reads still work', (await service.getSpreadsheetSummary(BUDGET_URL)).title, 'Budget 2024');
+    takeRequests();
+    let error = await rejection(service.updateRange(BUDGET_URL, 'Rates!B2', [['1%']]));
+    check('writes are refused without a request', [error?.code, takeRequests()], ['READ_ONLY', 0]);
+    error = await rejection(service.createSpreadsheet({ title: 'New' }));
+    check('so is creating spreadsheets', error?.code, 'READ_ONLY');
+
+    service = await createTestService(api.endpoint, { policy: { deniedSpreadsheets: [BUDGET_ID] } });
+    error = await rejection(service.getSpreadsheetSummary(BUDGET_URL));
+    check('denied spreadsheets are refused without a request', [error?.code, takeRequests()], ['POLICY_DENIED', 0]);
+    check('others are not', (await service.getSpreadsheetSummary(CLASS_DATA_URL)).title.length > 0, true);
+    check('Drive files are only read with template copies on', service.auth.scopes, [
+      'https://www.googleapis.com/auth/spreadsheets',
+      'https://www.googleapis.com/auth/drive.file',
+      'https://www.googleapis.com/auth/drive.metadata.readonly',
+    ]);
+    error = await rejection(service.copySpreadsheet(CLASS_DATA_URL));
+    check('so copies are refused until then', error?.code, 'NOT_CONFIGURED');
+    service = await createTestService(api.endpoint, { allowTemplateCopies: true });
+    check('which adds read access to Drive files', service.auth.scopes.at(-1), 'https://www.googleapis.com/auth/drive.readonly');
+    error = await rejection(createTestService('https://sheets.example.com'));
+    check('endpoint overrides must stay on this machine', error?.code, 'NOT_CONFIGURED');
+    check('loopback endpoints are accepted', (await createTestService('http://localhost:4010')).auth.useJWTAccessWithScope, true);
+
+    service = await createTestService(api.endpoint, { policy: { allowedSpreadsheets: [BUDGET_ID] } });
+    error = await rejection(service.getSheetData(CLASS_DATA_URL, 'Class Data'));
+    check('an allow list refuses everything else', error?.code, 'POLICY_DENIED');
+    check('and lets its entries through', (await service.getSpreadsheetSummary(BUDGET_URL)).id, BUDGET_ID);
+    const created = await service.createSpreadsheet({ title: 'Scratch' });
+    check('spreadsheets the server creates stay reachable', created.title, 'Scratch');
+
+    console.log('\n📁 Testing folders...');
+    api.folders.set('folder-finance', { id: 'folder-finance', name: 'Finance', parents: ['folder-shared'] });
+    api.folders.set('folder-shared', { id: 'folder-shared', name: 'Shared', parents: [] });
+    api.spreadsheets.get(BUDGET_ID).parents = ['folder-finance'];
+
+    service = await createTestService(api.endpoint, { policy: { allowedFolders: ['folder-shared'] } });
+    takeRequests();
+    check('spreadsheets anywhere under an allowed folder pass', (await service.getSpreadsheetSummary(BUDGET_URL)).id, BUDGET_ID);
+    check('the folder chain is looked up once', takeRequests(), 5);
+    await service.getSpreadsheetSummary(BUDGET_URL);
+    check('later calls only look up the spreadsheet\'s parents', takeRequests(), 2);
+    error = await rejection(service.getSpreadsheetSummary(CLASS_DATA_URL));
+    check('spreadsheets outside it are refused', error?.code, 'POLICY_DENIED');
+
+    service = await createTestService(api.endpoint, { policy: { deniedFolders: ['folder-finance'] } });
+    error = await rejection(service.getSheetData(BUDGET_URL, 'Rates'));
+    check('denied folders are refused', [error?.code, error?.hint?.includes('folder-finance')], ['POLICY_DENIED', true]);
+
+    console.log('\n📄 Testing sheet names...');
+    service = await createTestService(api.endpoint, { policy: { deniedSheetNames: ['Archive*'] } });
+    const summary = await service.getSpreadsheetSummary(BUDGET_URL);
+    check('blocked sheets are left out of summaries', summary.sheetNames.map(sheet => sheet.name), ['Summary', 'Rates']);
+    error = await rejection(service.getSheetData(BUDGET_URL, 'Archive 2023'));
+    check('and cannot be read', error?.code, 'POLICY_DENIED');
+    error = await rejection(service.getRangeData(BUDGET_URL, '\'Archive 2023\'!A1:B2'));
+    check('not even by range', error?.code, 'POLICY_DENIED');
+    error = await rejection(service.getSheetData(BUDGET_URL, 'gid=2000'));
+    check('nor by gid, which does not reveal them', [error?.code, /Archive/.test(JSON.stringify(error))], ['SHEET_NOT_FOUND', false]);
+    error = await rejection(service.getSheetData(BUDGET_URL, 'archive'));
+    check('close names do not resolve to them', [error?.code, /Archive/.test(JSON.stringify(error))], ['SHEET_NOT_FOUND', false]);
+    check('nor make other names ambiguous', (await service.getSheetData(BUDGET_URL, 'e')).metadata.title, 'Rates');
+    error = await rejection(service.getRangeData(BUDGET_URL, 'archive  2023'));
+    check('not even as a whole-sheet range', [error?.code, /Archive/.test(JSON.stringify(error))], ['INVALID_ARGUMENT', false]);
+    const searchedSheets = async searchService =>
+      (await searchService.searchSpreadsheet(BUDGET_URL, 'Rent')).matches.map(match => match.sheet);
+    check('searches skip them', (await searchedSheets(service)).includes('Archive 2023'), false);
+    check('which they would otherwise find', (await searchedSheets(await createTestService(api.endpoint))).includes('Archive 2023'), true);
+
+    service = await createTestService(api.endpoint, { allowTemplateCopies: true, policy: { deniedSheetNames: ['Archive*'] } });
+    const copy = await service.copySpreadsheet(BUDGET_URL, { shareWith: ['someone@example.com'] });
+    check('copies leave blocked sheets out', api.spreadsheets.get(copy.id).sheets.map(sheet => sheet.properties.title), ['Summary', 'Rates']);
+    service = await createTestService(api.endpoint, { allowTemplateCopies: true, policy: { allowedSheetNames: ['Nothing'] } });
+    error = await rejection(service.copySpreadsheet(BUDGET_URL));
+    check('and are refused when no sheet is left', error?.code, 'POLICY_DENIED');
+
+    service = await createTestService(api.endpoint, { policy: { allowedSheetNames: ['Rates'] } });
+    error = await rejection(service.getSheetData(BUDGET_URL, 'Summary'));
+    check('a sheet allow list refuses other sheets', [error?.code, error?.message], ['POLICY_DENIED', 'Sheet "Summary" is blocked by the access policy.']);
+  } finally {
+    await api.close();
+  }
+}
+
+async function testReadOnlyTools(check) {
+  console.log('\n🧪 Testing the tools a read-only server offers...\n');
+
+  const credentials = writeCredentialsFile();
+  const session = await connectToServer({ GOOGLE_CREDENTIALS_JSON_FILE: credentials.path, SHEETS_READ_ONLY: 'true' });
+  try {
+    const { tools } = await session.client.listTools();
+    const names = tools.map(tool => tool.name);
+    check('write tools are hidden', ['update_range', 'append_rows', 'delete_sheet', 'create_spreadsheet'].some(name => names.includes(name)), false);
+    check('read tools remain', ['get_spreadsheet_summary', 'get_range_data', 'search_spreadsheet'].every(name => names.includes(name)), true);
+  } finally {
+    await session.close();
+    credentials.cleanup();
+  }
+}
+
+async function runTests() {
+  let failures = 0;
+  const check = (label, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`   ✅ ${label}`);
+    } else {
+      failures++;
+      console.log(`   ❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  testPolicyRules(check);
+  await testServicePolicy(check);
+  await testReadOnlyTools(check);
+  return failures === 0;
+}
+
+runTests()
+  .then(ok => {
+    if (ok) {
+      console.log('\n🎉 Access policy test completed successfully!');
+    } else {
+      console.log('\n❌ Access policy test failed');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  });
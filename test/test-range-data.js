@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify A1 range parsing and range-limited data retrieval
+ * Runs offline; the range read uses the fake Google API
+ */
+
+import { GoogleSheetsService } from '../server/sheets.js';
+import { startFakeGoogleApi, createTestService, spreadsheetUrl } from './fake-google-api.js';
+
+// Fixture copy of Google's public example spreadsheet (test/fixtures/class-data.json)
+const TEST_SHEET_URL = spreadsheetUrl('1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms');
+
+function testRangeParsing() {
+  console.log('🧪 Testing A1 range parsing...\n');
+
+  const service = new GoogleSheetsService({});
+  const cases = [
+    ["'Sales Q1'!B2:H500", { sheetName: 'Sales Q1', startRow: 1, endRow: 500, startCol: 1, endCol: 8 }],
+    ["'It''s'!C3", { sheetName: "It's", startRow: 2, endRow: 3, startCol: 2, endCol: 3 }],
+    ['Data!A:C', { sheetName: 'Data', startRow: null, endRow: null, startCol: 0, endCol: 3 }],
+    ['2:5', { sheetName: null, startRow: 1, endRow: 5, startCol: null, endCol: null }],
+    ['B2:H', { sheetName: null, startRow: 1, endRow: null, startCol: 1, endCol: 8 }],
+    ['AA10', { sheetName: null, startRow: 9, endRow: 10, startCol: 26, endCol: 27 }],
+    ['MyNamedRange', null],
+    ['A1:2', null],
+  ];
+
+  let failures = 0;
+  cases.forEach(([range, expected]) => {
+    const actual = service.parseA1Range(range);
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`   ✅ ${range}`);
+    } else {
+      failures++;
+      console.log(`   ❌ ${range}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  });
+
+  return failures === 0;
+}
+
+async function testRangeData() {
+  const api = await startFakeGoogleApi();
+  const sheetsService = await createTestService(api.endpoint);
+
+  console.log('\n📊 Testing getRangeData for B2:C5...');
+  const rangeData = await sheetsService.getRangeData(TEST_SHEET_URL, 'B2:C5');
+  await api.close();
+
+  console.log(`📄 Range: ${rangeData.metadata.range}`);
+  console.log(`📏 Size: ${rangeData.metadata.dimensions.rows} rows × ${rangeData.metadata.dimensions.columns} columns`);
+  console.log(`📊 Cells with data: ${rangeData.cells.length}`);
+
+  const outside = rangeData.cells.filter(
+    cell => cell.pos[0] < 2 || cell.pos[0] > 5 || cell.pos[1] < 2 || cell.pos[1] > 3
+  );
+  if (outside.length > 0) {
+    console.log(`❌ ${outside.length} cells reported outside the requested range`);
+    return false;
+  }
+  if (rangeData.cells.length !== 8 || rangeData.cells[0].val !== 'Female') {
+    console.log(`❌ Expected 8 cells starting with "Female", got ${JSON.stringify(rangeData.cells.slice(0, 1))}`);
+    return false;
+  }
+
+  console.log('✅ All cell positions are inside the range in sheet coordinates');
+  return true;
+}
+
+async function runTests() {
+  try {
+    const parsingOk = testRangeParsing();
+    const rangeOk = await testRangeData();
+
+    if (parsingOk && rangeOk) {
+      console.log('\n🎉 Range data test completed successfully!');
+    } else {
+      console.log('\n❌ Range data test failed');
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+runTests();
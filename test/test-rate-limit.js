@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify request throttling and retries
+ * Runs offline: the limiter is driven with stand-in requests, then the service is pointed at
+ * the fake Google API with injected 429 and 503 responses.
+ */
+
+import { RateLimiter } from '../server/rate-limiter.js';
+import { startFakeGoogleApi, createTestService, spreadsheetUrl } from './fake-google-api.js';
+
+const BUDGET_URL = spreadsheetUrl('fixture-budget-2024');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A request that fails with the given errors in turn, then succeeds
+function flakyRequest(...errors) {
+  const request = async () => {
+    request.calls++;
+    const error = errors.shift();
+    if (error) {
+      throw error;
+    }
+    return 'ok';
+  };
+  request.calls = 0;
+  return request;
+}
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+
+async function outcome(run) {
+  const started = Date.now();
+  try {
+    return { result: await run(), elapsed: Date.now() - started };
+  } catch (error) {
+    return { error: error.message, elapsed: Date.now() - started };
+  }
+}
+
+async function testRateLimiter(check) {
+  console.log('🧪 Testing the rate limiter...\n');
+
+  const limiter = new RateLimiter({ baseDelayMs: 5, maxDelayMs: 1000, maxRetries: 2 });
+
+  let request = flakyRequest(httpError(429), httpError(503));
+  let result = await outcome(() => limiter.run('sheets.read', 'test', request));
+  check('rate limits and server errors are retried', [result.result, request.calls], ['ok', 3]);
+
+  request = flakyRequest(httpError(429), httpError(429), httpError(429));
+  result = await outcome(() => limiter.run('sheets.read', 'test', request));
+  check('gives up after maxRetries', [result.error, request.calls], ['HTTP 429', 3]);
+
+  request = flakyRequest(httpError(429, { 'retry-after': '0.2' }));
+  result = await outcome(() => limiter.run('sheets.read', 'test', request));
+  check('Retry-After is honoured', result.result === 'ok' && result.elapsed >= 190, true);
+
+  request = flakyRequest(httpError(429, { 'retry-after': '60' }));
+  result = await outcome(() => limiter.run('sheets.read', 'test', request));
+  check('a Retry-After beyond the longest backoff is not waited out', [result.error, request.calls], ['HTTP 429', 1]);
+
+  request = flakyRequest(httpError(404));
+  result = await outcome(() => limiter.run('sheets.read', 'test', request));
+  check('client errors are not retried', request.calls, 1);
+
+  request = flakyRequest(httpError(500));
+  result = await outcome(() => limiter.run('sheets.write', 'test', request));
+  check('writes are not retried when they may have been applied', request.calls, 1);
+
+  request = flakyRequest(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+  result = await outcome(() => limiter.run('drive.read', 'test', request));
+  check('dropped connections are retried for reads', [result.result, request.calls], ['ok', 2]);
+
+  const concurrent = new RateLimiter({ maxConcurrent: 2 });
+  let active = 0;
+  let peak = 0;
+  const slow = async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await sleep(20);
+    active--;
+  };
+  await Promise.all(Array.from({ length: 6 }, () => concurrent.run('drive.read', 'test', slow)));
+  check('concurrent requests are capped', peak, 2);
+
+  // Pretend the budget was used up just under a minute ago, so the next slot opens shortly
+  const budgeted = new RateLimiter({ readsPerMinute: 2 });
+  budgeted.sent['sheets.read'] = [Date.now() - 59800, Date.now() - 59800];
+  result = await outcome(() => budgeted.run('sheets.read', 'test', async () => 'ok'));
+  check('requests wait for room in the per-minute budget', result.elapsed >= 150, true);
+  result = await outcome(() => budgeted.run('drive.read', 'test', async () => 'ok'));
+  check('Drive requests do not count against the Sheets budgets', result.elapsed < 50, true);
+}
+
+async function testServiceRetries(check) {
+  console.log('\n🧪 Testing retries against the fake API...\n');
+
+  const api = await startFakeGoogleApi();
+  try {
+    const service = await createTestService(api.endpoint, {
+      cache: { ttlSeconds: 0 },
+      rateLimit: { readsPerMinute: 0, writesPerMinute: 0, maxRetries: 2, baseDelayMs: 10 },
+    });
+
+    api.failNext(2, 503);
+    let result = await outcome(() => service.getSpreadsheetSummary(BUDGET_URL));
+    check('reads survive transient 503s', [result.result?.title, api.requests.splice(0).length], ['Budget 2024', 3]);
+
+    api.failNext(1, 429, { 'Retry-After': '0.2' });
+    result = await outcome(() => service.updateRange(BUDGET_URL, 'Rates!B2', [['6%']]));
+    check('Retry-After from the API is honoured', result.result?.updatedCells === 1 && result.elapsed >= 190, true);
+
+    api.requests.length = 0;
+    api.failNext(3, 429, { 'Retry-After': '0' });
+    result = await outcome(() => service.getSpreadsheetSummary(BUDGET_URL));
+    check('persistent rate limits still fail', [Boolean(result.error), api.requests.length], [true, 3]);
+  } finally {
+    await api.close();
+  }
+}
+
+async function runTests() {
+  let failures = 0;
+  const check = (label, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`   ✅ ${label}`);
+    } else {
+      failures++;
+      console.log(`   ❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  await testRateLimiter(check);
+  await testServiceRetries(check);
+  return failures === 0;
+}
+
+runTests()
+  .then(ok => {
+    if (ok) {
+      console.log('\n🎉 Rate limit test completed successfully!');
+    } else {
+      console.log('\n❌ Rate limit test failed');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  });
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify header-aware records output
+ * Uses hand-built cells so it runs without credentials
+ */
+
+import { GoogleSheetsService } from '../server/sheets.js';
+
+function cell(row, col, val, type = 'string', fmt) {
+  const data = { pos: [row, col], val, type };
+  if (fmt) {
+    data.fmt = fmt;
+  }
+  return data;
+}
+
+async function testRecords() {
+  console.log('🧪 Testing records output...\n');
+
+  const service = new GoogleSheetsService({});
+  const cells = [
+    cell(1, 1, 'Quarterly report'), // title row above the real header
+    cell(3, 1, 'Name'),
+    cell(3, 2, 'Amount'),
+    cell(3, 3, 'Amount'),
+    cell(3, 5, 'Due'),
+    cell(4, 1, 'Alice'),
+    cell(4, 2, 10, 'number'),
+    cell(4, 3, 0.5, 'percentage', '50%'),
+    cell(4, 4, 'stray'),
+    cell(4, 5, 45292, 'date', '1/1/2024'),
+    cell(5, 1, 'Bob'),
+    cell(5, 2, 'n/a'),
+  ];
+
+  let failures = 0;
+  const check = (label, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`   ✅ ${label}`);
+    } else {
+      failures++;
+      console.log(`   ❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  check('header row detected below title', service.detectHeaderRow(cells), 3);
+
+  const table = await service.extractRecords({}, {}, cells, null);
+  check('column names (duplicates suffixed, blanks named by letter)',
+    table.columns.map(column => column.name),
+    ['Name', 'Amount', 'Amount_2', 'Column D', 'Due']);
+  check('column types', table.columns.map(column => column.type),
+    ['string', 'mixed', 'percentage', 'string', 'date']);
+  check('records', table.records, [
+    { _row: 4, Name: 'Alice', Amount: 10, Amount_2: 0.5, 'Column D': 'stray', Due: '1/1/2024' },
+    { _row: 5, Name: 'Bob', Amount: 'n/a' },
+  ]);
+
+  const explicit = await service.extractRecords({}, {}, cells, null, 1);
+  check('explicit header row', explicit.columns[0].name, 'Quarterly report');
+
+  return failures === 0;
+}
+
+testRecords()
+  .then(ok => {
+    if (ok) {
+      console.log('\n🎉 Records test completed successfully!');
+    } else {
+      console.log('\n❌ Records test failed');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  });
@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify column-level PII redaction on reads
+ * Runs offline against the fake Google API with a customer list, checking the built-in
+ * detectors, each way of picking a column, the mask/hash/drop actions, and that every read
+ * path (cells, pages, records, ranges, search and formula map) reports what it redacted.
+ */
+
+import { DETECTORS, MASK, Redactor } from '../server/redaction.js';
+import { startFakeGoogleApi, createTestService, spreadsheetUrl } from './fake-google-api.js';
+import { connectToServer, writeCredentialsFile } from './mcp-harness.js';
+
+const CUSTOMERS_URL = spreadsheetUrl('fixture-customers');
+
+const CUSTOMERS = {
+  spreadsheetId: 'fixture-customers',
+  title: 'Customers',
+  sheets: [
+    {
+      title: 'Contacts',
+      rowCount: 20,
+      columnCount: 8,
+      rows: [
+        ['Customer list'],
+        ['Name', 'Email', 'Phone', 'Card number', 'IBAN', 'Orders', 'Contact'],
+        ['Ada', 'ada@example.com', '+44 20 7946 0958', '4111 1111 1111 1111', 'GB82 WEST 1234 5698 7654 32', 3, { formula: '=LOWER(B3)', value: 'ada@example.com' }],
+        ['Ben', 'ben@example.org', '(555) 123-4567', '5555-5555-5555-4444', 'GB82 WEST 1234 5698 7654 32', 5],
+        ['Cy', 'cy@example.net', '', '', 'DE89 3704 0044 0532 0130 00', 1],
+      ],
+    },
+    {
+      title: 'Stats',
+      rows: [
+        ['Metric', 'Value'],
+        ['Customers', 3],
+      ],
+    },
+    {
+      title: 'Mailing',
+      rows: [['ada@example.com'], ['ben@example.org']],
+    },
+  ],
+};
+
+const RULES = [
+  { detect: 'email' },
+  { header: 'card*', action: 'drop' },
+  { column: 'e', action: 'hash', sheet: 'Contacts' },
+];
+
+function thrownCode(create) {
+  try {
+    create();
+    return null;
+  } catch (error) {
+    return error.code;
+  }
+}
+
+function testDetectors(check) {
+  console.log('🧪 Testing detectors and rules...\n');
+
+  check('emails', ['ada@example.com', ' x@y.io ', 'ada at example.com', 'a@b'].map(DETECTORS.email), [true, true, false, false]);
+  check(
+    'phone numbers, but not dates or plain numbers',
+    ['+44 20 7946 0958', '(555) 123-4567', '2024-01-05', '12345678', '+1 2'].map(DETECTORS.phone),
+    [true, true, false, false, false]
+  );
+  check('IBANs pass the mod-97 check', ['GB82 WEST 1234 5698 7654 32', 'GB83 WEST 1234 5698 7654 32'].map(DETECTORS.iban), [true, false]);
+  check(
+    'card numbers pass the Luhn check',
+    ['4111 1111 1111 1111', '5555-5555-5555-4444', '4111 1111 1111 1112', '1234'].map(DETECTORS.credit_card),
+    [true, true, false, false]
+  );
+
+  check('unknown actions are a configuration error', thrownCode(() => new Redactor({ rules: [{ header: 'Email', action: 'blur' }] })), 'NOT_CONFIGURED');
+  check('so are unknown detectors', thrownCode(() => new Redactor({ rules: [{ detect: 'ssn' }] })), 'NOT_CONFIGURED');
+  check('and rules that pick nothing', thrownCode(() => new Redactor({ rules: [{ action: 'mask' }] })), 'NOT_CONFIGURED');
+  check('no rules means no redaction', new Redactor().enabled, false);
+
+  const redactor = new Redactor({ rules: RULES, hashSalt: 'pepper' });
+  const selected = redactor.selectColumns('Contacts', [
+    { number: 1, letter: 'A', header: 'Name', values: ['Ada'] },
+    { number: 2, letter: 'B', header: 'Email', values: ['ada@example.com'] },
+    { number: 4, letter: 'D', header: 'Card number', values: [] },
+    { number: 5, letter: 'E', header: 'IBAN', values: ['x'] },
+  ]);
+  check('the first matching rule decides the action', [...selected.values()].map(column => [column.column, column.action]), [
+    ['B', 'mask'],
+    ['D', 'drop'],
+    ['E', 'hash'],
+  ]);
+  check('rules can be limited to sheets', redactor.selectColumns('Stats', [{ number: 5, letter: 'E', header: null, values: ['x'] }]).size, 0);
+  check('hashes are stable and salted', [
+    redactor.redactValue('x', 'hash') === redactor.redactValue('x', 'hash'),
+    redactor.redactValue('x', 'hash') === new Redactor({ rules: RULES }).redactValue('x', 'hash'),
+  ], [true, false]);
+}
+
+async function testServiceRedaction(check) {
+  console.log('\n🧪 Testing redaction in the service...\n');
+
+  const api = await startFakeGoogleApi({ fixtures: [CUSTOMERS] });
+  try {
+    const service = await createTestService(api.endpoint, { redaction: { rules: RULES, hashSalt: 'pepper' } });
+    const at = (cells, row, col) => cells.find(cell => cell.pos[0] === row && cell.pos[1] === col);
+
+    const sheetData = await service.getSheetData(CUSTOMERS_URL, 'Contacts', { includeFormulas: true });
+    const cells = sheetData.cells;
+    check('redacted columns are listed', sheetData.metadata.redactedColumns.map(column => [column.column, column.header, column.action]), [
+      ['B', 'Email', 'mask'],
+      ['D', 'Card number', 'drop'],
+      ['E', 'IBAN', 'hash'],
+      ['G', 'Contact', 'mask'],
+    ]);
+    check('with the rule that picked them', sheetData.metadata.redactedColumns[0].reason, 'email values');
+    check('headers and other columns are left alone', [at(cells, 2, 2).val, at(cells, 3, 1).val, at(cells, 3, 3).val], ['Email', 'Ada', '+44 20 7946 0958']);
+    check('masked values', at(cells, 4, 2), { pos: [4, 2], val: MASK, type: 'string' });
+    check('dropped values', cells.filter(cell => cell.pos[1] === 4).map(cell => cell.val), ['Card number']);
+    check('hashed values stay comparable', [at(cells, 3, 5).val.startsWith('sha256:'), at(cells, 3, 5).val === at(cells, 4, 5).val, at(cells, 3, 5).val === at(cells, 5, 5).val], [true, true, false]);
+    check('formulas of redacted cells are not returned', at(cells, 3, 7), { pos: [3, 7], val: MASK, type: 'string' });
+
+    check('sheets no rule picks report nothing', (await service.getSheetData(CUSTOMERS_URL, 'Stats')).metadata.redactedColumns, undefined);
+    const mailing = await service.getSheetData(CUSTOMERS_URL, 'Mailing');
+    check('matching values are never taken for a header', mailing.cells.map(cell => cell.val), [MASK, MASK]);
+    check('so the column has no header name', mailing.metadata.redactedColumns[0].header, null);
+
+    const firstPage = await service.getSheetData(CUSTOMERS_URL, 'Contacts', { pageSize: 3 });
+    const secondPage = await service.getSheetData(CUSTOMERS_URL, 'Contacts', { cursor: firstPage.metadata.page.nextCursor });
+    check('pages below the header use its names', secondPage.metadata.redactedColumns.map(column => column.header), ['Email', 'Card number', 'IBAN']);
+    check('and redact the same way', secondPage.cells.filter(cell => cell.pos[1] === 2 || cell.pos[1] === 4).map(cell => cell.val), [MASK, MASK]);
+
+    const records = await service.getSheetData(CUSTOMERS_URL, 'Contacts', { mode: 'records' });
+    check('records carry redacted values', [records.records[0].Email, 'Card number' in records.records[0], records.records[0].Name], [MASK, false, 'Ada']);
+
+    const range = await service.getRangeData(CUSTOMERS_URL, 'Contacts!B4:D5');
+    check('ranges are redacted', range.cells.map(cell => cell.val), [MASK, '(555) 123-4567', MASK]);
+    check('and say so', range.metadata.redactedColumns.map(column => column.column), ['B', 'D']);
+
+    console.log('\n🔎 Testing search and formula maps...');
+    const hidden = await service.searchSpreadsheet(CUSTOMERS_URL, 'example');
+    check('redacted values cannot be searched for', hidden.matches.map(match => `${match.sheet}!${match.address}`), []);
+    const search = await service.searchSpreadsheet(CUSTOMERS_URL, 'Ada');
+    const { E: hashedIban, ...context } = search.matches[0].row;
+    check('row context is redacted', [context, hashedIban.startsWith('sha256:')], [{ A: 'Ada', B: MASK, C: '+44 20 7946 0958', F: '3', G: MASK }, true]);
+    check('search lists redacted columns per sheet', search.redactedColumns.map(column => `${column.sheet}!${column.column}`), [
+      'Contacts!B',
+      'Contacts!D',
+      'Contacts!E',
+      'Contacts!G',
+      'Mailing!A',
+    ]);
+
+    const formulaMap = await service.getFormulaMap(CUSTOMERS_URL, 'Contacts');
+    check('formulas of redacted cells are masked too', [formulaMap.formulas[0].formula, formulaMap.formulas[0].value, formulaMap.formulas[0].precedents], [MASK, MASK, []]);
+    check('formula maps list redacted columns', formulaMap.redactedColumns.length, 4);
+
+    const copier = await createTestService(api.endpoint, { allowTemplateCopies: true, redaction: { rules: RULES } });
+    const shared = await copier.copySpreadsheet(CUSTOMERS_URL, { shareWith: ['someone@example.com'] }).catch(error => error);
+    check('copies with redacted cells cannot be shared', shared.code, 'POLICY_DENIED');
+    check('but can still be made', (await copier.copySpreadsheet(CUSTOMERS_URL)).templateId.length > 0, true);
+
+    const plain = await createTestService(api.endpoint);
+    check('without rules nothing changes', (await plain.getRangeData(CUSTOMERS_URL, 'Contacts!B3')).cells[0].val, 'ada@example.com');
+  } finally {
+    await api.close();
+  }
+}
+
+async function testRedactionSettings(check) {
+  console.log('\n🧪 Testing redaction settings...\n');
+
+  const api = await startFakeGoogleApi({ fixtures: [CUSTOMERS] });
+  const credentials = writeCredentialsFile();
+  const connect = env =>
+    connectToServer({ GOOGLE_CREDENTIALS_JSON_FILE: credentials.path, GOOGLE_API_ENDPOINT: api.endpoint, ...env });
+  const readRange = session => session.client.callTool({ name: 'get_range_data', arguments: { url: CUSTOMERS_URL, range: 'Contacts!A3:C3' } });
+  try {
+    let session = await connect({ SHEETS_REDACT_DETECTORS: 'email, phone' });
+    try {
+      const result = await readRange(session);
+      check('detectors can be listed by name', result.structuredContent.cells.map(cell => cell.val), ['Ada', MASK, MASK]);
+      check('the text response names redacted columns', result.content[0].text.split('\n').pop(), 'Redacted columns: B (Email, mask), C (Phone, mask)');
+    } finally {
+      await session.close();
+    }
+
+    session = await connect({ SHEETS_REDACTION_RULES: '[{"header": "Name", "action": "hash"}' });
+    try {
+      const result = await readRange(session);
+      check('malformed rules are a configuration error', [result.isError, result.content[0].text.startsWith('Error [NOT_CONFIGURED]: SHEETS_REDACTION_RULES')], [true, true]);
+    } finally {
+      await session.close();
+    }
+  } finally {
+    credentials.cleanup();
+    await api.close();
+  }
+}
+
+async function runTests() {
+  let failures = 0;
+  const check = (label, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`   ✅ ${label}`);
+    } else {
+      failures++;
+      console.log(`   ❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  testDetectors(check);
+  await testServiceRedaction(check);
+  await testRedactionSettings(check);
+  return failures === 0;
+}
+
+runTests()
+  .then(ok => {
+    if (ok) {
+      console.log('\n🎉 Redaction test completed successfully!');
+    } else {
+      console.log('\n❌ Redaction test failed');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  });
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify search_spreadsheet matching, limits and row context
+ * Runs offline: document loading and the values endpoint are replaced with stand-ins
+ */
+
+import { GoogleSheetsService } from '../server/sheets.js';
+
+const SHEETS = {
+  Invoices: {
+    FORMATTED_VALUE: [['Invoice', 'Client', 'Total'], ['4471', 'Acme', '$1,200.00'], ['4472', 'Globex', '$80.00']],
+    UNFORMATTED_VALUE: [['Invoice', 'Client', 'Total'], [4471, 'Acme', 1200], [4472, 'Globex', 80]],
+    FORMULA: [['Invoice', 'Client', 'Total'], [4471, 'Acme', '=SUM(D2:F2)'], [4472, 'Globex', 80]],
+  },
+  Notes: {
+    FORMATTED_VALUE: [['Follow up on invoice 4471 with ACME'], [`${'a'.repeat(36)}!`]],
+    UNFORMATTED_VALUE: [['Follow up on invoice 4471 with ACME'], [`${'a'.repeat(36)}!`]],
+    FORMULA: [['Follow up on invoice 4471 with ACME'], [`${'a'.repeat(36)}!`]],
+  },
+};
+
+function createService() {
+  const service = new GoogleSheetsService({});
+  const sheets = Object.keys(SHEETS).map((title, index) => ({ title, index, a1SheetName: title }));
+  const doc = {
+    title: 'Accounts',
+    spreadsheetUrl: 'https://docs.google.com/spreadsheets/d/test/edit',
+    sheetsByIndex: sheets,
+    sheetsByTitle: Object.fromEntries(sheets.map(sheet => [sheet.title, sheet])),
+  };
+  service.loadDocument = async () => ({ sheetId: 'test', doc });
+  service.batchGetValues = async (_doc, ranges, renderOption) => ranges.map(range => SHEETS[range][renderOption]);
+  return service;
+}
+
+async function testSearch() {
+  console.log('🧪 Testing search_spreadsheet...\n');
+
+  let failures = 0;
+  const check = (label, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`   ✅ ${label}`);
+    } else {
+      failures++;
+      console.log(`   ❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  const service = createService();
+
+  let result = await service.searchSpreadsheet('url', '4471');
+  check('literal search across all sheets', result.matches.map(m => `${m.sheet}!${m.address}`), ['Invoices!A2', 'Notes!A1']);
+  check('row context', result.matches[0].row, { A: '4471', B: 'Acme', C: '$1,200.00' });
+
+  result = await service.searchSpreadsheet('url', 'acme', { caseInsensitive: true, sheetName: 'Notes' });
+  check('case-insensitive search in one sheet', result.matches.map(m => m.address), ['A1']);
+
+  result = await service.searchSpreadsheet('url', 'acme');
+  check('case-sensitive by default', result.totalMatches, 0);
+
+  result = await service.searchSpreadsheet('url', '1200', { matchType: 'number' });
+  check('numeric search uses unformatted values', result.matches.map(m => m.address), ['C2']);
+
+  result = await service.searchSpreadsheet('url', '^44\\d\\d$', { matchType: 'regex' });
+  check('regex search', result.matches.map(m => m.address), ['A2', 'A3']);
+
+  const started = Date.now();
+  const timedOut = await service.searchSpreadsheet('url', '^(a+)+$', { matchType: 'regex' }).catch(error => error);
+  check('catastrophic regex is abandoned', [timedOut.code, /took longer/.test(timedOut.message), Date.now() - started < 5000], ['INVALID_ARGUMENT', true, true]);
+
+  const tooLong = await service.searchSpreadsheet('url', 'a'.repeat(501), { matchType: 'regex' }).catch(error => error);
+  check('overlong regex is refused', tooLong.code, 'INVALID_ARGUMENT');
+
+  result = await service.searchSpreadsheet('url', 'D2:F2', { includeFormulas: true });
+  check('formula search', result.matches.map(m => [m.address, m.matchedIn, m.formula]), [['C2', 'formula', '=SUM(D2:F2)']]);
+
+  result = await service.searchSpreadsheet('url', '44', { limit: 1 });
+  check('limit truncates but counts all matches', [result.matches.length, result.totalMatches, result.truncated], [1, 3, true]);
+
+  return failures === 0;
+}
+
+testSearch()
+  .then(ok => {
+    if (ok) {
+      console.log('\n🎉 Search test completed successfully!');
+    } else {
+      console.log('\n❌ Search test failed');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  });
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify the worksheet lifecycle guards and tab index handling
+ * Runs offline: document loading and the summary are replaced with stand-ins
+ */
+
+import { GoogleSheetsService } from '../server/sheets.js';
+
+function createService(sheets) {
+  const service = new GoogleSheetsService({});
+  const updates = [];
+
+  const sheetObjects = sheets.map((sheet, index) => ({
+    ...sheet,
+    index,
+    updateProperties: async properties => updates.push({ title: sheet.title, ...properties }),
+    delete: async () => updates.push({ title: sheet.title, deleted: true }),
+  }));
+  const doc = {
+    sheetCount: sheetObjects.length,
+    sheetsByIndex: sheetObjects,
+    sheetsByTitle: Object.fromEntries(sheetObjects.map(sheet => [sheet.title, sheet])),
+  };
+
+  service.loadSheetByName = async (_url, sheetName) => ({ sheetId: 'doc', doc, sheet: doc.sheetsByTitle[sheetName] });
+  service.getSpreadsheetSummary = async () => ({ updates });
+  return service;
+}
+
+async function testSheetLifecycle() {
+  console.log('🧪 Testing worksheet lifecycle...\n');
+
+  let failures = 0;
+  const check = (label, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`   ✅ ${label}`);
+    } else {
+      failures++;
+      console.log(`   ❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+  const checkRejects = async (label, run, message) => {
+    try {
+      await run();
+      failures++;
+      console.log(`   ❌ ${label} was allowed`);
+    } catch (error) {
+      check(label, error.message.includes(message), true);
+    }
+  };
+
+  const tabs = [{ title: 'A' }, { title: 'B' }, { title: 'C' }];
+
+  let result = await createService(tabs).moveSheet('url', 'A', 2);
+  check('moving right accounts for the removed tab', result.updates, [{ title: 'A', index: 3 }]);
+
+  result = await createService(tabs).moveSheet('url', 'C', 0);
+  check('moving left uses the index as given', result.updates, [{ title: 'C', index: 0 }]);
+
+  await checkRejects('index out of range', () => createService(tabs).moveSheet('url', 'A', 3), 'Index must be between 0 and 2');
+  await checkRejects('renaming onto an existing name', () => createService(tabs).renameSheet('url', 'A', 'B'), 'already exists');
+  await checkRejects('deleting the only sheet', () => createService([{ title: 'A' }]).deleteSheet('url', 'A'), 'only sheet');
+  await checkRejects(
+    'hiding the last visible sheet',
+    () => createService([{ title: 'A' }, { title: 'B', hidden: true }]).setSheetHidden('url', 'A', true),
+    'only visible sheet'
+  );
+
+  return failures === 0;
+}
+
+testSheetLifecycle()
+  .then(ok => {
+    if (ok) {
+      console.log('\n🎉 Worksheet lifecycle test completed successfully!');
+    } else {
+      console.log('\n❌ Worksheet lifecycle test failed');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  });
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify how sheet references are resolved to worksheets
+ * Covers #gid= fragments, indexes and sheetIds, case/spacing-insensitive and closest-name
+ * matching, and ambiguous references, against the fake Google API.
+ */
+
+import { startFakeGoogleApi, createTestService, spreadsheetUrl } from './fake-google-api.js';
+
+// Fixture sheets: Summary (gid 0), Rates (gid 1000), Archive 2023 (gid 2000)
+const BUDGET_URL = spreadsheetUrl('fixture-budget-2024');
+
+async function rejection(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function testSheetNames() {
+  console.log('🧪 Testing sheet name resolution...\n');
+
+  let failures = 0;
+  const check = (label, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`   ✅ ${label}`);
+    } else {
+      failures++;
+      console.log(`   ❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  const api = await startFakeGoogleApi();
+  try {
+    const service = await createTestService(api.endpoint);
+    const titleOf = async (url, sheetName) => (await service.getSheetData(url, sheetName)).metadata.title;
+
+    check('gid from the URL', service.extractGidFromUrl(`${BUDGET_URL}#gid=1000`), 1000);
+    check('gid in a query string', service.extractGidFromUrl(`${BUDGET_URL}?gid=2000#gid=2000`), 2000);
+    check('no gid', service.extractGidFromUrl(BUDGET_URL), null);
+
+    console.log('\n📄 Picking the sheet...');
+    check('the URL\'s gid when no name is given', await titleOf(`${BUDGET_URL}#gid=1000`, undefined), 'Rates');
+    check('a name wins over the gid', await titleOf(`${BUDGET_URL}#gid=1000`, 'Summary'), 'Summary');
+    check('0-based index', await titleOf(BUDGET_URL, '2'), 'Archive 2023');
+    check('sheetId', await titleOf(BUDGET_URL, '1000'), 'Rates');
+    check('explicit gid and index', [await titleOf(BUDGET_URL, 'gid=2000'), await titleOf(BUDGET_URL, 'index:1')], ['Archive 2023', 'Rates']);
+    check('case and spacing are ignored', await titleOf(BUDGET_URL, '  archive   2023 '), 'Archive 2023');
+    check('a partial name', await titleOf(BUDGET_URL, 'archive'), 'Archive 2023');
+    check('a typo', await titleOf(BUDGET_URL, 'Summray'), 'Summary');
+    check('formula map resolves the same way', (await service.getFormulaMap(`${BUDGET_URL}#gid=0`)).sheetTitle, 'Summary');
+    check('ranges without a sheet use the URL\'s gid', (await service.getRangeData(`${BUDGET_URL}#gid=1000`, 'A1')).metadata.title, 'Rates');
+    check('range sheet names ignore case', (await service.getRangeData(BUDGET_URL, 'rates!A1:B2')).metadata.title, 'Rates');
+
+    console.log('\n❌ Testing failures...');
+    let error = await rejection(service.getSheetData(BUDGET_URL, undefined));
+    check('no name and no gid', error?.code, 'INVALID_ARGUMENT');
+    error = await rejection(service.getSheetData(`${BUDGET_URL}#gid=999`, undefined));
+    check('a gid that does not exist', error?.code, 'SHEET_NOT_FOUND');
+    error = await rejection(service.getSheetData(BUDGET_URL, 'Forecast'));
+    check('nothing close enough', [error?.code, error?.details?.availableSheets], ['SHEET_NOT_FOUND', ['Summary', 'Rates', 'Archive 2023']]);
+
+    await service.addSheet(BUDGET_URL, { title: 'Rates Archive' });
+    error = await rejection(service.getSheetData(BUDGET_URL, 'rate'));
+    check('ambiguous names are not guessed', [error?.code, error?.details?.matchingSheets], ['SHEET_AMBIGUOUS', ['Rates', 'Rates Archive']]);
+    check('an exact match is never ambiguous', await titleOf(BUDGET_URL, 'rates'), 'Rates');
+
+    error = await rejection(service.deleteSheet(BUDGET_URL, 'Rates Archiv'));
+    check('writes do not fall back to the closest name', [error?.code, error?.hint?.startsWith('Did you mean "Rates Archive"?')], ['SHEET_NOT_FOUND', true]);
+    error = await rejection(service.updateRange(BUDGET_URL, 'Rtes!A1', [['x']]));
+    check('nor do range writes', error?.code, 'SHEET_NOT_FOUND');
+    check('writes still ignore case', (await service.deleteSheet(BUDGET_URL, 'rates archive')).sheetCount, 3);
+  } finally {
+    await api.close();
+  }
+
+  return failures === 0;
+}
+
+testSheetNames()
+  .then(ok => {
+    if (ok) {
+      console.log('\n🎉 Sheet name test completed successfully!');
+    } else {
+      console.log('\n❌ Sheet name test failed');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  });
@@ -2,117 +2,75 @@
 
 /**
  * Test script to verify structured data functionality
- * This tests that the MCP server returns JSON data instead of binary XLSX
+ * This tests that the service returns JSON data instead of binary XLSX, against the fake Google API
  */
 
-import { GoogleSheetsService } from '../server/sheets.js';
-import { config as dotenvConfig } from 'dotenv';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { readFileSync } from 'fs';
+import { startFakeGoogleApi, createTestService, spreadsheetUrl } from './fake-google-api.js';
 
-// Get the directory of this script
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load environment variables
-dotenvConfig({ path: join(__dirname, '../.env') });
-
-// Test Google Sheets ID (public Google Sheets template)
-const TEST_SHEET_ID = '1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms';
+// Fixture copy of Google's public example spreadsheet (test/fixtures/class-data.json)
+const TEST_SHEET_URL = spreadsheetUrl('1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms');
 
 async function testStructuredData() {
   console.log('🧪 Testing structured data functionality...\n');
 
-  try {
-    // Load credentials from JSON file
-    const credentialsPath = process.env.GOOGLE_CREDENTIALS_JSON_FILE;
-    if (!credentialsPath) {
-      throw new Error('Missing GOOGLE_CREDENTIALS_JSON_FILE environment variable. Please set it to the path of your service account JSON file.');
-    }
-
-    console.log('📄 Loading credentials from JSON file...');
-    const credentialsContent = readFileSync(credentialsPath, 'utf8');
-    const credentials = JSON.parse(credentialsContent);
-    
-    const serviceAccountEmail = credentials.client_email;
-    const privateKey = credentials.private_key;
-    const projectId = credentials.project_id;
-
-    if (!serviceAccountEmail || !privateKey || !projectId) {
-      throw new Error('Invalid credentials JSON file. Missing required fields: client_email, private_key, or project_id.');
+  const api = await startFakeGoogleApi();
+  let failures = 0;
+  const check = (label, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`   ✅ ${label}`);
+    } else {
+      failures++;
+      console.log(`   ❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
     }
+  };
 
-    // Initialize service
-    const sheetsService = new GoogleSheetsService({
-      serviceAccountEmail,
-      privateKey,
-      projectId,
+  try {
+    const sheetsService = await createTestService(api.endpoint);
+
+    console.log('📊 Testing summary structure...');
+    const summary = await sheetsService.getSpreadsheetSummary(TEST_SHEET_URL);
+    const requiredProps = ['id', 'title', 'url', 'sheetCount', 'sheetNames', 'metadata'];
+    check('all required properties present', requiredProps.filter(prop => !(prop in summary)), []);
+
+    console.log('\n📊 Testing records output (structured JSON rows)...');
+    const sheetData = await sheetsService.getSheetData(TEST_SHEET_URL, 'Class Data', { mode: 'records' });
+    check('header row detected', sheetData.metadata.headerRow, 1);
+    check('columns keyed by header', sheetData.columns.map(column => column.name), [
+      'Student Name', 'Gender', 'Class Level', 'Home State', 'Major', 'Extracurricular Activity',
+    ]);
+    check('one record per student', sheetData.records.length, 30);
+    check('first record', sheetData.records[0], {
+      _row: 2,
+      'Student Name': 'Alexandra',
+      Gender: 'Female',
+      'Class Level': '4. Senior',
+      'Home State': 'CA',
+      Major: 'English',
+      'Extracurricular Activity': 'Drama Club',
     });
 
-    await sheetsService.initialize();
-    console.log('✅ Google Sheets service initialized');
+    // Verify it's JSON-serializable
+    const jsonString = JSON.stringify(sheetData);
+    check('data is JSON-serializable', JSON.parse(jsonString).records.length, 30);
+    console.log(`📊 JSON size: ${Math.round(jsonString.length / 1024)}KB`);
+  } finally {
+    await api.close();
+  }
 
-    // Test getSheet method (should return structured JSON)
-    console.log('\n📊 Testing getSheet method (structured JSON data)...');
-    const structuredData = await sheetsService.getSheet(TEST_SHEET_ID);
-    
-    console.log('✅ Successfully retrieved structured data');
-    console.log(`📋 Sheet Title: ${structuredData.title}`);
-    console.log(`🔢 Number of worksheets: ${structuredData.sheetCount}`);
-    console.log(`📅 Created: ${structuredData.metadata.createdTime}`);
-    console.log(`📝 Last modified: ${structuredData.metadata.modifiedTime}`);
-    
-    // Display first worksheet summary
-    if (structuredData.sheets && structuredData.sheets.length > 0) {
-      const firstSheet = structuredData.sheets[0];
-      console.log(`\n📄 First worksheet: "${firstSheet.title}"`);
-      console.log(`   📏 Size: ${firstSheet.rowCount} rows × ${firstSheet.columnCount} columns`);
-      
-      // Show sample of cell data
-      if (firstSheet.cells && Object.keys(firstSheet.cells).length > 0) {
-        console.log('   📊 Sample cell data:');
-        const cellKeys = Object.keys(firstSheet.cells).slice(0, 5);
-        cellKeys.forEach(key => {
-          const cell = firstSheet.cells[key];
-          console.log(`      ${key}: "${cell.formattedValue || cell.value || '(empty)'}"`);
-        });
-      }
-    }
+  return failures === 0;
+}
 
-    // Verify data structure
-    console.log('\n🔍 Verifying data structure...');
-    
-    // Check required properties
-    const requiredProps = ['id', 'title', 'url', 'sheetCount', 'sheets', 'metadata'];
-    const missingProps = requiredProps.filter(prop => !(prop in structuredData));
-    
-    if (missingProps.length === 0) {
-      console.log('✅ All required properties present');
+testStructuredData()
+  .then(ok => {
+    if (ok) {
+      console.log('\n🎉 Structured data test completed successfully!');
     } else {
-      console.log(`❌ Missing properties: ${missingProps.join(', ')}`);
+      console.log('\n❌ Structured data test failed');
+      process.exit(1);
     }
-    
-    // Verify it's JSON-serializable
-    try {
-      const jsonString = JSON.stringify(structuredData, null, 2);
-      console.log('✅ Data is JSON-serializable');
-      console.log(`📊 JSON size: ${Math.round(jsonString.length / 1024)}KB`);
-    } catch (error) {
-      console.log('❌ Data is not JSON-serializable:', error.message);
-    }
-
-    console.log('\n🎉 Structured data test completed successfully!');
-    console.log('\n💡 This data format can now be understood by Claude for analysis and processing.');
-
-  } catch (error) {
+  })
+  .catch(error => {
     console.error('❌ Test failed:', error.message);
     console.error('Stack trace:', error.stack);
     process.exit(1);
-  }
-}
-
-// Run the test if this script is executed directly
-if (import.meta.url === `file://${process.argv[1]}`) {
-  testStructuredData();
-} 
\ No newline at end of file
+  });
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify resource subscriptions over MCP
+ * Runs offline: spawns the server against the fake Google API with a short poll interval
+ * and checks which writes produce notifications/resources/updated.
+ */
+
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { startFakeGoogleApi, spreadsheetUrl } from './fake-google-api.js';
+import { connectToServer, writeCredentialsFile } from './mcp-harness.js';
+
+const BUDGET_URL = spreadsheetUrl('fixture-budget-2024');
+const RATES_URI = 'gsheet://fixture-budget-2024/Rates';
+const HEADER_URI = 'gsheet://fixture-budget-2024/Summary/A1:B2';
+const POLL_INTERVAL_SECONDS = 0.2;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Wait long enough for several polls to have run
+const settle = () => sleep(POLL_INTERVAL_SECONDS * 1000 * 4);
+
+async function testSubscriptions() {
+  console.log('🧪 Testing resource subscriptions...\n');
+
+  const api = await startFakeGoogleApi();
+  const credentials = writeCredentialsFile();
+  const session = await connectToServer({
+    GOOGLE_CREDENTIALS_JSON_FILE: credentials.path,
+    GOOGLE_API_ENDPOINT: api.endpoint,
+    RESOURCE_POLL_INTERVAL_SECONDS: String(POLL_INTERVAL_SECONDS),
+  });
+  const { client } = session;
+
+  const updates = [];
+  client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => {
+    updates.push(notification.params.uri);
+  });
+
+  const write = (range, values) => client.callTool({ name: 'update_range', arguments: { url: BUDGET_URL, range, values } });
+
+  let failures = 0;
+  const check = (label, ok, detail = '') => {
+    console.log(`   ${ok ? '✅' : '❌'} ${label}${ok || !detail ? '' : `: ${detail}`}`);
+    if (!ok) {
+      failures++;
+    }
+  };
+
+  try {
+    check('Server advertises resource subscriptions', client.getServerCapabilities()?.resources?.subscribe === true);
+
+    await client.subscribeResource({ uri: RATES_URI });
+    await client.subscribeResource({ uri: HEADER_URI });
+    await settle();
+    check('No updates without changes', updates.length === 0, JSON.stringify(updates));
+
+    await write('Summary!D10', [['scratch']]);
+    await settle();
+    check('Edits outside the watched sheet and range are ignored', updates.length === 0, JSON.stringify(updates));
+
+    await write('Rates!B2', [['4%']]);
+    await settle();
+    check('Edit to a watched sheet notifies its subscribers', updates.join() === RATES_URI, JSON.stringify(updates));
+
+    updates.length = 0;
+    await write('Summary!A2', [['Line item']]);
+    await settle();
+    check('Edit inside a watched range notifies its subscribers', updates.join() === HEADER_URI, JSON.stringify(updates));
+
+    updates.length = 0;
+    await client.unsubscribeResource({ uri: RATES_URI });
+    await write('Rates!B2', [['5%']]);
+    await settle();
+    check('Unsubscribed resources are no longer watched', updates.length === 0, JSON.stringify(updates));
+
+    let rejected = false;
+    try {
+      await client.subscribeResource({ uri: 'gsheet://fixture-budget-2024/Nope' });
+    } catch {
+      rejected = true;
+    }
+    check('Subscribing to an unknown sheet fails', rejected);
+  } catch (error) {
+    console.log('📄 Server log:\n' + session.stderr());
+    throw error;
+  } finally {
+    await session.close();
+    await api.close();
+    credentials.cleanup();
+  }
+
+  return failures === 0;
+}
+
+testSubscriptions()
+  .then(ok => {
+    if (ok) {
+      console.log('\n🎉 Subscription test completed successfully!');
+    } else {
+      console.log('\n❌ Subscription test failed');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  });
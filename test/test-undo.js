@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify the change journal and undoing changes
+ * Runs offline against the fake Google API: checks what each write records, that undoing
+ * restores values and sheets, and that an undo refuses to overwrite later edits made by
+ * someone else. Then spawns the server to check list_changes and undo_change.
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ChangeJournal } from '../server/journal.js';
+import { startFakeGoogleApi, createTestService, spreadsheetUrl } from './fake-google-api.js';
+import { connectToServer, writeCredentialsFile } from './mcp-harness.js';
+
+const BUDGET_URL = spreadsheetUrl('fixture-budget-2024');
+
+async function thrown(run) {
+  try {
+    await run();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function testValues(check, dir) {
+  console.log('🧪 Testing undo of cell writes...\n');
+
+  const api = await startFakeGoogleApi();
+  try {
+    const journal = new ChangeJournal({ path: join(dir, 'values.jsonl') });
+    const service = await createTestService(api.endpoint, { journal });
+    // Someone else editing the same spreadsheet
+    const other = await createTestService(api.endpoint);
+    const value = async range => (await other.getRangeData(BUDGET_URL, range)).cells[0]?.val;
+
+    const update = await service.updateRange(BUDGET_URL, 'Rates!B2', [['4%']]);
+    const [change] = await journal.list();
+    check('writes return the ID of their journal entry', update.changeId, change.id);
+    check('which records the values replaced and written', [change.action, change.operations], [
+      'update a range',
+      [{ type: 'values', sheetId: 1000, sheet: 'Rates', range: "'Rates'!B2:B2", before: [[0.03]], after: [['4%']] }],
+    ]);
+
+    const undone = await service.undoChanges({ id: update.changeId });
+    check('undoing restores the old value', [await value('Rates!B2'), undone.undone.map(entry => [entry.id, entry.undone])], [0.03, [[change.id, true]]]);
+    check('and marks the change undone', (await journal.list({ includeUndone: true }))[0].undone, true);
+    check('so it cannot be undone twice', (await thrown(() => service.undoChanges({ id: change.id }))).code, 'INVALID_ARGUMENT');
+    check('or found among the changes left', await journal.list(), []);
+
+    console.log('\n✍️  Testing values as entered...');
+    await other.updateRange(BUDGET_URL, 'Rates!C1', [['007']], { valueInputOption: 'RAW' });
+    await other.updateRange(BUDGET_URL, 'Rates!C2', [['=B1*2']]);
+    await service.updateRange(BUDGET_URL, 'Rates!C1:D2', [['x', null], ['y', 'z']]);
+    await service.undoChanges({ url: BUDGET_URL });
+    check('text stays text', (await other.getRangeData(BUDGET_URL, 'Rates!C1:D2')).cells.map(cell => [cell.pos, cell.val]), [[[1, 3], '007']]);
+    check('and formulas stay formulas', (await other.getFormulaMap(BUDGET_URL, 'Rates')).formulas.map(formula => [formula.address, formula.formula]), [
+      ['C2', '=B1*2'],
+    ]);
+
+    console.log('\n⚔️  Testing conflicts...');
+    const first = await service.updateRange(BUDGET_URL, 'Rates!B1:B2', [[0.25], [0.05]]);
+    await other.updateRange(BUDGET_URL, 'Rates!B1', [[0.3]]);
+    const conflict = await thrown(() => service.undoChanges({ id: first.changeId }));
+    check('cells changed since are a conflict', [conflict.code, conflict.details.conflicts], ['CONFLICT', ['Rates!B1 was changed']]);
+    check('and nothing is undone', [await value('Rates!B1'), await value('Rates!B2')], [0.3, 0.05]);
+    check('the change stays in the journal', (await journal.list())[0].id, first.changeId);
+
+    const second = await service.updateRange(BUDGET_URL, 'Rates!B2', [[0.06]]);
+    await service.updateRange(BUDGET_URL, 'Rates!B2', [[0.07]]);
+    check('undoing an older change under a newer one conflicts too', (await thrown(() => service.undoChanges({ id: second.changeId }))).code, 'CONFLICT');
+    const preview = await service.undoChanges({ url: BUDGET_URL, count: 2, dryRun: true });
+    check('a dry run of the last changes sees each undo before the next', preview.diff.cells, [
+      { sheet: 'Rates', address: 'B2', before: 0.07, after: 0.06 },
+      { sheet: 'Rates', address: 'B2', before: 0.06, after: 0.05 },
+    ]);
+    check('without undoing them', [preview.dryRun, preview.undone.map(entry => entry.undone), await value('Rates!B2')], [true, [false, false], 0.07]);
+    const bounded = await thrown(() => service.undoChanges({ url: BUDGET_URL, maxOverwrittenCells: 0 }));
+    check('undos that would overwrite more than confirmed are refused', [bounded.code, await value('Rates!B2')], ['CONFLICT', 0.07]);
+    await service.undoChanges({ url: BUDGET_URL, count: 2 });
+    check('undoing the last changes goes newest first', await value('Rates!B2'), 0.05);
+
+    await service.appendRows(BUDGET_URL, 'Rates', [['Fee', 5]]);
+    await service.undoChanges({ url: BUDGET_URL });
+    check('appended rows are cleared', (await other.getRangeData(BUDGET_URL, 'Rates!A3:B3')).cells, []);
+
+    const columnCount = async () => (await other.getSpreadsheetSummary(BUDGET_URL)).sheetNames[1].columnCount;
+    const wide = await service.appendRows(BUDGET_URL, 'Rates', [['Fee', 5, 'x', 'y', 'z']]);
+    check('widening the grid for an append is journaled', (await journal.find(wide.changeId)).operations.map(operation => operation.type), [
+      'properties',
+      'values',
+    ]);
+    const narrowed = await service.undoChanges({ url: BUDGET_URL, dryRun: true });
+    check('and undoing it narrows the grid again', narrowed.diff.sheets, [
+      { change: 'resize', sheet: 'Rates', before: { columnCount: 5 }, after: { columnCount: 4 } },
+    ]);
+    await service.undoChanges({ url: BUDGET_URL });
+    check('once the values are cleared', [await columnCount(), (await other.getRangeData(BUDGET_URL, 'Rates!A3:E3')).cells], [4, []]);
+
+    await service.appendRows(BUDGET_URL, 'Rates', [['Fee', 5, 'x', 'y', 'z']]);
+    await other.updateRange(BUDGET_URL, 'Rates!E1', [['kept']]);
+    check('unless the new columns hold other values', (await thrown(() => service.undoChanges({ url: BUDGET_URL }))).details.conflicts, [
+      'sheet "Rates" has values in the columns to remove',
+    ]);
+    await other.updateRange(BUDGET_URL, 'Rates!E1', [['']]);
+    await service.undoChanges({ url: BUDGET_URL });
+
+    const failed = await thrown(() => service.appendRows(BUDGET_URL, 'Rates', [['Fee', 5, 'x', 'y', 'z']], { valueInputOption: 'BOGUS' }));
+    const [partial] = await journal.list();
+    check('a grid widened before the append failed is journaled too', [failed.code, partial.operations.map(operation => operation.after)], [
+      'INVALID_ARGUMENT',
+      [{ columnCount: 5 }],
+    ]);
+    await service.undoChanges({ id: partial.id });
+    check('so it can be undone', await columnCount(), 4);
+
+    const missing = await thrown(() => service.undoChanges({ id: 'nope' }));
+    check('unknown IDs are refused', [missing.code, missing.hint], ['INVALID_ARGUMENT', 'Use list_changes to see recent changes and their IDs.']);
+    check('undoing needs an ID or a spreadsheet', (await thrown(() => service.undoChanges({}))).code, 'INVALID_ARGUMENT');
+    check('and a journal', (await thrown(() => other.undoChanges({ url: BUDGET_URL }))).code, 'NOT_CONFIGURED');
+    check('writes without one have no change ID', 'changeId' in (await other.updateRange(BUDGET_URL, 'Rates!D5', [['x']])), false);
+  } finally {
+    await api.close();
+  }
+}
+
+async function testSheets(check, dir) {
+  console.log('\n🧪 Testing undo of sheet changes...\n');
+
+  const api = await startFakeGoogleApi();
+  try {
+    const journal = new ChangeJournal({ path: join(dir, 'sheets.jsonl') });
+    const service = await createTestService(api.endpoint, { journal });
+    const other = await createTestService(api.endpoint);
+    const sheets = async () => (await other.getSpreadsheetSummary(BUDGET_URL)).sheetNames.map(sheet => `${sheet.name}${sheet.hidden ? ' (hidden)' : ''}`);
+    const original = await sheets();
+
+    await service.renameSheet(BUDGET_URL, 'Rates', 'Tax');
+    await service.moveSheet(BUDGET_URL, 'Tax', 2);
+    await service.setSheetHidden(BUDGET_URL, 'Archive 2023', false);
+    check('sheets are renamed, moved and shown', await sheets(), ['Summary', 'Archive 2023', 'Tax']);
+    const listed = await journal.list({ limit: 3 });
+    check('each change records the properties it replaced', listed.map(change => [change.operations[0].before, change.operations[0].after]), [
+      [{ hidden: true }, { hidden: false }],
+      [{ index: 1 }, { index: 2 }],
+      [{ title: 'Rates' }, { title: 'Tax' }],
+    ]);
+    const preview = await service.undoChanges({ url: BUDGET_URL, count: 3, dryRun: true });
+    check('a dry run lists the sheet changes', preview.diff.sheets, [
+      { change: 'hide', sheet: 'Archive 2023', before: false, after: true },
+      { change: 'move', sheet: 'Tax', before: 2, after: 1 },
+      { change: 'rename', sheet: 'Tax', before: 'Tax', after: 'Rates' },
+    ]);
+    await service.undoChanges({ url: BUDGET_URL, count: 3 });
+    check('undoing them puts everything back', await sheets(), original);
+
+    console.log('\n📑 Testing added and deleted sheets...');
+    const added = await service.addSheet(BUDGET_URL, { title: 'Q3', headers: ['Date', 'Owner'] });
+    await service.duplicateSheet(BUDGET_URL, 'Rates', { newName: 'Rates copy' });
+    check('added sheets are journaled', (await journal.list({ limit: 2 })).map(change => change.operations.map(operation => operation.type)), [
+      ['addSheet'],
+      ['addSheet'],
+    ]);
+    await service.undoChanges({ url: BUDGET_URL });
+    await service.undoChanges({ id: added.changeId });
+    check('undoing them deletes the sheets', await sheets(), original);
+
+    await service.addSheet(BUDGET_URL, { title: 'Notes' });
+    await other.updateRange(BUDGET_URL, 'Notes!B2', [['keep me']]);
+    const edited = await thrown(() => service.undoChanges({ url: BUDGET_URL }));
+    check('but not once someone has written in them', [edited.code, edited.details.conflicts], ['CONFLICT', ['sheet "Notes" was edited']]);
+
+    const archive = await other.getSheetData(BUDGET_URL, 'Archive 2023');
+    const deleted = await service.deleteSheet(BUDGET_URL, 'Archive 2023');
+    check('deleted sheets are journaled with their values', (await journal.find(deleted.changeId)).operations[0].values, [
+      ['Category', 'Amount'],
+      ['Rent', 1100],
+    ]);
+    await service.undoChanges({ id: deleted.changeId });
+    const summary = await other.getSpreadsheetSummary(BUDGET_URL);
+    check('undoing a delete brings the sheet back where it was', summary.sheetNames.map(sheet => [sheet.name, sheet.sheetId, sheet.index, sheet.hidden]), [
+      ['Summary', 0, 0, false],
+      ['Rates', 1000, 1, false],
+      ['Archive 2023', 2000, 2, true],
+      ['Notes', 2001, 3, false],
+    ]);
+    // Formatting is not journaled, so only the values come back
+    const values = data => data.cells.map(cell => [cell.pos, cell.val]);
+    check('with its values', values(await other.getSheetData(BUDGET_URL, 'Archive 2023')), values(archive));
+
+    await service.deleteSheet(BUDGET_URL, 'Archive 2023');
+    await other.addSheet(BUDGET_URL, { title: 'Archive 2023' });
+    check('unless another sheet took its name', (await thrown(() => service.undoChanges({ url: BUDGET_URL }))).details.conflicts, [
+      'another sheet is named "Archive 2023"',
+    ]);
+  } finally {
+    await api.close();
+  }
+}
+
+async function testTools(check, dir) {
+  console.log('\n🧪 Testing the change journal tools...\n');
+
+  const api = await startFakeGoogleApi();
+  const credentials = writeCredentialsFile();
+  const connect = env => connectToServer({ GOOGLE_CREDENTIALS_JSON_FILE: credentials.path, GOOGLE_API_ENDPOINT: api.endpoint, ...env });
+  try {
+    let session = await connect({ SHEETS_CHANGE_JOURNAL: join(dir, 'tools.jsonl') });
+    const call = (name, args) => session.client.callTool({ name, arguments: args });
+    try {
+      const { tools } = await session.client.listTools();
+      check('the journal tools are offered', ['list_changes', 'undo_change'].map(name => tools.some(tool => tool.name === name)), [true, true]);
+
+      const update = await call('update_range', { url: BUDGET_URL, range: 'Rates!B2', values: [['4%']] });
+      const changeId = update.structuredContent.changeId;
+      check('writes name their change', update.content[0].text.endsWith(`Change ID: ${changeId} (undo it with undo_change)`), true);
+
+      const listed = await call('list_changes', { url: BUDGET_URL });
+      check('list_changes shows it without values', listed.structuredContent.changes[0].operations, [
+        { type: 'values', sheet: 'Rates', range: "'Rates'!B2:B2", cells: 1 },
+      ]);
+      check('in the text too', listed.content[0].text.split('\n').pop().endsWith("update a range (Budget 2024): 'Rates'!B2:B2 (1 cells)"), true);
+
+      const preview = await call('undo_change', { id: changeId, dry_run: true });
+      check('undo_change can preview', preview.structuredContent.diff.cells, [{ sheet: 'Rates', address: 'B2', before: '4%', after: 0.03 }]);
+      const undone = await call('undo_change', { url: BUDGET_URL });
+      check('and undo', [undone.isError, undone.structuredContent.undone[0].id], [undefined, changeId]);
+      const again = await call('undo_change', { id: changeId });
+      check('refusing to undo twice', again.content[0].text.startsWith('Error [INVALID_ARGUMENT]'), true);
+    } finally {
+      await session.close();
+    }
+
+    const journal = join(dir, 'tools.jsonl');
+    session = await connect({ SHEETS_CHANGE_JOURNAL: journal });
+    let blockedId;
+    try {
+      const update = await session.client.callTool({
+        name: 'update_range',
+        arguments: { url: BUDGET_URL, range: 'Rates!B2', values: [['5%']] },
+      });
+      blockedId = update.structuredContent.changeId;
+    } finally {
+      await session.close();
+    }
+    for (const [label, env] of [
+      ['spreadsheet', { SHEETS_DENIED_SPREADSHEETS: 'fixture-budget-2024' }],
+      ['sheet', { SHEETS_DENIED_SHEET_NAMES: 'Rates' }],
+    ]) {
+      session = await connect({ SHEETS_CHANGE_JOURNAL: journal, ...env });
+      try {
+        const listed = await session.client.callTool({ name: 'list_changes', arguments: {} });
+        const undo = await session.client.callTool({ name: 'undo_change', arguments: { id: blockedId } });
+        check(`changes to a blocked ${label} are neither listed nor undone`, [
+          listed.structuredContent.changes.length,
+          undo.content[0].text.startsWith('Error [INVALID_ARGUMENT]: There is no change'),
+        ], [0, true]);
+      } finally {
+        await session.close();
+      }
+    }
+
+    session = await connect({ SHEETS_CHANGE_JOURNAL: join(dir, 'tools.jsonl'), SHEETS_READ_ONLY: 'true' });
+    try {
+      const { tools } = await session.client.listTools();
+      check('read-only servers can list changes but not undo them', ['list_changes', 'undo_change'].map(name => tools.some(tool => tool.name === name)), [true, false]);
+    } finally {
+      await session.close();
+    }
+
+    session = await connect({});
+    try {
+      const { tools } = await session.client.listTools();
+      check('without a journal there are no journal tools', tools.some(tool => tool.name === 'list_changes' || tool.name === 'undo_change'), false);
+    } finally {
+      await session.close();
+    }
+  } finally {
+    credentials.cleanup();
+    await api.close();
+  }
+}
+
+async function runTests() {
+  let failures = 0;
+  const check = (label, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`   ✅ ${label}`);
+    } else {
+      failures++;
+      console.log(`   ❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  const dir = mkdtempSync(join(tmpdir(), 'mcp-googlesheet-undo-'));
+  try {
+    await testValues(check, dir);
+    await testSheets(check, dir);
+    await testTools(check, dir);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+  return failures === 0;
+}
+
+runTests()
+  .then(ok => {
+    if (ok) {
+      console.log('\n🎉 Undo test completed successfully!');
+    } else {
+      console.log('\n❌ Undo test failed');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  });
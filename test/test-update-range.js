@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify how update_range works out which cells a write touches
+ * Runs offline against a stand-in worksheet and the fake Google API
+ */
+
+import { GoogleSheetsService } from '../server/sheets.js';
+import { startFakeGoogleApi, createTestService, spreadsheetUrl } from './fake-google-api.js';
+
+async function testWriteBounds() {
+  console.log('🧪 Testing write bounds...\n');
+
+  const service = new GoogleSheetsService({});
+  const sheet = { rowCount: 100, columnCount: 10, a1SheetName: "'Forecast'" };
+  const resolve = range => service.clampBounds(sheet, service.parseA1Range(range));
+
+  let failures = 0;
+  const check = (label, run, expected) => {
+    let actual;
+    try {
+      actual = service.formatA1Range(sheet, run());
+    } catch (error) {
+      actual = `Error: ${error.message}`;
+    }
+    const ok = expected.startsWith('Error') ? actual.startsWith(expected) : actual === expected;
+    if (ok) {
+      console.log(`   ✅ ${label}: ${actual}`);
+    } else {
+      failures++;
+      console.log(`   ❌ ${label}: expected ${expected}, got ${actual}`);
+    }
+  };
+
+  check('single cell anchors the values',
+    () => service.getWriteBounds(sheet, resolve('B2'), [[1, 2, 3], [4, 5]]),
+    "'Forecast'!B2:D3");
+  check('values fitting inside a range',
+    () => service.getWriteBounds(sheet, resolve('B2:D4'), [[1, 2], [3, 4]]),
+    "'Forecast'!B2:C3");
+  check('values larger than the range',
+    () => service.getWriteBounds(sheet, resolve('B2:C3'), [[1, 2, 3]]),
+    'Error: Values (1 rows × 3 columns) do not fit');
+  check('values past the grid edge',
+    () => service.getWriteBounds(sheet, resolve('J100'), [[1, 2]]),
+    'Error: Values extend past the sheet grid');
+  check('empty values',
+    () => service.getWriteBounds(sheet, resolve('A1'), []),
+    'Error: Values must be a non-empty 2D array');
+
+  return failures === 0;
+}
+
+async function testRoundTrip() {
+  console.log('\n🧪 Testing a write and read-back through the fake API...\n');
+
+  const api = await startFakeGoogleApi();
+  try {
+    const service = await createTestService(api.endpoint);
+    const url = spreadsheetUrl('fixture-budget-2024');
+
+    const result = await service.updateRange(url, 'Rates!A3', [['Fees', '0.05']]);
+    const readBack = await service.getRangeData(url, 'Rates!A3:B3');
+    const actual = JSON.stringify([result.updatedRange, readBack.cells.map(cell => cell.val)]);
+    const expected = JSON.stringify(["'Rates'!A3:B3", ['Fees', 0.05]]);
+
+    if (actual !== expected) {
+      console.log(`   ❌ write then read: expected ${expected}, got ${actual}`);
+      return false;
+    }
+    console.log(`   ✅ write then read: ${actual}`);
+    return true;
+  } finally {
+    await api.close();
+  }
+}
+
+async function testNamedRanges() {
+  console.log('\n🧪 Testing named ranges that look like cells...\n');
+
+  let failures = 0;
+  const check = (label, actual, expected) => {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`   ✅ ${label}`);
+    } else {
+      failures++;
+      console.log(`   ❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  const api = await startFakeGoogleApi();
+  try {
+    // Rates (gid 1000) A1:B2 and A2:B2
+    const spreadsheet = api.spreadsheets.get('fixture-budget-2024');
+    spreadsheet.namedRanges.push(
+      { namedRangeId: 'sales', name: 'Sales2024', range: { sheetId: 1000, startRowIndex: 0, endRowIndex: 2, startColumnIndex: 0, endColumnIndex: 2 } },
+      { namedRangeId: 'tax', name: 'Tax2024', range: { sheetId: 1000, startRowIndex: 1, endRowIndex: 2, startColumnIndex: 0, endColumnIndex: 2 } }
+    );
+    const service = await createTestService(api.endpoint);
+    const url = spreadsheetUrl('fixture-budget-2024');
+
+    const sales = await service.getRangeData(url, 'Sales2024');
+    check('letters and digits name a range', [sales.metadata.range, sales.cells.length], ["'Rates'!A1:B2", 4]);
+    const written = await service.updateRange(url, 'Sales2024', [['Sales', 10]]);
+    check('and can be written', [written.updatedRange, (await service.getRangeData(url, 'Rates!A1:B1')).cells.map(cell => cell.val)], [
+      "'Rates'!A1:B1",
+      ['Sales', 10],
+    ]);
+    check('three letters off the grid fall back to a named range', (await service.getRangeData(url, 'Tax2024')).metadata.range, "'Rates'!A2:B2");
+    const offGrid = await service.getRangeData(url, 'ZZ2024').catch(error => error.message);
+    check('cells off the grid are still refused', offGrid.startsWith('Range is outside the sheet grid'), true);
+  } finally {
+    await api.close();
+  }
+  return failures === 0;
+}
+
+async function runTests() {
+  const boundsOk = await testWriteBounds();
+  const roundTripOk = await testRoundTrip();
+  const namedRangesOk = await testNamedRanges();
+  return boundsOk && roundTripOk && namedRangesOk;
+}
+
+runTests()
+  .then(ok => {
+    if (ok) {
+      console.log('\n🎉 Update range test completed successfully!');
+    } else {
+      console.log('\n❌ Update range test failed');
+      process.exit(1);
+    }
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  });